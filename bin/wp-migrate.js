@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Command line tool to run the migrations of plugins.
+ *
+ * Usage: wp-migrate [status|up|down] [options]
+ *
+ *   status        List the migrations and whether they were applied.
+ *   up            Apply the pending migrations. Default.
+ *   down          Revert the last applied migration.
+ *
+ *   --dir <path>  Directory of migration files. Can be repeated. Default wp-content/migrations.
+ *   --steps <n>   Number of migrations to apply or revert, per site.
+ *   --blog <id>   Only run the per-site migrations of this site.
+ *   --dry-run     Print the queries instead of running them.
+ *
+ * The database settings come from wp-config.js.
+ *
+ * @package WordPress
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { envConfig } from '../wp-config.js';
+import { requireWpDb, wpSetWpdbVars } from '../wp-includes/load.js';
+import WPMigrations from '../wp-admin/includes/class-wp-migrations.js';
+
+/**
+ * Default directory of migration files.
+ *
+ * @type {string}
+ */
+const DEFAULT_DIRECTORY = 'wp-content/migrations';
+
+/**
+ * Prints the steps of a migration run.
+ *
+ * @param {Array<WPMigrationStep>} steps The steps run.
+ * @param {boolean} dryRun Whether it was a dry run.
+ */
+function printSteps(steps, dryRun) {
+  if (!steps.length) {
+    console.log('Nothing to migrate.');
+    return;
+  }
+
+  for (const step of steps) {
+    const site = null === step.blogId ? '' : ` (site ${step.blogId})`;
+    const action = 'up' === step.direction ? 'Applied' : 'Reverted';
+
+    if (!dryRun) {
+      console.log(`${action} ${step.name}${site}`);
+      continue;
+    }
+
+    console.log(`-- ${step.name}${site}, ${step.direction}`);
+    for (const query of step.queries) {
+      console.log(`${query.trim()};`);
+    }
+  }
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {Array<string>} [argv=process.argv.slice(2)] Optional. Command line arguments.
+ * @param {Object} [config=envConfig] Optional. Configuration to read the database settings from.
+ * @return {Promise<number>} The exit code.
+ */
+async function main(argv = process.argv.slice(2), config = envConfig) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        dir: { type: 'string', multiple: true },
+        steps: { type: 'string' },
+        blog: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+      },
+    });
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const command = args.positionals[0] || 'up';
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error(`Unknown command "${command}". Use status, up or down.`);
+    return 1;
+  }
+
+  const wpdb = requireWpDb(config);
+
+  try {
+    await wpdb.connecting;
+    wpSetWpdbVars(config);
+
+    const migrations = new WPMigrations();
+    const directories = args.values.dir || (fs.existsSync(DEFAULT_DIRECTORY) ? [DEFAULT_DIRECTORY] : []);
+    for (const directory of directories) {
+      await migrations.load(directory);
+    }
+
+    const options = {
+      dryRun: args.values['dry-run'],
+      blogId: args.values.blog ? Number(args.values.blog) : null,
+    };
+    if (args.values.steps) {
+      options.steps = Number(args.values.steps);
+    }
+
+    if ('status' === command) {
+      for (const { name, blogId, applied } of await migrations.status(options)) {
+        const site = null === blogId ? '' : ` (site ${blogId})`;
+        console.log(`${applied ? 'Applied' : 'Pending'}  ${name}${site}`);
+      }
+    } else if ('up' === command) {
+      printSteps(await migrations.migrate(options), options.dryRun);
+    } else {
+      printSteps(await migrations.rollback(options), options.dryRun);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await wpdb.close();
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith('wp-migrate.js')) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
+
+export { main };
@@ -8,20 +8,67 @@
 import express from 'express';
 import path from 'path';
 
-// Import the wp-blog-header equivalent logic, if needed
-import './wp-blog-header.js';
+import { wpBlogHeader } from './wp-blog-header.js';
+import { setupErrorReporting } from './wp-load.js';
+import { wpCacheMiddleware } from './wp-includes/cache.js';
+import { requireWpDb, isMultisite } from './wp-includes/load.js';
+import { msSiteMiddleware } from './wp-includes/ms-load.js';
+import { wpHookTracer } from './wp-includes/plugin.js';
+import { envConfig } from './wp-config.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Log errors to error.log as well
+setupErrorReporting();
+
+// Set up WordPress with wp-settings.js: the database, object cache, plugins and theme.
+// A stage that fails ends the process, with the error that broke it.
+try {
+  await wpBlogHeader();
+} catch (error) {
+  console.error(error.message);
+  if (error.cause) {
+    console.error(error.cause);
+  }
+  process.exit(1);
+}
+
 // Set static folder
 app.use(express.static(path.resolve('public')));
 
+// Answer readiness probes at /health: 200 while the database answers, 503 otherwise
+app.use(requireWpDb().health.middleware());
+
+// Keep each request's database results and transactions apart
+app.use(requireWpDb().contextMiddleware());
+
+// Keep each request's non-persistent cache groups apart, e.g. the options without a shared object cache
+app.use(wpCacheMiddleware());
+
+// Serve each request from its site of the network
+if (isMultisite()) {
+  app.use(msSiteMiddleware());
+}
+
+// Report each request's queries in a panel and at the URL of its X-Query-Monitor header
+if (process.env.SAVEQUERIES) {
+  app.use(requireWpDb().monitor.middleware());
+}
+
+// Trace each request's actions and filters in an overlay and at the URL of its X-Hook-Tracer header
+if (envConfig.WP_DEBUG) {
+  app.use(wpHookTracer().middleware());
+}
+
 // Example route
 app.get('/', (req, res) => {
   res.send('Welcome to the Express app!');
 });
 
+// Render database errors as an error page, instead of ending the process
+app.use(requireWpDb().errorHandler.middleware());
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
@@ -0,0 +1,183 @@
+import {
+    wpCacheInit,
+    wpCacheAdd,
+    wpCacheReplace,
+    wpCacheSet,
+    wpCacheGet,
+    wpCacheGetMultiple,
+    wpCacheSetMultiple,
+    wpCacheDelete,
+    wpCacheIncr,
+    wpCacheDecr,
+    wpCacheFlush,
+    wpCacheFlushGroup,
+    wpCacheFlushRuntime,
+    wpCacheAddGlobalGroups,
+    wpCacheAddNonPersistentGroups,
+    wpCacheSwitchToBlog,
+} from '../wp-includes/cache.js';
+import { wpStartObjectCache, wpUsingExtObjectCache } from '../wp-includes/load.js';
+import WPObjectCacheAdapter from '../wp-includes/class-wp-object-cache-adapter.js';
+import WPObjectCacheMemoryAdapter from '../wp-includes/class-wp-object-cache-memory-adapter.js';
+
+/**
+ * A shared backend, as Redis would be, that keeps serialized values in a Map.
+ */
+class MapAdapter extends WPObjectCacheAdapter {
+    name = 'map';
+
+    persistent = true;
+
+    values = new Map();
+
+    async get(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : undefined;
+    }
+
+    async set(key, value) {
+        this.values.set(key, JSON.stringify(value));
+        return true;
+    }
+
+    async delete(key) {
+        return this.values.delete(key);
+    }
+
+    async flush() {
+        this.values.clear();
+        return true;
+    }
+}
+
+describe('Object Cache API', () => {
+    afterEach(() => {
+        delete global.wpObjectCache;
+        delete process.env.MULTISITE;
+        jest.useRealTimers();
+    });
+
+    test('should get, set, add, replace and delete values', async () => {
+        wpCacheInit();
+
+        expect(await wpCacheGet('answer')).toBe(false);
+        expect(await wpCacheAdd('answer', 42)).toBe(true);
+        expect(await wpCacheAdd('answer', 43)).toBe(false);
+        expect(await wpCacheReplace('missing', 1)).toBe(false);
+        expect(await wpCacheReplace('answer', 44)).toBe(true);
+        expect(await wpCacheGet('answer')).toBe(44);
+        expect(await wpCacheGet('answer', 'other')).toBe(false);
+
+        expect(await wpCacheDelete('answer')).toBe(true);
+        expect(await wpCacheDelete('answer')).toBe(false);
+        expect(await wpCacheSet('', 1)).toBe(false);
+        expect(global.wpObjectCache.stats()).toEqual({ hits: 1, misses: 2, adapter: 'memory' });
+    });
+
+    test('should copy objects in and out of the cache', async () => {
+        wpCacheInit();
+        const post = { ID: 1, tags: ['news'] };
+
+        await wpCacheSet(1, post, 'posts');
+        post.tags.push('changed');
+        const cached = await wpCacheGet(1, 'posts');
+        cached.ID = 2;
+
+        expect(await wpCacheGet(1, 'posts')).toEqual({ ID: 1, tags: ['news'] });
+    });
+
+    test('should handle multiple values and counters', async () => {
+        wpCacheInit();
+
+        expect(await wpCacheSetMultiple({ a: 1, b: 'x' }, 'counts')).toEqual({ a: true, b: true });
+        expect(await wpCacheGetMultiple(['a', 'b', 'c'], 'counts')).toEqual({ a: 1, b: 'x', c: false });
+
+        expect(await wpCacheIncr('a', 2, 'counts')).toBe(3);
+        expect(await wpCacheIncr('b', 1, 'counts')).toBe(1);
+        expect(await wpCacheDecr('a', 10, 'counts')).toBe(0);
+        expect(await wpCacheIncr('c', 1, 'counts')).toBe(false);
+    });
+
+    test('should expire values and evict the least recently used', async () => {
+        jest.useFakeTimers({ now: 1000000 });
+        wpCacheInit({ adapter: new WPObjectCacheMemoryAdapter({ maxItems: 2 }) });
+
+        await wpCacheSet('short', 1, '', 10);
+        await wpCacheIncr('short');
+        jest.setSystemTime(1000000 + 9000);
+        expect(await wpCacheGet('short')).toBe(2);
+        jest.setSystemTime(1000000 + 10000);
+        expect(await wpCacheGet('short')).toBe(false);
+
+        await wpCacheSet('a', 1);
+        await wpCacheSet('b', 2);
+        await wpCacheGet('a');
+        await wpCacheSet('c', 3);
+        expect(await wpCacheGetMultiple(['a', 'b', 'c'])).toEqual({ a: 1, b: false, c: 3 });
+    });
+
+    test('should flush groups, and keep non-persistent groups out of the adapter', async () => {
+        const adapter = new MapAdapter();
+        wpCacheInit({ adapter, salt: 'salt_' });
+        wpCacheAddNonPersistentGroups('plugins');
+
+        await wpCacheSet('alloptions', { siteurl: 'http://example.org' }, 'options');
+        await wpCacheSet('active', ['hello.js'], 'plugins');
+
+        expect([...adapter.values.keys()]).toEqual(['salt_options:alloptions']);
+        expect(await wpCacheGet('active', 'plugins')).toEqual(['hello.js']);
+
+        expect(await wpCacheFlushGroup('options')).toBe(false);
+        expect(await wpCacheFlushGroup('plugins')).toBe(true);
+        expect(await wpCacheGet('active', 'plugins')).toBe(false);
+
+        await wpCacheSet('active', ['hello.js'], 'plugins');
+        expect(await wpCacheFlushRuntime()).toBe(true);
+        expect(await wpCacheGet('alloptions', 'options')).toEqual({ siteurl: 'http://example.org' });
+        expect(await wpCacheFlush()).toBe(true);
+        expect(adapter.values.size).toBe(0);
+    });
+
+    test('should keep per-site groups apart on multisite', async () => {
+        process.env.MULTISITE = '1';
+        const adapter = new MapAdapter();
+        wpCacheInit({ adapter, salt: 's:', blogId: 1 });
+        wpCacheAddGlobalGroups(['users']);
+
+        await wpCacheSet('title', 'Main', 'options');
+        await wpCacheSet(1, 'admin', 'users');
+        wpCacheSwitchToBlog(2);
+
+        expect(await wpCacheGet('title', 'options')).toBe(false);
+        expect(await wpCacheGet(1, 'users')).toBe('admin');
+        expect([...adapter.values.keys()]).toEqual(['s:options:1:title', 's:users:1']);
+    });
+
+    test('should keep the non-persistent groups of each request apart', async () => {
+        const cache = wpCacheInit();
+        wpCacheAddNonPersistentGroups(['counts']);
+        await wpCacheSet('posts', 1, 'counts');
+
+        const seen = await Promise.all([1, 2].map((id) => cache.runInRequest(async () => {
+            const before = await wpCacheGet('posts', 'counts');
+            await wpCacheSet('posts', id, 'counts');
+            await new Promise((resolve) => setTimeout(resolve, 3 - id));
+            return [before, await wpCacheGet('posts', 'counts')];
+        })));
+
+        expect(seen).toEqual([[false, 1], [false, 2]]);
+        expect(await wpCacheGet('posts', 'counts')).toBe(1);
+    });
+
+    test('should start the cache from the configuration', async () => {
+        const cache = await wpStartObjectCache({ WP_CACHE_KEY_SALT: 'test_' });
+
+        expect(global.wpObjectCache).toBe(cache);
+        expect(cache.salt).toBe('test_');
+        expect(cache.adapter).toBeInstanceOf(WPObjectCacheMemoryAdapter);
+        expect(cache.globalGroups.has('site-transient')).toBe(true);
+        expect(cache.nonPersistentGroups.has('counts')).toBe(true);
+        expect(cache.nonPersistentGroups.has('options')).toBe(true);
+        expect(wpUsingExtObjectCache()).toBe(false);
+        expect(await wpStartObjectCache()).toBe(cache);
+    });
+});
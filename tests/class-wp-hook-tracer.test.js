@@ -0,0 +1,104 @@
+import express from 'express';
+import { envConfig } from '../wp-config.js';
+import { addAction, addFilter, applyFilters, applyFiltersAsync, doAction, wpHookTracer } from '../wp-includes/plugin.js';
+import WPHookTracer from '../wp-includes/class-wp-hook-tracer.js';
+
+describe('WPHookTracer', () => {
+    beforeEach(() => {
+        envConfig.WP_DEBUG = true;
+    });
+
+    afterEach(() => {
+        envConfig.WP_DEBUG = false;
+        delete global.wpFilter;
+        delete global.wpActions;
+        delete global.wpFilters;
+        delete global.wpCurrentFilter;
+        delete global.wpHookTracer;
+        jest.restoreAllMocks();
+    });
+
+    test('should only trace hooks with WP_DEBUG', () => {
+        expect(wpHookTracer()).toBeInstanceOf(WPHookTracer);
+
+        envConfig.WP_DEBUG = false;
+        expect(wpHookTracer()).toBeNull();
+    });
+
+    test('should record the hooks of a request with their callbacks', async () => {
+        const tracer = wpHookTracer();
+        const addTitle = (post) => {
+            post.title = 'Hello';
+            doAction('titled', post.ID);
+            return post;
+        };
+        addFilter('the_post', addTitle, 5);
+
+        const trace = await tracer.run(async () => {
+            applyFilters('the_post', { ID: 1 }, 'view');
+            addFilter('the_post', async (post) => ({ ...post, views: 3 }));
+            await applyFiltersAsync('the_post', { ID: 2 });
+            return tracer.current();
+        }, { method: 'GET', url: '/hello' });
+
+        expect(trace).toMatchObject({ method: 'GET', url: '/hello', dropped: 0 });
+        expect(trace.hooks.map(({ hook, type, async, depth }) => [hook, type, async, depth])).toEqual([
+            ['the_post', 'filter', false, 0],
+            ['titled', 'action', false, 1],
+            ['the_post', 'filter', true, 0],
+            ['async_hook_timeout', 'filter', false, 1],
+            ['titled', 'action', false, 1],
+        ]);
+
+        const [sync, , awaited] = trace.hooks;
+        // The value is recorded as it was, although the callback changes it.
+        expect(sync).toMatchObject({ args: ['view'], before: { ID: 1 }, after: { ID: 1, title: 'Hello' } });
+        expect(awaited).toMatchObject({ before: { ID: 2 }, after: { ID: 2, title: 'Hello', views: 3 } });
+        expect(awaited.callbacks).toEqual([
+            { callback: 'addTitle', priority: 5, source: expect.stringMatching(/^tests\/class-wp-hook-tracer\.test\.js:\d+$/), time: expect.any(Number), error: '' },
+            expect.objectContaining({ callback: 'anonymous function', priority: 10 }),
+        ]);
+        expect(tracer.report(trace).summary.map(({ hook, count }) => [hook, count])).toEqual(expect.arrayContaining([['the_post', 2], ['titled', 2]]));
+
+        // Hooks outside of a request aren't traced.
+        doAction('titled', 3);
+        expect(trace.hooks).toHaveLength(5);
+    });
+
+    test('should snapshot values', () => {
+        const tracer = new WPHookTracer({ maxDepth: 2, maxLength: 3 });
+        const post = { ID: 1, title: 'Hello', author: { name: 'Ann', roles: ['editor'] }, save() {} };
+        post.self = post;
+
+        expect(tracer.snapshot(post)).toEqual({ ID: 1, title: 'Hel…', author: { name: 'Ann', roles: '[Array(1)]' }, save: '[Function save]', self: { ID: 1, title: 'Hel…', author: '[Object]', save: '[Function save]', self: '[Object]' } });
+        expect(tracer.snapshot(new Map([[1, 10n]]))).toEqual({ 1: '10' });
+        expect(tracer.callerSource(`Error\n    at addFilter (${process.cwd()}/wp-includes/plugin.js:10:3)\n    at file://${process.cwd()}/wp-content/plugins/seo/seo.js:12:1`)).toBe('wp-content/plugins/seo/seo.js:12');
+    });
+
+    test('should add the overlay to pages and serve the trace as JSON', async () => {
+        const app = express();
+        app.use(wpHookTracer().middleware());
+        app.get('/', (req, res) => {
+            res.send(`<html><body>${applyFilters('the_title', '<b>Home</b>')}</body></html>`);
+        });
+        addFilter('the_title', (title) => title.toUpperCase());
+
+        const server = app.listen(0);
+        const url = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const page = await fetch(`${url}/`);
+            const html = await page.text();
+            expect(html).toContain('<details id="wp-hook-tracer"');
+            expect(html).toContain('Hooks: 1 in');
+            expect(html).toContain('&#34;&#60;b&#62;Home&#60;/b&#62;&#34; &rarr; &#34;&#60;B&#62;HOME&#60;/B&#62;&#34;');
+
+            const trace = await (await fetch(`${url}${page.headers.get('x-hook-tracer')}`)).json();
+            expect(trace).toMatchObject({ url: '/', count: 1, hooks: [{ hook: 'the_title', before: '<b>Home</b>', after: '<B>HOME</B>' }] });
+
+            expect((await fetch(`${url}/__hook-tracer/unknown`)).status).toBe(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WPMigrations from '../wp-admin/includes/class-wp-migrations.js';
+import { main } from '../bin/wp-migrate.js';
+import { envConfig } from '../wp-config.js';
+
+describe('WPMigrations', () => {
+    let wpdb;
+    let migrations;
+
+    const tables = () => wpdb.getCol("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite%' ORDER BY name");
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        wpdb.setPrefix('wp_');
+        global.wpdb = wpdb;
+
+        migrations = new WPMigrations()
+            .register('001_create_events', {
+                up: (db) => db.query(`CREATE TABLE ${db.prefix}events (id INTEGER PRIMARY KEY, title TEXT)`),
+                down: `DROP TABLE wp_events`,
+            })
+            .register('002_add_venue', {
+                up: ['ALTER TABLE wp_events ADD COLUMN venue TEXT', "INSERT INTO wp_events (title) VALUES ('Launch')"],
+                down: 'ALTER TABLE wp_events DROP COLUMN venue',
+            });
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.wpdb;
+        delete process.env.IS_MULTISITE;
+        delete process.env.MULTISITE;
+        jest.restoreAllMocks();
+    });
+
+    test('should apply the pending migrations once', async () => {
+        expect((await migrations.migrate()).map((step) => step.name)).toEqual(['001_create_events', '002_add_venue']);
+        expect(await migrations.applied()).toEqual(['001_create_events', '002_add_venue']);
+        expect(await wpdb.getRow('SELECT * FROM wp_events')).toEqual({ id: '1', title: 'Launch', venue: null });
+
+        expect(await migrations.migrate()).toEqual([]);
+        expect(await migrations.status()).toEqual([
+            { name: '001_create_events', blogId: null, applied: true },
+            { name: '002_add_venue', blogId: null, applied: true },
+        ]);
+    });
+
+    test('should apply and revert a number of steps', async () => {
+        await migrations.migrate({ steps: 1 });
+        expect(await migrations.applied()).toEqual(['001_create_events']);
+
+        await migrations.migrate();
+        expect((await migrations.rollback({ steps: 2 })).map((step) => step.direction)).toEqual(['down', 'down']);
+        expect(await migrations.applied()).toEqual([]);
+        expect(await tables()).toEqual(['wp_migrations']);
+    });
+
+    test('should collect the write queries in a dry run', async () => {
+        const steps = await migrations.migrate({ dryRun: true });
+
+        expect(steps.map((step) => step.queries)).toEqual([
+            ['CREATE TABLE wp_events (id INTEGER PRIMARY KEY, title TEXT)'],
+            ['ALTER TABLE wp_events ADD COLUMN venue TEXT', "INSERT INTO wp_events (title) VALUES ('Launch')"],
+        ]);
+        expect(await tables()).toEqual([]);
+    });
+
+    test('should collect the queries of dbDelta() in a dry run', async () => {
+        migrations.register('003_create_venues', {
+            up: (db) => db.dbDelta(`CREATE TABLE ${db.prefix}venues (
+	venue_id bigint(20) unsigned NOT NULL auto_increment,
+	name varchar(191) NOT NULL default '',
+	PRIMARY KEY  (venue_id)
+)`),
+        });
+
+        const [, , step] = await migrations.migrate({ dryRun: true });
+        expect(step.queries).toHaveLength(1);
+        expect(step.queries[0]).toMatch(/^CREATE TABLE `wp_venues`/);
+        expect(await tables()).toEqual([]);
+
+        await migrations.migrate();
+        expect(await tables()).toEqual(['wp_events', 'wp_migrations', 'wp_venues']);
+    });
+
+    test('should stop at a failed migration and roll it back', async () => {
+        migrations.register('003_broken', {
+            up: ["INSERT INTO wp_events (title) VALUES ('Lost')", 'ALTER TABLE wp_missing ADD COLUMN x TEXT'],
+        });
+
+        await expect(migrations.migrate()).rejects.toThrow('Migration "003_broken" failed: ');
+        expect(await migrations.applied()).toEqual(['001_create_events', '002_add_venue']);
+        expect(await wpdb.getCol('SELECT title FROM wp_events')).toEqual(['Launch']);
+        await expect(migrations.rollback({ steps: 3 })).resolves.toHaveLength(2);
+    });
+
+    test('should refuse to revert a migration without a down step', async () => {
+        migrations.register('003_irreversible', { up: 'DELETE FROM wp_events' });
+        await migrations.migrate();
+
+        await expect(migrations.rollback()).rejects.toThrow('no down step');
+    });
+
+    test('should run blog migrations for every site of a network', async () => {
+        process.env.IS_MULTISITE = '1';
+        process.env.MULTISITE = '1';
+        wpdb.setPrefix('wp_');
+        wpdb.setBlogId(1);
+        await wpdb.query('CREATE TABLE wp_blogs (blog_id INTEGER PRIMARY KEY)');
+        await wpdb.query('INSERT INTO wp_blogs (blog_id) VALUES (1), (2)');
+
+        migrations = new WPMigrations().register('001_create_events', {
+            scope: 'blog',
+            up: (db) => db.query(`CREATE TABLE ${db.prefix}events (id INTEGER PRIMARY KEY)`),
+            down: (db) => db.query(`DROP TABLE ${db.prefix}events`),
+        });
+
+        expect((await migrations.migrate()).map((step) => step.blogId)).toEqual([1, 2]);
+        expect(await tables()).toEqual(['wp_2_events', 'wp_2_migrations', 'wp_blogs', 'wp_events', 'wp_migrations']);
+        expect(wpdb.prefix).toBe('wp_');
+
+        await migrations.rollback({ blogId: 2 });
+        expect(await migrations.status()).toEqual([
+            { name: '001_create_events', blogId: 1, applied: true },
+            { name: '001_create_events', blogId: 2, applied: false },
+        ]);
+    });
+});
+
+describe('wp-migrate', () => {
+    let dir;
+    let output;
+
+    const config = () => ({ ...envConfig, DB_DRIVER: 'sqlite', DB_NAME: path.join(dir, 'site.sqlite'), DB_POOL_SIZE: 0 });
+    const run = async (...argv) => {
+        output = [];
+        delete global.wpdb;
+        return main([...argv, '--dir', 'tests/fixtures/migrations'], config());
+    };
+
+    beforeEach(() => {
+        output = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-migrate-'));
+        jest.spyOn(console, 'log').mockImplementation((line) => output.push(line));
+        jest.spyOn(console, 'error').mockImplementation((...line) => output.push(line.join(' ')));
+    });
+
+    afterEach(() => {
+        delete global.wpdb;
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should print, apply and revert the migrations of a directory', async () => {
+        expect(await run('up', '--dry-run')).toBe(0);
+        expect(output).toEqual(['-- 20240101000000_create_events, up', 'CREATE TABLE wp_events (id INTEGER PRIMARY KEY);']);
+
+        expect(await run('status')).toBe(0);
+        expect(output).toEqual(['Pending  20240101000000_create_events']);
+
+        expect(await run()).toBe(0);
+        expect(output).toEqual(['Applied 20240101000000_create_events']);
+
+        expect(await run('down')).toBe(0);
+        expect(output).toEqual(['Reverted 20240101000000_create_events']);
+    });
+
+    test('should reject unknown commands', async () => {
+        expect(await main(['sideways'])).toBe(1);
+        expect(output).toEqual(['Unknown command "sideways". Use status, up or down.']);
+    });
+});
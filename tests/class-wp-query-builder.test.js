@@ -0,0 +1,147 @@
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbMysqlDriver from '../wp-includes/class-wpdb-driver-mysql.js';
+
+describe('WPQueryBuilder', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        wpdb.setPrefix('wp_');
+
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_title TEXT, post_status TEXT, post_type TEXT, post_date TEXT, menu_order INTEGER)');
+        await wpdb.query('CREATE TABLE wp_postmeta (meta_id INTEGER PRIMARY KEY, post_id INTEGER, meta_key TEXT, meta_value TEXT)');
+
+        const posts = [
+            [1, 'Hello', 'publish', 'post', '2024-01-01', 0],
+            [2, 'Draft', 'draft', 'post', '2024-01-02', 0],
+            [3, 'About', 'publish', 'page', '2024-01-03', 1],
+            [4, 'World', 'publish', 'post', '2024-01-04', 2],
+        ];
+        for (const post of posts) {
+            await wpdb.table('posts').insert({
+                ID: post[0], post_title: post[1], post_status: post[2], post_type: post[3], post_date: post[4], menu_order: post[5],
+            });
+        }
+        await wpdb.table('postmeta').insert({ post_id: 4, meta_key: '_thumbnail_id', meta_value: '9' });
+        await wpdb.table('postmeta').insert({ post_id: 1, meta_key: '_edit_lock', meta_value: null });
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+    });
+
+    test('should compile to prepare() placeholders with prefixed tables', () => {
+        expect(wpdb.table('posts').where('post_status', 'publish').orderBy('post_date', 'desc').limit(10).toSql()).toEqual({
+            query: 'SELECT * FROM %i AS %i WHERE %i = %s ORDER BY %i DESC LIMIT %d',
+            args: ['wp_posts', 'posts', 'post_status', 'publish', 'post_date', 10],
+        });
+    });
+
+    test('should set the table properties from setPrefix()', () => {
+        expect(wpdb.posts).toBe('wp_posts');
+        expect(wpdb.postMeta).toBe('wp_postmeta');
+        expect(wpdb.users).toBe('wp_users');
+    });
+
+    test('should run the query through execute()', async () => {
+        const posts = await wpdb.table('posts')
+            .select('ID', 'post_title')
+            .where('post_status', 'publish')
+            .orderBy('post_date', 'desc')
+            .limit(2)
+            .get();
+
+        expect(posts).toEqual([{ ID: '4', post_title: 'World' }, { ID: '3', post_title: 'About' }]);
+        expect(wpdb.lastQuery).toContain('LIMIT ?');
+    });
+
+    test('should bind limits and offsets to MySQL as integers it accepts', async () => {
+        const handle = {
+            query: async () => [[{ version: '8.0.36' }], []],
+            execute: jest.fn(async () => [[{ ID: '4' }], []]),
+            end: async () => {},
+        };
+        const driver = new WpdbMysqlDriver();
+        driver.connect = async () => {
+            driver.handle = handle;
+            return true;
+        };
+        const mysql = new Wpdb('', '', 'wordpress', '', { driver });
+        await mysql.connecting;
+        mysql.setPrefix('wp_');
+
+        await mysql.table('posts').where('post_status', 'publish').limit(10).offset(20).get();
+        await mysql.table('posts').where('ID', 4).first();
+        await mysql.table('posts').where('ID', 4).value('ID');
+
+        expect(handle.execute.mock.calls.map(([, params]) => params)).toEqual([
+            ['publish', '10', '20'],
+            ['4', '1'],
+            ['4', '1'],
+        ]);
+        expect(handle.execute.mock.calls[0][0]).toBe('SELECT * FROM `wp_posts` AS `posts` WHERE `post_status` = ? LIMIT ? OFFSET ?');
+        await mysql.close();
+    });
+
+    test('should support operators, groups and lists', async () => {
+        const titles = await wpdb.table('posts')
+            .where('menu_order', '>=', 1)
+            .orWhere((query) => query.whereIn('ID', [1, 2]).where('post_status', 'draft'))
+            .orderBy('ID')
+            .pluck('post_title');
+
+        expect(titles).toEqual(['Draft', 'About', 'World']);
+        expect(await wpdb.table('posts').whereIn('ID', []).count()).toBe(0);
+        expect(await wpdb.table('posts').where({ post_type: 'post', post_status: 'publish' }).count()).toBe(2);
+    });
+
+    test('should count groups and distinct rows once', async () => {
+        expect(await wpdb.table('posts').groupBy('post_type').count()).toBe(2);
+        expect(await wpdb.table('posts').where('post_status', 'publish').groupBy('post_type', 'menu_order').count()).toBe(3);
+        expect(await wpdb.table('posts').select('post_status').distinct().count()).toBe(2);
+        expect(await wpdb.table('posts').select('post_status').distinct().orderBy('post_status').limit(1).count()).toBe(2);
+    });
+
+    test('should join meta tables', async () => {
+        const rows = await wpdb.table('posts AS p')
+            .select('p.ID', 'thumb.meta_value AS thumbnail_id')
+            .joinMeta('_thumbnail_id', 'thumb')
+            .get();
+
+        expect(rows).toEqual([{ ID: '4', thumbnail_id: '9' }]);
+
+        expect(await wpdb.table('posts')
+            .joinMeta('_edit_lock', 'lock', 'LEFT')
+            .whereNull('lock.meta_id')
+            .count()).toBe(3);
+    });
+
+    test('should return single rows and values', async () => {
+        expect(await wpdb.table('posts').where('ID', 3).first()).toMatchObject({ post_title: 'About' });
+        expect(await wpdb.table('posts').where('ID', 3).value('post_type')).toBe('page');
+        expect(await wpdb.table('posts').where('ID', 99).first()).toBeNull();
+    });
+
+    test('should update and delete the matching rows', async () => {
+        expect(await wpdb.table('posts').where('post_status', 'draft').update({ post_status: 'trash' })).toBe(1);
+        expect(await wpdb.table('posts').where('post_status', 'trash').delete()).toBe(1);
+        expect(await wpdb.table('posts').count()).toBe(3);
+    });
+
+    test('should use the blog prefix on multisite', () => {
+        process.env.IS_MULTISITE = '1';
+        try {
+            expect(wpdb.table('posts').forBlog(2).toSql().args[0]).toBe('wp_2_posts');
+            expect(wpdb.table('users').forBlog(2).toSql().args[0]).toBe('wp_users');
+        } finally {
+            delete process.env.IS_MULTISITE;
+        }
+    });
+
+    test('should reject invalid operators', () => {
+        expect(() => wpdb.table('posts').where('ID', 'OR 1 =', 1)).toThrow('Invalid operator');
+        expect(() => wpdb.table('comments').joinMeta()).not.toThrow();
+        expect(() => wpdb.table('options').joinMeta()).toThrow('no meta table');
+    });
+});
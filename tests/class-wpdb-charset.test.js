@@ -0,0 +1,171 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbMysqlDriver from '../wp-includes/class-wpdb-driver-mysql.js';
+import { addFilter } from '../wp-includes/plugin.js';
+
+describe('wpdb charsets', () => {
+    // Column metadata as MySQL's SHOW FULL COLUMNS returns it.
+    const columns = {
+        wp_emoji: [
+            { Field: 'id', Type: 'bigint(20) unsigned', Collation: null },
+            { Field: 'title', Type: 'varchar(10)', Collation: 'utf8mb4_unicode_ci' },
+            { Field: 'body', Type: 'tinytext', Collation: 'utf8mb4_unicode_ci' },
+        ],
+        wp_legacy: [
+            { Field: 'id', Type: 'bigint(20) unsigned', Collation: null },
+            { Field: 'name', Type: 'varchar(20)', Collation: 'utf8mb3_general_ci' },
+            { Field: 'note', Type: 'tinytext', Collation: 'latin1_swedish_ci' },
+        ],
+        wp_files: [
+            { Field: 'name', Type: 'varchar(255)', Collation: 'utf8mb4_unicode_ci' },
+            { Field: 'data', Type: 'blob', Collation: null },
+        ],
+    };
+    let wpdb;
+    let getTableColumns;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = await FakeWpdb.create({ schema: false });
+        for (const table of Object.keys(columns)) {
+            await wpdb.query(`CREATE TABLE ${table} (${columns[table].map(({ Field }) => `${Field} TEXT`).join(', ')})`);
+        }
+        getTableColumns = jest.spyOn(wpdb, 'getTableColumns').mockImplementation(async (table) => columns[table] || null);
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.wpFilter;
+        jest.restoreAllMocks();
+    });
+
+    test('should detect table and column charsets', async () => {
+        expect(await wpdb.getTableCharset('wp_emoji')).toBe('utf8mb4');
+        // latin1 columns are left out when a table mixes charsets.
+        expect(await wpdb.getTableCharset('wp_legacy')).toBe('utf8');
+        expect(await wpdb.getTableCharset('wp_files')).toBe('binary');
+
+        expect(await wpdb.getColCharset('wp_emoji', 'title')).toBe('utf8mb4');
+        expect(await wpdb.getColCharset('WP_LEGACY', 'Note')).toBe('latin1');
+        expect(await wpdb.getColCharset('wp_legacy', 'name')).toBe('utf8mb3');
+        expect(await wpdb.getColCharset('wp_emoji', 'id')).toBe(false);
+        expect(await wpdb.getColCharset('wp_emoji', 'missing')).toBe('utf8mb4');
+        expect(getTableColumns).toHaveBeenCalledTimes(3);
+
+        // Without column metadata, as on SQLite, nothing is checked.
+        expect(await wpdb.getTableCharset('wp_other')).toBe(false);
+        expect(await wpdb.getColCharset('wp_other', 'title')).toBe(false);
+        expect(await wpdb.getColLength('wp_other', 'title')).toBe(false);
+    });
+
+    test('should let filters short-circuit charset detection', async () => {
+        addFilter('pre_get_table_charset', (charset, table) => ('wp_emoji' === table ? 'latin1' : charset), 10, 2);
+        addFilter('pre_get_col_charset', (charset, table, column) => ('body' === column ? 'utf8' : charset), 10, 3);
+
+        expect(await wpdb.getTableCharset('wp_emoji')).toBe('latin1');
+        expect(await wpdb.getColCharset('wp_emoji', 'body')).toBe('utf8');
+        expect(getTableColumns).not.toHaveBeenCalled();
+
+        const error = new Error('Could not retrieve table charset.');
+        getTableColumns.mockResolvedValue(error);
+        expect(await wpdb.getColCharset('wp_legacy', 'name')).toBe(error);
+        expect(await wpdb.stripInvalidTextForColumn('wp_legacy', 'name', 'Ana')).toBe(error);
+    });
+
+    test('should read column lengths in characters or bytes', async () => {
+        expect(await wpdb.getColLength('wp_emoji', 'title')).toEqual({ type: 'char', length: 10 });
+        expect(await wpdb.getColLength('wp_emoji', 'body')).toEqual({ type: 'byte', length: 255 });
+        expect(await wpdb.getColLength('wp_files', 'data')).toEqual({ type: 'byte', length: 65535 });
+        expect(await wpdb.getColLength('wp_emoji', 'id')).toBe(false);
+        expect(await wpdb.getColLength('wp_emoji', 'missing')).toBe(false);
+    });
+
+    test('should keep emoji in utf8mb4 columns and strip them from utf8mb3 columns', async () => {
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'title', 'Nice 👍')).toBe('Nice 👍');
+        expect(await wpdb.stripInvalidTextForColumn('wp_legacy', 'name', 'Nice 👍')).toBe('Nice ');
+        expect(await wpdb.stripInvalidTextForColumn('wp_legacy', 'name', 'Café ☕')).toBe('Café ☕');
+
+        // Lone surrogates can't be encoded as UTF-8.
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'title', 'a\uD83Db\uDC4D')).toBe('ab');
+
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'id', 'a\uD83D')).toBe('a\uD83D');
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'title', 42)).toBe(42);
+    });
+
+    test('should truncate values to the column length without splitting characters', async () => {
+        // varchar lengths count characters, emoji included.
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'title', '👍'.repeat(12))).toBe('👍'.repeat(10));
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'title', 'abcdefghijkl')).toBe('abcdefghij');
+
+        // tinytext lengths count bytes: 63 four-byte emoji fit in 255 bytes, 64 don't.
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'body', '👍'.repeat(70))).toBe('👍'.repeat(63));
+        expect(await wpdb.stripInvalidTextForColumn('wp_emoji', 'body', 'a'.repeat(300))).toBe('a'.repeat(255));
+
+        // latin1 values are only truncated, by their bytes.
+        expect(await wpdb.stripInvalidTextForColumn('wp_legacy', 'note', 'é'.repeat(200))).toBe('é'.repeat(127));
+        expect(await wpdb.stripInvalidTextForColumn('wp_legacy', 'note', 'Nice 👍')).toBe('Nice 👍');
+    });
+
+    test('should refuse to write values that would be altered', async () => {
+        expect(await wpdb.insert('wp_emoji', { id: 1, title: 'Hi 👋', body: 'Body' })).toBe(1);
+        expect(await wpdb.insert('wp_legacy', { id: 1, name: 'Ana', note: 'Café' })).toBe(1);
+        expect(await wpdb.getRow('SELECT title FROM wp_emoji')).toEqual({ title: 'Hi 👋' });
+
+        expect(await wpdb.insert('wp_legacy', { id: 2, name: 'Hi 👋', note: 'é'.repeat(200) })).toBe(false);
+        expect(wpdb.lastError).toBe('WordPress database error: Processing the values for the following fields failed: name, note. The supplied values may be too long or contain invalid data.');
+
+        expect(await wpdb.update('wp_emoji', { title: 'Much too long' }, { id: 1 })).toBe(false);
+        expect(wpdb.lastError).toContain('following field failed: title.');
+
+        expect(await wpdb.query("UPDATE wp_emoji SET title = 'a\uD83D' WHERE id = 1")).toBe(false);
+        expect(wpdb.lastError).toBe('WordPress database error: Could not perform query because it contains invalid data.');
+        expect(await wpdb.getVar('SELECT COUNT(*) FROM wp_legacy')).toBe('1');
+    });
+
+    test('should check whether queries use safe collations', async () => {
+        expect(await wpdb.checkSafeCollation('SELECT * FROM wp_emoji')).toBe(true);
+        expect(await wpdb.checkSafeCollation("SHOW TABLES LIKE 'wp_é%'")).toBe(true);
+        expect(await wpdb.checkSafeCollation("SELECT * FROM wp_emoji WHERE title = 'é'")).toBe(false);
+        expect(await wpdb.checkSafeCollation("SELECT * FROM wp_other WHERE title = 'é'")).toBe(true);
+
+        columns.wp_safe = [{ Field: 'title', Type: 'varchar(10)', Collation: 'utf8mb4_general_ci' }];
+        expect(await wpdb.checkSafeCollation("SELECT * FROM wp_safe WHERE title = 'é';")).toBe(true);
+        delete columns.wp_safe;
+    });
+
+    test('should set the connection charset on MySQL', async () => {
+        const connect = async (version, charset, collate) => {
+            const handle = {
+                query: jest.fn(async () => [[{ version }], []]),
+                end: async () => {},
+            };
+            const driver = new WpdbMysqlDriver();
+            driver.connect = async () => {
+                driver.handle = handle;
+                driver.version = version;
+                return true;
+            };
+            const mysql = new Wpdb('', '', 'wordpress', '', { driver, charset, collate });
+            await mysql.connecting;
+            await mysql.close();
+            return { mysql, queries: handle.query.mock.calls.map(([sql]) => sql).filter((sql) => sql.startsWith('SET NAMES')) };
+        };
+
+        const { mysql, queries } = await connect('8.0.36', 'utf8', '');
+        expect(mysql.charset).toBe('utf8mb4');
+        expect(mysql.collate).toBe('utf8mb4_unicode_520_ci');
+        expect(queries).toEqual(['SET NAMES utf8mb4', "SET NAMES 'utf8mb4' COLLATE 'utf8mb4_unicode_520_ci'"]);
+
+        expect((await connect('5.5.62', 'utf8mb4', 'utf8mb4_general_ci')).queries)
+            .toEqual(['SET NAMES utf8mb4', "SET NAMES 'utf8mb4' COLLATE 'utf8mb4_general_ci'"]);
+        // Without a charset, the server default is kept.
+        expect((await connect('8.0.36', '', '')).queries).toEqual([]);
+    });
+
+    test('should tell ASCII strings apart', () => {
+        expect(wpdb.checkAscii('Hello, world!\n')).toBe(true);
+        expect(wpdb.checkAscii('')).toBe(true);
+        expect(wpdb.checkAscii('Café')).toBe(false);
+        expect(wpdb.checkAscii('👍')).toBe(false);
+    });
+});
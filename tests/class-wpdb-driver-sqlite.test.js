@@ -0,0 +1,55 @@
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbSqliteDriver from '../wp-includes/class-wpdb-driver-sqlite.js';
+
+describe('wpdb with the sqlite driver', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY AUTOINCREMENT, post_title TEXT)');
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
+    test('should connect without a database server', () => {
+        expect(wpdb.ready).toBe(true);
+        expect(wpdb.isMySQL).toBe(false);
+        expect(wpdb.dbh).toBeInstanceOf(WpdbSqliteDriver);
+        expect(wpdb.dbServerInfo()).toMatch(/^3\./);
+    });
+
+    test('should record rows affected and the insert ID', async () => {
+        expect(await wpdb.query("INSERT INTO wp_posts (post_title) VALUES ('Hello')")).toBe(1);
+        expect(wpdb.insertId).toBe(1);
+
+        expect(await wpdb.query("UPDATE wp_posts SET post_title = 'Hi'")).toBe(1);
+        expect(wpdb.rowsAffected).toBe(1);
+    });
+
+    test('should return rows from the driver result', async () => {
+        await wpdb.query("INSERT INTO wp_posts (post_title) VALUES ('First'), ('Second')");
+
+        expect(await wpdb.query('SELECT * FROM wp_posts')).toBe(2);
+        expect(await wpdb.getResults('SELECT post_title FROM wp_posts ORDER BY ID')).toEqual([
+            { post_title: 'First' },
+            { post_title: 'Second' },
+        ]);
+        expect(await wpdb.getVar('SELECT COUNT(*) FROM wp_posts')).toBe('2');
+    });
+
+    test('should report query errors through the driver', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await wpdb.query('SELECT * FROM wp_missing')).toBe(false);
+        expect(wpdb.lastError).toMatch(/no such table/);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('no such table: wp_missing for query SELECT * FROM wp_missing'));
+    });
+
+    test('should reject unknown drivers', () => {
+        expect(() => Wpdb.createDriver('oracle')).toThrow('Unknown database driver "oracle"');
+    });
+});
@@ -0,0 +1,150 @@
+import express from 'express';
+import Wpdb, { WPDBError } from '../wp-includes/class-wpdb.js';
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+
+describe('wpdb errors', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = await FakeWpdb.create({ fixtures: ['posts'] });
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.EZSQL_ERROR;
+        jest.restoreAllMocks();
+    });
+
+    test('should describe failed queries with a typed error', async () => {
+        const listener = jest.fn();
+        wpdb.errorHandler.on('error', listener);
+
+        expect(await wpdb.query('SELECT * FROM wp_missing')).toBe(false);
+        expect(wpdb.lastError).toBe('SQLITE_ERROR: no such table: wp_missing');
+
+        const error = listener.mock.calls[0][0];
+        expect(error).toBeInstanceOf(WPDBError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBe(wpdb.lastDbError);
+        expect(error).toMatchObject({
+            name: 'WPDBError',
+            message: 'SQLITE_ERROR: no such table: wp_missing',
+            code: 'db_query_error',
+            query: 'SELECT * FROM wp_missing',
+            errno: 1,
+            status: 500,
+        });
+        expect(error.caller).toEqual(expect.any(String));
+        expect(JSON.parse(JSON.stringify(error))).toEqual({
+            code: 'db_query_error',
+            message: 'SQLITE_ERROR: no such table: wp_missing',
+            query: 'SELECT * FROM wp_missing',
+            errno: 1,
+            caller: error.caller,
+        });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('WordPress database error SQLITE_ERROR: no such table: wp_missing for query SELECT * FROM wp_missing'));
+
+        await wpdb.query('SELECT 1');
+        expect(wpdb.lastDbError).toBeNull();
+    });
+
+    test('should throw errors with the throw policy', async () => {
+        expect(wpdb.errorHandler.setPolicy('throw')).toBe('return');
+
+        await expect(wpdb.getVar('SELECT nope FROM wp_posts')).rejects.toThrow(WPDBError);
+        await expect(wpdb.insert('wp_missing', { a: 1 })).rejects.toMatchObject({ code: 'db_query_error', query: expect.stringContaining('INSERT INTO') });
+        await expect(wpdb.transaction(async (tx) => tx.query('DELETE FROM wp_missing'))).rejects.toThrow('no such table');
+
+        // Expected failures stay quiet.
+        const suppress = wpdb.suppressErrors();
+        expect(await wpdb.query('SELECT * FROM wp_missing')).toBe(false);
+        wpdb.suppressErrors(suppress);
+
+        expect(() => wpdb.errorHandler.setPolicy('die')).toThrow('Unknown database error policy "die"');
+    });
+
+    test('should collect errors into EZSQL_ERROR with the collect policy', async () => {
+        await wpdb.query('SELECT * FROM wp_missing');
+        expect(global.EZSQL_ERROR).toBeUndefined();
+        console.error.mockClear();
+
+        wpdb.errorHandler.setPolicy('collect');
+        wpdb.suppressErrors();
+        expect(await wpdb.query('SELECT * FROM wp_missing')).toBe(false);
+        expect(await wpdb.getRow('SELECT 1', 'OBJECT_K')).toBeNull();
+
+        expect(global.EZSQL_ERROR).toEqual([
+            { query: 'SELECT * FROM wp_missing', errorStr: 'SQLITE_ERROR: no such table: wp_missing' },
+            { query: 'SELECT 1', errorStr: expect.stringContaining('Output type must be one of') },
+        ]);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('should record connection failures without ending the process', async () => {
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const broken = new Wpdb('', '', '/nonexistent/directory/wordpress.db', '', { driver: 'sqlite', errors: { policy: 'throw' } });
+
+        expect(await broken.connecting).toBe(false);
+        expect(exit).not.toHaveBeenCalled();
+        expect(broken.error).toBeInstanceOf(WPDBError);
+        expect(broken.error.code).toBe('db_connect_fail');
+        expect(broken.error.message).toMatch(/^Error establishing a database connection .* SQLITE_CANTOPEN/);
+        expect(broken.error.cause.code).toBe('SQLITE_CANTOPEN');
+
+        await expect(broken.query('SELECT 1')).rejects.toMatchObject({ code: 'db_not_connected' });
+    });
+
+    test('should render database errors as an error page', async () => {
+        const error = new WPDBError('Table <wp_missing> does not exist', { query: "SELECT * FROM wp_missing WHERE a = '<b>'" });
+
+        const page = wpdb.errorHandler.renderPage(error);
+        expect(page).toContain('<title>Database Error</title>');
+        expect(page).toContain('The page could not be loaded because of a database error.');
+        expect(page).not.toContain('wp_missing');
+
+        wpdb.showErrors();
+        expect(wpdb.errorHandler.renderPage(error)).toContain('[Table &#60;wp_missing&#62; does not exist]<br /><code>SELECT * FROM wp_missing WHERE a = &#39;&#60;b&#62;&#39;</code>');
+        wpdb.hideErrors();
+
+        const connection = new WPDBError('Error establishing a database connection', { code: 'db_connect_fail', html: '<h1>Error establishing a database connection</h1><ul><li>Is it running?</li></ul>' });
+        expect(wpdb.errorHandler.renderPage(connection)).not.toContain('Is it running?');
+        expect(wpdb.errorHandler.renderPage(connection, { showDetails: true })).toContain('<ul><li>Is it running?</li></ul>');
+    });
+
+    test('should serve the error page from the Express middleware', async () => {
+        wpdb.errorHandler.setPolicy('throw');
+
+        const app = express();
+        app.get('/post', async (req, res, next) => {
+            try {
+                res.send(await wpdb.getVar('SELECT post_title FROM wp_missing'));
+            } catch (error) {
+                next(error);
+            }
+        });
+        app.get('/other', () => {
+            throw new Error('Not a database error');
+        });
+        app.use(wpdb.errorHandler.middleware());
+        app.use((error, req, res, next) => res.status(418).send(error.message));
+
+        const server = app.listen(0);
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            const page = await fetch(`${url}/post`);
+            expect(page.status).toBe(500);
+            expect(page.headers.get('content-type')).toContain('text/html');
+            expect(await page.text()).toContain('<body id="error-page">');
+
+            const json = await fetch(`${url}/post`, { headers: { Accept: 'application/json' } });
+            expect(await json.json()).toEqual({ code: 'db_query_error', message: 'Database error.' });
+
+            const other = await fetch(`${url}/other`);
+            expect(other.status).toBe(418);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,190 @@
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbSqliteDriver from '../wp-includes/class-wpdb-driver-sqlite.js';
+
+describe('wpdb connection health', () => {
+    let dir;
+    let wpdb;
+    let connect;
+
+    const titles = () => wpdb.getCol('SELECT post_title FROM wp_posts ORDER BY ID');
+
+    // Makes the server refuse new connections, and drops the current one.
+    const goDown = async () => {
+        connect.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        await wpdb.driver.close();
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpdb-health-'));
+
+        wpdb = new Wpdb('', '', path.join(dir, 'wordpress.sqlite'), '', {
+            driver: 'sqlite',
+            health: { baseDelay: 1, maxDelay: 4, cooldown: 60000 },
+        });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_title TEXT)');
+        await wpdb.insert('wp_posts', { post_title: 'Hello' });
+
+        connect = jest.spyOn(wpdb.driver, 'connect');
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should back off exponentially with jitter', () => {
+        const health = wpdb.health;
+        health.baseDelay = 100;
+        health.maxDelay = 1000;
+
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        expect([1, 2, 3, 4, 5, 6].map((attempt) => health.backoff(attempt))).toEqual([50, 100, 200, 400, 500, 500]);
+
+        Math.random.mockReturnValue(0.999999);
+        expect([1, 2, 3, 4, 5, 6].map((attempt) => health.backoff(attempt))).toEqual([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    test('should reconnect a lost connection before sending the query', async () => {
+        await wpdb.driver.close();
+
+        expect(await wpdb.insert('wp_posts', { post_title: 'World' })).toBe(1);
+        expect(await titles()).toEqual(['Hello', 'World']);
+        expect(connect).toHaveBeenCalledTimes(1);
+        expect(wpdb.health.state).toBe('closed');
+    });
+
+    test('should run reads again, but not writes, when the connection is lost during the query', async () => {
+        const lostOnce = () => {
+            const query = jest.spyOn(wpdb.driver, 'query');
+            query.mockImplementationOnce(async () => wpdb.driver.setError(new Error('Connection lost: The server closed the connection.'), 2006));
+            return query;
+        };
+
+        const read = lostOnce();
+        expect(await titles()).toEqual(['Hello']);
+        // Sent once on the lost connection, once after checking it.
+        expect(read.mock.calls.filter(([sql]) => sql.startsWith('SELECT post_title'))).toHaveLength(2);
+        read.mockRestore();
+
+        lostOnce();
+        expect(await wpdb.insert('wp_posts', { post_title: 'World' })).toBe(false);
+        expect(wpdb.lastDbError.code).toBe('db_connection_lost');
+        expect(wpdb.lastError).toContain('may or may not have been applied');
+        expect(await titles()).toEqual(['Hello']);
+    });
+
+    test('should open the circuit once the retries are exhausted, and fail fast', async () => {
+        const sleep = jest.spyOn(wpdb.health, 'sleep');
+        await goDown();
+
+        expect(await wpdb.query('SELECT 1')).toBe(false);
+        expect(connect).toHaveBeenCalledTimes(wpdb.reconnectRetries);
+        expect(sleep).toHaveBeenCalledTimes(wpdb.reconnectRetries - 1);
+        expect(wpdb.error.code).toBe('db_connect_fail');
+        expect(wpdb.lastError).toBe('The database is unavailable.');
+        expect(wpdb.health).toMatchObject({ state: 'open', failures: 1 });
+
+        // Nothing is sent to the server while the circuit is open.
+        connect.mockClear();
+        expect(await wpdb.getVar('SELECT 1')).toBeNull();
+        expect(await wpdb.insert('wp_posts', { post_title: 'World' })).toBe(false);
+        expect(connect).not.toHaveBeenCalled();
+    });
+
+    test('should share a reconnection between concurrent queries', async () => {
+        await wpdb.driver.close();
+
+        const results = await Promise.all([titles(), titles(), wpdb.getVar('SELECT COUNT(*) FROM wp_posts')]);
+        expect(results).toEqual([['Hello'], ['Hello'], '1']);
+        expect(connect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should make a single attempt once the cooldown has passed', async () => {
+        await goDown();
+        await wpdb.query('SELECT 1');
+        connect.mockClear();
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60001);
+        expect(await wpdb.query('SELECT 1')).toBe(false);
+        expect(connect).toHaveBeenCalledTimes(1);
+        expect(wpdb.health).toMatchObject({ state: 'open', failures: 2, openUntil: now + 120001 });
+
+        // The server is back.
+        Date.now.mockReturnValue(now + 120002);
+        connect.mockRestore();
+        expect(await titles()).toEqual(['Hello']);
+        expect(wpdb.health).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('should reconnect pooled connections through the circuit breaker', async () => {
+        const pooled = new Wpdb('', '', path.join(dir, 'wordpress.sqlite'), '', {
+            driver: 'sqlite',
+            pool: { size: 2 },
+            health: { baseDelay: 1, maxDelay: 4, cooldown: 60000 },
+        });
+        await pooled.connecting;
+
+        try {
+            expect(await pooled.getVar('SELECT post_title FROM wp_posts')).toBe('Hello');
+
+            // The server goes down: pooled connections are lost, and new ones refused.
+            const refused = jest.spyOn(WpdbSqliteDriver.prototype, 'connect').mockRejectedValue(new Error('connect ECONNREFUSED'));
+            await pooled.pool.end();
+
+            expect(await pooled.query('SELECT 1')).toBe(false);
+            // The pool's attempt, then the retries of the reconnection.
+            expect(refused).toHaveBeenCalledTimes(1 + pooled.reconnectRetries);
+            expect(pooled.health).toMatchObject({ state: 'open', failures: 1 });
+            expect(await pooled.health.check()).toMatchObject({ status: 'unavailable', circuit: 'open' });
+
+            refused.mockClear();
+            expect(await pooled.query('SELECT 1')).toBe(false);
+            expect(pooled.lastError).toBe('The database is unavailable.');
+            expect(refused).not.toHaveBeenCalled();
+
+            // The server is back once the cooldown has passed.
+            refused.mockRestore();
+            jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60001);
+            expect(await pooled.getVar('SELECT post_title FROM wp_posts')).toBe('Hello');
+            expect(pooled.health).toMatchObject({ state: 'closed', failures: 0 });
+        } finally {
+            await pooled.close();
+        }
+    });
+
+    test('should answer readiness probes', async () => {
+        const app = express();
+        app.use(wpdb.health.middleware());
+        app.get('/', (req, res) => res.send('Home'));
+
+        const server = app.listen(0);
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            const up = await fetch(`${url}/health`);
+            expect(up.status).toBe(200);
+            expect(up.headers.get('cache-control')).toBe('no-store');
+            expect(await up.json()).toEqual({ status: 'ok', circuit: 'closed', failures: 0, retryAt: null });
+            expect(await (await fetch(url)).text()).toBe('Home');
+
+            await goDown();
+            const down = await fetch(`${url}/health`);
+            expect(down.status).toBe(503);
+            expect(await down.json()).toEqual({ status: 'unavailable', circuit: 'open', failures: 1, retryAt: expect.any(String) });
+
+            connect.mockClear();
+            expect((await fetch(`${url}/health`)).status).toBe(503);
+            expect(connect).not.toHaveBeenCalled();
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbDriver from '../wp-includes/class-wpdb-driver.js';
+import WpdbPool from '../wp-includes/class-wpdb-pool.js';
+
+class FakeDriver extends WpdbDriver {
+    open = true;
+
+    isConnected() {
+        return this.open;
+    }
+
+    async close() {
+        const wasOpen = this.open;
+        this.open = false;
+        return wasOpen;
+    }
+}
+
+describe('WpdbPool', () => {
+    const createPool = (options) => new WpdbPool(async () => new FakeDriver(), options);
+
+    test('should reuse released connections', async () => {
+        const pool = createPool({ size: 2 });
+        const first = await pool.acquire();
+        pool.release(first);
+
+        expect(await pool.acquire()).toBe(first);
+        expect(pool.connections.size).toBe(1);
+    });
+
+    test('should queue requests once the pool is full', async () => {
+        const pool = createPool({ size: 1 });
+        const first = await pool.acquire();
+        const waiting = pool.acquire();
+
+        pool.release(first);
+
+        expect(await waiting).toBe(first);
+    });
+
+    test('should reject requests beyond the queue limit', async () => {
+        const pool = createPool({ size: 1, queueLimit: 1 });
+        await pool.acquire();
+        pool.acquire();
+
+        await expect(pool.acquire()).rejects.toThrow('queue limit: 1');
+    });
+
+    test('should drop lost connections', async () => {
+        const pool = createPool({ size: 1 });
+        const first = await pool.acquire();
+        first.open = false;
+        pool.release(first);
+
+        const second = await pool.acquire();
+        expect(second).not.toBe(first);
+        expect(pool.connections.size).toBe(1);
+    });
+
+    test('should close connections left idle, except the seed', async () => {
+        jest.useFakeTimers();
+        const seed = new FakeDriver();
+        const pool = new WpdbPool(async () => new FakeDriver(), { size: 2, idleTimeout: 1000 }, seed);
+
+        const first = await pool.acquire();
+        const second = await pool.acquire();
+        pool.release(first);
+        pool.release(second);
+        jest.advanceTimersByTime(1000);
+
+        expect([...pool.connections]).toEqual([seed]);
+        expect(seed.open).toBe(true);
+        jest.useRealTimers();
+    });
+});
+
+describe('wpdb query contexts', () => {
+    let dir;
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpdb-pool-'));
+        wpdb = new Wpdb('', '', path.join(dir, 'test.sqlite'), '', { driver: 'sqlite', pool: { size: 2 } });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY AUTOINCREMENT, post_title TEXT)');
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should keep query results per context', async () => {
+        const request = (title) => wpdb.runInContext(async () => {
+            await wpdb.execute('INSERT INTO wp_posts (post_title) VALUES (%s)', [title]);
+            const id = wpdb.insertId;
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await wpdb.getVar('SELECT post_title FROM wp_posts WHERE ID = %d', 0, 0, [id]);
+            return [id, wpdb.lastResult[0].post_title, wpdb.insertId];
+        });
+
+        const [first, second] = await Promise.all([request('First'), request('Second')]);
+
+        expect(first).toEqual([1, 'First', 1]);
+        expect(second).toEqual([2, 'Second', 2]);
+    });
+
+    test('should hold one connection for a whole transaction', async () => {
+        await wpdb.runInContext(() => wpdb.transaction(async (tx) => {
+            const { dbh } = tx;
+            await tx.query("INSERT INTO wp_posts (post_title) VALUES ('A')");
+            expect(tx.dbh).toBe(dbh);
+            expect(wpdb.pool.idle).not.toContain(dbh);
+        }));
+
+        expect(wpdb.pool.idle).toHaveLength(wpdb.pool.connections.size);
+        expect(await wpdb.getVar('SELECT COUNT(*) FROM wp_posts')).toBe('1');
+    });
+
+    test('should only allow one connection to an in-memory database', async () => {
+        const memory = new Wpdb('', '', ':memory:', '', { driver: 'sqlite', pool: { size: 5 } });
+        await memory.connecting;
+
+        expect(memory.pool.size).toBe(1);
+        await memory.close();
+    });
+
+    test('should fail the query when the pool queue is full', async () => {
+        await wpdb.close();
+        wpdb = new Wpdb('', '', path.join(dir, 'test.sqlite'), '', { driver: 'sqlite', pool: { size: 1, queueLimit: 1 } });
+        await wpdb.connecting;
+
+        const held = await wpdb.pool.acquire();
+        const queued = wpdb.runInContext(() => wpdb.query('SELECT 1'));
+
+        expect(await wpdb.runInContext(() => wpdb.query('SELECT 1'))).toBe(false);
+        wpdb.pool.release(held);
+        expect(await queued).toBe(1);
+    });
+});
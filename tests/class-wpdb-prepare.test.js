@@ -0,0 +1,105 @@
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbMysqlDriver from '../wp-includes/class-wpdb-driver-mysql.js';
+
+describe('wpdb placeholders', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_title TEXT, menu_order REAL)');
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
+    describe('prepare', () => {
+        const prepare = (...args) => wpdb.removePlaceholderEscape(wpdb.prepare(...args));
+
+        test('should substitute each placeholder type', () => {
+            expect(prepare('SELECT * FROM %i WHERE ID = %d AND post_title = %s AND menu_order = %f', 'wp_posts', '12abc', "O'Reilly", 1.5))
+                .toBe("SELECT * FROM `wp_posts` WHERE ID = 12 AND post_title = 'O''Reilly' AND menu_order = 1.500000");
+        });
+
+        test('should accept arguments as one array and strip quotes around %s', () => {
+            expect(prepare("SELECT * FROM wp_posts WHERE post_title = '%s' AND ID = %d", ['Hello', 3]))
+                .toBe("SELECT * FROM wp_posts WHERE post_title = 'Hello' AND ID = 3");
+        });
+
+        test('should leave numbered and formatted placeholders unquoted', () => {
+            expect(prepare("SELECT '%2$s', %1$d", 7, 'x')).toBe("SELECT 'x', 7");
+            expect(prepare('SELECT %05d, %.2f, %1$d', 42, 3.14159)).toBe('SELECT 00042, 3.14, 42');
+        });
+
+        test('should keep literal percent signs', () => {
+            expect(prepare("SELECT * FROM wp_posts WHERE post_title LIKE %s AND ID > 100%% AND post_title LIKE 'a%'", '%b%'))
+                .toBe("SELECT * FROM wp_posts WHERE post_title LIKE '%b%' AND ID > 100% AND post_title LIKE 'a%'");
+        });
+
+        test('should refuse to prepare with too few arguments', () => {
+            expect(wpdb.prepare('SELECT %s, %s', 'a')).toBe('');
+        });
+
+        test('should refuse an argument used as both identifier and value', () => {
+            expect(wpdb.prepare('SELECT %1$i FROM wp_posts WHERE post_title = %1$s', 'ID')).toBe('');
+        });
+
+        test('should run prepared queries through query()', async () => {
+            await wpdb.query(wpdb.prepare('INSERT INTO wp_posts (post_title) VALUES (%s)', '100% sure'));
+            expect(await wpdb.getVar('SELECT post_title FROM wp_posts')).toBe('100% sure');
+        });
+    });
+
+    describe('execute', () => {
+        test('should compile placeholders to bound parameters', () => {
+            expect(wpdb.compilePlaceholders("SELECT * FROM %i WHERE ID = %d AND post_title = '%2$s'", ['wp_posts', '5'], true)).toEqual({
+                query: 'SELECT * FROM `wp_posts` WHERE ID = ? AND post_title = ?',
+                params: [5, '5'],
+            });
+        });
+
+        test('should insert values without escaping them into the query', async () => {
+            const title = "It's a \\ 'quoted' %s string";
+
+            expect(await wpdb.execute('INSERT INTO wp_posts (post_title, menu_order) VALUES (%s, %f)', [title, 2.5])).toBe(1);
+            expect(wpdb.lastQuery).toBe('INSERT INTO wp_posts (post_title, menu_order) VALUES (?, ?)');
+            expect(await wpdb.getRow('SELECT post_title, menu_order FROM wp_posts WHERE ID = %d', 'OBJECT', 0, [wpdb.insertId]))
+                .toEqual({ post_title: title, menu_order: 2.5 });
+        });
+
+        test('should accept params in the read helpers', async () => {
+            await wpdb.execute('INSERT INTO wp_posts (ID, post_title) VALUES (%d, %s), (%d, %s)', [1, 'One', 2, 'Two']);
+
+            expect(await wpdb.getVar('SELECT post_title FROM %i WHERE ID = %d', 0, 0, ['wp_posts', 2])).toBe('Two');
+            expect(await wpdb.getCol('SELECT ID FROM wp_posts WHERE post_title LIKE %s ORDER BY ID', 0, ['%o'])).toEqual(['2']);
+            expect(await wpdb.getResults('SELECT ID FROM wp_posts WHERE ID > %d', 'ARRAY_N', [0])).toEqual([['1'], ['2']]);
+        });
+
+        test('should not run a query missing arguments', async () => {
+            expect(await wpdb.execute('DELETE FROM wp_posts WHERE ID = %d')).toBe(false);
+        });
+
+        test('should bind integers to MySQL as strings', async () => {
+            const handle = {
+                query: async () => [[{ version: '8.0.36' }], []],
+                execute: jest.fn(async () => [[{ ID: '2' }], []]),
+                end: async () => {},
+            };
+            const driver = new WpdbMysqlDriver();
+            driver.connect = async () => {
+                driver.handle = handle;
+                return true;
+            };
+            const mysql = new Wpdb('', '', 'wordpress', '', { driver });
+            await mysql.connecting;
+
+            await mysql.getResults('SELECT ID FROM wp_posts WHERE menu_order > %f AND post_title = %s LIMIT %d OFFSET %d', 'ARRAY_A', [1.5, '3', 10, '20']);
+
+            expect(handle.execute).toHaveBeenCalledWith('SELECT ID FROM wp_posts WHERE menu_order > ? AND post_title = ? LIMIT ? OFFSET ?', [1.5, '3', '10', '20']);
+            await mysql.close();
+        });
+    });
+});
@@ -0,0 +1,110 @@
+import express from 'express';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbQueryMonitor from '../wp-includes/class-wpdb-query-monitor.js';
+
+describe('WpdbQueryMonitor', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        process.env.SAVEQUERIES = '1';
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite', queryMonitor: { nPlusOneThreshold: 3 } });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_title TEXT)');
+        await wpdb.query("INSERT INTO wp_posts (post_title) VALUES ('A'), ('B'), ('C')");
+    });
+
+    afterEach(async () => {
+        delete process.env.SAVEQUERIES;
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
+    test('should fingerprint queries without their values', () => {
+        expect(WpdbQueryMonitor.fingerprint("SELECT * FROM wp_posts WHERE ID = 12 AND post_title = 'it''s'")).toBe(
+            'SELECT * FROM wp_posts WHERE ID = ? AND post_title = ?'
+        );
+        expect(WpdbQueryMonitor.fingerprint('SELECT *\n FROM wp_2_posts WHERE ID IN (1, 2, 3)')).toBe(
+            'SELECT * FROM wp_2_posts WHERE ID IN (?)'
+        );
+    });
+
+    test('should log typed entries for each request', async () => {
+        const queries = await wpdb.runInContext(async () => {
+            await wpdb.execute('SELECT * FROM wp_posts WHERE ID > %d', [1]);
+            await wpdb.query('UPDATE wp_posts SET post_title = post_title');
+            return wpdb.queries;
+        });
+
+        expect(queries).toEqual([
+            expect.objectContaining({
+                query: 'SELECT * FROM wp_posts WHERE ID > ?',
+                params: [1],
+                type: 'SELECT',
+                rows: 2,
+                error: '',
+                slow: false,
+            }),
+            expect.objectContaining({ type: 'UPDATE', rows: 3, params: [] }),
+        ]);
+        expect(queries[0].time).toBeGreaterThanOrEqual(0);
+        expect(queries[0].caller).toEqual(expect.any(String));
+        expect(await wpdb.runInContext(() => wpdb.queries)).toEqual([]);
+    });
+
+    test('should report slow, duplicate and N+1 queries', async () => {
+        const report = await wpdb.runInContext(async () => {
+            for (const id of [1, 2, 3, 3]) {
+                await wpdb.getVar(wpdb.prepare('SELECT post_title FROM wp_posts WHERE ID = %d', id));
+            }
+            await wpdb.query('SELECT * FROM wp_missing');
+            return wpdb.monitor.report();
+        });
+
+        expect(report.count).toBe(5);
+        expect(report.duplicates).toEqual([
+            expect.objectContaining({ query: 'SELECT post_title FROM wp_posts WHERE ID = 3', count: 2 }),
+        ]);
+        expect(report.nPlusOne).toEqual([
+            expect.objectContaining({ fingerprint: 'SELECT post_title FROM wp_posts WHERE ID = ?', count: 4 }),
+        ]);
+        expect(report.queries[4].error).toContain('no such table');
+
+        wpdb.monitor.slowThreshold = 0;
+        expect(wpdb.monitor.report(report.queries.map((entry) => wpdb.monitor.createEntry(entry.query, 0.2, '', 0))).slow).toHaveLength(5);
+    });
+
+    test('should add the panel to pages and serve the report as JSON', async () => {
+        const app = express();
+        app.use(wpdb.contextMiddleware());
+        app.use(wpdb.monitor.middleware());
+        app.get('/', async (req, res) => {
+            await wpdb.getVar("SELECT post_title FROM wp_posts WHERE post_title = '<b>'");
+            res.send('<html><body><h1>Home</h1></body></html>');
+        });
+        app.get('/api', async (req, res) => {
+            res.json({ posts: await wpdb.getCol('SELECT ID FROM wp_posts') });
+        });
+
+        const server = app.listen(0);
+        const url = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const page = await fetch(`${url}/`);
+            const html = await page.text();
+            expect(html).toContain('<details id="wp-query-monitor"');
+            expect(html).toContain('Queries: 1 in');
+            expect(html).toContain('&#39;&#60;b&#62;&#39;');
+
+            const api = await fetch(`${url}/api`);
+            expect(await api.json()).toEqual({ posts: ['1', '2', '3'] });
+
+            const report = await (await fetch(`${url}${api.headers.get('x-query-monitor')}`)).json();
+            expect(report).toMatchObject({ count: 1, queries: [{ query: 'SELECT ID FROM wp_posts', rows: 3 }] });
+
+            expect((await fetch(`${url}/__query-monitor/unknown`)).status).toBe(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Wpdb from '../wp-includes/class-wpdb.js';
+import WpdbRouter from '../wp-includes/class-wpdb-router.js';
+
+describe('WpdbRouter', () => {
+    const router = new WpdbRouter({
+        global: { replicas: [{ host: 'replica-1' }, { host: 'replica-2' }] },
+        users: { primary: { host: 'users' }, tables: ['wp_users'] },
+    });
+
+    test('should map tables to datasets', () => {
+        expect(router.getDataset('wp_users')).toBe('users');
+        expect(router.getDataset('wp_posts')).toBe('global');
+        expect(router.getDataset(false)).toBe('global');
+    });
+
+    test('should tell reads from writes', () => {
+        expect(router.isWriteQuery('SELECT * FROM wp_posts')).toBe(false);
+        expect(router.isWriteQuery('  (SELECT 1) UNION (SELECT 2)')).toBe(false);
+        expect(router.isWriteQuery('SELECT * FROM wp_posts FOR UPDATE')).toBe(true);
+        expect(router.isWriteQuery('UPDATE wp_posts SET post_title = 1')).toBe(true);
+        expect(router.isWriteQuery('PRAGMA table_info(`wp_posts`)')).toBe(false);
+        expect(router.isWriteQuery('PRAGMA journal_mode = WAL')).toBe(true);
+    });
+
+    test('should send reads to replicas that are up, then to the primary', () => {
+        const { primary, replicas } = router.datasets.global;
+
+        expect(router.route('global', true)).toEqual([primary]);
+        expect(router.route('global', false)).toHaveLength(3);
+        expect(router.route('global', false)[2]).toBe(primary);
+
+        router.markDown(replicas[0]);
+        router.markDown(primary);
+        expect(router.route('global', false)).toEqual([replicas[1], primary]);
+    });
+});
+
+describe('wpdb read/write splitting', () => {
+    let dir;
+    let wpdb;
+    let replica;
+
+    const file = (name) => path.join(dir, `${name}.sqlite`);
+    const title = () => wpdb.getVar('SELECT post_title FROM wp_posts');
+
+    const seed = async (name, table, value) => {
+        const db = new Wpdb('', '', file(name), '', { driver: 'sqlite' });
+        await db.connecting;
+        await db.query(`CREATE TABLE ${table} (ID INTEGER PRIMARY KEY, post_title TEXT)`);
+        await db.execute(`INSERT INTO ${table} (post_title) VALUES (%s)`, [value]);
+        await db.close();
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpdb-router-'));
+        await seed('primary', 'wp_posts', 'Primary');
+        await seed('replica', 'wp_posts', 'Replica');
+        await seed('users', 'wp_users', 'Users');
+
+        wpdb = new Wpdb('', '', file('primary'), '', {
+            driver: 'sqlite',
+            datasets: {
+                global: { replicas: [{ name: file('replica') }] },
+                users: { primary: { name: file('users') }, tables: ['wp_users'] },
+            },
+        });
+        await wpdb.connecting;
+        [replica] = wpdb.router.datasets.global.replicas;
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should send reads to the replica and writes to the primary', async () => {
+        expect(await wpdb.runInContext(title)).toBe('Replica');
+
+        await wpdb.runInContext(async () => {
+            await wpdb.query("UPDATE wp_posts SET post_title = 'Written'");
+            expect(await title()).toBe('Written');
+        });
+
+        expect(await wpdb.runInContext(title)).toBe('Replica');
+    });
+
+    test('should route tables of a dataset to its servers', async () => {
+        expect(await wpdb.getVar('SELECT post_title FROM wp_users')).toBe('Users');
+    });
+
+    test('should run transactions on the primary', async () => {
+        expect(await wpdb.runInContext(() => wpdb.transaction(title))).toBe('Primary');
+    });
+
+    test('should reject queries on tables of another dataset in a transaction', async () => {
+        await expect(wpdb.runInContext(() => wpdb.transaction(async (tx) => {
+            await tx.query("UPDATE wp_posts SET post_title = 'Written'");
+            await tx.query("UPDATE wp_users SET post_title = 'Written'");
+        }))).rejects.toMatchObject({ code: 'db_transaction_dataset' });
+
+        expect(await wpdb.getVar('SELECT post_title FROM wp_users')).toBe('Users');
+        expect(await wpdb.runInContext(() => wpdb.transaction(title))).toBe('Primary');
+    });
+
+    test('should fail over to the primary when a replica cannot connect', async () => {
+        replica.config.name = path.join(dir, 'missing', 'replica.sqlite');
+
+        expect(await wpdb.runInContext(title)).toBe('Primary');
+        expect(replica.downUntil).toBeGreaterThan(Date.now());
+    });
+
+    test('should fail over when the replica connection is lost', async () => {
+        expect(await wpdb.runInContext(title)).toBe('Replica');
+
+        jest.spyOn(replica.driver, 'query').mockImplementation(async function lost() {
+            return this.setError(new Error('Lost connection'), 2006);
+        });
+
+        expect(await wpdb.runInContext(title)).toBe('Primary');
+        expect(wpdb.router.route('global', false)).toEqual([wpdb.router.datasets.global.primary]);
+    });
+});
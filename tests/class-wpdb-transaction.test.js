@@ -0,0 +1,104 @@
+import Wpdb from '../wp-includes/class-wpdb.js';
+
+describe('wpdb transactions', () => {
+    let wpdb;
+
+    const insertPost = (db, title) => db.execute('INSERT INTO wp_posts (post_title) VALUES (%s)', [title]);
+    const titles = () => wpdb.getCol('SELECT post_title FROM wp_posts ORDER BY ID');
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        await wpdb.query('CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY AUTOINCREMENT, post_title TEXT)');
+        await wpdb.query('CREATE TABLE wp_postmeta (meta_id INTEGER PRIMARY KEY AUTOINCREMENT, post_id INTEGER, meta_key TEXT)');
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
+    test('should commit when the callback resolves', async () => {
+        const postId = await wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'Hello');
+            const id = tx.insertId;
+            await tx.execute('INSERT INTO wp_postmeta (post_id, meta_key) VALUES (%d, %s)', [id, '_edit_lock']);
+            return id;
+        });
+
+        expect(postId).toBe(1);
+        expect(await titles()).toEqual(['Hello']);
+        expect(await wpdb.getVar('SELECT post_id FROM wp_postmeta')).toBe('1');
+    });
+
+    test('should roll back when the callback throws', async () => {
+        await expect(wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'Partial');
+            throw new Error('postmeta failed');
+        })).rejects.toThrow('postmeta failed');
+
+        expect(await titles()).toEqual([]);
+        expect(wpdb.transactionDepth).toBe(0);
+    });
+
+    test('should map nested transactions to savepoints', async () => {
+        await wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'Outer');
+
+            await expect(tx.transaction(async (inner) => {
+                await insertPost(inner, 'Inner');
+                throw new Error('inner failed');
+            })).rejects.toThrow('inner failed');
+
+            await tx.transaction(async (inner) => {
+                await insertPost(inner, 'Kept');
+            });
+        });
+
+        expect(await titles()).toEqual(['Outer', 'Kept']);
+    });
+
+    test('should keep insertId and rowsAffected from the last query in scope', async () => {
+        await wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'One');
+            await insertPost(tx, 'Two');
+            expect(tx.insertId).toBe(2);
+
+            await tx.transaction(async (inner) => {
+                await inner.query("UPDATE wp_posts SET post_title = 'Changed'");
+            });
+            expect(tx.rowsAffected).toBe(2);
+            expect(tx.insertId).toBe(2);
+        });
+
+        expect(wpdb.rowsAffected).toBe(2);
+        expect(wpdb.insertId).toBe(2);
+    });
+
+    test('should roll back when the commit fails', async () => {
+        await wpdb.query('PRAGMA foreign_keys = ON');
+        await wpdb.query('CREATE TABLE wp_links (link_id INTEGER PRIMARY KEY, post_id INTEGER REFERENCES wp_posts (ID) DEFERRABLE INITIALLY DEFERRED)');
+
+        // The deferred foreign key is only checked, and fails, on COMMIT.
+        await expect(wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'Orphaned');
+            await tx.query('INSERT INTO wp_links (post_id) VALUES (42)');
+        })).rejects.toThrow('Could not run "COMMIT"');
+
+        expect(wpdb.transactionDepth).toBe(0);
+        await wpdb.transaction((tx) => insertPost(tx, 'Next'));
+        expect(await titles()).toEqual(['Next']);
+        expect(await wpdb.getVar('SELECT COUNT(*) FROM wp_links')).toBe('0');
+    });
+
+    test('should not reconnect in the middle of a transaction', async () => {
+        await expect(wpdb.transaction(async (tx) => {
+            await insertPost(tx, 'Lost');
+            await tx.dbh.close();
+            expect(await insertPost(tx, 'After')).toBe(false);
+        })).rejects.toThrow('connection was lost');
+
+        expect(wpdb.transactionDepth).toBe(0);
+    });
+});
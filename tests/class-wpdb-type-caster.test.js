@@ -0,0 +1,129 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import WpdbMysqlDriver from '../wp-includes/class-wpdb-driver-mysql.js';
+import WpdbTypeCaster from '../wp-includes/class-wpdb-type-caster.js';
+
+describe('wpdb result typing', () => {
+    let wpdb;
+
+    const create = async (types) => {
+        wpdb = await FakeWpdb.create({ schema: false, wpdb: { types } });
+        await wpdb.query('CREATE TABLE wp_orders (id INTEGER PRIMARY KEY, total decimal REAL(10,2), items int(11) NOT NULL DEFAULT \'0\', created datetime TEXT, note longtext)');
+        await wpdb.query("INSERT INTO wp_orders (total, items, created, note) VALUES (10.5, 2, '2024-01-02 03:04:05', 'First'), (7, 1, '0000-00-00 00:00:00', NULL)");
+        return wpdb;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
+    test('should type rows from their columns', async () => {
+        await create();
+
+        expect(await wpdb.getResults('SELECT * FROM wp_orders ORDER BY id')).toEqual([
+            { id: '1', total: '10.50', items: 2, created: '2024-01-02 03:04:05', note: 'First' },
+            { id: '2', total: '7.00', items: 1, created: '0000-00-00 00:00:00', note: null },
+        ]);
+        // BIGINT values are strings, as in WordPress, whatever their size.
+        expect(await wpdb.getVar('SELECT COUNT(*) FROM wp_orders')).toBe('2');
+    });
+
+    test('should return big numbers and dates as set', async () => {
+        await create({ bigNumbers: 'bigint', dates: 'date' });
+
+        const [first, second] = await wpdb.getResults('SELECT id, created, COUNT(*) OVER () AS orders FROM wp_orders ORDER BY id');
+        expect(first).toEqual({ id: 1n, created: new Date('2024-01-02T03:04:05Z'), orders: 2n });
+        expect(second.created).toBeNull();
+
+        const caster = new WpdbTypeCaster();
+        const bigint = { type: 'bigint' };
+        expect(caster.castValue(42, bigint)).toBe('42');
+        expect(caster.castValue('18446744073709551615', bigint)).toBe('18446744073709551615');
+        expect(new WpdbTypeCaster({ bigNumbers: 'bigint' }).castValue('18446744073709551615', bigint)).toBe(18446744073709551615n);
+        expect(() => new WpdbTypeCaster({ bigNumbers: 'number' })).toThrow('Unknown bigNumbers setting "number"');
+        expect(caster.castValue('2024-01-02', { type: 'date' })).toBe('2024-01-02');
+        expect(() => new WpdbTypeCaster({ dates: 'moment' })).toThrow('Unknown dates setting "moment"');
+    });
+
+    test('should key OBJECT_K results by their first column', async () => {
+        await create();
+        await wpdb.query("INSERT INTO wp_orders (total, items, created) VALUES (3, 2, '2024-02-01 00:00:00')");
+
+        const byItems = await wpdb.getResults('SELECT items, id FROM wp_orders ORDER BY id', 'OBJECT_K');
+        expect(Array.isArray(byItems)).toBe(false);
+        // Duplicate keys keep their first row.
+        expect(byItems).toEqual({ 1: { items: 1, id: '2' }, 2: { items: 2, id: '1' } });
+        expect(await wpdb.getResults('SELECT * FROM wp_orders WHERE 0', 'OBJECT_K')).toEqual({});
+    });
+
+    test('should describe the columns of the last query', async () => {
+        await create();
+
+        await wpdb.query('SELECT id, created, note, items + 1 AS next FROM wp_orders');
+        expect(wpdb.getColInfo()).toEqual(['id', 'created', 'note', 'next']);
+        expect(wpdb.getColInfo('type')).toEqual(['bigint', 'datetime', 'longtext', 'bigint']);
+        expect(wpdb.getColInfo('table')).toEqual(['wp_orders', 'wp_orders', 'wp_orders', '']);
+        expect(wpdb.getColInfo('max_length')).toEqual([1, 19, 5, 1]);
+        expect(wpdb.getColInfo('primary_key', 0)).toBe(true);
+        expect(wpdb.getColInfo('numeric', 1)).toBe(false);
+        expect(wpdb.getColInfo('name', 9)).toBeUndefined();
+
+        await wpdb.query('SELECT * FROM wp_orders WHERE 0');
+        expect(wpdb.getColInfo()).toEqual(['id', 'total', 'items', 'created', 'note']);
+        expect(wpdb.getColInfo('def', 2)).toBe('0');
+        expect(wpdb.getColInfo('decimals', 1)).toBe(2);
+    });
+
+    test('should describe mysql2 columns', () => {
+        const driver = new WpdbMysqlDriver();
+
+        expect(driver.fieldFromColumn({ name: 'ID', orgName: 'ID', table: 'p', orgTable: 'wp_posts', columnType: 8, characterSet: 63, columnLength: 20, decimals: 0, flags: 1 | 2 | 32 })).toMatchObject({
+            name: 'ID', table: 'p', orgtable: 'wp_posts', type: 'bigint', length: 20, not_null: true, primary_key: true, unsigned: true, numeric: true, blob: false,
+        });
+        expect(driver.fieldFromColumn({ name: 'post_content', columnType: 252, characterSet: 255, flags: 16 })).toMatchObject({ type: 'text', blob: true });
+        expect(driver.fieldFromColumn({ name: 'data', columnType: 252, characterSet: 63, flags: 16 })).toMatchObject({ type: 'blob' });
+        expect(driver.fieldFromColumn({ name: 'hash', columnType: 254, characterSet: 63, flags: 0 })).toMatchObject({ type: 'binary' });
+    });
+
+    test('should keep the MySQL column types of the tables created by dbDelta', async () => {
+        wpdb = await FakeWpdb.create();
+
+        const types = await wpdb.getResults(`PRAGMA table_info(${wpdb.posts})`);
+        expect(Object.fromEntries(types.map(({ name, type }) => [name, type]))).toMatchObject({
+            ID: 'INTEGER',
+            post_author: 'bigint(20)',
+            post_date: 'datetime TEXT',
+            post_status: 'varchar(20)',
+            menu_order: 'int(11)',
+        });
+    });
+
+    test('should iterate over the rows of a query', async () => {
+        await create();
+        await wpdb.query('INSERT INTO wp_orders (total, items, created) SELECT total, items, created FROM wp_orders');
+
+        const rows = [];
+        for await (const row of wpdb.iterate('SELECT id, total FROM wp_orders WHERE items > %d ORDER BY id', [0])) {
+            rows.push(row);
+        }
+        expect(rows).toEqual([{ id: '1', total: '10.50' }, { id: '2', total: '7.00' }, { id: '3', total: '10.50' }, { id: '4', total: '7.00' }]);
+
+        // Leaving early frees the statement.
+        for await (const row of wpdb.iterate('SELECT id, items FROM wp_orders ORDER BY id', null, 'ARRAY_N')) {
+            expect(row).toEqual(['1', 2]);
+            break;
+        }
+        expect(await wpdb.query('DELETE FROM wp_orders WHERE id > 2')).toBe(2);
+
+        const missing = [];
+        for await (const row of wpdb.iterate('SELECT * FROM wp_missing')) {
+            missing.push(row);
+        }
+        expect(missing).toEqual([]);
+        expect(wpdb.lastError).toMatch(/no such table/);
+    });
+});
@@ -1,16 +1,86 @@
-import { envConfig } from '../wp-config.js';
-import wpdb from '../wp-includes/class-wpdb.js';
+import FakeWpdb from './helpers/class-fake-wpdb.js';
 
 describe('wpdb', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = await FakeWpdb.create({ fixtures: ['posts', 'postmeta'] });
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        jest.restoreAllMocks();
+    });
+
     test('should execute a SELECT query correctly', async () => {
-        const results = await wpdb.query('SELECT * FROM wp_posts');
-        expect(results).toEqual([{ id: 1, name: 'Test' }]);
+        expect(await wpdb.query('SELECT ID, post_title FROM wp_posts ORDER BY ID')).toBe(2);
+        expect(wpdb.lastResult).toEqual([
+            { ID: '1', post_title: 'Hello world!' },
+            { ID: '2', post_title: 'Sample Page' },
+        ]);
+        expect(wpdb.executedQueries()).toEqual(['SELECT ID, post_title FROM wp_posts ORDER BY ID']);
     });
 
     test('should handle empty query results', async () => {
-        const results = await wpdb.query('SELECT * FROM wp_comments');
-        expect(results).toEqual([]);
+        expect(await wpdb.query('SELECT * FROM wp_comments')).toBe(0);
+        expect(await wpdb.getResults('SELECT * FROM wp_comments')).toEqual([]);
+        expect(await wpdb.getRow('SELECT * FROM wp_comments')).toBeNull();
+    });
+
+    test('should read values, rows and columns', async () => {
+        expect(await wpdb.getVar('SELECT post_title FROM wp_posts WHERE ID = 2')).toBe('Sample Page');
+        expect(await wpdb.getVar('SELECT ID, post_name FROM wp_posts ORDER BY ID', 1, 1)).toBe('sample-page');
+        expect(await wpdb.getRow('SELECT post_name, post_status FROM wp_posts', 'OBJECT', 1)).toEqual({
+            post_name: 'sample-page',
+            post_status: 'draft',
+        });
+        expect(await wpdb.getCol('SELECT meta_key FROM wp_postmeta ORDER BY meta_id')).toEqual(['_edit_lock', '_wp_page_template']);
+        expect(await wpdb.getResults('SELECT ID FROM wp_posts ORDER BY ID', 'ARRAY_N')).toEqual([['1'], ['2']]);
+    });
+
+    test('should insert, update and delete rows', async () => {
+        expect(await wpdb.insert(wpdb.postMeta, { post_id: 1, meta_key: 'color', meta_value: 'red' }, ['%d', '%s', '%s'])).toBe(1);
+        expect(wpdb.insertId).toBe(3);
+
+        expect(await wpdb.update(wpdb.postMeta, { meta_value: 'blue' }, { meta_key: 'color' })).toBe(1);
+        expect(await wpdb.getVar('SELECT meta_value FROM wp_postmeta WHERE meta_id = 3')).toBe('blue');
+
+        expect(await wpdb.replace(wpdb.postMeta, { meta_id: 3, post_id: 1, meta_key: 'color', meta_value: 'green' })).toBe(1);
+        expect(await wpdb.getVar('SELECT meta_value FROM wp_postmeta WHERE meta_id = 3')).toBe('green');
+
+        expect(await wpdb.delete(wpdb.postMeta, { post_id: 1 }, '%d')).toBe(2);
+        expect(await wpdb.getCol('SELECT meta_id FROM wp_postmeta')).toEqual(['2']);
+
+        expect(wpdb.executed).toEqual([
+            { query: 'INSERT INTO wp_postmeta (`post_id`, `meta_key`, `meta_value`) VALUES (?, ?, ?)', params: [1, 'color', 'red'] },
+            { query: 'UPDATE `wp_postmeta` SET `meta_value` = ? WHERE `meta_key` = ?', params: ['blue', 'color'] },
+            expect.objectContaining({ query: 'SELECT meta_value FROM wp_postmeta WHERE meta_id = 3' }),
+            expect.objectContaining({ query: expect.stringMatching(/^REPLACE INTO wp_postmeta/) }),
+            expect.objectContaining({ query: 'SELECT meta_value FROM wp_postmeta WHERE meta_id = 3' }),
+            { query: 'DELETE FROM `wp_postmeta` WHERE `post_id` = ?', params: [1] },
+            expect.objectContaining({ query: 'SELECT meta_id FROM wp_postmeta' }),
+        ]);
+    });
+
+    test('should write NULL values and match them with IS NULL', async () => {
+        await wpdb.query('CREATE TABLE wp_notes (id INTEGER PRIMARY KEY, note TEXT)');
+        await wpdb.insert('wp_notes', { note: null });
+
+        expect(await wpdb.update('wp_notes', { note: 'Found' }, { note: null })).toBe(1);
+        expect(wpdb.executedQueries('UPDATE')).toEqual(['UPDATE `wp_notes` SET `note` = ? WHERE `note` IS NULL']);
+    });
+
+    test('should reject CRUD data that is not keyed by column', async () => {
+        expect(await wpdb.update(wpdb.posts, ['Title'], { ID: 1 })).toBe(false);
+        expect(await wpdb.delete(wpdb.posts, null)).toBe(false);
+        expect(wpdb.executed).toEqual([]);
     });
 
-    // Add more tests for methods like get_results, insert, update, delete
+    test('should load fixture rows keyed by table', async () => {
+        await wpdb.loadFixtures({ postmeta: [{ post_id: 2, meta_key: 'views', meta_value: '10' }] });
+
+        expect(await wpdb.getVar("SELECT meta_value FROM wp_postmeta WHERE meta_key = 'views'")).toBe('10');
+        await expect(wpdb.loadFixtures({ postmeta: [{ missing: 1 }] })).rejects.toThrow('Could not load the postmeta fixture');
+    });
 });
@@ -0,0 +1,3 @@
+export const up = 'CREATE TABLE wp_events (id INTEGER PRIMARY KEY)';
+
+export const down = 'DROP TABLE wp_events';
@@ -0,0 +1,5 @@
+import { addAction } from '../../../wp-includes/plugin.js';
+
+global.pluginLog.push('load mu-plugins/loader.js');
+
+addAction('muplugins_loaded', () => global.pluginLog.push('loader: muplugins_loaded'));
@@ -0,0 +1,14 @@
+/*
+Plugin Name: Akismet Anti-spam
+Plugin URI: https://akismet.com/
+Description: Used by millions, Akismet is quite possibly the best way in the world to protect your blog from spam.
+Version: 5.3 */
+
+import { addAction } from '../../../../wp-includes/plugin.js';
+
+global.pluginLog.push('load akismet/akismet.js');
+
+addAction('plugins_loaded', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    global.pluginLog.push('akismet: plugins_loaded');
+});
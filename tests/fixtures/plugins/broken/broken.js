@@ -0,0 +1,2 @@
+// A library file without a plugin header.
+export default {};
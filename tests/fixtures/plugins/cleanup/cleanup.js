@@ -0,0 +1,8 @@
+/**
+ * Plugin Name: Cleanup
+ */
+
+import { registerUninstallHook } from '../../../../wp-includes/plugin.js';
+
+// Jest runs the fixtures as CommonJS modules, plugins would pass import.meta.url.
+registerUninstallHook(__filename, () => global.pluginLog.push('cleanup: uninstall'));
@@ -0,0 +1,10 @@
+/**
+ * Plugin Name: Failing
+ */
+
+import { registerActivationHook } from '../../../../wp-includes/plugin.js';
+
+// Jest runs the fixtures as CommonJS modules, plugins would pass import.meta.url.
+registerActivationHook(__filename, async () => {
+    throw new Error('Missing requirements.');
+});
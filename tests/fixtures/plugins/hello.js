@@ -0,0 +1,12 @@
+/**
+ * Plugin Name: Hello Dolly
+ * Description: This is not just a plugin, it symbolizes the hope and enthusiasm of an entire generation.
+ * Version: 1.7.2
+ */
+
+import { addAction } from '../../../wp-includes/plugin.js';
+
+global.pluginLog.push('load hello.js');
+
+addAction('plugins_loaded', () => global.pluginLog.push('hello: plugins_loaded'));
+addAction('init', () => global.pluginLog.push('hello: init'));
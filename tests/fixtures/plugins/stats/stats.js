@@ -0,0 +1,14 @@
+/**
+ * Plugin Name: Stats
+ * Text Domain: site-stats
+ * Network: true
+ */
+
+import { registerActivationHook, registerDeactivationHook } from '../../../../wp-includes/plugin.js';
+
+// Jest runs the fixtures as CommonJS modules, plugins would pass import.meta.url.
+registerActivationHook(__filename, async (networkWide) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    global.pluginLog.push(`stats: activate ${networkWide}`);
+});
+registerDeactivationHook(__filename, () => global.pluginLog.push('stats: deactivate'));
@@ -0,0 +1,5 @@
+/**
+ * Plugin Name: Tidy
+ */
+
+global.pluginLog.push('load tidy/tidy.js');
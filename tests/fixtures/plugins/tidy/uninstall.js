@@ -0,0 +1,3 @@
+export default function uninstall(plugin) {
+    global.pluginLog.push(`tidy: uninstall ${plugin}`);
+}
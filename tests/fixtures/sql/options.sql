@@ -0,0 +1,7 @@
+-- General settings, and a widget setting stored by PHP WordPress that isn't autoloaded.
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('siteurl', 'http://example.org', 'yes');
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('home', 'http://example.org/', 'yes');
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('blogname', 'NextPress', 'yes');
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('blogdescription', 'Just another NextPress site', 'on');
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('admin_email', 'admin@example.org', 'yes');
+INSERT INTO {prefix}options (option_name, option_value, autoload) VALUES ('widget_text', 'a:2:{i:2;a:2:{s:5:"title";s:5:"Café";s:4:"text";s:5:"Hello";}s:12:"_multiwidget";i:1;}', 'no');
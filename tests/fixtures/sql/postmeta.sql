@@ -0,0 +1,3 @@
+-- Meta of the posts fixture.
+INSERT INTO {prefix}postmeta (meta_id, post_id, meta_key, meta_value) VALUES (1, 1, '_edit_lock', '1704103200:1');
+INSERT INTO {prefix}postmeta (meta_id, post_id, meta_key, meta_value) VALUES (2, 2, '_wp_page_template', 'default');
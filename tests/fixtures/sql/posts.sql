@@ -0,0 +1,6 @@
+-- A published post and a draft page.
+INSERT INTO {prefix}posts (ID, post_author, post_date, post_date_gmt, post_content, post_title, post_excerpt, post_status, post_name, to_ping, pinged, post_modified, post_modified_gmt, post_content_filtered, guid, post_type)
+VALUES (1, 1, '2024-01-01 10:00:00', '2024-01-01 10:00:00', 'Welcome to NextPress. This is your first post.', 'Hello world!', '', 'publish', 'hello-world', '', '', '2024-01-01 10:00:00', '2024-01-01 10:00:00', '', 'http://example.org/?p=1', 'post');
+
+INSERT INTO {prefix}posts (ID, post_author, post_date, post_date_gmt, post_content, post_title, post_excerpt, post_status, post_name, to_ping, pinged, post_modified, post_modified_gmt, post_content_filtered, guid, post_type)
+VALUES (2, 1, '2024-01-02 10:00:00', '2024-01-02 10:00:00', 'This is an example page.', 'Sample Page', '', 'draft', 'sample-page', '', '', '2024-01-02 10:00:00', '2024-01-02 10:00:00', '', 'http://example.org/?page_id=2', 'page');
@@ -0,0 +1,3 @@
+global.pluginLog.push('load broken/functions.js');
+
+throw new Error('Call to undefined function twentyten_setup()');
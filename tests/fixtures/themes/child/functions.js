@@ -0,0 +1,5 @@
+import { addAction } from '../../../../wp-includes/plugin.js';
+
+global.pluginLog.push('load child/functions.js');
+
+addAction('init', () => global.pluginLog.push('child: init'));
@@ -0,0 +1,5 @@
+import { addAction } from '../../../../wp-includes/plugin.js';
+
+global.pluginLog.push('load parent/functions.js');
+
+addAction('after_setup_theme', () => global.pluginLog.push('parent: after_setup_theme'));
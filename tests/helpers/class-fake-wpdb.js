@@ -0,0 +1,159 @@
+/**
+ * In-memory database for tests.
+ *
+ * A Wpdb on a throwaway SQLite database, with the core tables and fixture rows loaded,
+ * that records the queries it runs. Tests exercise the real query, CRUD and result
+ * methods without a MySQL server.
+ *
+ * @example
+ * const wpdb = await FakeWpdb.create({ fixtures: ['posts'] });
+ * expect(await wpdb.getVar('SELECT post_title FROM wp_posts WHERE ID = 1')).toBe('Hello world!');
+ * expect(wpdb.executedQueries(/^SELECT/)).toHaveLength(1);
+ *
+ * @package WordPress
+ * @subpackage Tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Wpdb from '../../wp-includes/class-wpdb.js';
+import { dbDelta } from '../../wp-admin/includes/upgrade.js';
+
+/**
+ * Directory of the SQL fixture files, one per unprefixed table name.
+ *
+ * @constant {string}
+ */
+const FIXTURES_DIRECTORY = path.resolve('tests/fixtures/sql');
+
+class FakeWpdb extends Wpdb {
+  /**
+   * Queries run since the fixtures were loaded, or since the last resetExecuted().
+   *
+   * @var {Array<{query: string, params: Array<*>}>}
+   */
+  executed = [];
+
+  /**
+   * @param {Object} [options={}] Optional. Wpdb options, on top of the SQLite driver.
+   */
+  constructor(options = {}) {
+    super('', '', ':memory:', '', { ...options, driver: 'sqlite' });
+  }
+
+  /**
+   * Creates a database with the core tables and fixtures.
+   *
+   * @param {Object} [options={}] Optional. Database settings.
+   * @param {string} [options.prefix='wp_'] Table prefix.
+   * @param {string|Array<string>|false} [options.schema='blog'] Tables to create: a dbDelta()
+   *                                                            scope or queries, false for none.
+   * @param {Array<string>|Object<string, Array<Object>>} [options.fixtures=[]] Names of the SQL fixture
+   *        files to load, e.g. ['posts'], or rows keyed by unprefixed table name.
+   * @param {Object} [options.wpdb={}] Wpdb options.
+   * @return {Promise<FakeWpdb>} The database.
+   */
+  static async create({ prefix = 'wp_', schema = 'blog', fixtures = [], wpdb: options = {} } = {}) {
+    const wpdb = new FakeWpdb(options);
+    await wpdb.connecting;
+    wpdb.setPrefix(prefix);
+
+    if (schema) {
+      // dbDelta() works on the global database object.
+      const previous = global.wpdb;
+      global.wpdb = wpdb;
+      try {
+        await dbDelta(schema);
+      } finally {
+        global.wpdb = previous;
+      }
+    }
+
+    await wpdb.loadFixtures(fixtures);
+    wpdb.resetExecuted();
+
+    return wpdb;
+  }
+
+  /**
+   * Loads fixture rows.
+   *
+   * @param {Array<string>|Object<string, Array<Object>>} fixtures Names of the SQL fixture files,
+   *                                                               or rows keyed by unprefixed table name.
+   * @return {Promise<void>}
+   * @throws {Error} If a fixture doesn't load.
+   */
+  async loadFixtures(fixtures) {
+    if (Array.isArray(fixtures)) {
+      for (const table of fixtures) {
+        await this.loadSql(path.join(FIXTURES_DIRECTORY, `${table}.sql`));
+      }
+      return;
+    }
+
+    for (const [table, rows] of Object.entries(fixtures)) {
+      for (const row of rows) {
+        if (false === await this.insert(this.getTableName(table), row)) {
+          throw new Error(`Could not load the ${table} fixture: ${this.lastError}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Runs the statements of a SQL file.
+   *
+   * Statements end with a semicolon at the end of a line, and `{prefix}` is replaced by
+   * the table prefix of the current site.
+   *
+   * @param {string} file Path of the file.
+   * @return {Promise<void>}
+   * @throws {Error} If a statement fails.
+   */
+  async loadSql(file) {
+    const statements = fs.readFileSync(file, 'utf8')
+      .replace(/\{prefix\}/g, this.prefix)
+      .split(/;\s*$/m)
+      .map((statement) => statement.replace(/^\s*--.*$/gm, '').trim())
+      .filter(Boolean);
+
+    for (const statement of statements) {
+      if (false === await this.query(statement)) {
+        throw new Error(`Could not load ${path.basename(file)}: ${this.lastError}`);
+      }
+    }
+  }
+
+  /**
+   * Lists the queries that were run.
+   *
+   * @param {string|RegExp|null} [pattern=null] Optional. Only list queries containing this string,
+   *                                            or matching this expression.
+   * @return {Array<string>} The queries.
+   */
+  executedQueries(pattern = null) {
+    return this.executed
+      .map(({ query }) => query)
+      .filter((query) => null === pattern || ('string' === typeof pattern ? query.includes(pattern) : pattern.test(query)));
+  }
+
+  /**
+   * Forgets the queries that were run.
+   */
+  resetExecuted() {
+    this.executed = [];
+  }
+
+  /**
+   * Records each query before running it.
+   *
+   * @inheritdoc
+   */
+  async _doQuery(query, params = []) {
+    this.executed.push({ query, params });
+    return super._doQuery(query, params);
+  }
+}
+
+export { FakeWpdb };
+export default FakeWpdb;
@@ -0,0 +1,184 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { wpCacheInit } from '../wp-includes/cache.js';
+import { addFilter, addAction, didAction } from '../wp-includes/plugin.js';
+import {
+    getMetadata,
+    deleteMetadata,
+    metadataExists,
+    updateMetaCache,
+    registerMeta,
+    registeredMetaKeyExists,
+    unregisterMetaKey,
+    getRegisteredMetadata,
+    isProtectedMeta,
+} from '../wp-includes/meta.js';
+import { addPostMeta, deletePostMeta, getPostMeta, updatePostMeta, registerPostMeta } from '../wp-includes/post.js';
+import { addUserMeta, getUserMeta } from '../wp-includes/user.js';
+
+describe('Metadata API', () => {
+    // Written by PHP WordPress: lengths count the bytes of "café".
+    const phpMetadata = 'a:3:{s:5:"width";i:1024;s:4:"file";s:14:"2024/café.jpg";s:5:"sizes";a:0:{}}';
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = await FakeWpdb.create({ fixtures: ['posts', 'postmeta'] });
+        await wpdb.loadFixtures({ postmeta: [{ post_id: 1, meta_key: '_wp_attachment_metadata', meta_value: phpMetadata }] });
+        global.wpdb = wpdb;
+        wpCacheInit();
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        delete global.wpMetaKeys;
+        jest.restoreAllMocks();
+    });
+
+    test('should read the meta of an object with one query and cache it', async () => {
+        wpdb.resetExecuted();
+
+        expect(await getPostMeta(1, '_edit_lock', true)).toBe('1704103200:1');
+        expect(await getPostMeta(1, '_wp_attachment_metadata', true)).toEqual({ width: 1024, file: '2024/café.jpg', sizes: [] });
+        expect(await getPostMeta(1, 'missing', true)).toBe('');
+        expect(await getPostMeta(1, 'missing')).toEqual([]);
+        expect(await getPostMeta(1)).toEqual({
+            _edit_lock: ['1704103200:1'],
+            _wp_attachment_metadata: [phpMetadata],
+        });
+        expect(await metadataExists('post', 1, '_edit_lock')).toBe(true);
+        expect(await metadataExists('post', 1, 'missing')).toBe(false);
+        expect(wpdb.executedQueries()).toHaveLength(1);
+
+        expect(await getPostMeta(0, '_edit_lock', true)).toBe(false);
+        expect(await getPostMeta('abc', '_edit_lock', true)).toBe(false);
+    });
+
+    test('should prime the meta cache of several objects at once', async () => {
+        wpdb.resetExecuted();
+
+        const cache = await updateMetaCache('post', [1, 2, 3]);
+        expect(Object.keys(cache)).toEqual(['1', '2', '3']);
+        expect(cache[3]).toEqual({});
+
+        expect(await getPostMeta(2, '_wp_page_template', true)).toBe('default');
+        expect(await getPostMeta(3, 'anything', true)).toBe('');
+        expect(wpdb.executedQueries()).toHaveLength(1);
+    });
+
+    test('should add meta, serialized as PHP does', async () => {
+        const added = jest.fn();
+        addAction('added_post_meta', added, 10, 4);
+
+        const metaId = await addPostMeta(2, 'gallery', { ids: [4, 5], caption: 'Café' });
+        expect(metaId).toBe(4);
+        expect(added).toHaveBeenCalledWith(4, 2, 'gallery', { ids: [4, 5], caption: 'Café' });
+        expect(await wpdb.getVar('SELECT meta_value FROM wp_postmeta WHERE meta_id = 4')).toBe('a:2:{s:3:"ids";a:2:{i:0;i:4;i:1;i:5;}s:7:"caption";s:5:"Café";}');
+
+        expect(await addPostMeta(2, 'gallery', 'second', true)).toBe(false);
+        expect(await addPostMeta(2, 'gallery', 'second')).toBe(5);
+        expect(await getPostMeta(2, 'gallery')).toEqual([{ ids: [4, 5], caption: 'Café' }, 'second']);
+
+        expect(await addPostMeta(2, '', 'value')).toBe(false);
+    });
+
+    test('should update meta or add it when missing', async () => {
+        expect(await updatePostMeta(1, '_edit_lock', '1704103200:1')).toBe(false);
+        expect(await updatePostMeta(1, '_edit_lock', '1704200000:1')).toBe(true);
+        expect(await getPostMeta(1, '_edit_lock', true)).toBe('1704200000:1');
+        expect(didAction('updated_postmeta')).toBe(1);
+
+        expect(await updatePostMeta(1, 'color', 'red')).toBe(4);
+
+        await addPostMeta(1, 'color', 'blue');
+        expect(await updatePostMeta(1, 'color', 'green', 'blue')).toBe(true);
+        expect(await getPostMeta(1, 'color')).toEqual(['red', 'green']);
+    });
+
+    test('should delete meta by key, value, or for all objects', async () => {
+        await addPostMeta(1, 'color', 'red');
+        await addPostMeta(1, 'color', 'blue');
+        await addPostMeta(2, 'color', 'red');
+
+        expect(await deletePostMeta(1, 'color', 'red')).toBe(true);
+        expect(await getPostMeta(1, 'color')).toEqual(['blue']);
+        expect(await deletePostMeta(1, 'color')).toBe(true);
+        expect(await deletePostMeta(1, 'color')).toBe(false);
+        expect(await getPostMeta(1, 'color')).toEqual([]);
+
+        await getPostMeta(2, 'color');
+        expect(await wpdb.getVar("SELECT COUNT(*) FROM wp_postmeta WHERE meta_key = 'color'")).toBe('1');
+        expect(await deleteMetadata('post', null, 'color', '', true)).toBe(true);
+        expect(await getPostMeta(2, 'color')).toEqual([]);
+    });
+
+    test('should short-circuit and filter meta', async () => {
+        addFilter('get_post_metadata', (value, objectId, metaKey) => ('virtual' === metaKey ? ['computed'] : value), 10, 3);
+        addFilter('sanitize_post_meta_price', (value) => Number(value).toFixed(2));
+
+        expect(await getPostMeta(1, 'virtual', true)).toBe('computed');
+        expect(await getPostMeta(1, 'virtual')).toEqual(['computed']);
+
+        await addPostMeta(1, 'price', '4.5');
+        expect(await getPostMeta(1, 'price', true)).toBe('4.50');
+    });
+
+    test('should register meta with a type schema, a sanitizer and a default', async () => {
+        expect(registerPostMeta('post', 'rating', {
+            type: 'integer',
+            single: true,
+            default: 3,
+            sanitizeCallback: (value) => Math.min(5, parseInt(value, 10)),
+        })).toBe(true);
+        expect(registerMeta('post', 'tags', { type: 'string', default: 'none' })).toBe(true);
+        expect(registeredMetaKeyExists('post', 'rating', 'post')).toBe(true);
+
+        expect(await getPostMeta(1, 'rating', true)).toBe(3);
+        expect(await getPostMeta(1, 'rating')).toEqual([3]);
+        expect(await getPostMeta(2, 'rating', true)).toBe('');
+        expect(await getPostMeta(2, 'tags')).toEqual(['none']);
+
+        // Later default filters get the registered default, not a promise of it.
+        const later = jest.fn((value) => value);
+        addFilter('default_post_metadata', later, 20);
+        const doingItWrong = jest.fn();
+        addAction('doing_it_wrong_run', doingItWrong);
+
+        expect(await getPostMeta(1, 'rating', true)).toBe(3);
+        expect(later).toHaveBeenCalledWith(3);
+        expect(doingItWrong).not.toHaveBeenCalled();
+
+        // Meta values read from the database are strings, as with PHP WordPress.
+        await updatePostMeta(1, 'rating', '9');
+        expect(await getPostMeta(1, 'rating', true)).toBe('5');
+        expect(await getRegisteredMetadata('post', 1)).toEqual({ rating: ['5'] });
+
+        expect(registerMeta('post', 'count', { type: 'integer', default: 'many' })).toBe(false);
+        expect(registerMeta('post', 'list', { type: 'array', showInRest: true })).toBe(false);
+
+        expect(unregisterMetaKey('post', 'rating', 'post')).toBe(true);
+        expect(unregisterMetaKey('post', 'rating', 'post')).toBe(false);
+        await updatePostMeta(1, 'rating', '9');
+        expect(await getPostMeta(1, 'rating', true)).toBe('9');
+    });
+
+    test('should keep user meta in the usermeta table', async () => {
+        await wpdb.close();
+        wpdb = await FakeWpdb.create({ schema: 'all' });
+        global.wpdb = wpdb;
+        wpCacheInit();
+
+        expect(await addUserMeta(1, 'nickname', 'admin')).toBe(1);
+        expect(await getUserMeta(1, 'nickname', true)).toBe('admin');
+        expect(await getMetadata('user', 1)).toEqual({ nickname: ['admin'] });
+        expect(await wpdb.getVar('SELECT umeta_id FROM wp_usermeta')).toBe('1');
+    });
+
+    test('should tell protected meta keys apart', () => {
+        expect(isProtectedMeta('_edit_lock', 'post')).toBe(true);
+        expect(isProtectedMeta('color', 'post')).toBe(false);
+    });
+});
@@ -0,0 +1,198 @@
+import express from 'express';
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { dbDelta } from '../wp-admin/includes/upgrade.js';
+import { wpCacheInit } from '../wp-includes/cache.js';
+import { getCurrentBlogId, getCurrentNetworkId, isMultisite } from '../wp-includes/load.js';
+import { getMetadata } from '../wp-includes/meta.js';
+import { switchToBlog, restoreCurrentBlog, msIsSwitched } from '../wp-includes/ms-blogs.js';
+import { getSiteByPath, getNetwork, msLoadCurrentSiteAndNetwork, msSiteMiddleware } from '../wp-includes/ms-load.js';
+import { getSite, wpInsertSite, wpInitializeSite } from '../wp-includes/ms-site.js';
+import { getOption, getSiteOption, updateSiteOption } from '../wp-includes/option.js';
+import { addAction } from '../wp-includes/plugin.js';
+
+describe('Multisite', () => {
+    let wpdb;
+
+    const tables = () => wpdb.getCol("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'wp\\_%' ESCAPE '\\' ORDER BY name");
+    const config = (settings = {}) => ({ SUBDOMAIN_INSTALL: false, DOMAIN_CURRENT_SITE: '', PATH_CURRENT_SITE: '/', ...settings });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        process.env.MULTISITE = '1';
+
+        wpdb = await FakeWpdb.create({ schema: false });
+        global.wpdb = wpdb;
+        wpdb.setBlogId(1, 1);
+        wpCacheInit({ blogId: getCurrentBlogId });
+        await dbDelta('all');
+
+        await wpdb.insert(wpdb.site, { domain: 'example.com', path: '/' });
+        await wpdb.insert(wpdb.blogs, { site_id: 1, domain: 'example.com', path: '/' });
+        await wpdb.insert(wpdb.options, { option_name: 'blogname', option_value: 'Main' });
+    });
+
+    afterEach(async () => {
+        delete process.env.MULTISITE;
+        await wpdb.close();
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        jest.restoreAllMocks();
+    });
+
+    test('should enable multisite with MULTISITE or IS_MULTISITE', () => {
+        expect(isMultisite()).toBe(true);
+
+        delete process.env.MULTISITE;
+        expect(isMultisite()).toBe(false);
+        expect(wpdb.getBlogPrefix(2)).toBe('wp_');
+
+        process.env.IS_MULTISITE = '1';
+        expect(isMultisite()).toBe(true);
+        expect(wpdb.getBlogPrefix(2)).toBe('wp_2_');
+        delete process.env.IS_MULTISITE;
+    });
+
+    test('should add sites with their own tables and options', async () => {
+        const initialized = jest.fn();
+        addAction('wp_initialize_site', initialized, 10, 2);
+
+        const siteId = await wpInsertSite({ domain: 'Example.com', path: 'shop', title: 'Shop', meta: { plan: 'pro' } });
+        expect(siteId).toBe(2);
+        expect(initialized).toHaveBeenCalledWith(expect.objectContaining({ blog_id: 2 }), { title: 'Shop', meta: { plan: 'pro' } });
+
+        expect(await getSite(2)).toMatchObject({ blog_id: 2, site_id: 1, domain: 'example.com', path: '/shop/', public: 1, deleted: 0 });
+        expect(await tables()).toEqual(expect.arrayContaining(['wp_2_options', 'wp_2_posts', 'wp_2_postmeta', 'wp_options', 'wp_blogs']));
+        expect(await wpdb.getVar("SELECT option_value FROM wp_2_options WHERE option_name = 'blogname'")).toBe('Shop');
+        expect(await wpdb.getVar("SELECT option_value FROM wp_2_options WHERE option_name = 'home'")).toBe('http://example.com/shop');
+        expect(await getMetadata('blog', 2, 'plan', true)).toBe('pro');
+
+        // The current site is left as it was.
+        expect(wpdb.prefix).toBe('wp_');
+        expect(msIsSwitched()).toBe(false);
+
+        expect((await wpInitializeSite(2)).code).toBe('site_already_initialized');
+        expect((await wpInsertSite({ domain: ' ' })).code).toBe('site_empty_domain');
+    });
+
+    test('should switch to other sites and back', async () => {
+        await wpInsertSite({ domain: 'example.com', path: '/shop/', title: 'Shop' });
+        const switched = jest.fn();
+        addAction('switch_blog', switched, 10, 3);
+
+        expect(await getOption('blogname')).toBe('Main');
+
+        expect(switchToBlog(2)).toBe(true);
+        expect(msIsSwitched()).toBe(true);
+        expect(getCurrentBlogId()).toBe(2);
+        expect(wpdb.options).toBe('wp_2_options');
+        // The per-site cache groups follow the switch.
+        expect(await getOption('blogname')).toBe('Shop');
+
+        switchToBlog(1);
+        expect(await getOption('blogname')).toBe('Main');
+
+        expect(restoreCurrentBlog()).toBe(true);
+        expect(restoreCurrentBlog()).toBe(true);
+        expect(restoreCurrentBlog()).toBe(false);
+        expect(wpdb.prefix).toBe('wp_');
+        expect(msIsSwitched()).toBe(false);
+
+        expect(switched.mock.calls).toEqual([
+            [2, 1, 'switch'],
+            [1, 2, 'switch'],
+            [2, 1, 'restore'],
+            [1, 2, 'restore'],
+        ]);
+    });
+
+    test('should keep the site and network of concurrent requests apart', async () => {
+        await wpdb.insert(wpdb.site, { domain: 'example.net', path: '/' });
+
+        const request = (blogId, networkId) => wpdb.runInContext(async () => {
+            wpdb.setBlogId(blogId, networkId);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await updateSiteOption('site_name', `Network ${networkId}`);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+
+            return [wpdb.posts, getCurrentNetworkId(), await getSiteOption('site_name')];
+        });
+
+        expect(await Promise.all([request(2, 1), request(3, 2)])).toEqual([
+            ['wp_2_posts', 1, 'Network 1'],
+            ['wp_3_posts', 2, 'Network 2'],
+        ]);
+        expect(await wpdb.getResults('SELECT site_id, meta_value FROM wp_sitemeta ORDER BY site_id')).toEqual([
+            { site_id: '1', meta_value: 'Network 1' },
+            { site_id: '2', meta_value: 'Network 2' },
+        ]);
+
+        // Outside of the requests, the main site is still current.
+        expect(wpdb.posts).toBe('wp_posts');
+        expect(wpdb.runInContext(() => wpdb.posts)).toBe('wp_posts');
+    });
+
+    test('should find the site of subdirectory requests', async () => {
+        await wpInsertSite({ domain: 'example.com', path: '/shop/' });
+
+        expect(await getSiteByPath('example.com', '/shop/cart/')).toMatchObject({ blog_id: 2 });
+        expect(await getSiteByPath('www.example.com', '/shop')).toMatchObject({ blog_id: 2 });
+        expect(await getSiteByPath('example.com', '/about/')).toMatchObject({ blog_id: 1 });
+        expect(await getSiteByPath('example.org', '/')).toBe(false);
+
+        const { site, network } = await msLoadCurrentSiteAndNetwork('example.com', '/shop/cart/', false, { config: config() });
+        expect(site).toMatchObject({ blog_id: 2, path: '/shop/' });
+        expect(network).toEqual({ id: 1, domain: 'example.com', path: '/', blog_id: 1 });
+        expect(await getNetwork(1)).toEqual(network);
+
+        // Without a network there is nothing to serve.
+        expect(await msLoadCurrentSiteAndNetwork('example.org', '/', false, { config: config() })).toBe(false);
+    });
+
+    test('should find the site of subdomain requests', async () => {
+        await wpInsertSite({ domain: 'shop.example.com' });
+        const subdomains = (settings = {}) => ({ config: config({ SUBDOMAIN_INSTALL: true, ...settings }) });
+
+        expect((await msLoadCurrentSiteAndNetwork('shop.example.com', '/cart/', true, subdomains())).site).toMatchObject({ blog_id: 2 });
+        expect((await msLoadCurrentSiteAndNetwork('example.com', '/', true, subdomains())).site).toMatchObject({ blog_id: 1 });
+
+        // Unknown subdomains go to the network's home, or to NOBLOGREDIRECT.
+        expect(await msLoadCurrentSiteAndNetwork('blog.example.com', '/', true, subdomains())).toBe('http://example.com/');
+        expect(await msLoadCurrentSiteAndNetwork('blog.example.com', '/', true, subdomains({ NOBLOGREDIRECT: 'https://example.com/signup' }))).toBe('https://example.com/signup');
+
+        // The network may come from the configuration.
+        const configured = subdomains({ DOMAIN_CURRENT_SITE: 'example.com', PATH_CURRENT_SITE: '/' });
+        expect((await msLoadCurrentSiteAndNetwork('shop.example.com', '/', true, configured)).network).toMatchObject({ id: 1, domain: 'example.com' });
+    });
+
+    test('should serve each request from its site', async () => {
+        await wpdb.query("UPDATE wp_site SET domain = '127.0.0.1'");
+        await wpdb.query("UPDATE wp_blogs SET domain = '127.0.0.1'");
+        await wpInsertSite({ domain: '127.0.0.1', path: '/shop/', title: 'Shop' });
+
+        const app = express();
+        app.use(wpdb.contextMiddleware());
+        app.use(msSiteMiddleware(config()));
+        app.use(async (req, res) => {
+            res.json({ blog: req.currentBlog.blog_id, network: req.currentSite.id, prefix: wpdb.prefix, blogname: await getOption('blogname') });
+        });
+
+        const server = app.listen(0);
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            const [shop, main] = await Promise.all([fetch(`${url}/shop/cart?page=2`), fetch(`${url}/about`)]);
+            expect(await shop.json()).toEqual({ blog: 2, network: 1, prefix: 'wp_2_', blogname: 'Shop' });
+            expect(await main.json()).toEqual({ blog: 1, network: 1, prefix: 'wp_', blogname: 'Main' });
+
+            await wpdb.query('DELETE FROM wp_site');
+            const missing = await fetch(`http://localhost:${server.address().port}/`);
+            expect(missing.status).toBe(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+
+        expect(wpdb.prefix).toBe('wp_');
+    });
+});
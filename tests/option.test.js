@@ -0,0 +1,148 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { wpCacheInit } from '../wp-includes/cache.js';
+import { wpStartObjectCache } from '../wp-includes/load.js';
+import { addFilter, addAction, didAction } from '../wp-includes/plugin.js';
+import {
+    getOption, addOption, updateOption, deleteOption, wpLoadAlloptions, getTransient,
+} from '../wp-includes/option.js';
+import { getBloginfo, bloginfo } from '../wp-includes/general-template.js';
+
+describe('Option API', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wpdb = await FakeWpdb.create({ fixtures: ['options'] });
+        global.wpdb = wpdb;
+        wpCacheInit();
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        jest.restoreAllMocks();
+    });
+
+    test('should load the autoloaded options with one query', async () => {
+        expect(await getOption('blogname')).toBe('NextPress');
+        expect(await getOption('blogdescription')).toBe('Just another NextPress site');
+        expect(await getOption('siteurl')).toBe('http://example.org');
+        expect(wpdb.executedQueries()).toHaveLength(1);
+
+        expect(Object.keys(await wpLoadAlloptions()).sort()).toEqual(['admin_email', 'blogdescription', 'blogname', 'home', 'siteurl']);
+        expect(wpdb.executedQueries()).toHaveLength(1);
+    });
+
+    test('should read the options once per request without a persistent object cache', async () => {
+        delete global.wpObjectCache;
+        const cache = await wpStartObjectCache();
+
+        await cache.runInRequest(async () => {
+            expect(await getOption('blogname')).toBe('NextPress');
+            // Another process, e.g. PHP WordPress, changes the option meanwhile.
+            await wpdb.query("UPDATE wp_options SET option_value = 'Renamed' WHERE option_name = 'blogname'");
+            expect(await getOption('blogname')).toBe('NextPress');
+        });
+
+        await cache.runInRequest(async () => {
+            expect(await getOption('blogname')).toBe('Renamed');
+            expect(await getOption('blogdescription')).toBe('Just another NextPress site');
+        });
+        expect(wpdb.executedQueries(/^SELECT option_name, option_value/)).toHaveLength(2);
+    });
+
+    test('should unserialize PHP values and cache options that are not autoloaded', async () => {
+        const widgets = { 2: { title: 'Café', text: 'Hello' }, _multiwidget: 1 };
+
+        expect(await getOption('widget_text')).toEqual(widgets);
+        expect(await getOption('widget_text')).toEqual(widgets);
+        expect(wpdb.executedQueries('widget_text')).toHaveLength(1);
+    });
+
+    test('should return the default of missing options and remember they are missing', async () => {
+        expect(await getOption('missing')).toBe(false);
+        expect(await getOption('missing', 'fallback')).toBe('fallback');
+        expect(wpdb.executedQueries('missing')).toHaveLength(1);
+
+        addFilter('default_option_missing', (value, option, passedDefault) => (passedDefault ? value : 'filtered'), 10, 3);
+        expect(await getOption('missing')).toBe('filtered');
+    });
+
+    test('should add options, serialized as PHP does', async () => {
+        expect(await addOption('nextpress_settings', { ids: [1, 2], enabled: true })).toBe(true);
+        expect(await addOption('nextpress_settings', 'again')).toBe(false);
+        expect(await addOption('nextpress_count', 5, '', 'no')).toBe(true);
+
+        expect(await wpdb.getResults(`SELECT option_name, option_value, autoload FROM wp_options WHERE option_name LIKE 'nextpress%' ORDER BY option_id`)).toEqual([
+            { option_name: 'nextpress_settings', option_value: 'a:2:{s:3:"ids";a:2:{i:0;i:1;i:1;i:2;}s:7:"enabled";b:1;}', autoload: 'yes' },
+            { option_name: 'nextpress_count', option_value: '5', autoload: 'no' },
+        ]);
+
+        wpdb.resetExecuted();
+        expect(await getOption('nextpress_settings')).toEqual({ ids: [1, 2], enabled: true });
+        expect(await getOption('nextpress_count')).toBe(5);
+        expect(wpdb.executed).toEqual([]);
+    });
+
+    test('should update options and their autoload flag', async () => {
+        const updated = jest.fn();
+        addAction('updated_option', updated, 10, 3);
+
+        expect(await updateOption('blogname', 'NextPress')).toBe(false);
+        expect(await updateOption('blogname', 'Renamed')).toBe(true);
+        expect(updated).toHaveBeenCalledWith('blogname', 'NextPress', 'Renamed');
+        expect(didAction('update_option_blogname')).toBe(1);
+
+        expect(await updateOption('blogname', 'Moved', false)).toBe(true);
+        expect(await wpdb.getVar("SELECT autoload FROM wp_options WHERE option_name = 'blogname'")).toBe('no');
+        expect((await wpLoadAlloptions()).blogname).toBeUndefined();
+        expect(await getOption('blogname')).toBe('Moved');
+
+        expect(await updateOption('brand_new', ['a'])).toBe(true);
+        expect(await getOption('brand_new')).toEqual(['a']);
+    });
+
+    test('should delete options', async () => {
+        expect(await deleteOption('admin_email')).toBe(true);
+        expect(await deleteOption('admin_email')).toBe(false);
+        expect(await getOption('admin_email')).toBe(false);
+        expect(await wpdb.getVar("SELECT COUNT(*) FROM wp_options WHERE option_name = 'admin_email'")).toBe('0');
+
+        await expect(deleteOption('alloptions')).rejects.toThrow('alloptions is a protected WP option');
+    });
+
+    test('should short-circuit and filter option values', async () => {
+        addFilter('pre_option_blogname', () => 'Short-circuited');
+        addFilter('option_blogdescription', (value) => value.toUpperCase());
+
+        expect(await getOption('blogname')).toBe('Short-circuited');
+        expect(await getOption('blogdescription')).toBe('JUST ANOTHER NEXTPRESS SITE');
+    });
+
+    test('should await async filters', async () => {
+        const doingItWrong = jest.fn();
+        addAction('doing_it_wrong_run', doingItWrong);
+        addFilter('pre_option_blogname', async () => wpdb.getVar("SELECT option_value FROM wp_options WHERE option_name = 'siteurl'"));
+        addFilter('option_blogdescription', async (value) => `${value}!`);
+        addFilter('pre_transient_feed', async () => wpdb.getVar("SELECT option_value FROM wp_options WHERE option_name = 'home'"));
+
+        expect(await getOption('blogname')).toBe('http://example.org');
+        expect(await getOption('blogdescription')).toBe('Just another NextPress site!');
+        expect(await getTransient('feed')).toBe('http://example.org/');
+        expect(doingItWrong).not.toHaveBeenCalled();
+    });
+
+    test('should read the site information', async () => {
+        addFilter('bloginfo', (output, show) => `${show}: ${output}`, 10, 2);
+
+        expect(await getBloginfo('name')).toBe('NextPress');
+        expect(await getBloginfo('url')).toBe('http://example.org');
+        expect(await getBloginfo('charset')).toBe('UTF-8');
+        expect(await getBloginfo('language')).toBe('en-US');
+        expect(await bloginfo('name')).toBe('name: NextPress');
+        expect(await bloginfo('url')).toBe('http://example.org');
+    });
+});
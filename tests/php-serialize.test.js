@@ -0,0 +1,191 @@
+import { PHP_CLASS_NAME, phpSerialize, phpUnserialize } from '../wp-includes/php-serialize.js';
+import { maybeSerialize, maybeUnserialize, isSerialized, isSerializedString } from '../wp-includes/functions.js';
+
+describe('PHP serialization', () => {
+    test('should serialize scalars as PHP does', () => {
+        expect(phpSerialize(null)).toBe('N;');
+        expect(phpSerialize(undefined)).toBe('N;');
+        expect(phpSerialize(true)).toBe('b:1;');
+        expect(phpSerialize(false)).toBe('b:0;');
+        expect(phpSerialize(42)).toBe('i:42;');
+        expect(phpSerialize(-7)).toBe('i:-7;');
+        expect(phpSerialize(9007199254740993n)).toBe('i:9007199254740993;');
+        expect(phpSerialize(0.1)).toBe('d:0.1;');
+        expect(phpSerialize(-0)).toBe('d:-0;');
+        expect(phpSerialize(1e25)).toBe('d:1.0E+25;');
+        expect(phpSerialize(1.5e-7)).toBe('d:1.5E-7;');
+        expect(phpSerialize(NaN)).toBe('d:NAN;');
+        expect(phpSerialize(-Infinity)).toBe('d:-INF;');
+        expect(phpSerialize('hello')).toBe('s:5:"hello";');
+        expect(phpSerialize('say "hi"')).toBe('s:8:"say "hi"";');
+    });
+
+    test('should count string lengths in bytes', () => {
+        expect(phpSerialize('café')).toBe('s:5:"café";');
+        expect(phpSerialize('日本')).toBe('s:6:"日本";');
+        expect(phpSerialize('👍')).toBe('s:4:"👍";');
+
+        expect(phpUnserialize('s:5:"café";')).toBe('café');
+        expect(phpUnserialize('s:4:"👍";')).toBe('👍');
+        expect(phpUnserialize(Buffer.from('s:5:"café";'))).toBe('café');
+
+        // Lengths counted in characters, as a byte-unaware tool would write them, are malformed.
+        expect(phpUnserialize('s:4:"café";')).toBe(false);
+    });
+
+    test('should serialize nested arrays and objects', () => {
+        const value = {
+            title: 'Recent',
+            number: 5,
+            ids: [3, 1, 2],
+            5: 'five',
+            nested: { deep: [[], {}] },
+        };
+        const serialized = 'a:5:{i:5;s:4:"five";s:5:"title";s:6:"Recent";s:6:"number";i:5;s:3:"ids";a:3:{i:0;i:3;i:1;i:1;i:2;i:2;}s:6:"nested";a:1:{s:4:"deep";a:2:{i:0;a:0:{}i:1;a:0:{}}}}';
+
+        expect(phpSerialize(value)).toBe(serialized);
+        expect(phpUnserialize(serialized)).toEqual({ ...value, nested: { deep: [[], []] } });
+
+        expect(phpSerialize(new Map([['a', 1]]))).toBe('a:1:{s:1:"a";i:1;}');
+        expect(phpSerialize(new Set(['a']))).toBe('a:1:{i:0;s:1:"a";}');
+        expect(phpSerialize(new Date(Date.UTC(2024, 0, 1)))).toBe('s:24:"2024-01-01T00:00:00.000Z";');
+    });
+
+    test('should only turn PHP lists into arrays', () => {
+        expect(phpUnserialize('a:2:{i:0;s:1:"a";i:1;s:1:"b";}')).toEqual(['a', 'b']);
+        expect(phpUnserialize('a:2:{i:1;s:1:"b";i:0;s:1:"a";}')).toEqual({ 0: 'a', 1: 'b' });
+        expect(phpUnserialize('a:1:{i:1;s:1:"b";}')).toEqual({ 1: 'b' });
+        expect(phpUnserialize('a:0:{}')).toEqual([]);
+    });
+
+    test('should read PHP objects as plain data and write them back', () => {
+        const serialized = 'O:8:"stdClass":2:{s:8:"response";s:6:"latest";s:7:"updates";a:1:{i:0;O:8:"stdClass":1:{s:7:"version";s:3:"6.5";}}}';
+        const value = phpUnserialize(serialized);
+
+        expect(value).toEqual({
+            [PHP_CLASS_NAME]: 'stdClass',
+            response: 'latest',
+            updates: [{ [PHP_CLASS_NAME]: 'stdClass', version: '6.5' }],
+        });
+        expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+        expect(phpSerialize(value)).toBe(serialized);
+
+        // Private and protected properties keep their mangled names.
+        const mangled = 'O:4:"Post":2:{s:8:"\0Post\0id";i:1;s:7:"\0*\0name";s:1:"a";}';
+        expect(phpSerialize(phpUnserialize(mangled))).toBe(mangled);
+    });
+
+    test('should never run code or load classes', () => {
+        // A gadget chain relying on __wakeup() or __destruct() is only data here.
+        expect(phpUnserialize('O:13:"WP_HTML_Token":1:{s:10:"on_destroy";s:6:"system";}')).toEqual({
+            [PHP_CLASS_NAME]: 'WP_HTML_Token',
+            on_destroy: 'system',
+        });
+
+        expect(phpUnserialize('C:11:"ArrayObject":21:{x:i:0;a:0:{};m:a:0:{}}')).toBe(false);
+        expect(phpUnserialize('E:11:"Suit:Hearts";')).toBe(false);
+        expect(phpUnserialize('O:9:"bad class":0:{}')).toBe(false);
+
+        const polluted = phpUnserialize('a:1:{s:9:"__proto__";a:1:{s:5:"admin";b:1;}}');
+        expect(Object.keys(polluted)).toEqual(['__proto__']);
+        expect({}.admin).toBeUndefined();
+        expect(polluted.admin).toBeUndefined();
+    });
+
+    test('should resolve references', () => {
+        const value = phpUnserialize('a:2:{i:0;O:8:"stdClass":1:{s:1:"a";i:1;}i:1;r:2;}');
+        expect(value[1]).toBe(value[0]);
+
+        const scalars = phpUnserialize('a:2:{i:0;s:1:"x";i:1;R:2;}');
+        expect(scalars).toEqual(['x', 'x']);
+
+        const self = phpUnserialize('O:8:"stdClass":1:{s:4:"self";r:1;}');
+        expect(self.self).toBe(self);
+
+        expect(phpUnserialize('a:1:{i:0;R:5;}')).toBe(false);
+        expect(phpUnserialize('a:1:{i:0;R:1;}')).toBe(false);
+    });
+
+    test('should keep large integers exact', () => {
+        expect(phpUnserialize('i:9223372036854775807;')).toBe(9223372036854775807n);
+        expect(phpUnserialize('i:-42;')).toBe(-42);
+        expect(phpUnserialize('d:1.0E+25;')).toBe(1e25);
+        expect(phpUnserialize('d:INF;')).toBe(Infinity);
+        expect(phpUnserialize('d:NAN;')).toBeNaN();
+    });
+
+    test('should reject malformed input without throwing', () => {
+        const malformed = [
+            '',
+            'x',
+            'i:;',
+            'i:12',
+            'b:2;',
+            'd:1.2.3;',
+            's:10:"short";',
+            's:-1:"";',
+            's:5:"hello"',
+            'a:2:{i:0;s:1:"a";}',
+            'a:1:{i:0;s:1:"a";',
+            'a:1:{d:0.5;s:1:"a";}',
+            'a:1:{a:0:{}s:1:"a";}',
+            'O:8:"stdClass":1:{s:1:"a";}',
+            'N;trailing',
+            `${'a:1:{i:0;'.repeat(5000)}N;${'}'.repeat(5000)}`,
+            null,
+            42,
+            {},
+        ];
+
+        for (const data of malformed) {
+            expect(phpUnserialize(data)).toBe(false);
+        }
+    });
+
+    test('should refuse values that cannot be serialized', () => {
+        const circular = { a: 1 };
+        circular.self = circular;
+
+        expect(() => phpSerialize(circular)).toThrow(TypeError);
+        expect(() => phpSerialize({ callback: () => {} })).toThrow("Serialization of 'function' is not allowed");
+        expect(() => phpSerialize(Symbol('a'))).toThrow(TypeError);
+
+        const shared = { a: 1 };
+        expect(phpSerialize([shared, shared])).toBe('a:2:{i:0;a:1:{s:1:"a";i:1;}i:1;a:1:{s:1:"a";i:1;}}');
+    });
+
+    test('should maybe serialize and unserialize values', () => {
+        expect(maybeSerialize('plain')).toBe('plain');
+        expect(maybeSerialize(5)).toBe(5);
+        expect(maybeSerialize(['a'])).toBe('a:1:{i:0;s:1:"a";}');
+        // Serialized strings are serialized again, so that they come back as strings.
+        expect(maybeSerialize('a:0:{}')).toBe('s:6:"a:0:{}";');
+        expect(maybeUnserialize(maybeSerialize('a:0:{}'))).toBe('a:0:{}');
+
+        expect(maybeUnserialize('plain')).toBe('plain');
+        expect(maybeUnserialize(' a:1:{i:0;s:1:"a";} ')).toEqual(['a']);
+        expect(maybeUnserialize('b:0;')).toBe(false);
+        expect(maybeUnserialize('a:1:{broken}')).toBe(false);
+    });
+
+    test('should detect serialized data as WordPress does', () => {
+        expect(isSerialized('N;')).toBe(true);
+        expect(isSerialized('b:1;')).toBe(true);
+        expect(isSerialized('i:5;')).toBe(true);
+        expect(isSerialized('d:0.1;')).toBe(true);
+        expect(isSerialized('s:5:"hello";')).toBe(true);
+        expect(isSerialized('a:0:{}')).toBe(true);
+        expect(isSerialized('O:8:"stdClass":0:{}')).toBe(true);
+        expect(isSerialized('  a:0:{}  ')).toBe(true);
+
+        expect(isSerialized('hello')).toBe(false);
+        expect(isSerialized('a:0:{')).toBe(false);
+        expect(isSerialized('s:5:"hello"')).toBe(false);
+        expect(isSerialized(5)).toBe(false);
+        expect(isSerialized('s:5:"hello";trailing')).toBe(false);
+        expect(isSerialized('s:5:"hello";trailing', false)).toBe(true);
+
+        expect(isSerializedString('s:5:"hello";')).toBe(true);
+        expect(isSerializedString('a:0:{}')).toBe(false);
+    });
+});
@@ -0,0 +1,125 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { envConfig } from '../wp-config.js';
+import { wpCacheInit } from '../wp-includes/cache.js';
+import { getFileData } from '../wp-includes/functions.js';
+import { wpGetMuPlugins, wpGetActiveAndValidPlugins, wpLoadMuPlugins, wpLoadPlugins } from '../wp-includes/load.js';
+import { getOption, updateOption } from '../wp-includes/option.js';
+import { addAction, addFilter, didAction, doAction, pluginBasename } from '../wp-includes/plugin.js';
+import {
+    getPlugins, getMuPlugins, isPluginActive, validatePlugin, activatePlugin, deactivatePlugins, uninstallPlugin,
+} from '../wp-admin/includes/plugin.js';
+
+describe('Plugin loader', () => {
+    let wpdb;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        envConfig.WP_PLUGIN_DIR = 'tests/fixtures/plugins';
+        envConfig.WPMU_PLUGIN_DIR = 'tests/fixtures/mu-plugins';
+        global.pluginLog = [];
+        wpdb = await FakeWpdb.create({ fixtures: ['options'] });
+        global.wpdb = wpdb;
+        wpCacheInit();
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        envConfig.WP_PLUGIN_DIR = 'wp-content/plugins';
+        envConfig.WPMU_PLUGIN_DIR = 'wp-content/mu-plugins';
+        delete global.pluginLog;
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        delete global.wpFilters;
+        delete global.wpCurrentFilter;
+        jest.restoreAllMocks();
+    });
+
+    test('should find plugins from their headers', () => {
+        expect(Object.keys(getPlugins())).toEqual(['akismet/akismet.js', 'cleanup/cleanup.js', 'failing/failing.js', 'hello.js', 'stats/stats.js', 'tidy/tidy.js']);
+        expect(getPlugins()['akismet/akismet.js']).toMatchObject({
+            Name: 'Akismet Anti-spam',
+            PluginURI: 'https://akismet.com/',
+            Version: '5.3',
+            TextDomain: 'akismet',
+            Network: false,
+        });
+        expect(getPlugins()['hello.js']).toMatchObject({ Name: 'Hello Dolly', Version: '1.7.2', TextDomain: '' });
+        expect(getPlugins()['stats/stats.js']).toMatchObject({ TextDomain: 'site-stats', Network: true });
+        expect(Object.keys(getPlugins('akismet'))).toEqual(['akismet.js']);
+        expect(getMuPlugins()).toEqual({ 'loader.js': expect.objectContaining({ Name: 'loader.js' }) });
+
+        addFilter('extra_plugin_headers', (headers) => [...headers, 'License']);
+        expect(getFileData('tests/fixtures/plugins/hello.js', { Name: 'Plugin Name' }, 'plugin')).toEqual({ License: '', Name: 'Hello Dolly' });
+
+        expect(pluginBasename(`${process.cwd()}/tests/fixtures/plugins/akismet/akismet.js`)).toBe('akismet/akismet.js');
+        expect(pluginBasename(`file://${process.cwd()}/tests/fixtures/mu-plugins/loader.js`)).toBe('loader.js');
+    });
+
+    test('should load must-use and active plugins, then fire their hooks in order', async () => {
+        await updateOption('active_plugins', ['hello.js', 'akismet/akismet.js', 'missing.js', '../outside.js']);
+        addAction('plugin_loaded', (plugin) => global.pluginLog.push(`plugin_loaded ${pluginBasename(plugin)}`));
+
+        expect(wpGetMuPlugins()).toEqual([`${process.cwd()}/tests/fixtures/mu-plugins/loader.js`]);
+        expect(await wpGetActiveAndValidPlugins()).toEqual([
+            `${process.cwd()}/tests/fixtures/plugins/hello.js`,
+            `${process.cwd()}/tests/fixtures/plugins/akismet/akismet.js`,
+        ]);
+
+        expect(await wpLoadMuPlugins()).toHaveLength(1);
+        expect(await wpLoadPlugins()).toHaveLength(2);
+        doAction('init');
+
+        expect(global.pluginLog).toEqual([
+            'load mu-plugins/loader.js',
+            'loader: muplugins_loaded',
+            'load hello.js',
+            'plugin_loaded hello.js',
+            'load akismet/akismet.js',
+            'plugin_loaded akismet/akismet.js',
+            'hello: plugins_loaded',
+            'akismet: plugins_loaded',
+            'hello: init',
+        ]);
+        expect([didAction('muplugins_loaded'), didAction('plugins_loaded')]).toEqual([1, 1]);
+    });
+
+    test('should activate and deactivate plugins', async () => {
+        expect(validatePlugin('../hello.js').code).toBe('plugin_invalid');
+        expect(validatePlugin('missing.js').code).toBe('plugin_not_found');
+        expect(validatePlugin('broken/broken.js').code).toBe('no_plugin_header');
+        expect((await activatePlugin('broken/broken.js')).code).toBe('no_plugin_header');
+
+        const activated = jest.fn();
+        addAction('activated_plugin', activated, 10, 2);
+
+        expect(await activatePlugin('stats/stats.js')).toBeNull();
+        expect(await activatePlugin('stats/stats.js')).toBeNull();
+        expect(global.pluginLog).toEqual(['stats: activate false']);
+        expect(activated).toHaveBeenCalledTimes(1);
+        expect(activated).toHaveBeenCalledWith('stats/stats.js', false);
+        expect(await isPluginActive('stats/stats.js')).toBe(true);
+
+        await updateOption('active_plugins', ['hello.js', 'stats/stats.js']);
+        await deactivatePlugins(['stats/stats.js', 'akismet/akismet.js']);
+        expect(global.pluginLog).toEqual(['stats: activate false', 'stats: deactivate']);
+        expect(await getOption('active_plugins')).toEqual(['hello.js']);
+    });
+
+    test('should not activate plugins whose activation hook fails', async () => {
+        const error = await activatePlugin('failing/failing.js');
+        expect(error.code).toBe('plugin_activation_failed');
+        expect(error.message).toContain('Missing requirements.');
+        expect(error.cause).toBeInstanceOf(Error);
+        expect(await isPluginActive('failing/failing.js')).toBe(false);
+        expect(await getOption('active_plugins')).toBe(false);
+    });
+
+    test('should uninstall plugins', async () => {
+        expect((await uninstallPlugin('../plugins/tidy/tidy.js')).code).toBe('plugin_invalid');
+        expect(await uninstallPlugin('tidy/tidy.js')).toBe(true);
+        expect(await uninstallPlugin('cleanup/cleanup.js')).toBe(true);
+        expect(global.pluginLog).toEqual(['tidy: uninstall tidy/tidy.js', 'cleanup: uninstall']);
+    });
+});
@@ -0,0 +1,255 @@
+import { envConfig } from '../wp-config.js';
+import {
+    addFilter, applyFilters, applyFiltersRefArray, applyFiltersAsync, hasFilter, removeFilter, removeAllFilters, currentFilter, doingFilter, didFilter,
+    addAction, doAction, doActionAsync, doActionAsyncStrict, hasAction, removeAction, currentAction, doingAction, didAction,
+} from '../wp-includes/plugin.js';
+
+describe('Plugin API', () => {
+    afterEach(() => {
+        delete global.wpFilter;
+        delete global.wpActions;
+        delete global.wpFilters;
+        delete global.wpCurrentFilter;
+        jest.restoreAllMocks();
+    });
+
+    test('should run callbacks by priority, then in the order they were added', () => {
+        const append = (suffix) => (value) => `${value}${suffix}`;
+        const last = append('c');
+
+        addFilter('title', last, 20);
+        addFilter('title', append('a'));
+        addFilter('title', append('b'));
+        addFilter('title', append('0'), -1);
+
+        expect(applyFilters('title', '')).toBe('0abc');
+        expect(applyFilters('missing', 'as is')).toBe('as is');
+
+        // Adding the same callback again replaces it.
+        addFilter('title', last, 20);
+        expect(applyFilters('title', '')).toBe('0abc');
+        expect(didFilter('title')).toBe(2);
+    });
+
+    test('should pass as many arguments as the callbacks accept', () => {
+        const none = jest.fn(() => 1);
+        const one = jest.fn((value) => value);
+        const three = jest.fn((value, a, b) => value + a + b);
+
+        addFilter('sum', none, 10, 0);
+        addFilter('sum', one);
+        addFilter('sum', three, 10, 3);
+
+        expect(applyFilters('sum', 1, 2, 3)).toBe(6);
+        expect(applyFiltersRefArray('sum', [1, 2, 3])).toBe(6);
+        expect(none).toHaveBeenCalledWith();
+        expect(one).toHaveBeenCalledWith(1);
+
+        addAction('save', one, 10, 2);
+        doAction('save', 'a', 'b', 'c');
+        expect(one).toHaveBeenLastCalledWith('a', 'b');
+        expect(didAction('save')).toBe(1);
+        expect(didAction('never')).toBe(0);
+    });
+
+    test('should find and remove callbacks', () => {
+        const callback = () => {};
+
+        expect(hasFilter('the_content')).toBe(false);
+        addFilter('the_content', callback, 0);
+
+        expect(hasFilter('the_content')).toBe(true);
+        expect(hasFilter('the_content', callback)).toBe(0);
+        expect(hasFilter('the_content', callback, 0)).toBe(true);
+        expect(hasFilter('the_content', callback, 10)).toBe(false);
+        expect(hasAction('the_content', () => {})).toBe(false);
+
+        expect(removeFilter('the_content', callback)).toBe(false);
+        expect(removeFilter('the_content', callback, 0)).toBe(true);
+        expect(hasFilter('the_content')).toBe(false);
+
+        addAction('init', callback, 5);
+        addAction('init', () => {}, 10);
+        removeAllFilters('init', 5);
+        expect(hasAction('init', callback)).toBe(false);
+        expect(hasAction('init')).toBe(true);
+        removeAllFilters('init');
+        expect(hasAction('init')).toBe(false);
+        expect(removeAction('init', callback)).toBe(false);
+    });
+
+    test('should track the hooks running', () => {
+        const seen = [];
+
+        addAction('outer', () => {
+            seen.push([currentAction(), doingAction('outer'), doingFilter('inner')]);
+            applyFilters('inner', null);
+        });
+        addFilter('inner', (value) => {
+            seen.push([currentFilter(), doingAction('outer'), doingFilter('inner')]);
+            return value;
+        });
+
+        doAction('outer');
+
+        expect(seen).toEqual([['outer', true, false], ['inner', true, true]]);
+        expect(currentFilter()).toBe(false);
+        expect(doingAction()).toBe(false);
+    });
+
+    test('should run the all hook before every hook', () => {
+        const all = jest.fn(() => expect(currentFilter()).toBe('title'));
+        addAction('all', all);
+
+        expect(applyFilters('title', 'Hello', 'extra')).toBe('Hello');
+        expect(all).toHaveBeenCalledWith('title', 'Hello', 'extra');
+        expect(currentFilter()).toBe(false);
+    });
+
+    test('should allow callbacks to change the hook while it runs', () => {
+        const calls = [];
+        const later = () => calls.push('later');
+        const skipped = () => calls.push('skipped');
+
+        addAction('change', () => {
+            calls.push('first');
+            addAction('change', later, 15);
+            removeAction('change', skipped, 20);
+            // Callbacks added to the running priority wait for the next run.
+            addAction('change', () => calls.push('same'), 10);
+        });
+        addAction('change', skipped, 20);
+
+        doAction('change');
+        expect(calls).toEqual(['first', 'later']);
+    });
+
+    test('should run recursive calls of a hook to the end', () => {
+        const calls = [];
+
+        addAction('nested', (depth) => {
+            calls.push(`a${depth}`);
+            if (depth < 2) {
+                doAction('nested', depth + 1);
+            }
+        });
+        addAction('nested', (depth) => calls.push(`b${depth}`), 20);
+
+        doAction('nested', 1);
+        expect(calls).toEqual(['a1', 'a2', 'b2', 'b1']);
+        expect(global.wpFilter.nested.nestingLevel).toBe(0);
+        expect(global.wpFilter.nested.doingAction).toBe(false);
+    });
+
+    test('should recover from callbacks that throw', () => {
+        addFilter('broken', () => {
+            throw new Error('Broken plugin');
+        });
+
+        expect(() => applyFilters('broken', 1)).toThrow('Broken plugin');
+        expect(currentFilter()).toBe(false);
+        expect(global.wpFilter.broken.currentPriority()).toBe(false);
+    });
+
+    describe('awaited hooks', () => {
+        const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            envConfig.WP_DEBUG = false;
+            delete global.wpHookTracer;
+        });
+
+        test('should await each callback in priority order', async () => {
+            const calls = [];
+
+            addAction('save', async (id) => {
+                await wait(5);
+                calls.push(`slow ${id}`);
+            }, 5);
+            addAction('save', (id) => calls.push(`sync ${id}`));
+            addFilter('title', async (title) => `${title}b`, 20);
+            addFilter('title', (title, suffix) => `${title}a${suffix}`, 10, 2);
+
+            await doActionAsync('save', 1);
+            expect(calls).toEqual(['slow 1', 'sync 1']);
+            expect(await applyFiltersAsync('title', '', '!')).toBe('a!b');
+            expect(await applyFiltersAsync('missing', 'as is')).toBe('as is');
+            expect([didAction('save'), didFilter('title')]).toEqual([1, 1]);
+        });
+
+        test('should skip callbacks that fail or time out', async () => {
+            const errors = [];
+            addAction('hook_error', (error, hookName) => errors.push([hookName, error.code || error.message]), 10, 2);
+            addFilter('async_hook_timeout', () => 20);
+
+            addFilter('price', (price) => price + 1);
+            addFilter('price', () => {
+                throw new Error('Broken plugin');
+            });
+            addFilter('price', async () => Promise.reject(new Error('Rejected')));
+            addFilter('price', () => new Promise(() => {}));
+            addFilter('price', (price) => price * 2, 20);
+
+            expect(await applyFiltersAsync('price', 1)).toBe(4);
+            expect(errors).toEqual([['price', 'Broken plugin'], ['price', 'Rejected'], ['price', 'hook_timeout']]);
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('"price" hook failed and was skipped: Broken plugin'));
+            expect(currentFilter()).toBe(false);
+            expect(global.wpFilter.price.nestingLevel).toBe(0);
+        });
+
+        test('should stop strict actions at the first callback that fails', async () => {
+            const calls = [];
+            const errors = [];
+            addAction('hook_error', (error) => errors.push(error.message));
+
+            addAction('activate', () => calls.push('first'));
+            addAction('activate', async () => Promise.reject(new Error('Missing requirements')));
+            addAction('activate', () => calls.push('after'), 20);
+
+            await expect(doActionAsyncStrict('activate')).rejects.toThrow('Missing requirements');
+            expect(calls).toEqual(['first']);
+            expect(errors).toEqual([]);
+            expect(currentAction()).toBe(false);
+            expect(global.wpFilter.activate.nestingLevel).toBe(0);
+            expect(didAction('activate')).toBe(1);
+        });
+
+        test('should keep the hooks running apart for concurrent calls', async () => {
+            const seen = [];
+
+            addAction('request', async (id) => {
+                await wait(1 === id ? 10 : 1);
+                seen.push([id, currentAction(), doingFilter('inner'), global.wpFilter.request.currentPriority()]);
+                await doActionAsync('inner', id);
+            }, 5);
+            addAction('inner', (id) => seen.push([id, currentAction(), doingAction('request')]));
+
+            await Promise.all([doActionAsync('request', 1), doActionAsync('request', 2)]);
+
+            expect(seen).toEqual([[2, 'request', false, 5], [2, 'inner', true], [1, 'request', false, 5], [1, 'inner', true]]);
+            expect(doingAction()).toBe(false);
+            expect(global.wpFilter.request.iterations).toEqual([]);
+        });
+
+        test('should report callbacks that return a promise to a sync hook', async () => {
+            envConfig.WP_DEBUG = true;
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            addFilter('content', async (content) => `${content}!`);
+            await expect(applyFilters('content', 'Hi')).resolves.toBe('Hi!');
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('A callback of the "content" filter returned a promise'));
+
+            addAction('publish', async () => {
+                throw new Error('Lost');
+            });
+            doAction('publish');
+            await wait(0);
+            expect(console.warn).toHaveBeenLastCalledWith(expect.stringContaining('with doActionAsync() instead'));
+            expect(console.error).toHaveBeenCalledWith('A callback of the "publish" action failed: Lost');
+        });
+    });
+});
@@ -0,0 +1,210 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { wpCacheInit, wpCacheGet } from '../wp-includes/cache.js';
+import { wpUsingExtObjectCache } from '../wp-includes/load.js';
+import { addAction, addFilter, didAction } from '../wp-includes/plugin.js';
+import {
+    getOption,
+    getTransient,
+    setTransient,
+    deleteTransient,
+    deleteExpiredTransients,
+    wpScheduleDeleteExpiredTransients,
+    wpUnscheduleDeleteExpiredTransients,
+    getSiteOption,
+    updateSiteOption,
+    getSiteTransient,
+    setSiteTransient,
+    deleteSiteTransient,
+} from '../wp-includes/option.js';
+
+describe('Transients API', () => {
+    const now = 1700000000;
+    let wpdb;
+
+    const travel = (seconds) => jest.spyOn(Date, 'now').mockReturnValue((now + seconds) * 1000);
+    const optionNames = async () => wpdb.getCol(`SELECT option_name FROM wp_options WHERE option_name LIKE '%transient%' ORDER BY option_name`);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        travel(0);
+        wpdb = await FakeWpdb.create({ fixtures: ['options'] });
+        global.wpdb = wpdb;
+        wpCacheInit();
+    });
+
+    afterEach(async () => {
+        wpUsingExtObjectCache(false);
+        delete process.env.MULTISITE;
+        delete process.env.IS_MULTISITE;
+        await wpdb.close();
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        jest.restoreAllMocks();
+    });
+
+    test('should store transients with an expiration next to a timeout option', async () => {
+        expect(await setTransient('feed', { items: [1, 2] }, 60)).toBe(true);
+        expect(await setTransient('forever', 'value')).toBe(true);
+        expect(didAction('setted_transient')).toBe(2);
+
+        expect(await wpdb.getResults(`SELECT option_name, option_value, autoload FROM wp_options WHERE option_name LIKE '%transient%' ORDER BY option_name`)).toEqual([
+            { option_name: '_transient_feed', option_value: 'a:1:{s:5:"items";a:2:{i:0;i:1;i:1;i:2;}}', autoload: 'no' },
+            { option_name: '_transient_forever', option_value: 'value', autoload: 'yes' },
+            { option_name: '_transient_timeout_feed', option_value: String(now + 60), autoload: 'no' },
+        ]);
+
+        expect(await getTransient('feed')).toEqual({ items: [1, 2] });
+        expect(await getTransient('forever')).toBe('value');
+        expect(await getTransient('missing')).toBe(false);
+    });
+
+    test('should delete expired transients when they are read', async () => {
+        await setTransient('feed', 'fresh', 60);
+
+        travel(60);
+        expect(await getTransient('feed')).toBe('fresh');
+
+        travel(61);
+        expect(await getTransient('feed')).toBe(false);
+        expect(await optionNames()).toEqual([]);
+
+        expect(await setTransient('feed', 'again', 60)).toBe(true);
+        expect(await getTransient('feed')).toBe('again');
+    });
+
+    test('should update transients and their expiration', async () => {
+        await setTransient('feed', 'first', 60);
+        await setTransient('forever', 'first');
+
+        travel(30);
+        expect(await setTransient('feed', 'second', 60)).toBe(true);
+        expect(await getOption('_transient_timeout_feed')).toBe(now + 90);
+
+        // An expiration turns a transient that never expired into one that does.
+        expect(await setTransient('forever', 'second', 10)).toBe(true);
+        expect(await wpdb.getVar(`SELECT autoload FROM wp_options WHERE option_name = '_transient_forever'`)).toBe('no');
+
+        travel(41);
+        expect(await getTransient('forever')).toBe(false);
+        expect(await getTransient('feed')).toBe('second');
+    });
+
+    test('should delete transients', async () => {
+        await setTransient('feed', 'value', 60);
+
+        expect(await deleteTransient('feed')).toBe(true);
+        expect(await deleteTransient('feed')).toBe(false);
+        expect(didAction('deleted_transient')).toBe(1);
+        expect(await optionNames()).toEqual([]);
+    });
+
+    test('should filter transients', async () => {
+        addFilter('expiration_of_transient_feed', () => 5);
+        addFilter('transient_feed', (value) => value.toUpperCase());
+
+        await setTransient('feed', 'value', 60);
+        expect(await getOption('_transient_timeout_feed')).toBe(now + 5);
+        expect(await getTransient('feed')).toBe('VALUE');
+
+        addFilter('pre_transient_feed', () => 'short-circuited');
+        expect(await getTransient('feed')).toBe('short-circuited');
+    });
+
+    test('should garbage collect the expired transients', async () => {
+        await setTransient('old', 'value', 10);
+        await setTransient('new', 'value', 100);
+        await setTransient('forever', 'value');
+        await setSiteTransient('old_site', 'value', 10);
+        await setSiteTransient('new_site', 'value', 100);
+
+        travel(50);
+        await deleteExpiredTransients();
+
+        expect(await optionNames()).toEqual([
+            '_site_transient_new_site',
+            '_site_transient_timeout_new_site',
+            '_transient_forever',
+            '_transient_new',
+            '_transient_timeout_new',
+        ]);
+        expect(await getTransient('new')).toBe('value');
+        expect(await getTransient('old')).toBe(false);
+        expect(await getSiteTransient('old_site')).toBe(false);
+    });
+
+    test('should delete the expired transients on a schedule', async () => {
+        await setTransient('old', 'value', 10);
+        await setTransient('forever', 'value');
+        travel(50);
+
+        // Called once the transients are deleted, after the default callback.
+        const deleted = new Promise((resolve) => addAction('delete_expired_transients', resolve, 20));
+        const timer = wpScheduleDeleteExpiredTransients(10);
+        expect(wpScheduleDeleteExpiredTransients(10)).toBe(timer);
+
+        try {
+            await deleted;
+        } finally {
+            wpUnscheduleDeleteExpiredTransients();
+        }
+        expect(await optionNames()).toEqual(['_transient_forever']);
+    });
+
+    test('should keep transients in an external object cache, without database queries', async () => {
+        wpUsingExtObjectCache(true);
+        wpdb.resetExecuted();
+
+        expect(await setTransient('feed', 'value', 60)).toBe(true);
+        expect(await setSiteTransient('update_core', { version: '6.5' })).toBe(true);
+        expect(await wpCacheGet('feed', 'transient')).toBe('value');
+        expect(await getTransient('feed')).toBe('value');
+        expect(await getSiteTransient('update_core')).toEqual({ version: '6.5' });
+
+        travel(61);
+        expect(await getTransient('feed')).toBe(false);
+
+        expect(await deleteSiteTransient('update_core')).toBe(true);
+        expect(await getSiteTransient('update_core')).toBe(false);
+
+        await deleteExpiredTransients();
+        expect(wpdb.executed).toEqual([]);
+    });
+
+    test('should store site transients in the options table on a single site', async () => {
+        expect(await setSiteTransient('browser', 'chrome', 60)).toBe(true);
+        expect(await getSiteTransient('browser')).toBe('chrome');
+        expect(await optionNames()).toEqual(['_site_transient_browser', '_site_transient_timeout_browser']);
+
+        expect(await deleteSiteTransient('browser')).toBe(true);
+        expect(await optionNames()).toEqual([]);
+    });
+
+    test('should store network options and site transients in sitemeta on multisite', async () => {
+        await wpdb.close();
+        process.env.MULTISITE = '1';
+        process.env.IS_MULTISITE = '1';
+        wpdb = await FakeWpdb.create({ schema: 'all' });
+        global.wpdb = wpdb;
+        wpCacheInit();
+
+        expect(await getSiteOption('site_name', 'Network')).toBe('Network');
+        expect(await updateSiteOption('site_name', 'My Network')).toBe(true);
+        expect(await updateSiteOption('site_name', 'Renamed')).toBe(true);
+        expect(await getSiteOption('site_name')).toBe('Renamed');
+
+        expect(await setSiteTransient('browser', ['chrome'], 60)).toBe(true);
+        expect(await getSiteTransient('browser')).toEqual(['chrome']);
+
+        expect(await wpdb.getResults('SELECT site_id, meta_key, meta_value FROM wp_sitemeta ORDER BY meta_id')).toEqual([
+            { site_id: '1', meta_key: 'site_name', meta_value: 'Renamed' },
+            { site_id: '1', meta_key: '_site_transient_timeout_browser', meta_value: String(now + 60) },
+            { site_id: '1', meta_key: '_site_transient_browser', meta_value: 'a:1:{i:0;s:6:"chrome";}' },
+        ]);
+
+        travel(61);
+        await deleteExpiredTransients();
+        expect(await wpdb.getCol('SELECT meta_key FROM wp_sitemeta')).toEqual(['site_name']);
+    });
+});
@@ -0,0 +1,113 @@
+import Wpdb from '../wp-includes/class-wpdb.js';
+import { dbDelta, makeDbCurrentSilent } from '../wp-admin/includes/upgrade.js';
+import { wpGetDbSchema } from '../wp-admin/includes/schema.js';
+
+describe('dbDelta', () => {
+    let wpdb;
+
+    const optionsTable = (extra = '') => `CREATE TABLE wp_options (
+	option_id bigint(20) unsigned NOT NULL auto_increment,
+	option_name varchar(191) NOT NULL default '',
+	option_value longtext NOT NULL,
+	autoload varchar(20) NOT NULL default 'yes',${extra}
+	PRIMARY KEY  (option_id),
+	UNIQUE KEY option_name (option_name),
+	KEY autoload (autoload)
+)`;
+
+    beforeEach(async () => {
+        wpdb = new Wpdb('', '', ':memory:', '', { driver: 'sqlite' });
+        await wpdb.connecting;
+        wpdb.setPrefix('wp_');
+        global.wpdb = wpdb;
+    });
+
+    afterEach(async () => {
+        await wpdb.close();
+        delete global.wpdb;
+        delete process.env.DO_NOT_UPGRADE_GLOBAL_TABLES;
+        jest.restoreAllMocks();
+    });
+
+    test('should build the core schema with the table prefix', () => {
+        const schema = wpGetDbSchema('blog');
+
+        expect(schema).toContain('CREATE TABLE wp_posts (');
+        expect(schema).toContain('CREATE TABLE wp_term_taxonomy (');
+        expect(schema).not.toContain('CREATE TABLE wp_users (');
+        expect(wpGetDbSchema('global')).toContain('CREATE TABLE wp_usermeta (');
+    });
+
+    test('should create the core tables on SQLite and then leave them alone', async () => {
+        const created = await makeDbCurrentSilent();
+
+        expect(created).toMatchObject({ wp_posts: 'Created table wp_posts', wp_users: 'Created table wp_users' });
+        expect(await wpdb.getCol("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'wp\\_%' ESCAPE '\\' ORDER BY name")).toEqual(
+            Object.values(wpdb.tables('all')).sort()
+        );
+        expect(await wpdb.getCol("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'wp_postmeta'")).toEqual(
+            ['wp_postmeta__post_id', 'wp_postmeta__meta_key']
+        );
+
+        await wpdb.table('posts').insert({ post_content: '', post_title: 'Hello', post_excerpt: '', to_ping: '', pinged: '', post_content_filtered: '' });
+        expect(await wpdb.table('posts').first()).toMatchObject({ ID: '1', post_status: 'publish', post_author: '0' });
+
+        expect(await dbDelta()).toEqual({});
+    });
+
+    test('should add missing columns and indexes to an existing SQLite table', async () => {
+        await dbDelta(optionsTable());
+        await wpdb.table('options').insert({ option_name: 'siteurl', option_value: 'http://example.org' });
+
+        const altered = await dbDelta(optionsTable('\n\tnote varchar(20) NOT NULL,\n\tKEY note (note(10)),'));
+
+        expect(altered).toEqual({
+            'wp_options.note': 'Added column wp_options.note',
+            'wp_options KEY `note` (`note`(10))': 'Added index wp_options KEY `note` (`note`(10))',
+        });
+        expect(await wpdb.table('options').first()).toMatchObject({ option_name: 'siteurl', note: '' });
+        expect(await wpdb.getCol("PRAGMA index_list('wp_options')", 1)).toContain('wp_options__note');
+    });
+
+    test('should not run the queries when execute is false', async () => {
+        expect(await dbDelta(optionsTable(), false)).toEqual({ wp_options: 'Created table wp_options' });
+        expect(await wpdb.getVar("SELECT COUNT(*) FROM sqlite_master WHERE name = 'wp_options'")).toBe('0');
+    });
+
+    test('should skip global tables when they must not be upgraded', async () => {
+        process.env.DO_NOT_UPGRADE_GLOBAL_TABLES = '1';
+
+        const created = await dbDelta();
+
+        expect(created).not.toHaveProperty('wp_users');
+        expect(created).toHaveProperty('wp_posts');
+    });
+
+    test('should diff MySQL tables against DESCRIBE and SHOW INDEX', async () => {
+        wpdb.isMySQL = true;
+        jest.spyOn(wpdb, 'dbServerInfo').mockReturnValue('8.0.36');
+        jest.spyOn(wpdb, 'getResults').mockImplementation(async (query) => {
+            if (query.startsWith('DESCRIBE')) {
+                return [
+                    { Field: 'option_id', Type: 'bigint unsigned', Default: null },
+                    { Field: 'option_name', Type: 'varchar(64)', Default: '' },
+                    { Field: 'option_value', Type: 'longtext', Default: null },
+                    { Field: 'autoload', Type: 'varchar(20)', Default: 'no' },
+                ];
+            }
+            return [
+                { Key_name: 'PRIMARY', Column_name: 'option_id', Sub_part: null, Non_unique: 0, Index_type: 'BTREE' },
+                { Key_name: 'option_name', Column_name: 'option_name', Sub_part: null, Non_unique: 0, Index_type: 'BTREE' },
+            ];
+        });
+        const query = jest.spyOn(wpdb, 'query');
+
+        expect(await dbDelta(optionsTable('\n\tnote text,'), false)).toEqual({
+            'wp_options.option_name': 'Changed type of wp_options.option_name from varchar(64) to varchar(191)',
+            'wp_options.autoload': 'Changed default value of wp_options.autoload from no to yes',
+            'wp_options.note': 'Added column wp_options.note',
+            'wp_options KEY `autoload` (`autoload`)': 'Added index wp_options KEY `autoload` (`autoload`)',
+        });
+        expect(query).not.toHaveBeenCalled();
+    });
+});
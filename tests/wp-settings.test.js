@@ -0,0 +1,118 @@
+import FakeWpdb from './helpers/class-fake-wpdb.js';
+import { envConfig } from '../wp-config.js';
+import { wpCacheInit } from '../wp-includes/cache.js';
+import { wpGetActiveAndValidThemes } from '../wp-includes/load.js';
+import { updateOption, deleteExpiredTransients, wpUnscheduleDeleteExpiredTransients } from '../wp-includes/option.js';
+import { addAction, addFilter, didAction, hasAction } from '../wp-includes/plugin.js';
+import { wpSettings } from '../wp-settings.js';
+
+describe('wpSettings', () => {
+    let wpdb;
+
+    const logActions = (...hookNames) => hookNames.forEach((hookName) => {
+        addAction(hookName, () => global.pluginLog.push(hookName), 5);
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        envConfig.WP_PLUGIN_DIR = 'tests/fixtures/plugins';
+        envConfig.WPMU_PLUGIN_DIR = 'tests/fixtures/mu-plugins';
+        global.pluginLog = [];
+        wpdb = await FakeWpdb.create({ fixtures: ['options'] });
+        global.wpdb = wpdb;
+        wpCacheInit();
+        addFilter('theme_root', () => `${process.cwd()}/tests/fixtures/themes`);
+    });
+
+    afterEach(async () => {
+        wpUnscheduleDeleteExpiredTransients();
+        await wpdb.close();
+        envConfig.WP_PLUGIN_DIR = 'wp-content/plugins';
+        envConfig.WPMU_PLUGIN_DIR = 'wp-content/mu-plugins';
+        delete global.pluginLog;
+        delete global.wpdb;
+        delete global.wpObjectCache;
+        delete global.wpFilter;
+        delete global.wpActions;
+        delete global.wpFilters;
+        delete global.wpCurrentFilter;
+        jest.restoreAllMocks();
+    });
+
+    test('should load plugins and the theme, firing the setup actions in order', async () => {
+        await updateOption('active_plugins', ['hello.js']);
+        await updateOption('template', 'parent');
+        await updateOption('stylesheet', 'child');
+        logActions('muplugins_loaded', 'plugins_loaded', 'setup_theme', 'after_setup_theme', 'init', 'wp_loaded');
+
+        await wpSettings();
+
+        expect(global.pluginLog).toEqual([
+            'load mu-plugins/loader.js',
+            'muplugins_loaded',
+            'loader: muplugins_loaded',
+            'load hello.js',
+            'plugins_loaded',
+            'hello: plugins_loaded',
+            'setup_theme',
+            'load child/functions.js',
+            'load parent/functions.js',
+            'after_setup_theme',
+            'parent: after_setup_theme',
+            'init',
+            'hello: init',
+            'child: init',
+            'wp_loaded',
+        ]);
+        expect(wpdb.options).toBe('wp_options');
+        expect(hasAction('delete_expired_transients', deleteExpiredTransients)).toBe(10);
+    });
+
+    test('should fail with an error naming the stage that broke', async () => {
+        await updateOption('template', 'broken');
+        await updateOption('stylesheet', 'broken');
+
+        const error = await wpSettings().catch((e) => e);
+
+        expect(error.message).toBe('WordPress could not start: the "theme" stage failed. Call to undefined function twentyten_setup()');
+        expect(error).toMatchObject({ code: 'wp_settings_failed', stage: 'theme' });
+        expect(error.cause.message).toBe('Call to undefined function twentyten_setup()');
+        expect(didAction('setup_theme')).toBe(1);
+        expect(didAction('init')).toBe(0);
+    });
+
+    test('should fail when a callback of a setup action fails', async () => {
+        addAction('init', async () => Promise.reject(new Error('Could not register the post types.')));
+        logActions('wp_loaded');
+
+        await expect(wpSettings()).rejects.toMatchObject({
+            code: 'wp_settings_failed',
+            stage: 'init',
+            cause: expect.objectContaining({ message: 'Could not register the post types.' }),
+        });
+        expect(didAction('wp_loaded')).toBe(0);
+        expect(global.pluginLog).not.toContain('wp_loaded');
+    });
+
+    test('should ignore themes outside of the theme root', async () => {
+        await updateOption('template', '../plugins/akismet');
+        await updateOption('stylesheet', '../mu-plugins');
+
+        expect(await wpGetActiveAndValidThemes()).toEqual([]);
+
+        await updateOption('template', 'parent');
+        await updateOption('stylesheet', 'child');
+
+        expect(await wpGetActiveAndValidThemes()).toEqual([
+            `${process.cwd()}/tests/fixtures/themes/child`,
+            `${process.cwd()}/tests/fixtures/themes/parent`,
+        ]);
+    });
+
+    test('should stop at the database stage when the table prefix is invalid', async () => {
+        const config = { ...envConfig, TABLE_PREFIX: 'wp-' };
+
+        await expect(wpSettings(config)).rejects.toMatchObject({ code: 'wp_settings_failed', stage: 'database' });
+        expect(didAction('muplugins_loaded')).toBe(0);
+    });
+});
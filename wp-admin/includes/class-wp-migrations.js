@@ -0,0 +1,398 @@
+/**
+ * Migrations API: WPMigrations class
+ *
+ * Versioned table changes for plugins, on top of the core schema that dbDelta() maintains.
+ *
+ * @package WordPress
+ * @subpackage Administration
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isMultisite } from '../../wp-includes/load.js';
+import { dbDelta } from './upgrade.js';
+
+/**
+ * A migration.
+ *
+ * `up` and `down` are SQL queries, arrays of SQL queries, or async functions that receive
+ * the database object to run their queries on. Its `dbDelta()` method runs dbDelta() on it,
+ * so that dry runs collect those queries too. Migrations with the 'blog' scope run once
+ * for every site of a multisite network, the others once for the whole installation.
+ *
+ * Each step runs in a transaction, but MySQL commits its DDL queries (CREATE, ALTER,
+ * DROP...) right away: a step failing after one of them is only partly rolled back, so
+ * steps changing tables are best kept to one query, or written to be run again.
+ *
+ * @typedef {Object} WPMigration
+ * @property {string} name Unique name, which also sets the order the migrations run in.
+ * @property {string|Array<string>|Function} up Applies the migration.
+ * @property {string|Array<string>|Function|null} down Reverts the migration, or null if it can't be.
+ * @property {string} scope 'global' or 'blog'.
+ */
+
+/**
+ * Migration that was run, or would be in a dry run.
+ *
+ * @typedef {Object} WPMigrationStep
+ * @property {string} name Migration name.
+ * @property {string} direction 'up' or 'down'.
+ * @property {number|null} blogId Site the migration ran for, null for global migrations.
+ * @property {Array<string>} queries Write queries of the migration. Only recorded in dry runs.
+ */
+
+/**
+ * Runs migrations and tracks which ones were applied.
+ *
+ * Applied migrations are recorded in the `migrations` table under the current
+ * table prefix, so each site of a network keeps its own record.
+ *
+ * @example
+ * const migrations = new WPMigrations();
+ * await migrations.load('wp-content/plugins/my-plugin/migrations');
+ * await migrations.migrate();
+ */
+class WPMigrations {
+  /**
+   * Registered migrations, keyed by name.
+   *
+   * @var {Map<string, WPMigration>}
+   */
+  migrations = new Map();
+
+  /**
+   * Registers a migration.
+   *
+   * @param {string} name Unique migration name, e.g. '20240101120000_create_events_table'.
+   * @param {Object} migration Migration with `up`, and optional `down` and `scope` properties.
+   * @return {WPMigrations} The migrations, for chaining.
+   * @throws {Error} If the migration has no `up` step or is already registered.
+   */
+  register(name, migration) {
+    if (!migration || !migration.up) {
+      throw new Error(`Migration "${name}" has no up step.`);
+    }
+    if (this.migrations.has(name)) {
+      throw new Error(`Migration "${name}" is already registered.`);
+    }
+
+    this.migrations.set(name, {
+      name,
+      up: migration.up,
+      down: migration.down || null,
+      scope: 'blog' === migration.scope ? 'blog' : 'global',
+    });
+
+    return this;
+  }
+
+  /**
+   * Registers the migrations of a directory.
+   *
+   * Each .js file of the directory is a migration module exporting `up`, and optionally
+   * `down` and `scope`. The file name without extension is the migration name.
+   *
+   * @param {string} directory Path to the directory.
+   * @return {Promise<WPMigrations>} The migrations, for chaining.
+   */
+  async load(directory) {
+    const files = fs.readdirSync(directory).filter((file) => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const migration = await import(path.resolve(directory, file));
+      this.register(path.basename(file, '.js'), migration);
+    }
+
+    return this;
+  }
+
+  /**
+   * Retrieves the migrations in the order they run in.
+   *
+   * @return {Array<WPMigration>} The migrations.
+   */
+  all() {
+    return [...this.migrations.values()].sort((a, b) => (a.name < b.name ? -1 : 1));
+  }
+
+  /**
+   * Retrieves the name of the table tracking the applied migrations of the current site.
+   *
+   * @return {string} The table name.
+   */
+  getTable() {
+    return `${global.wpdb.prefix}migrations`;
+  }
+
+  /**
+   * Creates or updates the table tracking the applied migrations of the current site.
+   *
+   * @return {Promise<Object<string, string>>} The changes made, as returned by dbDelta().
+   */
+  async install() {
+    const { wpdb } = global;
+
+    return dbDelta(`CREATE TABLE ${this.getTable()} (
+	migration_id bigint(20) unsigned NOT NULL auto_increment,
+	migration varchar(191) NOT NULL default '',
+	applied_at datetime NOT NULL default '0000-00-00 00:00:00',
+	PRIMARY KEY  (migration_id),
+	UNIQUE KEY migration (migration)
+) ${wpdb.getCharsetCollate()}`);
+  }
+
+  /**
+   * Retrieves the migrations applied to the current site, oldest first.
+   *
+   * @return {Promise<Array<string>>} Migration names. Empty if the tracking table doesn't exist yet.
+   */
+  async applied() {
+    const { wpdb } = global;
+
+    const suppress = wpdb.suppressErrors();
+    const applied = await wpdb.table('migrations').orderBy('migration_id').pluck('migration');
+    wpdb.suppressErrors(suppress);
+
+    return applied || [];
+  }
+
+  /**
+   * Retrieves the IDs of the sites a migration runs for.
+   *
+   * @param {string} scope Migration scope, 'global' or 'blog'.
+   * @param {number|null} [blogId=null] Optional. Only run blog migrations for this site.
+   * @return {Promise<Array<number|null>>} Site IDs, or `[null]` to run on the current tables.
+   */
+  async getBlogIds(scope, blogId = null) {
+    const { wpdb } = global;
+
+    if ('blog' !== scope || !isMultisite()) {
+      return [null];
+    }
+    if (blogId) {
+      return [Number(blogId)];
+    }
+
+    return (await wpdb.getCol(`SELECT blog_id FROM ${wpdb.blogs} ORDER BY blog_id`)).map(Number);
+  }
+
+  /**
+   * Lists the migrations and whether they were applied.
+   *
+   * @param {Object} [options={}] Optional. Status options.
+   * @param {number|null} [options.blogId=null] Only list blog migrations for this site.
+   * @return {Promise<Array<{name: string, blogId: number|null, applied: boolean}>>} The status of
+   *         each migration for each site it runs for.
+   */
+  async status({ blogId = null } = {}) {
+    const status = [];
+
+    for (const migration of this.all()) {
+      for (const id of await this.getBlogIds(migration.scope, blogId)) {
+        const applied = await this.forBlog(id, () => this.applied());
+        status.push({ name: migration.name, blogId: id, applied: applied.includes(migration.name) });
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Applies the pending migrations.
+   *
+   * @param {Object} [options={}] Optional. Migration options.
+   * @param {number} [options.steps=Infinity] Maximum number of migrations to apply, per site.
+   * @param {boolean} [options.dryRun=false] Collect the write queries of the migrations instead of running them.
+   * @param {number|null} [options.blogId=null] Only run blog migrations for this site.
+   * @return {Promise<Array<WPMigrationStep>>} The migrations applied.
+   */
+  async migrate({ steps = Infinity, dryRun = false, blogId = null } = {}) {
+    const done = [];
+    const counts = new Map();
+
+    for (const migration of this.all()) {
+      for (const id of await this.getBlogIds(migration.scope, blogId)) {
+        const count = counts.get(id) || 0;
+        if (count >= steps) {
+          continue;
+        }
+
+        const step = await this.forBlog(id, async () => {
+          if ((await this.applied()).includes(migration.name)) {
+            return null;
+          }
+
+          return this.runStep(migration, 'up', dryRun);
+        });
+
+        if (step) {
+          counts.set(id, count + 1);
+          done.push({ ...step, blogId: id });
+        }
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Reverts the most recently applied migrations.
+   *
+   * @param {Object} [options={}] Optional. Rollback options.
+   * @param {number} [options.steps=1] Number of migrations to revert, per site.
+   * @param {boolean} [options.dryRun=false] Collect the write queries of the migrations instead of running them.
+   * @param {number|null} [options.blogId=null] Only revert blog migrations for this site.
+   * @return {Promise<Array<WPMigrationStep>>} The migrations reverted.
+   * @throws {Error} If a migration to revert has no down step.
+   */
+  async rollback({ steps = 1, dryRun = false, blogId = null } = {}) {
+    const done = [];
+    const names = new Map();
+
+    // The migrations tracked by each site.
+    for (const migration of this.all()) {
+      for (const id of await this.getBlogIds(migration.scope, blogId)) {
+        names.set(id, (names.get(id) || new Set()).add(migration.name));
+      }
+    }
+
+    for (const [id, tracked] of names) {
+      await this.forBlog(id, async () => {
+        const applied = (await this.applied())
+          .filter((name) => tracked.has(name))
+          .reverse()
+          .slice(0, steps);
+
+        for (const name of applied) {
+          done.push({ ...await this.runStep(this.migrations.get(name), 'down', dryRun), blogId: id });
+        }
+      });
+    }
+
+    return done;
+  }
+
+  /**
+   * Runs a callback with the tables of a site.
+   *
+   * @protected
+   * @param {number|null} blogId Site ID, or null to keep the current tables.
+   * @param {Function} callback Callback to run.
+   * @return {Promise<*>} The value returned by the callback.
+   */
+  async forBlog(blogId, callback) {
+    const { wpdb } = global;
+
+    if (null === blogId || blogId === wpdb.blogId) {
+      return callback();
+    }
+
+    const oldBlogId = wpdb.setBlogId(blogId);
+    try {
+      return await callback();
+    } finally {
+      wpdb.setBlogId(oldBlogId);
+    }
+  }
+
+  /**
+   * Runs one step of a migration and records it in the tracking table.
+   *
+   * The step runs in a transaction, so a failed migration leaves no trace on databases
+   * with transactional schema changes, like SQLite. MySQL commits schema changes as
+   * they happen.
+   *
+   * @protected
+   * @param {WPMigration} migration The migration.
+   * @param {string} direction 'up' or 'down'.
+   * @param {boolean} dryRun Collect the write queries of the migration instead of running them.
+   * @return {Promise<WPMigrationStep>} The step.
+   * @throws {Error} If the step is missing or one of its queries fails.
+   */
+  async runStep(migration, direction, dryRun) {
+    const { wpdb } = global;
+    const step = migration[direction];
+    const queries = [];
+
+    if (!step) {
+      throw new Error(`Migration "${migration.name}" can't be rolled back, it has no down step.`);
+    }
+
+    const run = async () => {
+      const db = migrationWpdb(wpdb, migration.name, dryRun ? queries : null);
+
+      if ('function' === typeof step) {
+        await step(db);
+      } else {
+        for (const query of [].concat(step)) {
+          await db.query(query);
+        }
+      }
+    };
+
+    if (dryRun) {
+      await run();
+      return { name: migration.name, direction, queries };
+    }
+
+    await this.install();
+    // Not atomic on MySQL, which commits DDL queries implicitly. SQLite rolls them back.
+    await wpdb.transaction(async () => {
+      await run();
+
+      if ('up' === direction) {
+        await wpdb.table('migrations').insert({
+          migration: migration.name,
+          applied_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+        });
+      } else {
+        await wpdb.table('migrations').where('migration', migration.name).delete();
+      }
+    });
+
+    return { name: migration.name, direction, queries };
+  }
+}
+
+/**
+ * Wraps the database object for a migration.
+ *
+ * Failed queries throw, unless errors are suppressed, so that the migration stops at the
+ * first error. In a dry run, write queries are collected instead of run, while reads still
+ * hit the database. The added `dbDelta()` method runs dbDelta() on the wrapped object.
+ *
+ * @param {Wpdb} wpdb WordPress database abstraction object.
+ * @param {string} name Migration name, for error messages.
+ * @param {Array<string>|null} queries Array to collect the write queries in, or null to run them.
+ * @return {Wpdb} The wrapped database object.
+ */
+function migrationWpdb(wpdb, name, queries) {
+  return new Proxy(wpdb, {
+    get(target, property, receiver) {
+      if ('dbDelta' === property) {
+        return (queries) => dbDelta(queries, true, receiver);
+      }
+
+      if ('query' !== property) {
+        return Reflect.get(target, property, receiver);
+      }
+
+      return async (query, params = []) => {
+        if (queries && target.router.isWriteQuery(query)) {
+          queries.push(params.length ? `${query} -- ${JSON.stringify(params)}` : query);
+          return true;
+        }
+
+        const result = await target.query.call(receiver, query, params);
+        if (false === result && !target.suppressingErrors) {
+          throw new Error(`Migration "${name}" failed: ${target.lastError}`);
+        }
+
+        return result;
+      };
+    },
+  });
+}
+
+export { WPMigrations };
+export default WPMigrations;
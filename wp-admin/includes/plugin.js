@@ -0,0 +1,576 @@
+/**
+ * WordPress Plugin Administration API
+ *
+ * Plugins are found in the WP_PLUGIN_DIR directory of wp-config.js `envConfig`: JS files
+ * at its top level, or one level down, whose header comment has a `Plugin Name`. Plugins
+ * are identified by their path relative to that directory, e.g. 'akismet/akismet.js'.
+ *
+ * Plugins are loaded once per process. Activating a plugin loads it right away, for its
+ * activation hook to run; deactivated and uninstalled plugins are no longer loaded from
+ * the next start.
+ *
+ * @package WordPress
+ * @subpackage Administration
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { envConfig } from '../../wp-config.js';
+import { getFileData } from '../../wp-includes/functions.js';
+import { isMultisite } from '../../wp-includes/load.js';
+import { getOption, updateOption, getSiteOption, updateSiteOption } from '../../wp-includes/option.js';
+import { doActionAsync, doActionAsyncStrict, hasAction, pluginBasename } from '../../wp-includes/plugin.js';
+
+/**
+ * Headers of a plugin's main file, keyed by plugin data field.
+ *
+ * @constant {Object<string, string>}
+ */
+const PLUGIN_HEADERS = {
+  Name: 'Plugin Name',
+  PluginURI: 'Plugin URI',
+  Version: 'Version',
+  Description: 'Description',
+  Author: 'Author',
+  AuthorURI: 'Author URI',
+  TextDomain: 'Text Domain',
+  DomainPath: 'Domain Path',
+  Network: 'Network',
+  RequiresWP: 'Requires at least',
+  RequiresNode: 'Requires Node',
+  UpdateURI: 'Update URI',
+  RequiresPlugins: 'Requires Plugins',
+};
+
+/**
+ * Creates an error with a code, as a WP_Error would have.
+ *
+ * @param {string} code Error code.
+ * @param {string} message Error message.
+ * @return {Error} The error.
+ */
+function pluginError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Parses the plugin contents to retrieve plugin's metadata.
+ *
+ * All plugin headers must be on their own line. Plugin description must not have
+ * any newlines, otherwise only parts of the description will be displayed.
+ * The below is formatted for printing.
+ *
+ *     /**
+ *      * Plugin Name: Name of the plugin.
+ *      * Plugin URI: The home page of the plugin.
+ *      * Description: Plugin description.
+ *      * Author: Plugin author's name.
+ *      * Author URI: Link to the author's website.
+ *      * Version: Plugin version.
+ *      * Text Domain: Optional. Unique identifier, should be same as the one used in
+ *      *      loadPluginTextdomain().
+ *      * Domain Path: Optional. Only useful if the translations are located in a
+ *      *      folder above the plugin's base path. For example, if .mo files are
+ *      *      located in the locale folder then Domain Path will be "/locale/" and
+ *      *      must have the first slash. Defaults to the base folder the plugin is
+ *      *      located in.
+ *      * Network: Optional. Specify "Network: true" to require that a plugin is activated
+ *      *      across all sites in an installation. This will prevent a plugin from being
+ *      *      activated on a single site when Multisite is enabled.
+ *      * Requires at least: Optional. Specify the minimum required WordPress version.
+ *      * Requires Node: Optional. Specify the minimum required Node.js version.
+ *      * Requires Plugins: Optional. Comma-separated slugs of the plugins it depends on.
+ *      *\/
+ *
+ * @since 1.5.0
+ *
+ * @param {string} pluginFile Absolute path to the main plugin file.
+ * @return {Object<string, string|boolean>} Plugin data. Values will be empty if not supplied
+ *                                          by the plugin, and `Network` is a boolean.
+ */
+function getPluginData(pluginFile) {
+  const pluginData = getFileData(pluginFile, PLUGIN_HEADERS, 'plugin');
+
+  pluginData.Network = 'true' === pluginData.Network.toLowerCase();
+
+  // If no text domain is defined fall back to the plugin slug.
+  if (!pluginData.TextDomain) {
+    const pluginSlug = path.dirname(pluginBasename(pluginFile));
+    if ('.' !== pluginSlug && !pluginSlug.includes('/')) {
+      pluginData.TextDomain = pluginSlug;
+    }
+  }
+
+  pluginData.Title = pluginData.Name;
+  pluginData.AuthorName = pluginData.Author;
+
+  return pluginData;
+}
+
+/**
+ * Checks the plugins directory and retrieve all plugin files with plugin data.
+ *
+ * WordPress only supports plugin files in the base plugins directory
+ * (wp-content/plugins) and in one directory above the plugins directory
+ * (wp-content/plugins/my-plugin). The file it looks for has the plugin data
+ * and must be found in those two locations. It is recommended to keep your
+ * plugin files in their own directories.
+ *
+ * The file with the plugin data is the file that will be included and therefore
+ * needs to have the main execution for the plugin. This does not mean
+ * everything must be contained in the file and it is recommended that the file
+ * be split for maintainability. Keep everything in one file for extreme
+ * optimization purposes.
+ *
+ * @since 1.5.0
+ *
+ * @param {string} [pluginFolder=''] Optional. Relative path to single plugin folder.
+ * @return {Object<string, Object>} Array of plugin data, keyed by plugin file name,
+ *                                  sorted by plugin name. See getPluginData().
+ */
+function getPlugins(pluginFolder = '') {
+  const pluginRoot = path.resolve(envConfig.WP_PLUGIN_DIR, pluginFolder);
+  const pluginFiles = [];
+
+  if (!fs.existsSync(pluginRoot)) {
+    return {};
+  }
+
+  // Files in wp-content/plugins directory.
+  for (const entry of fs.readdirSync(pluginRoot, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      for (const subEntry of fs.readdirSync(path.join(pluginRoot, entry.name), { withFileTypes: true })) {
+        if (!subEntry.name.startsWith('.') && subEntry.isFile() && subEntry.name.endsWith('.js')) {
+          pluginFiles.push(`${entry.name}/${subEntry.name}`);
+        }
+      }
+    } else if (entry.isFile() && entry.name.endsWith('.js')) {
+      pluginFiles.push(entry.name);
+    }
+  }
+
+  const wpPlugins = {};
+
+  for (const pluginFile of pluginFiles) {
+    const pluginData = getPluginData(path.join(pluginRoot, pluginFile));
+
+    if (!pluginData.Name) {
+      continue;
+    }
+
+    wpPlugins[pluginFile] = pluginData;
+  }
+
+  return Object.fromEntries(Object.entries(wpPlugins).sort(([, a], [, b]) => a.Name.localeCompare(b.Name)));
+}
+
+/**
+ * Checks the mu-plugins directory and retrieve all mu-plugin files with any plugin data.
+ *
+ * WordPress only includes mu-plugin files in the base mu-plugins directory (wp-content/mu-plugins).
+ *
+ * @since 3.0.0
+ *
+ * @return {Object<string, Object>} Array of plugin data, keyed by plugin file name. See getPluginData().
+ */
+function getMuPlugins() {
+  const directory = path.resolve(envConfig.WPMU_PLUGIN_DIR);
+  const wpPlugins = {};
+
+  if (!fs.existsSync(directory)) {
+    return wpPlugins;
+  }
+
+  const pluginFiles = fs.readdirSync(directory).filter((file) => file.endsWith('.js')).sort();
+
+  for (const pluginFile of pluginFiles) {
+    const pluginData = getPluginData(path.join(directory, pluginFile));
+
+    // Must-use plugins don't need a header, their file name stands in for it.
+    if (!pluginData.Name) {
+      pluginData.Name = pluginFile;
+    }
+
+    wpPlugins[pluginFile] = pluginData;
+  }
+
+  return wpPlugins;
+}
+
+/**
+ * Determines whether a plugin is active.
+ *
+ * Only plugins installed in the plugins/ folder can be active.
+ *
+ * Plugins in the mu-plugins/ folder can't be "activated," so this function will
+ * return false for those plugins.
+ *
+ * @since 2.5.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {Promise<boolean>} True, if in the active plugins list. False, not in the list.
+ */
+async function isPluginActive(plugin) {
+  const activePlugins = await getOption('active_plugins', []);
+
+  return Object.values(activePlugins || {}).includes(plugin) || await isPluginActiveForNetwork(plugin);
+}
+
+/**
+ * Determines whether the plugin is inactive.
+ *
+ * Reverse of isPluginActive(). Used as a callback.
+ *
+ * @since 3.1.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {Promise<boolean>} True if inactive. False if active.
+ */
+async function isPluginInactive(plugin) {
+  return !await isPluginActive(plugin);
+}
+
+/**
+ * Determines whether the plugin is active for the entire network.
+ *
+ * Only plugins installed in the plugins/ folder can be active.
+ *
+ * @since 3.0.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {Promise<boolean>} True if active for the network, otherwise false.
+ */
+async function isPluginActiveForNetwork(plugin) {
+  if (!isMultisite()) {
+    return false;
+  }
+
+  const plugins = await getSiteOption('active_sitewide_plugins', {});
+
+  return Boolean(plugins && Object.hasOwn(plugins, plugin));
+}
+
+/**
+ * Checks for "Network: true" in the plugin header to see if this should
+ * be activated only as a network wide plugin. The plugin would also work
+ * when Multisite is not enabled.
+ *
+ * @since 3.0.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {boolean} True if plugin is network only, false otherwise.
+ */
+function isNetworkOnlyPlugin(plugin) {
+  const pluginData = getPluginData(path.resolve(envConfig.WP_PLUGIN_DIR, plugin));
+
+  return Boolean(pluginData && pluginData.Network);
+}
+
+/**
+ * Validates the plugin path.
+ *
+ * Checks that the main plugin file exists and is a valid plugin.
+ *
+ * @since 2.5.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {0|Error} 0 on success, an error with a code on failure.
+ */
+function validatePlugin(plugin) {
+  if (!plugin || plugin.split(/[\\/]/).includes('..') || path.isAbsolute(plugin) || !plugin.endsWith('.js')) {
+    return pluginError('plugin_invalid', 'Invalid plugin path.');
+  }
+
+  if (!fs.existsSync(path.resolve(envConfig.WP_PLUGIN_DIR, plugin))) {
+    return pluginError('plugin_not_found', 'Plugin file does not exist.');
+  }
+
+  if (!Object.hasOwn(getPlugins(), plugin)) {
+    return pluginError('no_plugin_header', 'The plugin does not have a valid header.');
+  }
+
+  return 0;
+}
+
+/**
+ * Attempts activation of plugin.
+ *
+ * A plugin that is already activated will not attempt to be activated again.
+ *
+ * The plugin is loaded, so that it can register its activation hook, which runs
+ * before the plugin is added to the active plugins. A plugin that throws while
+ * loading, or whose activation hook fails, is not activated.
+ *
+ * @since 2.5.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @param {boolean} [networkWide=false] Optional. Whether to enable the plugin for all sites in the network
+ *                                      or just the current site. Multisite only. Default false.
+ * @param {boolean} [silent=false] Optional. Whether to prevent calling activation hooks. Default false.
+ * @return {Promise<null|Error>} Null on success, an error with a code on invalid file
+ *                              or on failure to load or activate.
+ */
+async function activatePlugin(plugin, networkWide = false, silent = false) {
+  plugin = plugin.trim();
+
+  const valid = validatePlugin(plugin);
+  if (valid) {
+    return valid;
+  }
+
+  networkWide = isMultisite() && (networkWide || isNetworkOnlyPlugin(plugin));
+
+  const current = networkWide
+    ? { ...await getSiteOption('active_sitewide_plugins', {}) }
+    : Object.values(await getOption('active_plugins', []) || {});
+
+  if (networkWide ? Object.hasOwn(current, plugin) : current.includes(plugin)) {
+    return null;
+  }
+
+  const file = path.resolve(envConfig.WP_PLUGIN_DIR, plugin);
+  try {
+    await import(file);
+  } catch (error) {
+    return Object.assign(pluginError('plugin_load_failed', `The plugin could not be activated because it triggered an error: ${error.message}`), { cause: error });
+  }
+
+  if (!silent) {
+    /**
+     * Fires before a plugin is activated.
+     *
+     * If a plugin is silently activated (such as during an update),
+     * this hook does not fire.
+     *
+     * @since 2.9.0
+     *
+     * @param {string} plugin Path to the plugin file relative to the plugins directory.
+     * @param {boolean} networkWide Whether to enable the plugin for all sites in the network
+     *                              or just the current site. Multisite only. Default false.
+     */
+    await doActionAsync('activate_plugin', plugin, networkWide);
+
+    /**
+     * Fires as a specific plugin is being activated.
+     *
+     * This hook is the "activation" hook used internally by registerActivationHook().
+     * The dynamic portion of the hook name, `plugin`, refers to the plugin basename.
+     *
+     * If a plugin is silently activated (such as during an update), this hook does not fire.
+     *
+     * @since 2.0.0
+     *
+     * @param {boolean} networkWide Whether to enable the plugin for all sites in the network
+     *                              or just the current site. Multisite only. Default false.
+     */
+    try {
+      await doActionAsyncStrict(`activate_${plugin}`, networkWide);
+    } catch (error) {
+      return Object.assign(pluginError('plugin_activation_failed', `The plugin could not be activated because its activation hook failed: ${error.message}`), { cause: error });
+    }
+  }
+
+  if (networkWide) {
+    current[plugin] = Math.floor(Date.now() / 1000);
+    await updateSiteOption('active_sitewide_plugins', current);
+  } else {
+    current.push(plugin);
+    current.sort();
+    await updateOption('active_plugins', current);
+  }
+
+  if (!silent) {
+    /**
+     * Fires after a plugin has been activated.
+     *
+     * If a plugin is silently activated (such as during an update),
+     * this hook does not fire.
+     *
+     * @since 2.9.0
+     *
+     * @param {string} plugin Path to the plugin file relative to the plugins directory.
+     * @param {boolean} networkWide Whether to enable the plugin for all sites in the network
+     *                              or just the current site. Multisite only. Default false.
+     */
+    await doActionAsync('activated_plugin', plugin, networkWide);
+  }
+
+  return null;
+}
+
+/**
+ * Deactivates a single plugin or multiple plugins.
+ *
+ * The deactivation hook is disabled by the plugin upgrader by using the `silent`
+ * parameter.
+ *
+ * Plugins are ES modules, loaded once per process: the hooks a deactivated plugin added
+ * while loading stay registered until the server restarts.
+ *
+ * @since 2.5.0
+ *
+ * @param {string|Array<string>} plugins Single plugin or list of plugins to deactivate.
+ * @param {boolean} [silent=false] Optional. Prevent calling deactivation hooks. Default false.
+ * @param {boolean|null} [networkWide=null] Optional. Whether to deactivate the plugin for all sites in the network.
+ *                                          A value of null will deactivate plugins for both the network
+ *                                          and the current site. Multisite only. Default null.
+ * @return {Promise<void>}
+ */
+async function deactivatePlugins(plugins, silent = false, networkWide = null) {
+  const current = Object.values(await getOption('active_plugins', []) || {});
+  const network = isMultisite() ? { ...await getSiteOption('active_sitewide_plugins', {}) } : {};
+  let doBlog = false;
+  let doNetwork = false;
+
+  for (let plugin of [].concat(plugins)) {
+    plugin = plugin.trim();
+
+    if (!await isPluginActive(plugin)) {
+      continue;
+    }
+
+    const networkDeactivating = false !== networkWide && await isPluginActiveForNetwork(plugin);
+
+    if (!silent) {
+      /**
+       * Fires before a plugin is deactivated.
+       *
+       * If a plugin is silently deactivated (such as during an update),
+       * this hook does not fire.
+       *
+       * @since 2.9.0
+       *
+       * @param {string} plugin Path to the plugin file relative to the plugins directory.
+       * @param {boolean} networkDeactivating Whether the plugin is deactivated for all sites in the network
+       *                                      or just the current site. Multisite only. Default false.
+       */
+      await doActionAsync('deactivate_plugin', plugin, networkDeactivating);
+    }
+
+    if (false !== networkWide && Object.hasOwn(network, plugin)) {
+      doNetwork = true;
+      delete network[plugin];
+    }
+
+    if (true !== networkWide && current.includes(plugin)) {
+      doBlog = true;
+      current.splice(current.indexOf(plugin), 1);
+    }
+
+    if (!silent) {
+      /**
+       * Fires as a specific plugin is being deactivated.
+       *
+       * This hook is the "deactivation" hook used internally by registerDeactivationHook().
+       * The dynamic portion of the hook name, `plugin`, refers to the plugin basename.
+       *
+       * If a plugin is silently deactivated (such as during an update), this hook does not fire.
+       *
+       * @since 2.0.0
+       *
+       * @param {boolean} networkDeactivating Whether the plugin is deactivated for all sites in the network
+       *                                      or just the current site. Multisite only. Default false.
+       */
+      await doActionAsync(`deactivate_${plugin}`, networkDeactivating);
+
+      /**
+       * Fires after a plugin is deactivated.
+       *
+       * If a plugin is silently deactivated (such as during an update),
+       * this hook does not fire.
+       *
+       * @since 2.9.0
+       *
+       * @param {string} plugin Path to the plugin file relative to the plugins directory.
+       * @param {boolean} networkDeactivating Whether the plugin is deactivated for all sites in the network
+       *                                      or just the current site. Multisite only. Default false.
+       */
+      await doActionAsync('deactivated_plugin', plugin, networkDeactivating);
+    }
+  }
+
+  if (doBlog) {
+    await updateOption('active_plugins', current);
+  }
+
+  if (doNetwork) {
+    await updateSiteOption('active_sitewide_plugins', network);
+  }
+}
+
+/**
+ * Uninstalls a single plugin.
+ *
+ * Calls the uninstall hook, if it is available: the default export of an uninstall.js
+ * file in the plugin's directory, or else the callback the plugin registers with
+ * registerUninstallHook() when it is loaded.
+ *
+ * @since 2.7.0
+ *
+ * @param {string} plugin Path to the plugin file relative to the plugins directory.
+ * @return {Promise<boolean|Error>} True if a plugin's uninstall.js file or uninstall hook has been run,
+ *                                  an error with a code on invalid file.
+ */
+async function uninstallPlugin(plugin) {
+  const file = plugin.trim();
+
+  const valid = validatePlugin(file);
+  if (valid) {
+    return valid;
+  }
+
+  /**
+   * Fires in uninstallPlugin() immediately before the plugin is uninstalled.
+   *
+   * @since 4.5.0
+   *
+   * @param {string} plugin Path to the plugin file relative to the plugins directory.
+   */
+  await doActionAsync('pre_uninstall_plugin', plugin);
+
+  const uninstallFile = path.resolve(envConfig.WP_PLUGIN_DIR, path.dirname(file), 'uninstall.js');
+  if ('.' !== path.dirname(file) && fs.existsSync(uninstallFile)) {
+    const { default: uninstall } = await import(uninstallFile);
+    if ('function' === typeof uninstall) {
+      await uninstall(file);
+    }
+
+    return true;
+  }
+
+  await import(path.resolve(envConfig.WP_PLUGIN_DIR, file));
+
+  if (!hasAction(`uninstall_${file}`)) {
+    return false;
+  }
+
+  /**
+   * Fires in uninstallPlugin() once the plugin has been uninstalled.
+   *
+   * The action concatenates the 'uninstall_' prefix with the basename of the
+   * plugin passed to uninstallPlugin() to create a dynamically-named action.
+   *
+   * @since 2.7.0
+   */
+  await doActionAsync(`uninstall_${file}`);
+
+  return true;
+}
+
+export {
+  getPluginData,
+  getPlugins,
+  getMuPlugins,
+  isPluginActive,
+  isPluginInactive,
+  isPluginActiveForNetwork,
+  isNetworkOnlyPlugin,
+  validatePlugin,
+  activatePlugin,
+  deactivatePlugins,
+  uninstallPlugin,
+};
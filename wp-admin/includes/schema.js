@@ -0,0 +1,334 @@
+/**
+ * WordPress Administration Scheme API
+ *
+ * Here we keep the DB structure and option values.
+ *
+ * The definitions are written for MySQL. dbDelta() translates them when the
+ * site runs on SQLite.
+ *
+ * @package WordPress
+ * @subpackage Administration
+ */
+
+import { isMultisite } from '../../wp-includes/load.js';
+
+/**
+ * Retrieve the SQL for creating database tables.
+ *
+ * @since 3.3.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} [scope='all'] Optional. The tables for which to retrieve SQL. Can be all, global, ms_global, or blog tables. Defaults to all.
+ * @param {number|null} [blogId=null] Optional. The site ID for which to retrieve SQL. Default is the current site ID.
+ * @return {string} The SQL needed to create the requested tables.
+ */
+function wpGetDbSchema(scope = 'all', blogId = null) {
+  const { wpdb } = global;
+
+  const charsetCollate = wpdb.getCharsetCollate();
+
+  let oldBlogId = null;
+  if (blogId && Number(blogId) !== wpdb.blogId) {
+    oldBlogId = wpdb.setBlogId(blogId);
+  }
+
+  // Engage multisite if in the middle of turning it on from network.php.
+  const multisite = Boolean(isMultisite() || process.env.WP_INSTALLING_NETWORK);
+
+  /*
+   * Indexes have a maximum size of 767 bytes. Historically, we haven't need to be concerned about that.
+   * As of 4.2, however, we moved to utf8mb4, which uses 4 bytes per character. This means that an index which
+   * used to have room for floor(767/3) = 255 characters, now only has room for floor(767/4) = 191 characters.
+   */
+  const maxIndexLength = 191;
+
+  // Blog-specific tables.
+  const blogTables = `CREATE TABLE ${wpdb.termMeta} (
+	meta_id bigint(20) unsigned NOT NULL auto_increment,
+	term_id bigint(20) unsigned NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (meta_id),
+	KEY term_id (term_id),
+	KEY meta_key (meta_key(${maxIndexLength}))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.terms} (
+	term_id bigint(20) unsigned NOT NULL auto_increment,
+	name varchar(200) NOT NULL default '',
+	slug varchar(200) NOT NULL default '',
+	term_group bigint(10) NOT NULL default 0,
+	PRIMARY KEY  (term_id),
+	KEY slug (slug(${maxIndexLength})),
+	KEY name (name(${maxIndexLength}))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.termTaxonomy} (
+	term_taxonomy_id bigint(20) unsigned NOT NULL auto_increment,
+	term_id bigint(20) unsigned NOT NULL default 0,
+	taxonomy varchar(32) NOT NULL default '',
+	description longtext NOT NULL,
+	parent bigint(20) unsigned NOT NULL default 0,
+	count bigint(20) NOT NULL default 0,
+	PRIMARY KEY  (term_taxonomy_id),
+	UNIQUE KEY term_id_taxonomy (term_id,taxonomy),
+	KEY taxonomy (taxonomy)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.termRelationships} (
+	object_id bigint(20) unsigned NOT NULL default 0,
+	term_taxonomy_id bigint(20) unsigned NOT NULL default 0,
+	term_order int(11) NOT NULL default 0,
+	PRIMARY KEY  (object_id,term_taxonomy_id),
+	KEY term_taxonomy_id (term_taxonomy_id)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.commentMeta} (
+	meta_id bigint(20) unsigned NOT NULL auto_increment,
+	comment_id bigint(20) unsigned NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (meta_id),
+	KEY comment_id (comment_id),
+	KEY meta_key (meta_key(${maxIndexLength}))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.comments} (
+	comment_ID bigint(20) unsigned NOT NULL auto_increment,
+	comment_post_ID bigint(20) unsigned NOT NULL default '0',
+	comment_author tinytext NOT NULL,
+	comment_author_email varchar(100) NOT NULL default '',
+	comment_author_url varchar(200) NOT NULL default '',
+	comment_author_IP varchar(100) NOT NULL default '',
+	comment_date datetime NOT NULL default '0000-00-00 00:00:00',
+	comment_date_gmt datetime NOT NULL default '0000-00-00 00:00:00',
+	comment_content text NOT NULL,
+	comment_karma int(11) NOT NULL default '0',
+	comment_approved varchar(20) NOT NULL default '1',
+	comment_agent varchar(255) NOT NULL default '',
+	comment_type varchar(20) NOT NULL default 'comment',
+	comment_parent bigint(20) unsigned NOT NULL default '0',
+	user_id bigint(20) unsigned NOT NULL default '0',
+	PRIMARY KEY  (comment_ID),
+	KEY comment_post_ID (comment_post_ID),
+	KEY comment_approved_date_gmt (comment_approved,comment_date_gmt),
+	KEY comment_date_gmt (comment_date_gmt),
+	KEY comment_parent (comment_parent),
+	KEY comment_author_email (comment_author_email(10))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.links} (
+	link_id bigint(20) unsigned NOT NULL auto_increment,
+	link_url varchar(255) NOT NULL default '',
+	link_name varchar(255) NOT NULL default '',
+	link_image varchar(255) NOT NULL default '',
+	link_target varchar(25) NOT NULL default '',
+	link_description varchar(255) NOT NULL default '',
+	link_visible varchar(20) NOT NULL default 'Y',
+	link_owner bigint(20) unsigned NOT NULL default '1',
+	link_rating int(11) NOT NULL default '0',
+	link_updated datetime NOT NULL default '0000-00-00 00:00:00',
+	link_rel varchar(255) NOT NULL default '',
+	link_notes mediumtext NOT NULL,
+	link_rss varchar(255) NOT NULL default '',
+	PRIMARY KEY  (link_id),
+	KEY link_visible (link_visible)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.options} (
+	option_id bigint(20) unsigned NOT NULL auto_increment,
+	option_name varchar(191) NOT NULL default '',
+	option_value longtext NOT NULL,
+	autoload varchar(20) NOT NULL default 'yes',
+	PRIMARY KEY  (option_id),
+	UNIQUE KEY option_name (option_name),
+	KEY autoload (autoload)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.postMeta} (
+	meta_id bigint(20) unsigned NOT NULL auto_increment,
+	post_id bigint(20) unsigned NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (meta_id),
+	KEY post_id (post_id),
+	KEY meta_key (meta_key(${maxIndexLength}))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.posts} (
+	ID bigint(20) unsigned NOT NULL auto_increment,
+	post_author bigint(20) unsigned NOT NULL default '0',
+	post_date datetime NOT NULL default '0000-00-00 00:00:00',
+	post_date_gmt datetime NOT NULL default '0000-00-00 00:00:00',
+	post_content longtext NOT NULL,
+	post_title text NOT NULL,
+	post_excerpt text NOT NULL,
+	post_status varchar(20) NOT NULL default 'publish',
+	comment_status varchar(20) NOT NULL default 'open',
+	ping_status varchar(20) NOT NULL default 'open',
+	post_password varchar(255) NOT NULL default '',
+	post_name varchar(200) NOT NULL default '',
+	to_ping text NOT NULL,
+	pinged text NOT NULL,
+	post_modified datetime NOT NULL default '0000-00-00 00:00:00',
+	post_modified_gmt datetime NOT NULL default '0000-00-00 00:00:00',
+	post_content_filtered longtext NOT NULL,
+	post_parent bigint(20) unsigned NOT NULL default '0',
+	guid varchar(255) NOT NULL default '',
+	menu_order int(11) NOT NULL default '0',
+	post_type varchar(20) NOT NULL default 'post',
+	post_mime_type varchar(100) NOT NULL default '',
+	comment_count bigint(20) NOT NULL default '0',
+	PRIMARY KEY  (ID),
+	KEY post_name (post_name(${maxIndexLength})),
+	KEY type_status_date (post_type,post_status,post_date,ID),
+	KEY post_parent (post_parent),
+	KEY post_author (post_author)
+) ${charsetCollate};\n`;
+
+  // Single site users table. The multisite flavor of the users table is handled below.
+  const usersSingleTable = `CREATE TABLE ${wpdb.users} (
+	ID bigint(20) unsigned NOT NULL auto_increment,
+	user_login varchar(60) NOT NULL default '',
+	user_pass varchar(255) NOT NULL default '',
+	user_nicename varchar(50) NOT NULL default '',
+	user_email varchar(100) NOT NULL default '',
+	user_url varchar(100) NOT NULL default '',
+	user_registered datetime NOT NULL default '0000-00-00 00:00:00',
+	user_activation_key varchar(255) NOT NULL default '',
+	user_status int(11) NOT NULL default '0',
+	display_name varchar(250) NOT NULL default '',
+	PRIMARY KEY  (ID),
+	KEY user_login_key (user_login),
+	KEY user_nicename (user_nicename),
+	KEY user_email (user_email)
+) ${charsetCollate};\n`;
+
+  // Multisite users table.
+  const usersMultiTable = `CREATE TABLE ${wpdb.users} (
+	ID bigint(20) unsigned NOT NULL auto_increment,
+	user_login varchar(60) NOT NULL default '',
+	user_pass varchar(255) NOT NULL default '',
+	user_nicename varchar(50) NOT NULL default '',
+	user_email varchar(100) NOT NULL default '',
+	user_url varchar(100) NOT NULL default '',
+	user_registered datetime NOT NULL default '0000-00-00 00:00:00',
+	user_activation_key varchar(255) NOT NULL default '',
+	user_status int(11) NOT NULL default '0',
+	display_name varchar(250) NOT NULL default '',
+	spam tinyint(2) NOT NULL default '0',
+	deleted tinyint(2) NOT NULL default '0',
+	PRIMARY KEY  (ID),
+	KEY user_login_key (user_login),
+	KEY user_nicename (user_nicename),
+	KEY user_email (user_email)
+) ${charsetCollate};\n`;
+
+  // Usermeta.
+  const usermetaTable = `CREATE TABLE ${wpdb.userMeta} (
+	umeta_id bigint(20) unsigned NOT NULL auto_increment,
+	user_id bigint(20) unsigned NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (umeta_id),
+	KEY user_id (user_id),
+	KEY meta_key (meta_key(${maxIndexLength}))
+) ${charsetCollate};\n`;
+
+  // Global tables.
+  const globalTables = (multisite ? usersMultiTable : usersSingleTable) + usermetaTable;
+
+  // Multisite global tables.
+  const msGlobalTables = `CREATE TABLE ${wpdb.blogs} (
+	blog_id bigint(20) NOT NULL auto_increment,
+	site_id bigint(20) NOT NULL default '0',
+	domain varchar(200) NOT NULL default '',
+	path varchar(100) NOT NULL default '',
+	registered datetime NOT NULL default '0000-00-00 00:00:00',
+	last_updated datetime NOT NULL default '0000-00-00 00:00:00',
+	public tinyint(2) NOT NULL default '1',
+	archived tinyint(2) NOT NULL default '0',
+	mature tinyint(2) NOT NULL default '0',
+	spam tinyint(2) NOT NULL default '0',
+	deleted tinyint(2) NOT NULL default '0',
+	lang_id int(11) NOT NULL default '0',
+	PRIMARY KEY  (blog_id),
+	KEY domain (domain(50),path(5)),
+	KEY lang_id (lang_id)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.blogMeta} (
+	meta_id bigint(20) unsigned NOT NULL auto_increment,
+	blog_id bigint(20) NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (meta_id),
+	KEY meta_key (meta_key(${maxIndexLength})),
+	KEY blog_id (blog_id)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.registrationLog} (
+	ID bigint(20) NOT NULL auto_increment,
+	email varchar(255) NOT NULL default '',
+	IP varchar(30) NOT NULL default '',
+	blog_id bigint(20) NOT NULL default '0',
+	date_registered datetime NOT NULL default '0000-00-00 00:00:00',
+	PRIMARY KEY  (ID),
+	KEY IP (IP)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.site} (
+	id bigint(20) NOT NULL auto_increment,
+	domain varchar(200) NOT NULL default '',
+	path varchar(100) NOT NULL default '',
+	PRIMARY KEY  (id),
+	KEY domain (domain(140),path(51))
+) ${charsetCollate};
+CREATE TABLE ${wpdb.siteMeta} (
+	meta_id bigint(20) NOT NULL auto_increment,
+	site_id bigint(20) NOT NULL default '0',
+	meta_key varchar(255) default NULL,
+	meta_value longtext,
+	PRIMARY KEY  (meta_id),
+	KEY meta_key (meta_key(${maxIndexLength})),
+	KEY site_id (site_id)
+) ${charsetCollate};
+CREATE TABLE ${wpdb.signups} (
+	signup_id bigint(20) NOT NULL auto_increment,
+	domain varchar(200) NOT NULL default '',
+	path varchar(100) NOT NULL default '',
+	title longtext NOT NULL,
+	user_login varchar(60) NOT NULL default '',
+	user_email varchar(100) NOT NULL default '',
+	registered datetime NOT NULL default '0000-00-00 00:00:00',
+	activated datetime NOT NULL default '0000-00-00 00:00:00',
+	active tinyint(1) NOT NULL default '0',
+	activation_key varchar(50) NOT NULL default '',
+	meta longtext,
+	PRIMARY KEY  (signup_id),
+	KEY activation_key (activation_key),
+	KEY user_email (user_email),
+	KEY user_login_email (user_login,user_email),
+	KEY domain_path (domain(140),path(51))
+) ${charsetCollate};`;
+
+  let queries;
+  switch (scope) {
+    case 'blog':
+      queries = blogTables;
+      break;
+    case 'global':
+      queries = globalTables;
+      if (multisite) {
+        queries += msGlobalTables;
+      }
+      break;
+    case 'ms_global':
+      queries = msGlobalTables;
+      break;
+    case 'all':
+    default:
+      queries = globalTables + blogTables;
+      if (multisite) {
+        queries += msGlobalTables;
+      }
+      break;
+  }
+
+  if (null !== oldBlogId) {
+    wpdb.setBlogId(oldBlogId);
+  }
+
+  return queries;
+}
+
+export { wpGetDbSchema };
@@ -0,0 +1,716 @@
+/**
+ * WordPress Upgrade API
+ *
+ * Most of the functions are pluggable and can be overwritten.
+ *
+ * @package WordPress
+ * @subpackage Administration
+ */
+
+import { wpGetDbSchema } from './schema.js';
+
+/**
+ * Text column types, from the smallest to the largest.
+ *
+ * @type {Array<string>}
+ */
+const TEXT_FIELDS = ['tinytext', 'text', 'mediumtext', 'longtext'];
+
+/**
+ * Blob column types, from the smallest to the largest.
+ *
+ * @type {Array<string>}
+ */
+const BLOB_FIELDS = ['tinyblob', 'blob', 'mediumblob', 'longblob'];
+
+/**
+ * Integer column types.
+ *
+ * @type {Array<string>}
+ */
+const INT_FIELDS = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint'];
+
+/**
+ * Matches an index definition of a CREATE TABLE query: its type, optional name and columns.
+ *
+ * @type {RegExp}
+ */
+const INDEX_DEFINITION = /^(PRIMARY\s+KEY|(?:UNIQUE|FULLTEXT|SPATIAL)\s+(?:KEY|INDEX)|KEY|INDEX)\s+(?:`?((?:[0-9a-zA-Z$_-]|[\u0080-\uFFFF])+)`?\s+)*\((.+?)\)$/i;
+
+/**
+ * Matches an index column: its name and optional number of indexed characters.
+ *
+ * @type {RegExp}
+ */
+const INDEX_COLUMN = /`?((?:[0-9a-zA-Z$_-]|[\u0080-\uFFFF])+)`?(?:\s*\(\s*(\d+)\s*\))?/;
+
+/**
+ * Matches a column definition: its name, type, optional size and the rest of the definition.
+ *
+ * @type {RegExp}
+ */
+const COLUMN_DEFINITION = /^`?([^`\s]+)`?\s+(\w+)(\([^)]*\))?(.*)$/s;
+
+/**
+ * Splits a CREATE TABLE query into its column and index definitions.
+ *
+ * @param {string} query CREATE TABLE query.
+ * @return {{fields: Map<string, string>, indexes: Array<Object>}} Column definitions keyed by
+ *         lowercased column name, and the parsed index definitions.
+ */
+function parseCreateTable(query) {
+  const fields = new Map();
+  const indexes = [];
+
+  // Get all of the field names in the query from between the parentheses.
+  const match = query.match(/\(([\s\S]*)\)/);
+  const lines = match ? match[1].trim().split('\n') : [];
+
+  // For every field line specified in the query.
+  for (let fld of lines) {
+    fld = fld.replace(/^[\s\0,]+|[\s\0,]+$/g, '');
+
+    // Extract the field name.
+    const fieldname = fld.split(' ')[0].replace(/^`+|`+$/g, '');
+    const fieldnameLowercased = fieldname.toLowerCase();
+
+    // Verify the found field name.
+    switch (fieldnameLowercased) {
+      case '':
+        break;
+      case 'primary':
+      case 'index':
+      case 'fulltext':
+      case 'unique':
+      case 'key':
+      case 'spatial': {
+        const index = parseIndexDefinition(fld);
+        if (index) {
+          indexes.push(index);
+        }
+        break;
+      }
+      default:
+        fields.set(fieldnameLowercased, fld);
+    }
+  }
+
+  return { fields, indexes };
+}
+
+/**
+ * Parses an index definition line of a CREATE TABLE query.
+ *
+ * @param {string} fld Index definition, e.g. 'KEY meta_key (meta_key(191))'.
+ * @return {{type: string, name: string, columns: Array<{name: string, subPart: string|null}>}|null}
+ *         The index, or null if the line is not a valid index definition.
+ */
+function parseIndexDefinition(fld) {
+  const match = fld.match(INDEX_DEFINITION);
+  if (!match) {
+    return null;
+  }
+
+  // Uppercase the index type and normalize space characters. 'INDEX' is a synonym for 'KEY', standardize on 'KEY'.
+  const type = match[1].trim().replace(/\s+/g, ' ').toUpperCase().replace('INDEX', 'KEY');
+
+  // An index for a primary key has no name.
+  const name = 'PRIMARY KEY' === type ? '' : (match[2] || '').toLowerCase();
+
+  // Parse the columns. Multiple columns are separated by a comma.
+  const columns = match[3].split(',').map((column) => {
+    const columnMatch = column.trim().match(INDEX_COLUMN);
+    return { name: columnMatch[1], subPart: columnMatch[2] || null };
+  });
+
+  return { type, name, columns };
+}
+
+/**
+ * Builds the normalized MySQL definition of an index.
+ *
+ * This is done so the definition can be compared against the result of a
+ * `SHOW INDEX FROM table` query which returns the current table index information.
+ *
+ * @param {Object} index Index, as returned by parseIndexDefinition().
+ * @param {boolean} [subParts=true] Optional. Whether to include the numbers of indexed characters.
+ * @return {string} The index definition, e.g. 'KEY `meta_key` (`meta_key`(191))'.
+ */
+function mysqlIndexDefinition(index, subParts = true) {
+  const name = index.name ? `\`${index.name}\`` : '';
+  const columns = index.columns.map((column) => (
+    `\`${column.name}\`${subParts && column.subPart ? `(${column.subPart})` : ''}`
+  ));
+
+  return `${index.type} ${name} (${columns.join(',')})`;
+}
+
+/**
+ * Maps a MySQL column type to its SQLite type affinity.
+ *
+ * @param {string} type MySQL column type without display width, e.g. 'bigint'.
+ * @return {string} INTEGER, REAL, BLOB or TEXT.
+ */
+function sqliteType(type) {
+  type = type.toLowerCase();
+
+  if (INT_FIELDS.includes(type) || ['bit', 'bool', 'boolean'].includes(type)) {
+    return 'INTEGER';
+  }
+  if (['float', 'double', 'real', 'decimal', 'numeric'].includes(type)) {
+    return 'REAL';
+  }
+  if (BLOB_FIELDS.includes(type) || ['binary', 'varbinary'].includes(type)) {
+    return 'BLOB';
+  }
+
+  return 'TEXT';
+}
+
+/**
+ * Determines the type affinity SQLite gives a declared column type.
+ *
+ * @link https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+ *
+ * @param {string} declared Declared column type.
+ * @return {string} INTEGER, TEXT, BLOB, REAL or NUMERIC.
+ */
+function sqliteAffinity(declared) {
+  declared = declared.toUpperCase();
+
+  if (declared.includes('INT')) {
+    return 'INTEGER';
+  }
+  if (/CHAR|CLOB|TEXT/.test(declared)) {
+    return 'TEXT';
+  }
+  if (!declared || declared.includes('BLOB')) {
+    return 'BLOB';
+  }
+  if (/REAL|FLOA|DOUB/.test(declared)) {
+    return 'REAL';
+  }
+
+  return 'NUMERIC';
+}
+
+/**
+ * Builds the SQLite column type of a MySQL column type.
+ *
+ * The MySQL type is kept, so that the SQLite driver can describe the column, and followed
+ * by the affinity when SQLite would derive another one from it, e.g. `datetime TEXT` or
+ * `decimal REAL(10,2)`: SQLite only accepts the size at the end.
+ *
+ * @param {string} type MySQL column type without display width, e.g. 'bigint'.
+ * @param {string} [size=''] Optional. Display width or precision, e.g. '(20)'.
+ * @return {string} The SQLite column type.
+ */
+function sqliteDeclaredType(type, size = '') {
+  const affinity = sqliteType(type);
+
+  // SQLite only accepts numbers as type arguments, unlike the values of an ENUM.
+  size = /^\(\s*\d+\s*(?:,\s*\d+\s*)?\)$/.test(size) ? size.replace(/\s+/g, '') : '';
+
+  return [`${type}${size}`, `${type} ${affinity}${size}`].find((candidate) => affinity === sqliteAffinity(candidate)) || affinity;
+}
+
+/**
+ * Translates a MySQL column definition to SQLite.
+ *
+ * SQLite can only add a NOT NULL column to an existing table when the column
+ * has a default value, so one is added when `adding` is set.
+ *
+ * @param {string} fld MySQL column definition.
+ * @param {string|null} [primaryKey=null] Optional. Name of the column that is the table's
+ *                                        single-column primary key.
+ * @param {boolean} [adding=false] Optional. Whether the column is added to an existing table.
+ * @return {string} The SQLite column definition.
+ */
+function sqliteColumnDefinition(fld, primaryKey = null, adding = false) {
+  const [, name, type, size, rest] = fld.match(COLUMN_DEFINITION);
+  const affinity = sqliteType(type);
+
+  let attributes = rest
+    .replace(/\s+(?:unsigned|signed|zerofill)\b/gi, '')
+    .replace(/\s+(?:CHARACTER\s+SET|CHARSET|COLLATE)\s+\S+/gi, '')
+    .replace(/\s+ON\s+UPDATE\s+\S+/gi, '')
+    .replace(/\s+COMMENT\s+'(?:[^'\\]|\\.|'')*'/gi, '');
+
+  const autoIncrement = /\sauto_increment\b/i.test(attributes);
+  attributes = attributes.replace(/\s+auto_increment\b/gi, '').trim();
+
+  if (autoIncrement && primaryKey === name && !adding) {
+    return `\`${name}\` INTEGER ${attributes} PRIMARY KEY AUTOINCREMENT`.replace(/\s+/g, ' ');
+  }
+
+  if (adding && /\bNOT\s+NULL\b/i.test(attributes) && !/\bDEFAULT\b/i.test(attributes)) {
+    attributes += 'TEXT' === affinity ? " DEFAULT ''" : ' DEFAULT 0';
+  }
+
+  return `\`${name}\` ${sqliteDeclaredType(type, size)} ${attributes}`.trim();
+}
+
+/**
+ * Builds the name of an SQLite index.
+ *
+ * Index names are unique per database in SQLite, not per table, so they are prefixed with the table name.
+ *
+ * @param {string} table Table name.
+ * @param {string} index Index name.
+ * @return {string} The SQLite index name.
+ */
+function sqliteIndexName(table, index) {
+  return `${table}__${index}`;
+}
+
+/**
+ * Builds the SQLite CREATE INDEX query of an index.
+ *
+ * SQLite has no index prefixes, fulltext or spatial indexes; the columns are indexed in full.
+ *
+ * @param {string} table Table name.
+ * @param {Object} index Index, as returned by parseIndexDefinition().
+ * @return {string} CREATE INDEX query.
+ */
+function sqliteCreateIndex(table, index) {
+  const unique = index.type.startsWith('UNIQUE') ? 'UNIQUE ' : '';
+  const columns = index.columns.map((column) => `\`${column.name}\``).join(',');
+
+  return `CREATE ${unique}INDEX \`${sqliteIndexName(table, index.name)}\` ON \`${table}\` (${columns})`;
+}
+
+/**
+ * Translates a MySQL CREATE TABLE query to SQLite.
+ *
+ * @param {string} table Table name.
+ * @param {string} query MySQL CREATE TABLE query.
+ * @return {Array<string>} The CREATE TABLE query followed by the CREATE INDEX queries of the table.
+ */
+function sqliteCreateTable(table, query) {
+  const { fields, indexes } = parseCreateTable(query);
+  const primary = indexes.find((index) => 'PRIMARY KEY' === index.type);
+  const primaryKey = primary && 1 === primary.columns.length ? primary.columns[0].name : null;
+
+  const lines = [...fields.values()].map((fld) => sqliteColumnDefinition(fld, primaryKey));
+
+  // The primary key is part of the column definition when it is an auto increment column.
+  if (primary && !lines.some((line) => line.endsWith('AUTOINCREMENT'))) {
+    lines.push(`PRIMARY KEY (${primary.columns.map((column) => `\`${column.name}\``).join(',')})`);
+  }
+
+  return [
+    `CREATE TABLE \`${table}\` (\n\t${lines.join(',\n\t')}\n)`,
+    ...indexes.filter((index) => index !== primary).map((index) => sqliteCreateIndex(table, index)),
+  ];
+}
+
+/**
+ * Compares a version number to another one.
+ *
+ * @param {string} version Version number, e.g. '8.0.36'.
+ * @param {string} required Version number to compare to.
+ * @return {boolean} Whether `version` is the same as or later than `required`.
+ */
+function versionAtLeast(version, required) {
+  const parts = version.split('.').map(Number);
+  const requiredParts = required.split('.').map(Number);
+
+  for (let i = 0; i < requiredParts.length; i++) {
+    if ((parts[i] || 0) !== requiredParts[i]) {
+      return (parts[i] || 0) > requiredParts[i];
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Compares the structure of an existing MySQL table to its CREATE TABLE query.
+ *
+ * @param {Wpdb} wpdb WordPress database abstraction object.
+ * @param {string} table Table name.
+ * @param {string} qry CREATE TABLE query.
+ * @param {Array<Object>} tablefields Columns of the table, as returned by `DESCRIBE`.
+ * @param {Array<string>} aqueries Alteration queries, appended to.
+ * @param {Object<string, string>} forUpdate Update messages, appended to.
+ */
+async function mysqlTableDelta(wpdb, table, qry, tablefields, aqueries, forUpdate) {
+  const dbVersion = wpdb.dbVersion();
+  const dbServerInfo = wpdb.dbServerInfo();
+
+  const { fields: cfields, indexes } = parseCreateTable(qry);
+  let indices = indexes.map((index) => mysqlIndexDefinition(index));
+  let indicesWithoutSubparts = indexes.map((index) => mysqlIndexDefinition(index, false));
+
+  // Strips the display width from a column type, e.g. `bigint(20) unsigned` becomes `bigint unsigned`.
+  const withoutParentheses = (type) => type.replace(/(.+)\(\d*\)(.*)/, '$1$2');
+
+  // For every field in the table.
+  for (const tablefield of tablefields) {
+    const tablefieldFieldLowercased = tablefield.Field.toLowerCase();
+    const tablefieldTypeLowercased = tablefield.Type.toLowerCase();
+    const tablefieldTypeWithoutParentheses = withoutParentheses(tablefieldTypeLowercased);
+
+    // Get the type without attributes, e.g. `int`.
+    const tablefieldTypeBase = tablefieldTypeWithoutParentheses.split(' ')[0];
+
+    // If the table field doesn't exist in the field array, it exists in the table but not in the creation queries.
+    if (!cfields.has(tablefieldFieldLowercased)) {
+      continue;
+    }
+
+    const fielddef = cfields.get(tablefieldFieldLowercased);
+
+    // Get the field type from the query.
+    const escapedField = tablefield.Field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const matches = fielddef.match(new RegExp(`\`?${escapedField}\`? ([^ ]*( unsigned)?)`, 'i'));
+    const fieldtype = matches[1];
+    const fieldtypeLowercased = fieldtype.toLowerCase();
+    const fieldtypeWithoutParentheses = withoutParentheses(fieldtypeLowercased);
+
+    // Get the type without attributes, e.g. `int`.
+    const fieldtypeBase = fieldtypeWithoutParentheses.split(' ')[0];
+
+    // Is actual field type different from the field type in query?
+    if (tablefield.Type !== fieldtype) {
+      let doChange = true;
+      if (TEXT_FIELDS.includes(fieldtypeLowercased) && TEXT_FIELDS.includes(tablefieldTypeLowercased)) {
+        if (TEXT_FIELDS.indexOf(fieldtypeLowercased) < TEXT_FIELDS.indexOf(tablefieldTypeLowercased)) {
+          doChange = false;
+        }
+      }
+
+      if (BLOB_FIELDS.includes(fieldtypeLowercased) && BLOB_FIELDS.includes(tablefieldTypeLowercased)) {
+        if (BLOB_FIELDS.indexOf(fieldtypeLowercased) < BLOB_FIELDS.indexOf(tablefieldTypeLowercased)) {
+          doChange = false;
+        }
+      }
+
+      if (INT_FIELDS.includes(fieldtypeBase) && INT_FIELDS.includes(tablefieldTypeBase)
+        && fieldtypeWithoutParentheses === tablefieldTypeWithoutParentheses
+      ) {
+        /*
+         * MySQL 8.0.17 or later does not support display width for integer data types,
+         * so if display width is the only difference, it can be safely ignored.
+         * Note: This is specific to MySQL and does not affect MariaDB.
+         */
+        if (versionAtLeast(dbVersion, '8.0.17') && !dbServerInfo.includes('MariaDB')) {
+          doChange = false;
+        }
+      }
+
+      if (doChange) {
+        // Add a query to change the column type.
+        aqueries.push(`ALTER TABLE ${table} CHANGE COLUMN \`${tablefield.Field}\` ${fielddef}`);
+
+        forUpdate[`${table}.${tablefield.Field}`] = `Changed type of ${table}.${tablefield.Field} from ${tablefield.Type} to ${fieldtype}`;
+      }
+    }
+
+    // Get the default value from the array.
+    const defaultMatch = fielddef.match(/ DEFAULT '(.*?)'/i);
+    if (defaultMatch) {
+      const defaultValue = defaultMatch[1];
+      if (tablefield.Default !== defaultValue) {
+        // Add a query to change the column's default value
+        aqueries.push(`ALTER TABLE ${table} ALTER COLUMN \`${tablefield.Field}\` SET DEFAULT '${defaultValue}'`);
+
+        forUpdate[`${table}.${tablefield.Field}`] = `Changed default value of ${table}.${tablefield.Field} from ${tablefield.Default} to ${defaultValue}`;
+      }
+    }
+
+    // Remove the field from the array (so it's not added).
+    cfields.delete(tablefieldFieldLowercased);
+  }
+
+  // For every remaining field specified for the table.
+  for (const [fieldname, fielddef] of cfields) {
+    // Push a query line into aqueries that adds the field to that table.
+    aqueries.push(`ALTER TABLE ${table} ADD COLUMN ${fielddef}`);
+
+    forUpdate[`${table}.${fieldname}`] = `Added column ${table}.${fieldname}`;
+  }
+
+  // Index stuff goes here. Fetch the table index structure from the database.
+  const tableindices = await wpdb.getResults(`SHOW INDEX FROM ${table};`);
+
+  if (tableindices && tableindices.length) {
+    // Clear the index array.
+    const indexAry = {};
+
+    // For every index in the table.
+    for (const tableindex of tableindices) {
+      const keyname = tableindex.Key_name.toLowerCase();
+
+      // Add the index to the index data array.
+      indexAry[keyname] = indexAry[keyname] || { columns: [] };
+      indexAry[keyname].columns.push({ fieldname: tableindex.Column_name, subpart: tableindex.Sub_part });
+      indexAry[keyname].unique = 0 === Number(tableindex.Non_unique);
+      indexAry[keyname].indexType = tableindex.Index_type;
+    }
+
+    // For each actual index in the index array.
+    for (const [indexName, indexData] of Object.entries(indexAry)) {
+      // Build a create string to compare to the query.
+      let indexString = '';
+      if ('primary' === indexName) {
+        indexString += 'PRIMARY ';
+      } else if (indexData.unique) {
+        indexString += 'UNIQUE ';
+      }
+
+      if ('FULLTEXT' === String(indexData.indexType).toUpperCase()) {
+        indexString += 'FULLTEXT ';
+      }
+
+      if ('SPATIAL' === String(indexData.indexType).toUpperCase()) {
+        indexString += 'SPATIAL ';
+      }
+
+      indexString += 'KEY ';
+      if ('primary' !== indexName) {
+        indexString += `\`${indexName}\``;
+      }
+
+      // Add the column list to the index create string.
+      indexString += ` (${indexData.columns.map((column) => `\`${column.fieldname}\``).join(',')})`;
+
+      // Check if the index definition exists, ignoring subparts.
+      const aindex = indicesWithoutSubparts.indexOf(indexString);
+      if (-1 !== aindex) {
+        // If the index already exists (even with different subparts), we don't need to create it.
+        indicesWithoutSubparts = indicesWithoutSubparts.filter((_, i) => i !== aindex);
+        indices = indices.filter((_, i) => i !== aindex);
+      }
+    }
+  }
+
+  // For every remaining index specified for the table.
+  for (const index of indices) {
+    // Push a query line into aqueries that adds the index to that table.
+    aqueries.push(`ALTER TABLE ${table} ADD ${index}`);
+
+    forUpdate[`${table} ${index}`] = `Added index ${table} ${index}`;
+  }
+}
+
+/**
+ * Compares the structure of an existing SQLite table to its CREATE TABLE query.
+ *
+ * SQLite can't change the type or default value of a column, and its columns accept
+ * any type of value anyway, so only the missing columns and indexes are added.
+ *
+ * @param {Wpdb} wpdb WordPress database abstraction object.
+ * @param {string} table Table name.
+ * @param {string} qry CREATE TABLE query.
+ * @param {Array<Object>} tablefields Columns of the table, as returned by `PRAGMA table_info`.
+ * @param {Array<string>} aqueries Alteration queries, appended to.
+ * @param {Object<string, string>} forUpdate Update messages, appended to.
+ */
+async function sqliteTableDelta(wpdb, table, qry, tablefields, aqueries, forUpdate) {
+  const { fields: cfields, indexes } = parseCreateTable(qry);
+
+  for (const tablefield of tablefields) {
+    cfields.delete(tablefield.name.toLowerCase());
+  }
+
+  // For every remaining field specified for the table.
+  for (const [fieldname, fielddef] of cfields) {
+    aqueries.push(`ALTER TABLE \`${table}\` ADD COLUMN ${sqliteColumnDefinition(fielddef, null, true)}`);
+
+    forUpdate[`${table}.${fieldname}`] = `Added column ${table}.${fieldname}`;
+  }
+
+  const tableindices = await wpdb.getCol(`PRAGMA index_list(\`${table}\`)`, 1);
+
+  // A primary key can't be added to an existing SQLite table.
+  for (const index of indexes) {
+    if ('PRIMARY KEY' === index.type || tableindices.includes(sqliteIndexName(table, index.name))) {
+      continue;
+    }
+
+    aqueries.push(sqliteCreateIndex(table, index));
+
+    forUpdate[`${table} ${mysqlIndexDefinition(index)}`] = `Added index ${table} ${mysqlIndexDefinition(index)}`;
+  }
+}
+
+/**
+ * Modifies the database based on specified SQL statements.
+ *
+ * Useful for creating new tables and updating existing tables to a new structure.
+ *
+ * The queries are written for MySQL. On SQLite the CREATE TABLE queries are translated,
+ * and existing tables only get their missing columns and indexes.
+ *
+ * @since 1.5.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string|Array<string>} [queries=''] Optional. The query to run. Can be multiple queries
+ *                                             in an array, or a string of queries separated by
+ *                                             semicolons. Default empty string.
+ * @param {boolean} [execute=true] Optional. Whether or not to execute the query right away.
+ *                                 Default true.
+ * @param {Wpdb} [wpdb] Optional. Database object to compare with and run the queries on.
+ *                      Default the global one.
+ * @return {Promise<Object<string, string>>} Strings containing the results of the various update queries.
+ */
+async function dbDelta(queries = '', execute = true, wpdb = global.wpdb) {
+  if (['', 'all', 'blog', 'global', 'ms_global'].includes(queries)) {
+    queries = wpGetDbSchema(queries || 'all');
+  }
+
+  // Separate individual queries into an array.
+  if (!Array.isArray(queries)) {
+    queries = queries.split(';').filter((query) => query.trim());
+  }
+
+  const dqueries = []; // Database creation queries.
+  const cqueries = new Map(); // Creation queries, keyed by table name.
+  const aqueries = []; // Alteration queries.
+  const iqueries = []; // Insertion queries.
+  const forUpdate = {};
+
+  // Create a tablename index for a map (cqueries) of recognized query types.
+  for (const qry of queries) {
+    let matches = qry.match(/CREATE TABLE ([^ ]*)/);
+    if (matches) {
+      cqueries.set(matches[1].replace(/^`+|`+$/g, ''), qry);
+      forUpdate[matches[1]] = `Created table ${matches[1]}`;
+      continue;
+    }
+
+    matches = qry.match(/CREATE DATABASE ([^ ]*)/);
+    if (matches) {
+      dqueries.unshift(qry);
+      continue;
+    }
+
+    if (/INSERT INTO ([^ ]*)/.test(qry) || /UPDATE ([^ ]*)/.test(qry)) {
+      iqueries.push(qry);
+    }
+  }
+
+  const globalTables = Object.values(wpdb.tables('global'));
+
+  for (const [table, qry] of [...cqueries]) {
+    // Upgrade global tables only for the main site. Don't upgrade at all if conditions are not optimal.
+    if (globalTables.includes(table) && !wpShouldUpgradeGlobalTables()) {
+      cqueries.delete(table);
+      delete forUpdate[table];
+      continue;
+    }
+
+    // Fetch the table column structure from the database.
+    const suppress = wpdb.suppressErrors();
+    const tablefields = wpdb.isMySQL
+      ? await wpdb.getResults(`DESCRIBE ${table};`)
+      : await wpdb.getResults(`PRAGMA table_info(\`${table}\`)`);
+    wpdb.suppressErrors(suppress);
+
+    if (!tablefields || !tablefields.length) {
+      continue;
+    }
+
+    if (wpdb.isMySQL) {
+      await mysqlTableDelta(wpdb, table, qry, tablefields, aqueries, forUpdate);
+    } else {
+      await sqliteTableDelta(wpdb, table, qry, tablefields, aqueries, forUpdate);
+    }
+
+    // Remove the original table creation query from processing.
+    cqueries.delete(table);
+    delete forUpdate[table];
+  }
+
+  let allqueries;
+  if (wpdb.isMySQL) {
+    allqueries = [...dqueries, ...cqueries.values(), ...aqueries, ...iqueries];
+  } else {
+    // SQLite has no CREATE DATABASE, the database is the file.
+    const sqliteQueries = [...cqueries].flatMap(([table, qry]) => sqliteCreateTable(table, qry));
+    allqueries = [...sqliteQueries, ...aqueries, ...iqueries];
+  }
+
+  if (execute) {
+    for (const query of allqueries) {
+      await wpdb.query(query);
+    }
+  }
+
+  return forUpdate;
+}
+
+/**
+ * Determines if global tables should be upgraded.
+ *
+ * This function performs a series of checks to ensure the environment allows
+ * for the safe upgrading of global WordPress database tables. It is necessary
+ * because global tables will commonly grow to millions of rows on large
+ * installations, and the ability to control their upgrade routines can be
+ * critical to the operation of large networks.
+ *
+ * In a future iteration, this function may use `wp_is_large_network()` to more-
+ * intelligently prevent global table upgrades. Until then, we make sure
+ * WordPress is on the main site of the main network, to avoid running queries
+ * more than once in multi-site or multi-network environments.
+ *
+ * @since 4.3.0
+ *
+ * @return {boolean} Whether to run the upgrade routines on global tables.
+ */
+function wpShouldUpgradeGlobalTables() {
+  // Return false early if explicitly not upgrading.
+  if (process.env.DO_NOT_UPGRADE_GLOBAL_TABLES) {
+    return false;
+  }
+
+  // Assume global tables should be upgraded.
+  return true;
+}
+
+/**
+ * Updates the database tables to a new schema.
+ *
+ * By default, updates all the tables to use the latest defined schema, but can also
+ * be used to update a specific set of tables in wpGetDbSchema().
+ *
+ * @since 1.5.0
+ *
+ * @param {string} [tables='all'] Optional. Which set of tables to update. Default is 'all'.
+ * @return {Promise<Object<string, string>>} The alterations made.
+ */
+async function makeDbCurrent(tables = 'all') {
+  const alterations = await dbDelta(tables);
+
+  for (const alteration of Object.values(alterations)) {
+    console.log(alteration);
+  }
+
+  return alterations;
+}
+
+/**
+ * Updates the database tables to a new schema, but without displaying results.
+ *
+ * By default, updates all the tables to use the latest defined schema, but can
+ * also be used to update a specific set of tables in wpGetDbSchema().
+ *
+ * @since 1.5.0
+ *
+ * @see makeDbCurrent()
+ *
+ * @param {string} [tables='all'] Optional. Which set of tables to update. Default is 'all'.
+ * @return {Promise<Object<string, string>>} The alterations made.
+ */
+async function makeDbCurrentSilent(tables = 'all') {
+  return dbDelta(tables);
+}
+
+export {
+  dbDelta,
+  makeDbCurrent,
+  makeDbCurrentSilent,
+  wpShouldUpgradeGlobalTables,
+};
@@ -1,17 +1,20 @@
-// Loads the necessary environment and template.
-import { wpLoad, wp, templateLoader } from './wp-load.js';
+/**
+ * Loads the WordPress environment and template.
+ *
+ * The query and the template of each request are handled by the routes of index.js,
+ * so only the WordPress library is loaded here.
+ */
+import { wpLoad } from './wp-load.js';
 
-let wpDidHeader = false;
-
-if (!wpDidHeader) {
-  wpDidHeader = true;
-
-  // Load the WordPress library
-  wpLoad();
-
-  // Set up the WordPress query.
-  wp();
-
-  // Load the theme template.
-  templateLoader();
+/**
+ * Loads the WordPress library, once.
+ *
+ * @return {Promise<void>}
+ * @throws {Error} See wpLoad().
+ */
+async function wpBlogHeader() {
+  // Load the WordPress library.
+  await wpLoad();
 }
+
+export { wpBlogHeader };
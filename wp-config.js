@@ -16,6 +16,36 @@ export const envConfig = {
   DB_HOST: 'localhost',
   DB_CHARSET: 'utf8',
   DB_COLLATE: '',
+  // Database driver: 'mysql', or 'sqlite' to use DB_NAME as a database file (':memory:' for none).
+  DB_DRIVER: 'mysql',
+  // Connection pool shared by concurrent requests: maximum connections (0 for a single
+  // connection), milliseconds before an unused one is closed, and maximum waiting requests (0 for no limit).
+  DB_POOL_SIZE: 10,
+  DB_POOL_IDLE_TIMEOUT: 60000,
+  DB_POOL_QUEUE_LIMIT: 0,
+  // Read replicas and table groups on other servers, e.g.
+  // { global: { replicas: [{ host: 'replica-1' }] }, users: { primary: { host: 'users-db' }, tables: ['wp_users'] } }
+  DB_DATASETS: null,
+  // With SAVEQUERIES set in the environment, queries taking at least this many seconds are flagged as slow.
+  SLOW_QUERY_THRESHOLD: 0.05,
+  // What failing queries do: 'return' false, 'collect' the errors in EZSQL_ERROR and return false, or 'throw' them.
+  DB_ERROR_POLICY: 'return',
+  // Once reconnecting to a lost database fails, queries fail fast for this many milliseconds before the next attempt.
+  DB_RECONNECT_COOLDOWN: 30000,
+  // Query results are typed from their columns. BIGINT values come back as a 'string', as in WordPress,
+  // or a 'bigint'; DATE and DATETIME values as a 'string' or a UTC 'date'.
+  DB_BIG_NUMBERS: 'string',
+  DB_DATES: 'string',
+  // With MULTISITE set in the environment, each request is served by the site of the network at its
+  // host (SUBDOMAIN_INSTALL) or first path segment. DOMAIN_CURRENT_SITE and PATH_CURRENT_SITE, when set,
+  // skip looking up the network, which is SITE_ID_CURRENT_SITE with BLOG_ID_CURRENT_SITE as main site.
+  // NOBLOGREDIRECT is where requests for unknown subdomains go, '%siteurl%' for the network's home.
+  SUBDOMAIN_INSTALL: false,
+  DOMAIN_CURRENT_SITE: '',
+  PATH_CURRENT_SITE: '/',
+  SITE_ID_CURRENT_SITE: 1,
+  BLOG_ID_CURRENT_SITE: 1,
+  NOBLOGREDIRECT: '',
   AUTH_KEY: 'y*?<]|4@CaIx)BV<]/Z_t50$xm`3^!|A$?+3g+Zn!J4Uv9s|3~%eC :9<G^=)gI2',
   SECURE_AUTH_KEY: 'R8HPIE^K<%]`Bs_?wkdlhpM{!Tk*MR8ecT;9-l:A_x}.~KR,aSlPquCbGAnyN@1[',
   LOGGED_IN_KEY: '`5E[h )6KEswt:mM9BrMVm|@Ro`Iy-D-G<e-0O[.Ep8n1MZ0)sxI|.XFH8T)&4q^',
@@ -26,7 +56,17 @@ export const envConfig = {
   NONCE_SALT: 'astCLb|tA@K%P1K;6TP|V+:Xx.D-49vwJFVW((w+kPi#voPk+-`;:=nE2PMR{1(+',
   WP_CACHE_KEY_SALT: 'Cp#Eq?GeVt!M5,)F?8jpbWRF2aDs J)gwP%(G<7u{kh`y3j`7r#f#ElDr5(1_qgC',
   TABLE_PREFIX: 'wp_',
+  // Plugin directories, relative to the application directory: plugins run when activated in the
+  // active_plugins option, must-use plugins always run, before them.
+  WP_PLUGIN_DIR: 'wp-content/plugins',
+  WPMU_PLUGIN_DIR: 'wp-content/mu-plugins',
+  // Milliseconds each callback of an awaited hook (doActionAsync, applyFiltersAsync) has to settle, 0 for no limit.
+  HOOK_TIMEOUT: 5000,
+  // Development only: warns about code doing it wrong, and traces the actions and filters of each request,
+  // shown in an overlay of the page and at /__hook-tracer/<id>. The traces hold hook values, with no access check.
   WP_DEBUG: false,
+  // With WP_DEBUG, shows database errors on the error page.
+  WP_DEBUG_DISPLAY: true,
   WP_ENVIRONMENT_TYPE: 'local',
 };
 
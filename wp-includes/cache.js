@@ -0,0 +1,322 @@
+/**
+ * Object Cache API
+ *
+ * The functions work on the `wpObjectCache` global, set up by wpStartObjectCache()
+ * or wpCacheInit(). They are async, as the cache may live on another server.
+ *
+ * @link https://developer.wordpress.org/reference/classes/wp_object_cache/
+ *
+ * @package WordPress
+ * @subpackage Cache
+ */
+
+import WPObjectCache from './class-wp-object-cache.js';
+
+/**
+ * Sets up Object Cache Global and assigns it.
+ *
+ * @since 2.0.0
+ *
+ * @global {WPObjectCache} wpObjectCache
+ *
+ * @param {Object} [options={}] Optional. Settings of the cache, see WPObjectCache.
+ * @return {WPObjectCache} The object cache.
+ */
+function wpCacheInit(options = {}) {
+  global.wpObjectCache = new WPObjectCache(options);
+  return global.wpObjectCache;
+}
+
+/**
+ * Adds data to the cache, if the cache key doesn't already exist.
+ *
+ * @since 2.0.0
+ *
+ * @param {number|string} key The cache key to use for retrieval later.
+ * @param {*} data The data to add to the cache.
+ * @param {string} [group=''] Optional. The group to add the cache to. Enables the same key
+ *                            to be used across groups. Default empty.
+ * @param {number} [expire=0] Optional. When the cache data should expire, in seconds.
+ *                            Default 0 (no expiration).
+ * @return {Promise<boolean>} True on success, false if cache key and group already exist.
+ */
+function wpCacheAdd(key, data, group = '', expire = 0) {
+  return global.wpObjectCache.add(key, data, group, expire);
+}
+
+/**
+ * Adds multiple values to the cache in one call.
+ *
+ * @since 6.0.0
+ *
+ * @param {Object<string, *>} data Array of keys and values to be set.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+ * @return {Promise<Object<string, boolean>>} Array of return values, grouped by key.
+ */
+function wpCacheAddMultiple(data, group = '', expire = 0) {
+  return global.wpObjectCache.addMultiple(data, group, expire);
+}
+
+/**
+ * Replaces the contents of the cache with new data.
+ *
+ * @since 2.0.0
+ *
+ * @param {number|string} key The key for the cache data that should be replaced.
+ * @param {*} data The new data to store in the cache.
+ * @param {string} [group=''] Optional. The group for the cache data that should be replaced.
+ * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+ * @return {Promise<boolean>} True if contents were replaced, false if original value does not exist.
+ */
+function wpCacheReplace(key, data, group = '', expire = 0) {
+  return global.wpObjectCache.replace(key, data, group, expire);
+}
+
+/**
+ * Saves the data to the cache.
+ *
+ * Differs from wpCacheAdd() and wpCacheReplace() in that it will always write data.
+ *
+ * @since 2.0.0
+ *
+ * @param {number|string} key The cache key to use for retrieval later.
+ * @param {*} data The contents to store in the cache.
+ * @param {string} [group=''] Optional. Where to group the cache contents. Default empty.
+ * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function wpCacheSet(key, data, group = '', expire = 0) {
+  return global.wpObjectCache.set(key, data, group, expire);
+}
+
+/**
+ * Sets multiple values to the cache in one call.
+ *
+ * @since 6.0.0
+ *
+ * @param {Object<string, *>} data Array of keys and values to be set.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+ * @return {Promise<Object<string, boolean>>} Array of return values, grouped by key.
+ */
+function wpCacheSetMultiple(data, group = '', expire = 0) {
+  return global.wpObjectCache.setMultiple(data, group, expire);
+}
+
+/**
+ * Retrieves the cache contents from the cache by key and group.
+ *
+ * @since 2.0.0
+ *
+ * @param {number|string} key The key under which the cache contents are stored.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @return {Promise<*>} The cache contents on success, false on failure to retrieve contents.
+ */
+function wpCacheGet(key, group = '') {
+  return global.wpObjectCache.get(key, group);
+}
+
+/**
+ * Retrieves multiple values from the cache in one call.
+ *
+ * @since 5.5.0
+ *
+ * @param {Array<number|string>} keys Array of keys under which the cache contents are stored.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @return {Promise<Object<string, *>>} Array of return values, grouped by key. Each value is
+ *                                      either the cache contents on success, or false on failure.
+ */
+function wpCacheGetMultiple(keys, group = '') {
+  return global.wpObjectCache.getMultiple(keys, group);
+}
+
+/**
+ * Removes the cache contents matching key and group.
+ *
+ * @since 2.0.0
+ *
+ * @param {number|string} key What the contents in the cache are called.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @return {Promise<boolean>} True on successful removal, false on failure.
+ */
+function wpCacheDelete(key, group = '') {
+  return global.wpObjectCache.delete(key, group);
+}
+
+/**
+ * Deletes multiple values from the cache in one call.
+ *
+ * @since 6.0.0
+ *
+ * @param {Array<number|string>} keys Array of keys under which the cache to deleted.
+ * @param {string} [group=''] Optional. Where the cache contents are grouped. Default empty.
+ * @return {Promise<Object<string, boolean>>} Array of return values, grouped by key.
+ */
+function wpCacheDeleteMultiple(keys, group = '') {
+  return global.wpObjectCache.deleteMultiple(keys, group);
+}
+
+/**
+ * Increments numeric cache item's value.
+ *
+ * @since 3.3.0
+ *
+ * @param {number|string} key The key for the cache contents that should be incremented.
+ * @param {number} [offset=1] Optional. The amount by which to increment the item's value.
+ * @param {string} [group=''] Optional. The group the key is in. Default empty.
+ * @return {Promise<number|false>} The item's new value on success, false on failure.
+ */
+function wpCacheIncr(key, offset = 1, group = '') {
+  return global.wpObjectCache.incr(key, offset, group);
+}
+
+/**
+ * Decrements numeric cache item's value.
+ *
+ * @since 3.3.0
+ *
+ * @param {number|string} key The cache key to decrement.
+ * @param {number} [offset=1] Optional. The amount by which to decrement the item's value.
+ * @param {string} [group=''] Optional. The group the key is in. Default empty.
+ * @return {Promise<number|false>} The item's new value on success, false on failure.
+ */
+function wpCacheDecr(key, offset = 1, group = '') {
+  return global.wpObjectCache.decr(key, offset, group);
+}
+
+/**
+ * Removes all cache items.
+ *
+ * @since 2.0.0
+ *
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function wpCacheFlush() {
+  return global.wpObjectCache.flush();
+}
+
+/**
+ * Removes all cache items from the in-memory runtime cache.
+ *
+ * @since 6.0.0
+ *
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function wpCacheFlushRuntime() {
+  return global.wpObjectCache.flushRuntime();
+}
+
+/**
+ * Removes all cache items in a group, if the object cache implementation supports it.
+ *
+ * Before calling this function, always check for group flushing support using the
+ * `wpCacheSupports('flush_group')` function.
+ *
+ * @since 6.1.0
+ *
+ * @param {string} group Name of group to remove from cache.
+ * @return {Promise<boolean>} True if group was flushed, false otherwise.
+ */
+function wpCacheFlushGroup(group) {
+  return global.wpObjectCache.flushGroup(group);
+}
+
+/**
+ * Determines whether the object cache implementation supports a particular feature.
+ *
+ * @since 6.1.0
+ *
+ * @param {string} feature Name of the feature to check for. Possible values include:
+ *                         'add_multiple', 'set_multiple', 'get_multiple', 'delete_multiple',
+ *                         'flush_runtime', 'flush_group'.
+ * @return {boolean} True if the feature is supported, false otherwise.
+ */
+function wpCacheSupports(feature) {
+  return ['add_multiple', 'set_multiple', 'get_multiple', 'delete_multiple', 'flush_runtime', 'flush_group'].includes(feature);
+}
+
+/**
+ * Closes the cache.
+ *
+ * @since 2.0.0
+ *
+ * @return {Promise<boolean>} Always returns true.
+ */
+async function wpCacheClose() {
+  if (global.wpObjectCache) {
+    await global.wpObjectCache.close();
+  }
+
+  return true;
+}
+
+/**
+ * Adds a group or set of groups to the list of global groups.
+ *
+ * @since 2.6.0
+ *
+ * @param {string|Array<string>} groups A group or an array of groups to add.
+ */
+function wpCacheAddGlobalGroups(groups) {
+  global.wpObjectCache.addGlobalGroups(groups);
+}
+
+/**
+ * Adds a group or set of groups to the list of non-persistent groups.
+ *
+ * @since 2.6.0
+ *
+ * @param {string|Array<string>} groups A group or an array of groups to add.
+ */
+function wpCacheAddNonPersistentGroups(groups) {
+  global.wpObjectCache.addNonPersistentGroups(groups);
+}
+
+/**
+ * Switches the internal blog ID.
+ *
+ * This changes the blog id used to create keys in blog specific groups.
+ *
+ * @since 3.5.0
+ *
+ * @param {number} blogId Site ID.
+ */
+function wpCacheSwitchToBlog(blogId) {
+  global.wpObjectCache.switchToBlog(blogId);
+}
+
+/**
+ * Returns an Express middleware giving each request its own non-persistent groups.
+ *
+ * @global {WPObjectCache} wpObjectCache
+ *
+ * @return {function(Object, Object, Function): void} The middleware.
+ */
+function wpCacheMiddleware() {
+  return global.wpObjectCache.middleware();
+}
+
+export {
+  wpCacheInit,
+  wpCacheAdd,
+  wpCacheAddMultiple,
+  wpCacheReplace,
+  wpCacheSet,
+  wpCacheSetMultiple,
+  wpCacheGet,
+  wpCacheGetMultiple,
+  wpCacheDelete,
+  wpCacheDeleteMultiple,
+  wpCacheIncr,
+  wpCacheDecr,
+  wpCacheFlush,
+  wpCacheFlushRuntime,
+  wpCacheFlushGroup,
+  wpCacheSupports,
+  wpCacheClose,
+  wpCacheAddGlobalGroups,
+  wpCacheAddNonPersistentGroups,
+  wpCacheSwitchToBlog,
+  wpCacheMiddleware,
+};
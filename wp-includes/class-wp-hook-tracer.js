@@ -0,0 +1,406 @@
+/**
+ * Plugin API: WPHookTracer class
+ *
+ * When `WP_DEBUG` is set in wp-config.js `envConfig`, the Plugin API traces the actions
+ * and filters of each request: which hooks ran, in which order and how deep, the callbacks
+ * each one ran with the file and line they were added from, how long they took, and what
+ * filters changed. The trace of a request is shown in an overlay of the page, or as JSON.
+ *
+ * Values are recorded as snapshots, cut short past a few levels of nesting, so that the
+ * trace shows them as they were and can be serialized.
+ *
+ * @example
+ * app.use(wpHookTracer().middleware());
+ * // GET /any/page -> the page with the overlay, and an `X-Hook-Tracer` header
+ * // GET /__hook-tracer/<id> -> the trace of that request as JSON
+ *
+ * @package WordPress
+ * @subpackage Plugin
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Files of the Plugin API, skipped when finding where a callback was added.
+ *
+ * @constant {RegExp}
+ */
+const PLUGIN_API_FILE = /[\\/](?:plugin|class-wp-hook|class-wp-hook-tracer)\.js$/;
+
+/**
+ * A callback run by a traced hook.
+ *
+ * @typedef {Object} WPHookTraceCall
+ * @property {string} callback Name of the callback.
+ * @property {number} priority Its priority.
+ * @property {string} source File and line it was added from, relative to the application directory.
+ * @property {number} time Time it took, in milliseconds.
+ * @property {string} error Its error, empty if it succeeded.
+ */
+
+/**
+ * A traced run of an action or filter.
+ *
+ * @typedef {Object} WPHookTraceEntry
+ * @property {string} hook The name of the hook.
+ * @property {string} type 'action' or 'filter'.
+ * @property {boolean} async Whether the hook was awaited.
+ * @property {number} depth Number of hooks it ran in.
+ * @property {number} start When it started, in milliseconds from the start of the request.
+ * @property {number} time Time it took, in milliseconds.
+ * @property {Array<*>} args Snapshots of its arguments, without the filtered value.
+ * @property {*} [before] Snapshot of the filtered value before the callbacks ran.
+ * @property {*} [after] Snapshot of the filtered value after the callbacks ran.
+ * @property {Array<WPHookTraceCall>} callbacks The callbacks it ran.
+ */
+
+/**
+ * Trace of a request.
+ *
+ * @typedef {Object} WPHookTrace
+ * @property {string} id Request ID.
+ * @property {string} method Request method.
+ * @property {string} url Request URL.
+ * @property {number} start Unix timestamp of the start of the request, in milliseconds.
+ * @property {Array<WPHookTraceEntry>} hooks The hooks run, in the order they started.
+ * @property {number} dropped Number of hooks run past the maximum recorded.
+ */
+
+/**
+ * Escapes a string for HTML.
+ *
+ * @param {*} text Text to escape.
+ * @return {string} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+class WPHookTracer {
+  /**
+   * Maximum number of hook runs recorded per request.
+   *
+   * @var {number}
+   */
+  maxHooks = 5000;
+
+  /**
+   * Levels of nesting kept in value snapshots.
+   *
+   * @var {number}
+   */
+  maxDepth = 3;
+
+  /**
+   * Length from which strings are cut short in value snapshots.
+   *
+   * @var {number}
+   */
+  maxLength = 500;
+
+  /**
+   * Number of request traces kept for the JSON endpoint.
+   *
+   * @var {number}
+   */
+  historySize = 50;
+
+  /**
+   * Traces of the latest requests, keyed by request ID.
+   *
+   * @var {Map<string, Object>}
+   */
+  history = new Map();
+
+  /**
+   * Holds the trace of the current request.
+   *
+   * @var {AsyncLocalStorage<WPHookTrace>}
+   */
+  storage = new AsyncLocalStorage();
+
+  /**
+   * @param {Object} [options={}] Optional. Tracer settings.
+   * @param {number} [options.maxHooks=5000] Maximum number of hook runs recorded per request.
+   * @param {number} [options.maxDepth=3] Levels of nesting kept in value snapshots.
+   * @param {number} [options.maxLength=500] Length from which strings are cut short in value snapshots.
+   * @param {number} [options.historySize=50] Number of request traces kept.
+   */
+  constructor({ maxHooks, maxDepth, maxLength, historySize } = {}) {
+    this.maxHooks = maxHooks ?? this.maxHooks;
+    this.maxDepth = maxDepth ?? this.maxDepth;
+    this.maxLength = maxLength ?? this.maxLength;
+    this.historySize = historySize ?? this.historySize;
+  }
+
+  /**
+   * Runs a callback with its own trace.
+   *
+   * @param {Function} callback The callback. Hooks run by anything it awaits are traced.
+   * @param {Object} [request={}] Optional. The `method` and `url` of the request traced.
+   * @return {*} The value returned by the callback.
+   */
+  run(callback, { method = '', url = '' } = {}) {
+    const trace = { id: crypto.randomUUID(), method, url, start: Date.now(), hooks: [], dropped: 0 };
+    return this.storage.run(trace, callback);
+  }
+
+  /**
+   * Retrieves the trace of the current request.
+   *
+   * @return {WPHookTrace|undefined} The trace, undefined outside of run().
+   */
+  current() {
+    return this.storage.getStore();
+  }
+
+  /**
+   * Starts tracing a run of a hook.
+   *
+   * @param {string} type 'action' or 'filter'.
+   * @param {string} hookName The name of the hook.
+   * @param {*} value The filtered value, ignored for actions.
+   * @param {Array<*>} args The other arguments of the hook.
+   * @param {Object} [options={}] Optional. How the hook runs.
+   * @param {number} [options.depth=0] Number of hooks it runs in.
+   * @param {boolean} [options.async=false] Whether it is awaited.
+   * @return {{record: function(Object): void, end: function(*=): void}|null} Functions to record
+   *         each callback run, see WPHook.applyFilters(), and to end the run with the filtered
+   *         value. Null if the hook isn't traced.
+   */
+  start(type, hookName, value, args, { depth = 0, async = false } = {}) {
+    const trace = this.current();
+    if (!trace) {
+      return null;
+    }
+
+    if (trace.hooks.length >= this.maxHooks) {
+      trace.dropped++;
+      return null;
+    }
+
+    const started = performance.now();
+    const entry = {
+      hook: hookName,
+      type,
+      async,
+      depth,
+      start: Date.now() - trace.start,
+      time: 0,
+      args: args.map((arg) => this.snapshot(arg)),
+      ...('filter' === type ? { before: this.snapshot(value) } : {}),
+      callbacks: [],
+    };
+    trace.hooks.push(entry);
+
+    return {
+      record: ({ callback, priority, source, time, error }) => {
+        entry.callbacks.push({
+          callback: callback.name || 'anonymous function',
+          priority,
+          source,
+          time,
+          error: error ? String(error.message || error) : '',
+        });
+      },
+      end: (result) => {
+        entry.time = performance.now() - started;
+        if ('filter' === type) {
+          entry.after = this.snapshot(result);
+        }
+      },
+    };
+  }
+
+  /**
+   * Finds the file and line a Plugin API function was called from.
+   *
+   * @param {string} [stack=new Error().stack] Optional. The stack trace to read.
+   * @return {string} The file and line, relative to the application directory, or an empty
+   *                  string if the stack only has Plugin API frames.
+   */
+  callerSource(stack = new Error().stack) {
+    for (const line of String(stack).split('\n').slice(1)) {
+      const match = line.match(/\(?((?:file:\/\/)?[^\s()]+?):(\d+):\d+\)?\s*$/);
+      if (!match || match[1].startsWith('node:') || PLUGIN_API_FILE.test(match[1])) {
+        continue;
+      }
+
+      const file = match[1].replace(/^file:\/\//, '');
+      return `${path.isAbsolute(file) ? path.relative(process.cwd(), file) : file}:${match[2]}`;
+    }
+
+    return '';
+  }
+
+  /**
+   * Copies a value for the trace, as it is now.
+   *
+   * @param {*} value The value.
+   * @param {number} [depth=this.maxDepth] Optional. Levels of nesting to keep.
+   * @return {*} A copy that can be serialized to JSON.
+   */
+  snapshot(value, depth = this.maxDepth) {
+    if ('function' === typeof value) {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+
+    if ('bigint' === typeof value || 'symbol' === typeof value) {
+      return String(value);
+    }
+
+    if ('string' === typeof value) {
+      return value.length > this.maxLength ? `${value.slice(0, this.maxLength)}…` : value;
+    }
+
+    if (null === value || 'object' !== typeof value) {
+      return value;
+    }
+
+    if ('function' === typeof value.toISOString) {
+      return value.toISOString();
+    }
+
+    if (!depth) {
+      return Array.isArray(value) ? `[Array(${value.length})]` : `[${(value.constructor && value.constructor.name) || 'Object'}]`;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.snapshot(item, depth - 1));
+    }
+
+    if (value instanceof Map) {
+      return Object.fromEntries([...value].map(([key, item]) => [String(key), this.snapshot(item, depth - 1)]));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.snapshot(item, depth - 1)]));
+  }
+
+  /**
+   * Aggregates a trace into a report.
+   *
+   * @param {WPHookTrace} [trace=this.current()] Optional. The trace. Defaults to the one of
+   *                                             the current request.
+   * @return {Object} The trace, with `count` hooks run taking `time` milliseconds in
+   *                  total, and `summary`: for each hook, how many times it ran and how long
+   *                  it took, the slowest first.
+   */
+  report(trace = this.current()) {
+    const byHook = new Map();
+
+    for (const entry of trace.hooks) {
+      const summary = byHook.get(entry.hook) || { hook: entry.hook, type: entry.type, count: 0, time: 0, callbacks: 0 };
+      summary.count++;
+      summary.callbacks += entry.callbacks.length;
+      // Nested runs are part of the time of the hooks they run in.
+      summary.time += entry.time;
+      byHook.set(entry.hook, summary);
+    }
+
+    return {
+      ...trace,
+      count: trace.hooks.length,
+      time: trace.hooks.filter((entry) => !entry.depth).reduce((total, entry) => total + entry.time, 0),
+      summary: [...byHook.values()].sort((a, b) => b.time - a.time),
+    };
+  }
+
+  /**
+   * Renders the overlay of a report.
+   *
+   * @param {Object} report The report.
+   * @return {string} The overlay HTML.
+   */
+  renderPanel(report) {
+    const rows = report.hooks.map((entry) => {
+      const callbacks = entry.callbacks.map((call) => `${escapeHtml(call.callback)} <small>${call.priority}`
+        + ` &middot; ${call.time.toFixed(2)} ms${call.source ? ` &middot; ${escapeHtml(call.source)}` : ''}</small>`
+        + `${call.error ? ` <strong>${escapeHtml(call.error)}</strong>` : ''}`);
+      const change = 'filter' === entry.type && JSON.stringify(entry.before) !== JSON.stringify(entry.after)
+        ? `<br><small>${escapeHtml(JSON.stringify(entry.before))} &rarr; ${escapeHtml(JSON.stringify(entry.after))}</small>`
+        : '';
+
+      return '<tr>'
+        + `<td style="padding-left:${entry.depth + 0.5}em"><code>${escapeHtml(entry.hook)}</code>${change}</td>`
+        + `<td>${entry.type}${entry.async ? ' (async)' : ''}</td>`
+        + `<td>${entry.time.toFixed(2)} ms</td>`
+        + `<td>${callbacks.join('<br>')}</td>`
+        + '</tr>';
+    });
+
+    return '<details id="wp-hook-tracer" style="position:fixed;top:0;left:0;right:0;max-height:50vh;overflow:auto;'
+      + 'background:#fff;color:#1d2327;border-bottom:2px solid #8c5e00;font:13px/1.4 sans-serif;z-index:99999">'
+      + `<summary style="padding:6px 10px;cursor:pointer">Hooks: ${report.count} in ${report.time.toFixed(1)} ms`
+      + `${report.dropped ? ` &middot; not recorded: ${report.dropped}` : ''}</summary>`
+      + '<table style="width:100%;border-collapse:collapse"><thead><tr><th>Hook</th><th>Type</th><th>Time</th><th>Callbacks</th></tr></thead>'
+      + `<tbody>${rows.join('')}</tbody></table></details>`;
+  }
+
+  /**
+   * Keeps the report of a request for the JSON endpoint.
+   *
+   * @param {string} id Request ID.
+   * @param {Object} report The report.
+   */
+  remember(id, report) {
+    this.history.set(id, report);
+
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+  }
+
+  /**
+   * Creates the Express middleware of the tracer.
+   *
+   * Each request gets its own trace. Each response gets an `X-Hook-Tracer` header with
+   * the URL of its trace, and HTML pages get the overlay unless `panel` is false.
+   *
+   * @param {Object} [options={}] Optional. Middleware settings.
+   * @param {boolean} [options.panel=true] Whether to add the overlay to HTML pages.
+   * @param {string} [options.path='/__hook-tracer'] Base path of the JSON endpoint.
+   * @return {Function} The middleware.
+   */
+  middleware({ panel = true, path: basePath = '/__hook-tracer' } = {}) {
+    return (req, res, next) => {
+      if (req.path.startsWith(`${basePath}/`)) {
+        const report = this.history.get(req.path.slice(basePath.length + 1));
+        if (!report) {
+          res.status(404).json({ code: 'hook_tracer_not_found', message: 'No hooks were traced for this request.' });
+          return;
+        }
+
+        res.json(report);
+        return;
+      }
+
+      this.run(() => {
+        const trace = this.current();
+
+        res.set('X-Hook-Tracer', `${basePath}/${trace.id}`);
+        res.on('finish', () => this.remember(trace.id, this.report(trace)));
+
+        if (panel) {
+          const tracer = this;
+          const send = res.send;
+
+          res.send = function sendWithPanel(body) {
+            const type = this.get('Content-Type') || 'text/html';
+            if ('string' === typeof body && type.includes('text/html') && body.includes('</body>')) {
+              body = body.replace('</body>', `${tracer.renderPanel(tracer.report(trace))}</body>`);
+            }
+
+            return send.call(this, body);
+          };
+        }
+
+        next();
+      }, { method: req.method, url: req.originalUrl });
+    };
+  }
+}
+
+export { WPHookTracer };
+export default WPHookTracer;
@@ -0,0 +1,563 @@
+/**
+ * Plugin API: WPHook class
+ *
+ * Holds the callbacks of one action or filter hook, the way WP_Hook does, and runs
+ * them in priority order, then in the order they were added.
+ *
+ * Callbacks can be added and removed while the hook runs, also from its own callbacks:
+ * priorities added after the one running are run too, removed ones are skipped. The
+ * callbacks of the priority running are the ones it had when it started.
+ *
+ * Async callbacks are awaited by applyFiltersAsync() and doActionAsync(), one after the
+ * other. Their runs can overlap, e.g. for concurrent requests, so each run keeps its own
+ * place in the hook. A callback returning a promise to applyFilters() or doAction() isn't
+ * awaited, which is reported with doingItWrong().
+ *
+ * Runs can be given a recorder, which is told about each callback run: the hook tracer
+ * uses it to time callbacks.
+ *
+ * @package WordPress
+ * @subpackage Plugin
+ * @since 4.7.0
+ */
+
+import { doingItWrong } from './functions.js';
+
+/**
+ * A run of the hook: the priorities it has left to run, and the one running.
+ *
+ * @typedef {Object} WPHookIteration
+ * @property {Array<number>} priorities The priorities left to run.
+ * @property {number|undefined} current The priority running, undefined before the first one.
+ */
+
+/**
+ * A callback run by the hook, as told to the recorder of the run.
+ *
+ * @typedef {Object} WPHookCall
+ * @property {Function} callback The callback.
+ * @property {number} priority Its priority.
+ * @property {string} source Where it was added, see addFilter().
+ * @property {number} time Time it took, in milliseconds.
+ * @property {Error|null} error Its error, null if it succeeded.
+ */
+
+class WPHook {
+  /**
+   * The name of the hook, for messages.
+   *
+   * @var {string}
+   */
+  hookName = '';
+
+  /**
+   * Hook callbacks, keyed by priority, then by callback.
+   *
+   * @var {Map<number, Map<Function, {callback: Function, acceptedArgs: number, source: string}>>}
+   */
+  callbacks = new Map();
+
+  /**
+   * Priorities of the callbacks, in ascending order.
+   *
+   * @var {Array<number>}
+   */
+  priorities = [];
+
+  /**
+   * The runs in progress, the latest last.
+   *
+   * @var {Array<WPHookIteration>}
+   */
+  iterations = [];
+
+  /**
+   * Number of levels this hook can be recursively called.
+   *
+   * @var {number}
+   */
+  nestingLevel = 0;
+
+  /**
+   * Flag for if we're currently doing an action, rather than a filter.
+   *
+   * @var {boolean}
+   */
+  doingAction = false;
+
+  /**
+   * @param {string} [hookName=''] Optional. The name of the hook.
+   */
+  constructor(hookName = '') {
+    this.hookName = hookName;
+  }
+
+  /**
+   * Adds a callback function to a filter hook.
+   *
+   * Adding the same callback again at the same priority replaces it.
+   *
+   * @since 4.7.0
+   *
+   * @param {string} hookName The name of the filter to add the callback to.
+   * @param {Function} callback The callback to be run when the filter is applied.
+   * @param {number} priority The order in which the functions associated with a particular
+   *                          filter are executed. Lower numbers correspond with earlier execution.
+   * @param {number} acceptedArgs The number of arguments the function accepts.
+   * @param {string} [source=''] Optional. Where the callback was added, e.g. 'wp-content/plugins/seo/seo.js:12'.
+   */
+  addFilter(hookName, callback, priority, acceptedArgs, source = '') {
+    priority = Number(priority) || 0;
+
+    const priorityExisted = this.callbacks.has(priority);
+    if (!priorityExisted) {
+      this.callbacks.set(priority, new Map());
+    }
+
+    this.callbacks.get(priority).set(callback, { callback, acceptedArgs: Number(acceptedArgs) || 0, source });
+
+    // If we're adding a new priority to the list, put them back in sorted order.
+    if (!priorityExisted) {
+      this.priorities = [...this.callbacks.keys()].sort((a, b) => a - b);
+    }
+
+    if (this.nestingLevel > 0) {
+      this.resortActiveIterations();
+    }
+  }
+
+  /**
+   * Updates the priorities left to run of the hook running, after a priority is added or removed.
+   *
+   * @since 4.7.0
+   *
+   * @private
+   */
+  resortActiveIterations() {
+    for (const iteration of this.iterations) {
+      iteration.priorities = undefined === iteration.current
+        ? [...this.priorities]
+        : this.priorities.filter((priority) => priority > iteration.current);
+    }
+  }
+
+  /**
+   * Removes a callback function from a filter hook.
+   *
+   * @since 4.7.0
+   *
+   * @param {string} hookName The filter hook to which the function to be removed is hooked.
+   * @param {Function} callback The callback to be removed from running when the filter is applied.
+   * @param {number} priority The exact priority used when adding the original filter callback.
+   * @return {boolean} Whether the callback existed before it was removed.
+   */
+  removeFilter(hookName, callback, priority) {
+    priority = Number(priority) || 0;
+
+    const callbacks = this.callbacks.get(priority);
+    if (!callbacks || !callbacks.delete(callback)) {
+      return false;
+    }
+
+    if (!callbacks.size) {
+      this.callbacks.delete(priority);
+      this.priorities = this.priorities.filter((existing) => existing !== priority);
+
+      if (this.nestingLevel > 0) {
+        this.resortActiveIterations();
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if a specific callback has been registered for this hook.
+   *
+   * When using the `callback` argument, this function may return a non-boolean value
+   * that evaluates to false (e.g. 0), so use the `===` operator for testing the return value.
+   *
+   * @since 4.7.0
+   * @since 6.5.0 Added the `priority` parameter.
+   *
+   * @param {string} [hookName=''] Optional. The name of the filter hook. Default empty.
+   * @param {Function|false} [callback=false] Optional. The callback to check for. Default false.
+   * @param {number|false} [priority=false] Optional. The specific priority at which to check
+   *                                        for the callback. Default false.
+   * @return {boolean|number} If `callback` is omitted, returns boolean for whether the hook has
+   *                          anything registered. When checking a specific function, the priority
+   *                          of that hook is returned, or false if the function is not attached.
+   *                          If `callback` and `priority` are both provided, a boolean is returned
+   *                          for whether the specific function is registered at that priority.
+   */
+  hasFilter(hookName = '', callback = false, priority = false) {
+    if (false === callback) {
+      return this.hasFilters();
+    }
+
+    if (false !== priority) {
+      const callbacks = this.callbacks.get(Number(priority) || 0);
+      return Boolean(callbacks && callbacks.has(callback));
+    }
+
+    for (const [existing, callbacks] of this.callbacks) {
+      if (callbacks.has(callback)) {
+        return existing;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks if any callbacks have been registered for this hook.
+   *
+   * @since 4.7.0
+   *
+   * @return {boolean} True if callbacks have been registered for the current hook, otherwise false.
+   */
+  hasFilters() {
+    return this.callbacks.size > 0;
+  }
+
+  /**
+   * Removes all callbacks from the current filter.
+   *
+   * @since 4.7.0
+   *
+   * @param {number|false} [priority=false] Optional. The priority number to remove. Default false.
+   */
+  removeAllFilters(priority = false) {
+    if (!this.callbacks.size) {
+      return;
+    }
+
+    if (false === priority) {
+      this.callbacks.clear();
+      this.priorities = [];
+    } else {
+      this.callbacks.delete(Number(priority) || 0);
+      this.priorities = this.priorities.filter((existing) => existing !== (Number(priority) || 0));
+    }
+
+    if (this.nestingLevel > 0) {
+      this.resortActiveIterations();
+    }
+  }
+
+  /**
+   * Calls the callback functions that have been added to a filter hook.
+   *
+   * @since 4.7.0
+   *
+   * @param {*} value The value to filter.
+   * @param {Array<*>} args Additional parameters to pass to the callback functions.
+   *                        This array is expected to include value at index 0.
+   * @param {function(WPHookCall): void} [record=null] Optional. Told about each callback run.
+   * @return {*} The filtered value after all hooked functions are applied to it.
+   */
+  applyFilters(value, args, record = null) {
+    if (!this.callbacks.size) {
+      return value;
+    }
+
+    const iteration = this.startIteration();
+    try {
+      for (const registered of this.walk(iteration)) {
+        if (!this.doingAction) {
+          args[0] = value;
+        }
+
+        const started = performance.now();
+        let result;
+        try {
+          result = registered.callback(...this.callbackArgs(args, registered.acceptedArgs));
+        } catch (error) {
+          this.recordCall(record, registered, iteration, started, error);
+          throw error;
+        }
+        this.recordCall(record, registered, iteration, started);
+
+        if (result && 'function' === typeof result.then) {
+          this.promiseReturned(result);
+        }
+
+        value = result;
+      }
+    } finally {
+      this.endIteration(iteration);
+    }
+
+    return value;
+  }
+
+  /**
+   * Calls the callback functions that have been added to a filter hook, awaiting each one.
+   *
+   * @param {*} value The value to filter.
+   * @param {Array<*>} args Additional parameters to pass to the callback functions.
+   *                        This array is expected to include value at index 0.
+   * @param {Object} [options={}] Optional. How callbacks are run.
+   * @param {number} [options.timeout=0] Milliseconds each callback has to settle, 0 for no limit.
+   * @param {function(Error, Function): void} [options.onError] Called with the error of a callback
+   *        that throws, rejects or times out, which is then skipped. Without it, the error is thrown.
+   * @param {function(WPHookCall): void} [options.record] Told about each callback run.
+   * @return {Promise<*>} The filtered value after all hooked functions are applied to it.
+   */
+  async applyFiltersAsync(value, args, options = {}) {
+    return this.runAsync(value, args, false, options);
+  }
+
+  /**
+   * Calls the callback functions that have been added to an action hook.
+   *
+   * @since 4.7.0
+   *
+   * @param {Array<*>} args Parameters to pass to the callback functions.
+   * @param {function(WPHookCall): void} [record=null] Optional. Told about each callback run.
+   */
+  doAction(args, record = null) {
+    this.doingAction = true;
+    try {
+      this.applyFilters('', args, record);
+    } finally {
+      // If there are recursive calls to the current action, we haven't finished it until we get to the last one.
+      if (!this.nestingLevel) {
+        this.doingAction = false;
+      }
+    }
+  }
+
+  /**
+   * Calls the callback functions that have been added to an action hook, awaiting each one.
+   *
+   * @param {Array<*>} args Parameters to pass to the callback functions.
+   * @param {Object} [options={}] Optional. How callbacks are run, see applyFiltersAsync().
+   * @return {Promise<void>}
+   */
+  async doActionAsync(args, options = {}) {
+    await this.runAsync('', args, true, options);
+  }
+
+  /**
+   * Processes the functions hooked into the 'all' hook.
+   *
+   * @since 4.7.0
+   *
+   * @param {Array<*>} args Arguments to pass to the hook callbacks, the hook name first.
+   */
+  doAllHook(args) {
+    const iteration = this.startIteration();
+    try {
+      for (const { callback } of this.walk(iteration)) {
+        callback(...args);
+      }
+    } finally {
+      this.endIteration(iteration);
+    }
+  }
+
+  /**
+   * Return the current priority level of the currently running iteration of the hook.
+   *
+   * @since 4.7.0
+   *
+   * @return {number|false} If the hook is running, return the current priority level.
+   *                        If it isn't running, return false.
+   */
+  currentPriority() {
+    if (!this.nestingLevel) {
+      return false;
+    }
+
+    return this.iterations[this.iterations.length - 1].current;
+  }
+
+  /**
+   * Runs the callbacks one after the other, awaiting each one.
+   *
+   * @private
+   * @param {*} value The value to filter, ignored for actions.
+   * @param {Array<*>} args Parameters to pass to the callback functions.
+   * @param {boolean} isAction Whether the hook runs as an action.
+   * @param {Object} options How callbacks are run, see applyFiltersAsync().
+   * @return {Promise<*>} The filtered value.
+   */
+  async runAsync(value, args, isAction, { timeout = 0, onError = null, record = null } = {}) {
+    if (!this.callbacks.size) {
+      return value;
+    }
+
+    const iteration = this.startIteration();
+    try {
+      for (const registered of this.walk(iteration)) {
+        const { callback, acceptedArgs } = registered;
+        if (!isAction) {
+          args[0] = value;
+        }
+
+        const started = performance.now();
+        try {
+          const result = await this.settle(callback, this.callbackArgs(args, acceptedArgs), timeout);
+          this.recordCall(record, registered, iteration, started);
+          if (!isAction) {
+            value = result;
+          }
+        } catch (error) {
+          this.recordCall(record, registered, iteration, started, error);
+          if (!onError) {
+            throw error;
+          }
+
+          // The value is left as the previous callbacks made it.
+          onError(error, callback);
+        }
+      }
+    } finally {
+      this.endIteration(iteration);
+    }
+
+    return value;
+  }
+
+  /**
+   * Calls a callback and waits for its result.
+   *
+   * A callback that times out keeps running, but its result is ignored.
+   *
+   * @private
+   * @param {Function} callback The callback.
+   * @param {Array<*>} args The arguments to call it with.
+   * @param {number} timeout Milliseconds it has to settle, 0 for no limit.
+   * @return {Promise<*>} Its result.
+   * @throws {Error} Its error, or an error with the 'hook_timeout' code if it timed out.
+   */
+  async settle(callback, args, timeout) {
+    // Errors thrown before the callback returns a promise reject it too.
+    const result = new Promise((resolve) => {
+      resolve(callback(...args));
+    });
+
+    if (!timeout) {
+      return result;
+    }
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(Object.assign(new Error(`The callback timed out after ${timeout} ms.`), { code: 'hook_timeout' }));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([result, expired]);
+    } finally {
+      clearTimeout(timer);
+      // A late failure has nobody to report to.
+      result.catch(() => {});
+    }
+  }
+
+  /**
+   * Starts a run of the hook.
+   *
+   * @private
+   * @return {WPHookIteration} The run.
+   */
+  startIteration() {
+    const iteration = { priorities: [...this.priorities], current: undefined };
+
+    this.iterations.push(iteration);
+    this.nestingLevel++;
+
+    return iteration;
+  }
+
+  /**
+   * Ends a run of the hook.
+   *
+   * @private
+   * @param {WPHookIteration} iteration The run.
+   */
+  endIteration(iteration) {
+    this.iterations.splice(this.iterations.indexOf(iteration), 1);
+    this.nestingLevel--;
+  }
+
+  /**
+   * Yields the callbacks a run has left, priority after priority.
+   *
+   * @private
+   * @param {WPHookIteration} iteration The run.
+   * @yield {{callback: Function, acceptedArgs: number, source: string}} The callbacks.
+   */
+  *walk(iteration) {
+    while (iteration.priorities.length) {
+      iteration.current = iteration.priorities.shift();
+
+      const callbacks = this.callbacks.get(iteration.current);
+      if (callbacks) {
+        yield* [...callbacks.values()];
+      }
+    }
+  }
+
+  /**
+   * Tells the recorder of a run about a callback it ran.
+   *
+   * @private
+   * @param {function(WPHookCall): void|null} record The recorder, if any.
+   * @param {{callback: Function, source: string}} registered The callback.
+   * @param {WPHookIteration} iteration The run.
+   * @param {number} started When the callback started, from performance.now().
+   * @param {Error|null} [error=null] Optional. Its error.
+   */
+  recordCall(record, { callback, source }, iteration, started, error = null) {
+    if (record) {
+      record({ callback, priority: iteration.current, source, time: performance.now() - started, error });
+    }
+  }
+
+  /**
+   * Reports a callback that returned a promise to applyFilters() or doAction().
+   *
+   * @private
+   * @param {Promise<*>} promise The promise.
+   */
+  promiseReturned(promise) {
+    const type = this.doingAction ? 'action' : 'filter';
+    const run = this.doingAction ? 'doActionAsync' : 'applyFiltersAsync';
+
+    doingItWrong(
+      this.doingAction ? 'doAction' : 'applyFilters',
+      `A callback of the "${this.hookName}" ${type} returned a promise, which is not awaited. Run the ${type} with ${run}() instead.`,
+      ''
+    );
+
+    // Nothing awaits the promise of an action callback, its failure would go unhandled.
+    if (this.doingAction) {
+      promise.catch((error) => {
+        console.error(`A callback of the "${this.hookName}" action failed: ${error && error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Picks the arguments a callback accepts.
+   *
+   * @private
+   * @param {Array<*>} args The arguments of the hook.
+   * @param {number} acceptedArgs The number of arguments the callback accepts.
+   * @return {Array<*>} The arguments to call it with.
+   */
+  callbackArgs(args, acceptedArgs) {
+    if (0 === acceptedArgs) {
+      return [];
+    }
+
+    return acceptedArgs >= args.length ? args : args.slice(0, acceptedArgs);
+  }
+}
+
+export { WPHook };
+export default WPHook;
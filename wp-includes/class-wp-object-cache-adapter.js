@@ -0,0 +1,158 @@
+/**
+ * Object Cache API: WPObjectCacheAdapter class
+ *
+ * Base class for the storage backends of WPObjectCache. An adapter stores values
+ * under flat string keys, already salted and prefixed with their group by the cache.
+ * Adapters for Redis, Memcached and the like extend it and override the storage
+ * methods; the multiple-key methods fall back to one call per key.
+ *
+ * @package WordPress
+ * @subpackage Cache
+ */
+
+class WPObjectCacheAdapter {
+  /**
+   * Adapter name.
+   *
+   * @var {string}
+   */
+  name = '';
+
+  /**
+   * Whether values outlive the process and are shared between servers, e.g. Redis.
+   *
+   * The Transients API stores transients in the cache only, rather than in the
+   * options table, when this is true.
+   *
+   * @var {boolean}
+   */
+  persistent = false;
+
+  /**
+   * Retrieves a value.
+   *
+   * @param {string} key The key.
+   * @return {Promise<*>} The value, or undefined if there is none.
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get().`);
+  }
+
+  /**
+   * Retrieves multiple values.
+   *
+   * @param {Array<string>} keys The keys.
+   * @return {Promise<Array<*>>} The values, in the order of the keys, undefined for missing ones.
+   */
+  async getMultiple(keys) {
+    const values = [];
+    for (const key of keys) {
+      values.push(await this.get(key));
+    }
+
+    return values;
+  }
+
+  /**
+   * Stores a value.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value. Never undefined.
+   * @param {number} [expire=0] Optional. Seconds until the value expires, 0 for never.
+   * @return {Promise<boolean>} True on success, false on failure.
+   */
+  async set(key, value, expire = 0) {
+    throw new Error(`${this.constructor.name} must implement set().`);
+  }
+
+  /**
+   * Stores a value if there is none under the key yet.
+   *
+   * Backends with an atomic "set if not exists" should override this.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value.
+   * @param {number} [expire=0] Optional. Seconds until the value expires, 0 for never.
+   * @return {Promise<boolean>} True if the value was stored, false if the key was taken.
+   */
+  async add(key, value, expire = 0) {
+    if (undefined !== await this.get(key)) {
+      return false;
+    }
+
+    return this.set(key, value, expire);
+  }
+
+  /**
+   * Removes a value.
+   *
+   * @param {string} key The key.
+   * @return {Promise<boolean>} True if a value was removed, false if there was none.
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} must implement delete().`);
+  }
+
+  /**
+   * Adds to a numeric value, keeping its expiration.
+   *
+   * Backends with an atomic increment should override this.
+   *
+   * @param {string} key The key.
+   * @param {number} offset The amount to add, negative to subtract.
+   * @return {Promise<number|false>} The new value, or false if there is none.
+   */
+  async incr(key, offset) {
+    let value = await this.get(key);
+    if (undefined === value) {
+      return false;
+    }
+
+    value = Number(value) || 0;
+    value = Math.max(0, value + offset);
+
+    await this.set(key, value, await this.ttl(key));
+    return value;
+  }
+
+  /**
+   * Retrieves the seconds until a value expires.
+   *
+   * @param {string} key The key.
+   * @return {Promise<number>} The seconds left, 0 if it doesn't expire or there is no value.
+   */
+  async ttl(key) {
+    return 0;
+  }
+
+  /**
+   * Removes all the values whose key starts with a prefix.
+   *
+   * @param {string} prefix The prefix.
+   * @return {Promise<boolean>} True on success, false if the backend can't list its keys.
+   */
+  async deletePrefix(prefix) {
+    return false;
+  }
+
+  /**
+   * Removes all the values.
+   *
+   * @return {Promise<boolean>} True on success, false on failure.
+   */
+  async flush() {
+    throw new Error(`${this.constructor.name} must implement flush().`);
+  }
+
+  /**
+   * Closes the connection to the backend.
+   *
+   * @return {Promise<boolean>} True on success.
+   */
+  async close() {
+    return true;
+  }
+}
+
+export { WPObjectCacheAdapter };
+export default WPObjectCacheAdapter;
@@ -0,0 +1,143 @@
+/**
+ * Object Cache API: WPObjectCacheMemoryAdapter class
+ *
+ * The default storage of WPObjectCache: a least recently used cache in the memory
+ * of the process. Values are cloned when stored and when read, so that changing a
+ * cached object doesn't change the cache, as with WordPress' own object cache.
+ *
+ * @package WordPress
+ * @subpackage Cache
+ */
+
+import WPObjectCacheAdapter from './class-wp-object-cache-adapter.js';
+
+/**
+ * Copies a value, or returns it as is if it can't be copied, e.g. a function.
+ *
+ * @param {*} value The value.
+ * @return {*} The copy.
+ */
+function copy(value) {
+  if (null === value || 'object' !== typeof value) {
+    return value;
+  }
+
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+class WPObjectCacheMemoryAdapter extends WPObjectCacheAdapter {
+  name = 'memory';
+
+  persistent = false;
+
+  /**
+   * Maximum number of values. The least recently used are evicted beyond it.
+   *
+   * @var {number}
+   */
+  maxItems = 10000;
+
+  /**
+   * Stored values and their expiration timestamps in milliseconds, 0 for never,
+   * least recently used first.
+   *
+   * @var {Map<string, {value: *, expires: number}>}
+   */
+  items = new Map();
+
+  /**
+   * @param {Object} [options={}] Optional. Adapter settings.
+   * @param {number} [options.maxItems=10000] Maximum number of values.
+   */
+  constructor({ maxItems } = {}) {
+    super();
+    this.maxItems = maxItems ?? this.maxItems;
+  }
+
+  /**
+   * Finds a live item, and marks it as the most recently used.
+   *
+   * @protected
+   * @param {string} key The key.
+   * @return {{value: *, expires: number}|undefined} The item.
+   */
+  item(key) {
+    const item = this.items.get(key);
+    if (!item) {
+      return undefined;
+    }
+
+    this.items.delete(key);
+    if (item.expires && item.expires <= Date.now()) {
+      return undefined;
+    }
+
+    this.items.set(key, item);
+    return item;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async get(key) {
+    const item = this.item(key);
+    return item ? copy(item.value) : undefined;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async set(key, value, expire = 0) {
+    this.items.delete(key);
+    this.items.set(key, { value: copy(value), expires: expire > 0 ? Date.now() + expire * 1000 : 0 });
+
+    while (this.items.size > this.maxItems) {
+      this.items.delete(this.items.keys().next().value);
+    }
+
+    return true;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async delete(key) {
+    return Boolean(this.item(key)) && this.items.delete(key);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async ttl(key) {
+    const item = this.item(key);
+    return item && item.expires ? Math.max(1, Math.ceil((item.expires - Date.now()) / 1000)) : 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async deletePrefix(prefix) {
+    for (const key of [...this.items.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.items.delete(key);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async flush() {
+    this.items.clear();
+    return true;
+  }
+}
+
+export { WPObjectCacheMemoryAdapter };
+export default WPObjectCacheMemoryAdapter;
@@ -0,0 +1,487 @@
+/**
+ * Object Cache API: WPObjectCache class
+ *
+ * Keeps the results of expensive operations, e.g. database queries, between requests.
+ * Values are grouped, and the groups of per-site data are kept apart on multisite.
+ * The storage is an adapter: an in-process LRU cache by default, or a shared backend
+ * such as Redis or Memcached through the `wp-content/object-cache.js` drop-in.
+ * Non-persistent groups only last for the current request, see runInRequest().
+ *
+ * Use the `wpCache*()` functions of cache.js rather than this class directly.
+ *
+ * @package WordPress
+ * @subpackage Cache
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import WPObjectCacheMemoryAdapter from './class-wp-object-cache-memory-adapter.js';
+import { isMultisite } from './load.js';
+
+class WPObjectCache {
+  /**
+   * Storage of the persistent groups.
+   *
+   * @var {WPObjectCacheAdapter}
+   */
+  adapter;
+
+  /**
+   * Storage of the non-persistent groups outside of requests, in the memory of the process.
+   *
+   * @var {WPObjectCacheMemoryAdapter}
+   */
+  processRuntime;
+
+  /**
+   * Storage of the non-persistent groups of the current request, see runInRequest().
+   *
+   * @var {AsyncLocalStorage<WPObjectCacheMemoryAdapter>}
+   */
+  requestStorage = new AsyncLocalStorage();
+
+  /**
+   * Prefix of every key, the WP_CACHE_KEY_SALT setting, so that several
+   * installations can share a backend.
+   *
+   * @var {string}
+   */
+  salt = '';
+
+  /**
+   * List of global cache groups, shared by the sites of a network.
+   *
+   * @var {Set<string>}
+   */
+  globalGroups = new Set();
+
+  /**
+   * List of non-persistent cache groups, never sent to the adapter.
+   *
+   * @var {Set<string>}
+   */
+  nonPersistentGroups = new Set();
+
+  /**
+   * The current blog ID, or a function returning it, e.g. the site of the current request.
+   *
+   * @var {number|function(): number}
+   */
+  blogId = 1;
+
+  /**
+   * Holds the value of is_multisite().
+   *
+   * @var {boolean}
+   */
+  multisite = false;
+
+  /**
+   * The amount of times the cache data was already stored in the cache.
+   *
+   * @var {number}
+   */
+  cacheHits = 0;
+
+  /**
+   * Amount of times the cache did not have the request in cache.
+   *
+   * @var {number}
+   */
+  cacheMisses = 0;
+
+  /**
+   * @param {Object} [options={}] Optional. Cache settings.
+   * @param {WPObjectCacheAdapter} [options.adapter] Storage of the persistent groups.
+   *                                                 Default an in-process LRU cache.
+   * @param {string} [options.salt=''] Prefix of every key.
+   * @param {number|function(): number} [options.blogId=1] Current site, or a function
+   *                                                    returning the site of the current request.
+   */
+  constructor({ adapter = null, salt = '', blogId = 1 } = {}) {
+    this.adapter = adapter || new WPObjectCacheMemoryAdapter();
+    this.processRuntime = new WPObjectCacheMemoryAdapter();
+    this.salt = salt;
+    this.multisite = isMultisite();
+    this.blogId = blogId;
+  }
+
+  /**
+   * Storage of the non-persistent groups: that of the current request, if any.
+   *
+   * @return {WPObjectCacheMemoryAdapter}
+   */
+  get runtime() {
+    return this.requestStorage.getStore() || this.processRuntime;
+  }
+
+  /**
+   * Runs a callback with its own storage of the non-persistent groups.
+   *
+   * As in WordPress, where the cache of non-persistent groups ends with the request,
+   * the values the callback caches in these groups are gone once it ends, and concurrent
+   * requests don't see each other's.
+   *
+   * @param {Function} callback The callback. Anything it awaits shares the storage.
+   * @return {*} The value returned by the callback.
+   */
+  runInRequest(callback) {
+    return this.requestStorage.run(new WPObjectCacheMemoryAdapter(), callback);
+  }
+
+  /**
+   * Returns an Express middleware giving each request its own non-persistent groups.
+   *
+   * @return {function(Object, Object, Function): void} The middleware.
+   */
+  middleware() {
+    return (req, res, next) => this.runInRequest(next);
+  }
+
+  /**
+   * The blog prefix to prepend to keys in non-global groups.
+   *
+   * @return {string}
+   */
+  get blogPrefix() {
+    if (!this.multisite) {
+      return '';
+    }
+
+    return `${Number('function' === typeof this.blogId ? this.blogId() : this.blogId)}:`;
+  }
+
+  /**
+   * Serves as a utility function to determine whether a key is valid.
+   *
+   * @param {number|string} key Cache key to check for validity.
+   * @return {boolean} Whether the key is valid.
+   */
+  isValidKey(key) {
+    if ('number' === typeof key && Number.isInteger(key)) {
+      return true;
+    }
+
+    return 'string' === typeof key && '' !== key.trim();
+  }
+
+  /**
+   * Builds the key a value is stored under in the adapter.
+   *
+   * @protected
+   * @param {number|string} key The cache key.
+   * @param {string} group The group.
+   * @return {string} The salted key, prefixed with the group and, for per-site groups, the site.
+   */
+  buildKey(key, group) {
+    const blogPrefix = this.globalGroups.has(group) ? '' : this.blogPrefix;
+    return `${this.salt}${group}:${blogPrefix}${key}`;
+  }
+
+  /**
+   * Returns the storage of a group.
+   *
+   * @protected
+   * @param {string} group The group.
+   * @return {WPObjectCacheAdapter} The adapter.
+   */
+  store(group) {
+    return this.nonPersistentGroups.has(group) ? this.runtime : this.adapter;
+  }
+
+  /**
+   * Adds data to the cache if it doesn't already exist.
+   *
+   * @param {number|string} key What to call the contents in the cache.
+   * @param {*} data The contents to store in the cache.
+   * @param {string} [group='default'] Optional. Where to group the cache contents.
+   * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+   *                            Default 0 (no expiration).
+   * @return {Promise<boolean>} True on success, false if cache key and group already exist.
+   */
+  async add(key, data, group = 'default', expire = 0) {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    return this.store(group).add(this.buildKey(key, group), data ?? null, Number(expire) || 0);
+  }
+
+  /**
+   * Adds multiple values to the cache in one call.
+   *
+   * @param {Object<string, *>} data Contents to store in the cache, keyed by cache key.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+   * @return {Promise<Object<string, boolean>>} Whether each value was added, keyed by cache key.
+   */
+  async addMultiple(data, group = 'default', expire = 0) {
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+      values[key] = await this.add(key, value, group, expire);
+    }
+
+    return values;
+  }
+
+  /**
+   * Replaces the contents in the cache, if contents already exist.
+   *
+   * @param {number|string} key What to call the contents in the cache.
+   * @param {*} data The contents to store in the cache.
+   * @param {string} [group='default'] Optional. Where to group the cache contents.
+   * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+   * @return {Promise<boolean>} True if contents were replaced, false if original value does not exist.
+   */
+  async replace(key, data, group = 'default', expire = 0) {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    const id = this.buildKey(key, group);
+    if (undefined === await this.store(group).get(id)) {
+      return false;
+    }
+
+    return this.store(group).set(id, data ?? null, Number(expire) || 0);
+  }
+
+  /**
+   * Sets the data contents into the cache.
+   *
+   * @param {number|string} key What to call the contents in the cache.
+   * @param {*} data The contents to store in the cache.
+   * @param {string} [group='default'] Optional. Where to group the cache contents.
+   * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+   * @return {Promise<boolean>} True if contents were set, false if key is invalid.
+   */
+  async set(key, data, group = 'default', expire = 0) {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    return this.store(group).set(this.buildKey(key, group), data ?? null, Number(expire) || 0);
+  }
+
+  /**
+   * Sets multiple values to the cache in one call.
+   *
+   * @param {Object<string, *>} data Contents to store in the cache, keyed by cache key.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @param {number} [expire=0] Optional. When to expire the cache contents, in seconds.
+   * @return {Promise<Object<string, boolean>>} Whether each value was set, keyed by cache key.
+   */
+  async setMultiple(data, group = 'default', expire = 0) {
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+      values[key] = await this.set(key, value, group, expire);
+    }
+
+    return values;
+  }
+
+  /**
+   * Retrieves the cache contents, if it exists.
+   *
+   * @param {number|string} key The key under which the cache contents are stored.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @return {Promise<*>} The cache contents on success, false on failure to retrieve contents.
+   */
+  async get(key, group = 'default') {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    const value = await this.store(group).get(this.buildKey(key, group));
+
+    if (undefined === value) {
+      this.cacheMisses += 1;
+      return false;
+    }
+
+    this.cacheHits += 1;
+    return value;
+  }
+
+  /**
+   * Retrieves multiple values from the cache in one call.
+   *
+   * @param {Array<number|string>} keys Array of keys under which the cache contents are stored.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @return {Promise<Object<string, *>>} The values, keyed by cache key, false for those not found.
+   */
+  async getMultiple(keys, group = 'default') {
+    group = group || 'default';
+    const valid = keys.filter((key) => this.isValidKey(key));
+    const found = await this.store(group).getMultiple(valid.map((key) => this.buildKey(key, group)));
+
+    const values = {};
+    for (const key of keys) {
+      const index = valid.indexOf(key);
+      const value = -1 === index ? undefined : found[index];
+
+      if (undefined === value) {
+        this.cacheMisses += 1;
+        values[key] = false;
+      } else {
+        this.cacheHits += 1;
+        values[key] = value;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Removes the contents of the cache key in the group.
+   *
+   * @param {number|string} key What the contents in the cache are called.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @return {Promise<boolean>} True on success, false if the contents were not deleted.
+   */
+  async delete(key, group = 'default') {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    return this.store(group).delete(this.buildKey(key, group));
+  }
+
+  /**
+   * Deletes multiple values from the cache in one call.
+   *
+   * @param {Array<number|string>} keys Array of keys to be deleted.
+   * @param {string} [group='default'] Optional. Where the cache contents are grouped.
+   * @return {Promise<Object<string, boolean>>} Whether each value was deleted, keyed by cache key.
+   */
+  async deleteMultiple(keys, group = 'default') {
+    const values = {};
+    for (const key of keys) {
+      values[key] = await this.delete(key, group);
+    }
+
+    return values;
+  }
+
+  /**
+   * Increments numeric cache item's value.
+   *
+   * Non-numeric values are treated as 0, and the value never goes below 0.
+   *
+   * @param {number|string} key The cache key to increment.
+   * @param {number} [offset=1] Optional. The amount by which to increment the item's value.
+   * @param {string} [group='default'] Optional. The group the key is in.
+   * @return {Promise<number|false>} The item's new value on success, false on failure.
+   */
+  async incr(key, offset = 1, group = 'default') {
+    if (!this.isValidKey(key)) {
+      return false;
+    }
+
+    group = group || 'default';
+    return this.store(group).incr(this.buildKey(key, group), Number(offset) || 0);
+  }
+
+  /**
+   * Decrements numeric cache item's value.
+   *
+   * @param {number|string} key The cache key to decrement.
+   * @param {number} [offset=1] Optional. The amount by which to decrement the item's value.
+   * @param {string} [group='default'] Optional. The group the key is in.
+   * @return {Promise<number|false>} The item's new value on success, false on failure.
+   */
+  async decr(key, offset = 1, group = 'default') {
+    return this.incr(key, -(Number(offset) || 0), group);
+  }
+
+  /**
+   * Clears the object cache of all data.
+   *
+   * @return {Promise<boolean>} True on success, false on failure.
+   */
+  async flush() {
+    const flushed = await this.adapter.flush();
+    await this.runtime.flush();
+
+    return flushed;
+  }
+
+  /**
+   * Removes all cache items from the in-memory runtime cache, the non-persistent groups
+   * of the current request.
+   *
+   * @return {Promise<boolean>} True on success.
+   */
+  async flushRuntime() {
+    return this.runtime.flush();
+  }
+
+  /**
+   * Removes all cache items in a group.
+   *
+   * @param {string} group Name of group to remove from cache.
+   * @return {Promise<boolean>} True if the group was flushed, false if the adapter can't flush groups.
+   */
+  async flushGroup(group) {
+    return this.store(group).deletePrefix(`${this.salt}${group}:`);
+  }
+
+  /**
+   * Sets the list of global cache groups.
+   *
+   * @param {string|Array<string>} groups List of groups that are global.
+   */
+  addGlobalGroups(groups) {
+    for (const group of [].concat(groups)) {
+      this.globalGroups.add(group);
+    }
+  }
+
+  /**
+   * Sets the list of non-persistent cache groups.
+   *
+   * @param {string|Array<string>} groups List of groups that will not be saved to the adapter.
+   */
+  addNonPersistentGroups(groups) {
+    for (const group of [].concat(groups)) {
+      this.nonPersistentGroups.add(group);
+    }
+  }
+
+  /**
+   * Switches the internal blog ID.
+   *
+   * This changes the blog ID used to create keys in blog specific groups. A cache
+   * following the site of the current request no longer does afterwards.
+   *
+   * @param {number} blogId Blog ID.
+   */
+  switchToBlog(blogId) {
+    this.blogId = Number(blogId);
+  }
+
+  /**
+   * Returns the hits and misses of the cache.
+   *
+   * @return {{hits: number, misses: number, adapter: string}} The stats.
+   */
+  stats() {
+    return { hits: this.cacheHits, misses: this.cacheMisses, adapter: this.adapter.name };
+  }
+
+  /**
+   * Closes the connection of the adapter.
+   *
+   * @return {Promise<boolean>} True on success.
+   */
+  async close() {
+    return this.adapter.close();
+  }
+}
+
+export { WPObjectCache };
+export default WPObjectCache;
@@ -0,0 +1,813 @@
+/**
+ * Fluent query builder for Wpdb.
+ *
+ * Builds a query with the placeholders of wpdb::prepare() and runs it through
+ * Wpdb.execute(), so values are always sent as bound parameters. Table names are
+ * given unprefixed and get the prefix of the current blog, or of the blog passed
+ * to forBlog(); global tables like `users` get the base prefix. In the query, a
+ * table is referred to by its alias, or else by its unprefixed name, e.g. `posts.ID`.
+ *
+ * @example
+ * const thumbnails = await wpdb.table('posts AS p')
+ *   .select('p.ID', 'thumb.meta_value AS thumbnail_id')
+ *   .joinMeta('_thumbnail_id', 'thumb')
+ *   .where('p.post_status', 'publish')
+ *   .whereIn('p.post_type', ['post', 'page'])
+ *   .orderBy('p.post_date', 'desc')
+ *   .limit(10)
+ *   .get();
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+/**
+ * Comparison operators accepted by where().
+ *
+ * @constant {Array<string>}
+ */
+const OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN'];
+
+/**
+ * Join types accepted by join().
+ *
+ * @constant {Array<string>}
+ */
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT'];
+
+/**
+ * Meta tables of the object tables, with the column pointing to the object and the object's ID column.
+ *
+ * @constant {Object<string, {table: string, column: string, key: string}>}
+ */
+const META_TABLES = {
+  posts: { table: 'postmeta', column: 'post_id', key: 'ID' },
+  comments: { table: 'commentmeta', column: 'comment_id', key: 'comment_ID' },
+  terms: { table: 'termmeta', column: 'term_id', key: 'term_id' },
+  users: { table: 'usermeta', column: 'user_id', key: 'ID' },
+  blogs: { table: 'blogmeta', column: 'blog_id', key: 'blog_id' },
+  site: { table: 'sitemeta', column: 'site_id', key: 'id' },
+};
+
+/**
+ * Matches a table name with an optional alias, e.g. `posts AS p`.
+ *
+ * @constant {RegExp}
+ */
+const TABLE_WITH_ALIAS = /^\s*(\w+)(?:\s+(?:AS\s+)?(\w+))?\s*$/i;
+
+/**
+ * Matches a column with an alias, e.g. `meta_value AS thumbnail_id`.
+ *
+ * @constant {RegExp}
+ */
+const COLUMN_WITH_ALIAS = /^\s*(\S+)\s+AS\s+(\w+)\s*$/i;
+
+/**
+ * A piece of SQL with its placeholder values, in order.
+ *
+ * @typedef {Object} SqlFragment
+ * @property {string} sql SQL with placeholders.
+ * @property {Array<*>} args Values of the placeholders.
+ */
+
+/**
+ * Compiles a column reference, e.g. `post_title`, `p.post_title` or `p.*`.
+ *
+ * @param {string} column The column.
+ * @return {SqlFragment}
+ * @throws {Error} If the column reference is empty.
+ */
+function identifier(column) {
+  const parts = String(column).trim().split('.');
+
+  if (parts.some((part) => !part)) {
+    throw new Error(`Invalid column "${column}".`);
+  }
+
+  return {
+    sql: parts.map((part) => ('*' === part ? '*' : '%i')).join('.'),
+    args: parts.filter((part) => '*' !== part),
+  };
+}
+
+/**
+ * Compiles a value to the placeholder matching its type.
+ *
+ * @param {*} value The value.
+ * @return {SqlFragment}
+ */
+function valueFragment(value) {
+  if (null === value || undefined === value) {
+    return { sql: 'NULL', args: [] };
+  }
+
+  if (typeof value === 'boolean') {
+    return { sql: '%d', args: [Number(value)] };
+  }
+
+  if (typeof value === 'number') {
+    return { sql: Number.isInteger(value) ? '%d' : '%f', args: [value] };
+  }
+
+  return { sql: '%s', args: [String(value)] };
+}
+
+/**
+ * Joins fragments into one.
+ *
+ * @param {Array<SqlFragment>} fragments The fragments.
+ * @param {string} [separator=', '] Separator between the fragments' SQL.
+ * @return {SqlFragment}
+ */
+function joinFragments(fragments, separator = ', ') {
+  return {
+    sql: fragments.map(({ sql }) => sql).join(separator),
+    args: fragments.flatMap(({ args }) => args),
+  };
+}
+
+class WPQueryBuilder {
+  /**
+   * The database object running the query.
+   *
+   * @var {Wpdb}
+   */
+  wpdb = null;
+
+  /**
+   * Unprefixed name of the queried table.
+   *
+   * @var {string}
+   */
+  table = '';
+
+  /**
+   * Alias of the queried table, its unprefixed name by default.
+   *
+   * @var {string}
+   */
+  alias = '';
+
+  /**
+   * Blog whose tables are queried, null for the current one.
+   *
+   * @var {number|null}
+   */
+  blogId = null;
+
+  /**
+   * Whether to drop duplicate rows.
+   *
+   * @var {boolean}
+   */
+  distinctRows = false;
+
+  /**
+   * Selected columns, all of them when empty.
+   *
+   * @var {Array<SqlFragment>}
+   */
+  columns = [];
+
+  /**
+   * Joined tables.
+   *
+   * @var {Array<Object>}
+   */
+  joins = [];
+
+  /**
+   * WHERE conditions, each with the boolean ('AND' or 'OR') linking it to the previous one.
+   *
+   * @var {Array<SqlFragment & {boolean: string}>}
+   */
+  wheres = [];
+
+  /**
+   * GROUP BY columns.
+   *
+   * @var {Array<SqlFragment>}
+   */
+  groups = [];
+
+  /**
+   * ORDER BY clauses.
+   *
+   * @var {Array<SqlFragment>}
+   */
+  orders = [];
+
+  /**
+   * Maximum number of rows, null for no limit.
+   *
+   * @var {number|null}
+   */
+  limitCount = null;
+
+  /**
+   * Number of rows to skip, null for none.
+   *
+   * @var {number|null}
+   */
+  offsetCount = null;
+
+  /**
+   * @param {Wpdb} wpdb The database object running the query.
+   * @param {string} table Unprefixed table name, optionally followed by an alias, e.g. 'posts AS p'.
+   * @throws {Error} If the table name is invalid.
+   */
+  constructor(wpdb, table) {
+    const match = TABLE_WITH_ALIAS.exec(table);
+    if (!match) {
+      throw new Error(`Invalid table "${table}".`);
+    }
+
+    this.wpdb = wpdb;
+    [, this.table, this.alias = this.table] = match;
+  }
+
+  /**
+   * Queries the tables of another blog, on multisite.
+   *
+   * @param {number} blogId The blog ID.
+   * @return {WPQueryBuilder} This builder.
+   */
+  forBlog(blogId) {
+    this.blogId = blogId;
+    return this;
+  }
+
+  /**
+   * Sets the selected columns, e.g. `select('ID', 'post_title AS title')`.
+   *
+   * @param {...string} columns The columns, optionally followed by an alias.
+   * @return {WPQueryBuilder} This builder.
+   */
+  select(...columns) {
+    this.columns = columns.flat().map((column) => {
+      const match = COLUMN_WITH_ALIAS.exec(column);
+      if (!match) {
+        return identifier(column);
+      }
+
+      const { sql, args } = identifier(match[1]);
+      return { sql: `${sql} AS %i`, args: [...args, match[2]] };
+    });
+
+    return this;
+  }
+
+  /**
+   * Adds a raw SQL expression to the selected columns, e.g. `COUNT(*) AS total`.
+   *
+   * @param {string} sql The expression, with prepare() placeholders.
+   * @param {Array<*>} [args=[]] Values of the placeholders.
+   * @return {WPQueryBuilder} This builder.
+   */
+  selectRaw(sql, args = []) {
+    this.columns.push({ sql, args });
+    return this;
+  }
+
+  /**
+   * Drops duplicate rows.
+   *
+   * @return {WPQueryBuilder} This builder.
+   */
+  distinct() {
+    this.distinctRows = true;
+    return this;
+  }
+
+  /**
+   * Joins another table.
+   *
+   * @param {string} table Unprefixed table name, optionally followed by an alias.
+   * @param {string} first Column of one table, e.g. 'tr.object_id'.
+   * @param {string} second Column of the other table, e.g. 'p.ID'.
+   * @param {string} [type='INNER'] Join type: 'INNER', 'LEFT' or 'RIGHT'.
+   * @return {WPQueryBuilder} This builder.
+   * @throws {Error} If the table name or join type is invalid.
+   */
+  join(table, first, second, type = 'INNER') {
+    const match = TABLE_WITH_ALIAS.exec(table);
+    if (!match) {
+      throw new Error(`Invalid table "${table}".`);
+    }
+
+    type = String(type).toUpperCase();
+    if (!JOIN_TYPES.includes(type)) {
+      throw new Error(`Invalid join type "${type}".`);
+    }
+
+    const [, name, alias = name] = match;
+    const on = joinFragments([identifier(first), identifier(second)], ' = ');
+    this.joins.push({ type, table: name, alias, on });
+
+    return this;
+  }
+
+  /**
+   * Left joins another table.
+   *
+   * @param {string} table Unprefixed table name, optionally followed by an alias.
+   * @param {string} first Column of one table.
+   * @param {string} second Column of the other table.
+   * @return {WPQueryBuilder} This builder.
+   */
+  leftJoin(table, first, second) {
+    return this.join(table, first, second, 'LEFT');
+  }
+
+  /**
+   * Joins the meta table of the queried table, e.g. postmeta for posts.
+   *
+   * Call it once per meta key to filter or select on, with a different alias each time.
+   *
+   * @param {string|null} [metaKey=null] Meta key to join, null to join every meta row.
+   * @param {string} [alias='meta'] Alias of the meta table.
+   * @param {string} [type='INNER'] Join type. 'LEFT' keeps rows without the meta key.
+   * @return {WPQueryBuilder} This builder.
+   * @throws {Error} If the queried table has no meta table.
+   */
+  joinMeta(metaKey = null, alias = 'meta', type = 'INNER') {
+    const meta = META_TABLES[this.table];
+    if (!meta) {
+      throw new Error(`The ${this.table} table has no meta table.`);
+    }
+
+    this.join(`${meta.table} AS ${alias}`, `${alias}.${meta.column}`, `${this.alias}.${meta.key}`, type);
+
+    if (null !== metaKey) {
+      const join = this.joins[this.joins.length - 1];
+      join.on = joinFragments([join.on, { sql: '%i.%i = %s', args: [alias, 'meta_key', metaKey] }], ' AND ');
+    }
+
+    return this;
+  }
+
+  /**
+   * Adds a WHERE condition, linked to the previous ones with AND.
+   *
+   * Accepts:
+   * - `where('post_status', 'publish')`, for an equality
+   * - `where('menu_order', '>', 2)`, with any of the OPERATORS
+   * - `where({ post_type: 'post', post_status: 'publish' })`, for several equalities
+   * - `where((query) => query.where(...).orWhere(...))`, for a parenthesized group
+   *
+   * A null value compares with IS NULL or IS NOT NULL.
+   *
+   * @param {string|Object|Function} column The column, the equalities, or the group callback.
+   * @param {...*} args The operator and value, or just the value.
+   * @return {WPQueryBuilder} This builder.
+   */
+  where(column, ...args) {
+    return this.addWhere('AND', column, args);
+  }
+
+  /**
+   * Adds a WHERE condition, linked to the previous ones with OR.
+   *
+   * @param {string|Object|Function} column See where().
+   * @param {...*} args See where().
+   * @return {WPQueryBuilder} This builder.
+   */
+  orWhere(column, ...args) {
+    return this.addWhere('OR', column, args);
+  }
+
+  /**
+   * Requires a column to be one of the values.
+   *
+   * @param {string} column The column.
+   * @param {Array<*>} values The values.
+   * @return {WPQueryBuilder} This builder.
+   */
+  whereIn(column, values) {
+    return this.where(column, 'IN', values);
+  }
+
+  /**
+   * Requires a column not to be one of the values.
+   *
+   * @param {string} column The column.
+   * @param {Array<*>} values The values.
+   * @return {WPQueryBuilder} This builder.
+   */
+  whereNotIn(column, values) {
+    return this.where(column, 'NOT IN', values);
+  }
+
+  /**
+   * Requires a column to be NULL.
+   *
+   * @param {string} column The column.
+   * @return {WPQueryBuilder} This builder.
+   */
+  whereNull(column) {
+    return this.where(column, '=', null);
+  }
+
+  /**
+   * Requires a column not to be NULL.
+   *
+   * @param {string} column The column.
+   * @return {WPQueryBuilder} This builder.
+   */
+  whereNotNull(column) {
+    return this.where(column, '!=', null);
+  }
+
+  /**
+   * Adds a raw SQL condition, linked to the previous ones with AND.
+   *
+   * @param {string} sql The condition, with prepare() placeholders.
+   * @param {Array<*>} [args=[]] Values of the placeholders.
+   * @return {WPQueryBuilder} This builder.
+   */
+  whereRaw(sql, args = []) {
+    this.wheres.push({ boolean: 'AND', sql: `(${sql})`, args });
+    return this;
+  }
+
+  /**
+   * Groups the rows by columns.
+   *
+   * @param {...string} columns The columns.
+   * @return {WPQueryBuilder} This builder.
+   */
+  groupBy(...columns) {
+    this.groups.push(...columns.flat().map(identifier));
+    return this;
+  }
+
+  /**
+   * Sorts the rows by a column.
+   *
+   * @param {string} column The column.
+   * @param {string} [direction='ASC'] 'ASC' or 'DESC'.
+   * @return {WPQueryBuilder} This builder.
+   * @throws {Error} If the direction is invalid.
+   */
+  orderBy(column, direction = 'ASC') {
+    direction = String(direction).toUpperCase();
+    if ('ASC' !== direction && 'DESC' !== direction) {
+      throw new Error(`Invalid sort direction "${direction}".`);
+    }
+
+    const { sql, args } = identifier(column);
+    this.orders.push({ sql: `${sql} ${direction}`, args });
+
+    return this;
+  }
+
+  /**
+   * Limits the number of rows.
+   *
+   * @param {number} count The maximum number of rows.
+   * @return {WPQueryBuilder} This builder.
+   */
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  /**
+   * Skips rows.
+   *
+   * @param {number} count The number of rows to skip.
+   * @return {WPQueryBuilder} This builder.
+   */
+  offset(count) {
+    this.offsetCount = count;
+    return this;
+  }
+
+  /**
+   * Compiles the SELECT query.
+   *
+   * @return {{query: string, args: Array<*>}} The query, with prepare() placeholders, and their values.
+   */
+  toSql() {
+    const fragments = [
+      { sql: this.distinctRows ? 'SELECT DISTINCT' : 'SELECT', args: [] },
+      this.columns.length ? joinFragments(this.columns) : { sql: '*', args: [] },
+      { sql: 'FROM', args: [] },
+      this.from(),
+      ...this.joins.map((join) => this.compileJoin(join)),
+    ];
+
+    const where = this.compileWheres();
+    if (where.sql) {
+      fragments.push({ sql: `WHERE ${where.sql}`, args: where.args });
+    }
+
+    if (this.groups.length) {
+      const { sql, args } = joinFragments(this.groups);
+      fragments.push({ sql: `GROUP BY ${sql}`, args });
+    }
+
+    if (this.orders.length) {
+      const { sql, args } = joinFragments(this.orders);
+      fragments.push({ sql: `ORDER BY ${sql}`, args });
+    }
+
+    if (null !== this.limitCount || null !== this.offsetCount) {
+      // An offset needs a limit in both MySQL and SQLite.
+      fragments.push({ sql: 'LIMIT %d', args: [this.limitCount ?? Number.MAX_SAFE_INTEGER] });
+    }
+
+    if (null !== this.offsetCount) {
+      fragments.push({ sql: 'OFFSET %d', args: [this.offsetCount] });
+    }
+
+    const { sql, args } = joinFragments(fragments, ' ');
+    return { query: sql, args };
+  }
+
+  /**
+   * Runs the query and returns the rows.
+   *
+   * @param {string} [output='OBJECT'] Any of the Wpdb.getResults() output types.
+   * @return {Promise<Array|Object|null>} The rows.
+   */
+  get(output = 'OBJECT') {
+    const { query, args } = this.toSql();
+    return this.wpdb.getResults(query, output, args);
+  }
+
+  /**
+   * Runs the query and returns the first row.
+   *
+   * @param {string} [output='OBJECT'] Any of the Wpdb.getRow() output types.
+   * @return {Promise<Object|Array|null>} The row, null if there is none.
+   */
+  first(output = 'OBJECT') {
+    const { query, args } = this.clone().limit(1).toSql();
+    return this.wpdb.getRow(query, output, 0, args);
+  }
+
+  /**
+   * Runs the query and returns a single value.
+   *
+   * @param {string} [column] The column to return. Defaults to the first selected one.
+   * @return {Promise<*|null>} The value, null if there is no row.
+   */
+  value(column = null) {
+    const builder = this.clone().limit(1);
+    if (column) {
+      builder.select(column);
+    }
+
+    const { query, args } = builder.toSql();
+    return this.wpdb.getVar(query, 0, 0, args);
+  }
+
+  /**
+   * Runs the query and returns one column of every row.
+   *
+   * @param {string} [column] The column to return. Defaults to the first selected one.
+   * @return {Promise<Array<*>>} The values.
+   */
+  pluck(column = null) {
+    const builder = this.clone();
+    if (column) {
+      builder.select(column);
+    }
+
+    const { query, args } = builder.toSql();
+    return this.wpdb.getCol(query, 0, args);
+  }
+
+  /**
+   * Counts the matching rows.
+   *
+   * With groupBy(), each group counts as one row, and with distinct(), each distinct
+   * row of the selected columns: the query is then counted as a subquery.
+   *
+   * @return {Promise<number>} The number of rows.
+   */
+  async count() {
+    const builder = this.clone();
+    builder.orders = [];
+    builder.limitCount = null;
+    builder.offsetCount = null;
+
+    if (!builder.groups.length && !builder.distinctRows) {
+      builder.columns = [{ sql: 'COUNT(*)', args: [] }];
+
+      const { query, args } = builder.toSql();
+      return Number(await this.wpdb.getVar(query, 0, 0, args));
+    }
+
+    if (!builder.distinctRows) {
+      builder.columns = [{ sql: '1', args: [] }];
+    }
+
+    const { query, args } = builder.toSql();
+    return Number(await this.wpdb.getVar(`SELECT COUNT(*) FROM (${query}) AS %i`, 0, 0, [...args, 'counted']));
+  }
+
+  /**
+   * Inserts a row in the table.
+   *
+   * @param {Object<string, *>} data Column values. Null values are stored as NULL.
+   * @return {Promise<number|boolean>} The number of rows inserted, false on error.
+   *                                   The new row's ID is then in `wpdb.insertId`.
+   */
+  insert(data) {
+    const columns = joinFragments(Object.keys(data).map(identifier));
+    const values = joinFragments(Object.values(data).map(valueFragment));
+
+    const { sql, args } = joinFragments([
+      { sql: 'INSERT INTO %i', args: [this.tableName(this.table)] },
+      { sql: `(${columns.sql}) VALUES (${values.sql})`, args: [...columns.args, ...values.args] },
+    ], ' ');
+
+    return this.wpdb.execute(sql, args);
+  }
+
+  /**
+   * Updates the matching rows.
+   *
+   * Only the WHERE conditions apply, and their columns can't be qualified with the table.
+   *
+   * @param {Object<string, *>} data Column values. Null values are stored as NULL.
+   * @return {Promise<number|boolean>} The number of rows updated, false on error.
+   */
+  update(data) {
+    const assignments = Object.entries(data).map(([column, columnValue]) => (
+      joinFragments([identifier(column), valueFragment(columnValue)], ' = ')
+    ));
+
+    const fragments = [
+      { sql: 'UPDATE %i SET', args: [this.tableName(this.table)] },
+      joinFragments(assignments),
+    ];
+
+    const where = this.compileWheres();
+    if (where.sql) {
+      fragments.push({ sql: `WHERE ${where.sql}`, args: where.args });
+    }
+
+    const { sql, args } = joinFragments(fragments, ' ');
+    return this.wpdb.execute(sql, args);
+  }
+
+  /**
+   * Deletes the matching rows.
+   *
+   * Only the WHERE conditions apply, and their columns can't be qualified with the table.
+   *
+   * @return {Promise<number|boolean>} The number of rows deleted, false on error.
+   */
+  delete() {
+    const fragments = [{ sql: 'DELETE FROM %i', args: [this.tableName(this.table)] }];
+
+    const where = this.compileWheres();
+    if (where.sql) {
+      fragments.push({ sql: `WHERE ${where.sql}`, args: where.args });
+    }
+
+    const { sql, args } = joinFragments(fragments, ' ');
+    return this.wpdb.execute(sql, args);
+  }
+
+  /**
+   * Copies the builder, so that changes to the copy leave it untouched.
+   *
+   * @return {WPQueryBuilder} The copy.
+   */
+  clone() {
+    const copy = new WPQueryBuilder(this.wpdb, this.table);
+
+    Object.assign(copy, this, {
+      columns: [...this.columns],
+      joins: [...this.joins],
+      wheres: [...this.wheres],
+      groups: [...this.groups],
+      orders: [...this.orders],
+    });
+
+    return copy;
+  }
+
+  /**
+   * Returns the prefixed name of a table for the queried blog.
+   *
+   * @protected
+   * @param {string} table Unprefixed table name.
+   * @return {string} The prefixed name.
+   */
+  tableName(table) {
+    return this.wpdb.getTableName(table, this.blogId);
+  }
+
+  /**
+   * Compiles the queried table with its alias.
+   *
+   * @protected
+   * @return {SqlFragment}
+   */
+  from() {
+    return { sql: '%i AS %i', args: [this.tableName(this.table), this.alias] };
+  }
+
+  /**
+   * Compiles a join.
+   *
+   * @protected
+   * @param {Object} join The join.
+   * @return {SqlFragment}
+   */
+  compileJoin({ type, table, alias, on }) {
+    return { sql: `${type} JOIN %i AS %i ON ${on.sql}`, args: [this.tableName(table), alias, ...on.args] };
+  }
+
+  /**
+   * Compiles the WHERE conditions, without the WHERE keyword.
+   *
+   * @protected
+   * @return {SqlFragment} Empty SQL if there are no conditions.
+   */
+  compileWheres() {
+    const args = [];
+    const sql = this.wheres.map((where, index) => {
+      args.push(...where.args);
+      return index ? `${where.boolean} ${where.sql}` : where.sql;
+    }).join(' ');
+
+    return { sql, args };
+  }
+
+  /**
+   * Adds a WHERE condition.
+   *
+   * @protected
+   * @param {string} boolean 'AND' or 'OR'.
+   * @param {string|Object|Function} column See where().
+   * @param {Array<*>} args The operator and value, or just the value.
+   * @return {WPQueryBuilder} This builder.
+   * @throws {Error} If the operator or the value is invalid.
+   */
+  addWhere(boolean, column, args) {
+    if (typeof column === 'function') {
+      const group = new WPQueryBuilder(this.wpdb, this.table);
+      group.blogId = this.blogId;
+      column(group);
+
+      const { sql, args: groupArgs } = group.compileWheres();
+      if (sql) {
+        this.wheres.push({ boolean, sql: `(${sql})`, args: groupArgs });
+      }
+      return this;
+    }
+
+    if (column && typeof column === 'object') {
+      Object.entries(column).forEach(([name, columnValue]) => this.addWhere(boolean, name, [columnValue]));
+      return this;
+    }
+
+    let [operator, operand] = 1 === args.length ? ['=', args[0]] : args;
+    operator = String(operator).toUpperCase();
+
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Invalid operator "${operator}".`);
+    }
+
+    const left = identifier(column);
+    let condition;
+
+    if (operator.endsWith('IN')) {
+      if (!Array.isArray(operand)) {
+        throw new Error(`The ${operator} operator needs an array of values.`);
+      }
+
+      // An empty list matches nothing, or everything when negated.
+      const list = joinFragments(operand.map(valueFragment));
+      condition = operand.length
+        ? { sql: `${left.sql} ${operator} (${list.sql})`, args: [...left.args, ...list.args] }
+        : { sql: 'IN' === operator ? '1 = 0' : '1 = 1', args: [] };
+    } else if (operator.endsWith('BETWEEN')) {
+      if (!Array.isArray(operand) || 2 !== operand.length) {
+        throw new Error(`The ${operator} operator needs two values.`);
+      }
+
+      condition = joinFragments([left, { sql: operator, args: [] }, joinFragments(operand.map(valueFragment), ' AND ')], ' ');
+    } else if (null === operand || undefined === operand) {
+      if (!['=', '!=', '<>'].includes(operator)) {
+        throw new Error(`NULL can't be compared with the ${operator} operator.`);
+      }
+
+      condition = { sql: `${left.sql} ${'=' === operator ? 'IS NULL' : 'IS NOT NULL'}`, args: left.args };
+    } else {
+      condition = joinFragments([left, { sql: operator, args: [] }, valueFragment(operand)], ' ');
+    }
+
+    this.wheres.push({ boolean, ...condition });
+    return this;
+  }
+}
+
+export default WPQueryBuilder;
@@ -0,0 +1,299 @@
+/**
+ * MySQL driver for Wpdb, backed by the `mysql2` package.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+import WpdbDriver from './class-wpdb-driver.js';
+
+/**
+ * MySQL client error raised when the server has gone away.
+ *
+ * @constant {number}
+ */
+const CR_SERVER_GONE_ERROR = 2006;
+
+/**
+ * SQL types of the MySQL protocol's column type codes.
+ *
+ * Text and binary columns share codes; they are told apart by their character set.
+ *
+ * @constant {Object<number, string>}
+ */
+const COLUMN_TYPES = {
+  0: 'decimal',
+  1: 'tinyint',
+  2: 'smallint',
+  3: 'int',
+  4: 'float',
+  5: 'double',
+  6: 'null',
+  7: 'timestamp',
+  8: 'bigint',
+  9: 'mediumint',
+  10: 'date',
+  11: 'time',
+  12: 'datetime',
+  13: 'year',
+  14: 'date',
+  15: 'varchar',
+  16: 'bit',
+  245: 'json',
+  246: 'decimal',
+  247: 'enum',
+  248: 'set',
+  249: 'tinyblob',
+  250: 'mediumblob',
+  251: 'longblob',
+  252: 'blob',
+  253: 'varchar',
+  254: 'char',
+  255: 'geometry',
+};
+
+/**
+ * Text types of the blob, varchar and char type codes, used unless the column is binary.
+ *
+ * @constant {Object<string, string>}
+ */
+const TEXT_TYPES = {
+  tinyblob: 'tinytext',
+  mediumblob: 'mediumtext',
+  longblob: 'longtext',
+  blob: 'text',
+};
+
+/**
+ * Binary types of the varchar and char type codes.
+ *
+ * @constant {Object<string, string>}
+ */
+const BINARY_TYPES = {
+  varchar: 'varbinary',
+  char: 'binary',
+};
+
+/**
+ * Character set number of binary strings.
+ *
+ * @constant {number}
+ */
+const BINARY_CHARSET = 63;
+
+/**
+ * Column flags of the MySQL protocol.
+ *
+ * @constant {Object<string, number>}
+ */
+const FIELD_FLAGS = {
+  not_null: 1,
+  primary_key: 2,
+  unique_key: 4,
+  multiple_key: 8,
+  unsigned: 32,
+  zerofill: 64,
+};
+
+class WpdbMysqlDriver extends WpdbDriver {
+  name = 'mysql';
+
+  isMySQL = true;
+
+  /**
+   * The mysql2 promise connection.
+   *
+   * @var {Object|null}
+   */
+  handle = null;
+
+  /**
+   * Set when mysql2 reports a fatal error, after which the handle can't be reused.
+   *
+   * @var {boolean}
+   */
+  lost = false;
+
+  /**
+   * @inheritdoc
+   */
+  async connect({ host, port, socket, user, password, database, flags }) {
+    await this.close();
+
+    // Loaded lazily so installs that only use SQLite don't need mysql2.
+    const { createConnection } = await import('mysql2/promise');
+
+    this.handle = await createConnection({
+      host,
+      port: port || undefined,
+      socketPath: socket || undefined,
+      user,
+      password,
+      database,
+      flags: flags || undefined,
+      // Values are typed by Wpdb from the column metadata, these keep them lossless until then.
+      supportBigNumbers: true,
+      bigNumberStrings: true,
+      dateStrings: true,
+    });
+    this.lost = false;
+
+    // Without a listener, a dropped connection would crash the whole process.
+    this.handle.on('error', (error) => {
+      if (error.fatal) {
+        this.lost = true;
+      }
+    });
+
+    const [rows] = await this.handle.query('SELECT VERSION() AS version');
+    this.version = rows[0].version;
+
+    return true;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async query(sql, params = []) {
+    this.resetState();
+
+    if (!this.isConnected()) {
+      return this.setError(new Error('MySQL server has gone away'), CR_SERVER_GONE_ERROR);
+    }
+
+    try {
+      // Bound values go through a server-side prepared statement.
+      const [result, fields] = params.length
+        ? await this.handle.execute(sql, this.bindParams(params))
+        : await this.handle.query(sql);
+
+      if (Array.isArray(result)) {
+        this.fields = (fields || []).map((column) => this.fieldFromColumn(column));
+        return { rows: result, fields: this.fields };
+      }
+
+      this.affectedRows = result.affectedRows;
+      this.insertId = result.insertId;
+      return true;
+    } catch (error) {
+      if (error.fatal) {
+        this.lost = true;
+        return this.setError(error, CR_SERVER_GONE_ERROR);
+      }
+      return this.setError(error);
+    }
+  }
+
+  /**
+   * Streams the rows from the server, which waits while they are being processed.
+   *
+   * The connection can't run other queries until all the rows are read; leaving the
+   * loop early discards the rest of them.
+   *
+   * @inheritdoc
+   */
+  async *iterate(sql, params = []) {
+    this.resetState();
+
+    if (!this.isConnected()) {
+      this.setError(new Error('MySQL server has gone away'), CR_SERVER_GONE_ERROR);
+      return;
+    }
+
+    // The promise wrapper can't stream, the connection it wraps can.
+    const { connection } = this.handle;
+    const stream = (params.length ? connection.execute(sql, this.bindParams(params)) : connection.query(sql)).stream({ highWaterMark: 100 });
+    stream.on('fields', (fields) => {
+      this.fields = fields.map((column) => this.fieldFromColumn(column));
+    });
+
+    try {
+      for await (const row of stream) {
+        yield row;
+      }
+    } catch (error) {
+      if (error.fatal) {
+        this.lost = true;
+        this.setError(error, CR_SERVER_GONE_ERROR);
+      } else {
+        this.setError(error);
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isConnected() {
+    return Boolean(this.handle) && !this.lost;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async close() {
+    if (!this.handle) {
+      return false;
+    }
+
+    const { handle } = this;
+    this.handle = null;
+
+    try {
+      await handle.end();
+    } catch (error) {
+      // The connection is already unusable, which is what we wanted.
+      handle.destroy();
+    }
+
+    return true;
+  }
+
+  /**
+   * Converts bound values to the types they are sent as.
+   *
+   * mysql2 sends every number as a DOUBLE, which MySQL 8.0.22 and later reject for
+   * `LIMIT ?` and `OFFSET ?`. Integers are sent as strings, which MySQL converts back
+   * wherever a number is expected, without the precision loss of a DOUBLE.
+   *
+   * @protected
+   * @param {Array<*>} params Bound values.
+   * @return {Array<*>} The values to send.
+   */
+  bindParams(params) {
+    return params.map((value) => (Number.isInteger(value) || 'bigint' === typeof value ? String(value) : value));
+  }
+
+  /**
+   * Describes a column from its mysql2 definition.
+   *
+   * @protected
+   * @param {Object} column mysql2 column definition.
+   * @return {Object} The column metadata, see createField().
+   */
+  fieldFromColumn(column) {
+    const binary = BINARY_CHARSET === column.characterSet;
+
+    let type = COLUMN_TYPES[column.columnType] || '';
+    if (!binary && TEXT_TYPES[type]) {
+      type = TEXT_TYPES[type];
+    } else if (binary && BINARY_TYPES[type]) {
+      type = BINARY_TYPES[type];
+    }
+
+    const flags = Object.fromEntries(Object.entries(FIELD_FLAGS).map(([flag, bit]) => [flag, Boolean(column.flags & bit)]));
+
+    return this.createField({
+      name: column.name,
+      orgname: column.orgName,
+      table: column.table,
+      orgtable: column.orgTable,
+      type,
+      length: column.columnLength,
+      decimals: column.decimals,
+      ...flags,
+    });
+  }
+}
+
+export default WpdbMysqlDriver;
@@ -0,0 +1,346 @@
+/**
+ * SQLite driver for Wpdb, backed by the `sqlite3` package.
+ *
+ * Lets NextPress run without a database server, e.g. locally or in CI.
+ * The database name is used as the file name; `:memory:` gives a throwaway database.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+import sqlite3 from 'sqlite3';
+import WpdbDriver from './class-wpdb-driver.js';
+
+/**
+ * Statements that produce a result set rather than a change count.
+ *
+ * SHOW and DESCRIBE are MySQL's; they are read as result sets too, like on MySQL.
+ *
+ * @constant {RegExp}
+ */
+const RESULT_SET_QUERY = /^\s*\(*\s*(?:SELECT|PRAGMA|WITH|EXPLAIN|VALUES|SHOW|DESCRIBE|DESC)\b/i;
+
+/**
+ * MySQL client error raised when the server has gone away.
+ *
+ * @constant {number}
+ */
+const CR_SERVER_GONE_ERROR = 2006;
+
+/**
+ * Statements that may change the columns of a table.
+ *
+ * @constant {RegExp}
+ */
+const SCHEMA_QUERY = /^\s*(?:CREATE|ALTER|DROP)\s/i;
+
+class WpdbSqliteDriver extends WpdbDriver {
+  name = 'sqlite';
+
+  isMySQL = false;
+
+  /**
+   * The sqlite3 database handle.
+   *
+   * @var {sqlite3.Database|null}
+   */
+  handle = null;
+
+  /**
+   * Column metadata of the tables queried so far, keyed by table name, then by column name.
+   *
+   * @var {Map<string, Object<string, Object>>}
+   */
+  tableFields = new Map();
+
+  /**
+   * @inheritdoc
+   */
+  async connect({ database }) {
+    await this.close();
+
+    // Every connection to `:memory:` gets its own, empty database.
+    this.maxConnections = !database || ':memory:' === database ? 1 : Infinity;
+
+    this.handle = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(database || ':memory:', (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(db);
+        }
+      });
+    });
+
+    const [row] = await this.all('SELECT sqlite_version() AS version');
+    this.version = row.version;
+
+    return true;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async query(sql, params = []) {
+    this.resetState();
+
+    if (!this.isConnected()) {
+      return this.setError(new Error('SQLite database is not open'), CR_SERVER_GONE_ERROR);
+    }
+
+    try {
+      if (RESULT_SET_QUERY.test(sql)) {
+        const rows = await this.all(sql, params);
+        this.fields = await this.fieldsFromRows(sql, rows);
+        return { rows, fields: this.fields };
+      }
+
+      if (SCHEMA_QUERY.test(sql)) {
+        this.tableFields.clear();
+      }
+
+      const { changes, lastID } = await this.run(sql, params);
+      this.affectedRows = changes;
+      this.insertId = lastID;
+      return true;
+    } catch (error) {
+      return this.setError(error);
+    }
+  }
+
+  /**
+   * Steps through the rows with a prepared statement, so that only one is in memory at a time.
+   *
+   * @inheritdoc
+   */
+  async *iterate(sql, params = []) {
+    this.resetState();
+
+    if (!this.isConnected()) {
+      this.setError(new Error('SQLite database is not open'), CR_SERVER_GONE_ERROR);
+      return;
+    }
+
+    let statement = null;
+    try {
+      statement = await new Promise((resolve, reject) => {
+        const prepared = this.handle.prepare(sql, params, (error) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(prepared);
+          }
+        });
+      });
+
+      let row = await this.step(statement);
+      this.fields = await this.fieldsFromRows(sql, row ? [row] : []);
+
+      while (row) {
+        yield row;
+        row = await this.step(statement);
+      }
+    } catch (error) {
+      this.setError(error);
+    } finally {
+      if (statement) {
+        await new Promise((resolve) => {
+          statement.finalize(() => resolve());
+        });
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isConnected() {
+    return Boolean(this.handle);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async close() {
+    if (!this.handle) {
+      return false;
+    }
+
+    const { handle } = this;
+    this.handle = null;
+    this.tableFields.clear();
+
+    await new Promise((resolve) => {
+      handle.close(() => resolve());
+    });
+
+    return true;
+  }
+
+  /**
+   * Escapes a string for use inside a quoted SQL string literal.
+   *
+   * SQLite doesn't treat backslashes specially; quotes are escaped by doubling them.
+   *
+   * @param {string} value The string to escape.
+   * @return {string} The escaped string.
+   */
+  escapeString(value) {
+    return String(value).replace(/'/g, "''");
+  }
+
+  /**
+   * Runs a statement returning rows.
+   *
+   * @protected
+   * @param {string} sql The SQL query.
+   * @param {Array<*>} [params=[]] Bound values.
+   * @return {Promise<Array<Object>>} The rows.
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.handle.all(sql, params, (error, rows) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Runs a statement that doesn't return rows.
+   *
+   * @protected
+   * @param {string} sql The SQL query.
+   * @param {Array<*>} [params=[]] Bound values.
+   * @return {Promise<{changes: number, lastID: number}>} Change count and last inserted row ID.
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      // sqlite3 reports the statement info on `this`, so this can't be an arrow function.
+      this.handle.run(sql, params, function onRun(error) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ changes: this.changes, lastID: this.lastID });
+        }
+      });
+    });
+  }
+
+  /**
+   * Reads the next row of a prepared statement.
+   *
+   * @protected
+   * @param {sqlite3.Statement} statement The statement.
+   * @return {Promise<Object|undefined>} The row, undefined once there are no more.
+   */
+  step(statement) {
+    return new Promise((resolve, reject) => {
+      statement.get((error, row) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  /**
+   * Builds the column metadata of a result set, as sqlite3 doesn't expose it.
+   *
+   * Columns of the queried tables are described from their declared types, which dbDelta()
+   * keeps from the MySQL schema, e.g. `datetime TEXT` or `decimal REAL(10,2)`. Other columns
+   * of SELECT queries, e.g. expressions, are typed from their value in the first row.
+   * Without rows, only `SELECT *` queries of a single table have known columns.
+   *
+   * @protected
+   * @param {string} sql The SQL query.
+   * @param {Array<Object>} rows The rows.
+   * @return {Promise<Array<Object>>} The column metadata, see createField().
+   */
+  async fieldsFromRows(sql, rows) {
+    const tables = [...sql.matchAll(/\b(?:FROM|JOIN)\s+[`"]?([\w$]+)[`"]?/gi)].map((match) => match[1]);
+
+    const columns = {};
+    for (const table of tables) {
+      Object.entries(await this.describeTable(table)).forEach(([name, field]) => {
+        columns[name] = columns[name] || field;
+      });
+    }
+
+    let names = rows.length ? Object.keys(rows[0]) : [];
+    if (!rows.length && 1 === tables.length && /^\s*SELECT\s+\*\s+FROM\s/i.test(sql)) {
+      names = Object.keys(columns);
+    }
+
+    // Rows of PRAGMA statements and the like are left untyped, as MySQL has none of them.
+    const guess = /^\s*\(*\s*(?:SELECT|WITH|VALUES)\b/i.test(sql);
+
+    return names.map((name) => columns[name] || this.createField({ name, type: guess ? this.valueType(rows[0][name]) : '' }));
+  }
+
+  /**
+   * Describes the columns of a table from `PRAGMA table_info`.
+   *
+   * @protected
+   * @param {string} table Table name.
+   * @return {Promise<Object<string, Object>>} The column metadata keyed by column name,
+   *                                            empty if the table doesn't exist.
+   */
+  async describeTable(table) {
+    if (this.tableFields.has(table)) {
+      return this.tableFields.get(table);
+    }
+
+    let columns = [];
+    try {
+      columns = await this.all(`PRAGMA table_info(\`${table}\`)`);
+    } catch (error) {
+      // Not a table, e.g. a table-valued function.
+    }
+
+    const fields = {};
+    for (const column of columns) {
+      const [, type = '', size = ''] = column.type.match(/^\s*(\w*)[^(]*(?:\(([^)]*)\))?/);
+      const [length = 0, decimals = 0] = size.split(',').map(Number);
+      const def = null === column.dflt_value ? null : column.dflt_value.replace(/^'(.*)'$/s, '$1').replace(/''/g, "'");
+
+      fields[column.name] = this.createField({
+        name: column.name,
+        table,
+        orgtable: table,
+        def,
+        // SQLite integers are 64 bits wide, whatever the column's declared type.
+        type: 'integer' === type.toLowerCase() ? 'bigint' : type.toLowerCase(),
+        length,
+        decimals,
+        not_null: Boolean(column.notnull),
+        primary_key: Boolean(column.pk),
+      });
+    }
+
+    this.tableFields.set(table, fields);
+    return fields;
+  }
+
+  /**
+   * Guesses the SQL type of a value of a column that isn't a table's.
+   *
+   * @protected
+   * @param {*} value The value.
+   * @return {string} 'bigint', 'double', 'blob', or an empty string if it can't be told.
+   */
+  valueType(value) {
+    if ('number' === typeof value) {
+      return Number.isInteger(value) ? 'bigint' : 'double';
+    }
+
+    return Buffer.isBuffer(value) ? 'blob' : '';
+  }
+}
+
+export default WpdbSqliteDriver;
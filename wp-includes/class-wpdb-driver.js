@@ -0,0 +1,289 @@
+/**
+ * Base class for the database drivers used by Wpdb.
+ *
+ * A driver owns the low-level connection handle of one database engine and
+ * exposes it to Wpdb through a small, engine-neutral surface, the way mysqli
+ * exposes `errno`, `error`, `affected_rows` and `insert_id` in PHP.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+/**
+ * Escape sequences used by MySQL string literals.
+ *
+ * @constant {Object<string, string>}
+ */
+const MYSQL_ESCAPES = {
+  '\0': '\\0',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\x1a': '\\Z',
+  '"': '\\"',
+  "'": "\\'",
+  '\\': '\\\\',
+};
+
+/**
+ * Column types holding numbers.
+ *
+ * @constant {Array<string>}
+ */
+const NUMERIC_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint', 'decimal', 'numeric', 'float', 'double', 'real', 'bit', 'year'];
+
+/**
+ * Column types holding text or binary data of variable length.
+ *
+ * @constant {Array<string>}
+ */
+const BLOB_TYPES = ['tinyblob', 'blob', 'mediumblob', 'longblob', 'tinytext', 'text', 'mediumtext', 'longtext'];
+
+class WpdbDriver {
+  /**
+   * Driver name, as used in the `DB_DRIVER` setting.
+   *
+   * @var {string}
+   */
+  name = '';
+
+  /**
+   * Whether the driver talks to a MySQL (or MariaDB) server.
+   *
+   * @var {boolean}
+   */
+  isMySQL = false;
+
+  /**
+   * Error number of the last query, 0 if it succeeded.
+   *
+   * 2006 (CR_SERVER_GONE_ERROR) is reported whenever the connection was lost,
+   * regardless of the engine, so Wpdb can decide to reconnect.
+   *
+   * @var {number}
+   */
+  errno = 0;
+
+  /**
+   * Error message of the last query, empty if it succeeded.
+   *
+   * @var {string}
+   */
+  error = '';
+
+  /**
+   * Number of rows affected by the last write query.
+   *
+   * @var {number}
+   */
+  affectedRows = 0;
+
+  /**
+   * The ID generated for an AUTO_INCREMENT column by the last INSERT or REPLACE.
+   *
+   * @var {number}
+   */
+  insertId = 0;
+
+  /**
+   * Server version string, read once the connection is established.
+   *
+   * @var {string}
+   */
+  version = '';
+
+  /**
+   * How many connections to the same database can be open at once.
+   * Wpdb's connection pool never grows beyond it.
+   *
+   * @var {number}
+   */
+  maxConnections = Infinity;
+
+  /**
+   * Column metadata of the last result set, one entry per column.
+   *
+   * Every driver describes columns the same way, see createField().
+   *
+   * @var {Array<Object>}
+   */
+  fields = [];
+
+  /**
+   * Opens the connection. Any previously opened connection is closed first.
+   *
+   * @abstract
+   * @param {Object} options Connection options.
+   * @param {string} options.host Database host.
+   * @param {number|null} options.port Database port.
+   * @param {string|null} options.socket Unix socket path.
+   * @param {string} options.user Database user.
+   * @param {string} options.password Database password.
+   * @param {string} options.database Database name, or file for file-based engines.
+   * @param {number|string} [options.flags] Client flags.
+   * @return {Promise<boolean>} True once connected. Rejects when the connection fails.
+   */
+  async connect(options) {
+    throw new Error(`The ${this.constructor.name} driver does not implement connect().`);
+  }
+
+  /**
+   * Runs a query.
+   *
+   * Errors are not thrown, they are recorded in `errno` and `error`.
+   *
+   * @abstract
+   * @param {string} sql The SQL query.
+   * @param {Array<*>} [params=[]] Values bound to `?` placeholders.
+   * @return {Promise<Object|boolean>} `{ rows, fields }` for queries returning a result set,
+   *                                   true for other successful queries, false on error.
+   *                                   `fields` is also kept in the `fields` property.
+   */
+  async query(sql, params = []) {
+    throw new Error(`The ${this.constructor.name} driver does not implement query().`);
+  }
+
+  /**
+   * Runs a query and yields the rows of its result set one at a time.
+   *
+   * `fields` is set before the first row is yielded. Errors are not thrown, they are
+   * recorded in `errno` and `error` and end the iteration. Drivers able to stream rows
+   * override this; by default the whole result set is read first.
+   *
+   * @param {string} sql The SQL query.
+   * @param {Array<*>} [params=[]] Values bound to `?` placeholders.
+   * @yield {Object} The rows, keyed by column name.
+   */
+  async *iterate(sql, params = []) {
+    const result = await this.query(sql, params);
+    if (result && result.rows) {
+      yield* result.rows;
+    }
+  }
+
+  /**
+   * Checks that the connection is still usable.
+   *
+   * @return {Promise<boolean>} True if the server answered.
+   */
+  async ping() {
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    return false !== await this.query('SELECT 1');
+  }
+
+  /**
+   * Whether a connection handle is currently open.
+   *
+   * @abstract
+   * @return {boolean}
+   */
+  isConnected() {
+    return false;
+  }
+
+  /**
+   * Releases anything held for the last result, including pending results of a multi-query.
+   */
+  freeResult() {
+    // Nothing is buffered by default.
+  }
+
+  /**
+   * Closes the connection.
+   *
+   * @abstract
+   * @return {Promise<boolean>} True if a connection was closed.
+   */
+  async close() {
+    return false;
+  }
+
+  /**
+   * Escapes a string for use inside a quoted SQL string literal.
+   *
+   * Follows MySQL's rules, like `mysqli_real_escape_string()`.
+   *
+   * @param {string} value The string to escape.
+   * @return {string} The escaped string.
+   */
+  escapeString(value) {
+    return String(value).replace(/[\0\n\r\x1a"'\\]/g, (char) => MYSQL_ESCAPES[char]);
+  }
+
+  /**
+   * Returns the server version string, e.g. `8.0.36` or `10.11.6-MariaDB`.
+   *
+   * @return {string}
+   */
+  serverInfo() {
+    return this.version;
+  }
+
+  /**
+   * Clears the state left by the previous query.
+   *
+   * @protected
+   */
+  resetState() {
+    this.errno = 0;
+    this.error = '';
+    this.affectedRows = 0;
+    this.insertId = 0;
+    this.fields = [];
+  }
+
+  /**
+   * Builds the metadata of a result set column.
+   *
+   * The properties are those of `mysqli_fetch_field()` objects, with the flags spelled
+   * out. `type` is the lowercase SQL type, e.g. 'bigint', 'varchar' or 'datetime', or
+   * an empty string when the driver can't tell, e.g. for expressions on SQLite.
+   *
+   * @protected
+   * @param {Object} column Known properties of the column; `name` is required.
+   * @return {Object} The column metadata.
+   */
+  createField(column) {
+    const field = {
+      name: column.name,
+      orgname: column.name,
+      table: '',
+      orgtable: '',
+      def: null,
+      type: '',
+      length: 0,
+      decimals: 0,
+      max_length: 0,
+      not_null: false,
+      primary_key: false,
+      unique_key: false,
+      multiple_key: false,
+      unsigned: false,
+      zerofill: false,
+      ...column,
+    };
+
+    field.numeric = NUMERIC_TYPES.includes(field.type);
+    field.blob = BLOB_TYPES.includes(field.type);
+
+    return field;
+  }
+
+  /**
+   * Records a failed query.
+   *
+   * @protected
+   * @param {Error} error The error raised by the client library.
+   * @param {number} [errno] Error number to record instead of the library's one.
+   * @return {boolean} Always false, so drivers can `return this.setError(error)`.
+   */
+  setError(error, errno) {
+    this.errno = errno || error.errno || 1;
+    this.error = error.message || String(error);
+    return false;
+  }
+}
+
+export default WpdbDriver;
@@ -0,0 +1,202 @@
+/**
+ * Error handling for Wpdb.
+ *
+ * Every database error goes through the handler as a WPDBError. It emits an `error`
+ * event, logs the error unless errors are suppressed, then applies the error policy:
+ *
+ * - `return`: the failing method returns false, as in PHP. The default.
+ * - `collect`: the same, and the error is also added to `global.EZSQL_ERROR`.
+ * - `throw`: the failing method throws the WPDBError.
+ *
+ * Connection errors never throw, as they mostly happen outside of any request; queries
+ * made without a connection fail in turn. Instead of ending the process, errors reaching
+ * Express are rendered as an error page by the handler's middleware.
+ *
+ * @example
+ * wpdb.errorHandler.on('error', (error) => metrics.increment(`db.${error.code}`));
+ * app.use(wpdb.errorHandler.middleware()); // After the routes.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+import { EventEmitter } from 'events';
+import WPDBError from './class-wpdb-error.js';
+
+/**
+ * Escapes a string for HTML.
+ *
+ * @param {*} text Text to escape.
+ * @return {string} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+class WpdbErrorHandler extends EventEmitter {
+  /**
+   * The error policies.
+   *
+   * @type {Array<string>}
+   */
+  static POLICIES = ['return', 'collect', 'throw'];
+
+  /**
+   * The database object whose errors are handled.
+   *
+   * @var {Wpdb}
+   */
+  wpdb;
+
+  /**
+   * What failing methods do: 'return' false, 'collect' the error and return false, or 'throw' it.
+   *
+   * @var {string}
+   */
+  policy = 'return';
+
+  /**
+   * @param {Wpdb} wpdb The database object whose errors are handled.
+   * @param {Object} [options={}] Optional. Handler settings.
+   * @param {string} [options.policy] Error policy. Defaults to 'throw' when `DIEONDBERROR`
+   *                                  is set, 'return' otherwise.
+   */
+  constructor(wpdb, { policy } = {}) {
+    super();
+
+    this.wpdb = wpdb;
+    this.setPolicy(policy || (process.env.DIEONDBERROR ? 'throw' : 'return'));
+  }
+
+  /**
+   * Changes the error policy.
+   *
+   * @param {string} policy 'return', 'collect' or 'throw'.
+   * @return {string} The previous policy.
+   * @throws {Error} If the policy is unknown.
+   */
+  setPolicy(policy) {
+    if (!WpdbErrorHandler.POLICIES.includes(policy)) {
+      throw new Error(`Unknown database error policy "${policy}". Supported policies: ${WpdbErrorHandler.POLICIES.join(', ')}.`);
+    }
+
+    const previous = this.policy;
+    this.policy = policy;
+    return previous;
+  }
+
+  /**
+   * Emits, collects and logs an error, without applying the throw policy.
+   *
+   * Unlike other emitters, the handler doesn't throw when an error has no listeners.
+   *
+   * @param {WPDBError} error The error.
+   */
+  report(error) {
+    if (this.listenerCount('error')) {
+      this.emit('error', error);
+    }
+
+    if ('collect' === this.policy) {
+      global.EZSQL_ERROR = global.EZSQL_ERROR || [];
+      global.EZSQL_ERROR.push({
+        query: error.query,
+        errorStr: error.message,
+      });
+    }
+
+    if (this.wpdb.suppressingErrors) {
+      return;
+    }
+
+    console.error(error.caller
+      ? `WordPress database error ${error.message} for query ${error.query} made by ${error.caller}`
+      : `WordPress database error ${error.message} for query ${error.query}`);
+  }
+
+  /**
+   * Reports an error, then applies the error policy.
+   *
+   * Suppressed errors are never thrown, so that expected failures stay quiet.
+   *
+   * @param {WPDBError} error The error.
+   * @return {boolean} False, for the failing method to return.
+   * @throws {WPDBError} The error, with the 'throw' policy.
+   */
+  handle(error) {
+    this.report(error);
+
+    if ('throw' === this.policy && !this.wpdb.suppressingErrors) {
+      throw error;
+    }
+
+    return false;
+  }
+
+  /**
+   * Renders the HTML page of an error.
+   *
+   * Details such as the query are only shown when the database shows errors, see
+   * Wpdb.showErrors(), as they can leak the database structure.
+   *
+   * @param {WPDBError} error The error.
+   * @param {Object} [options={}] Optional. Page settings.
+   * @param {boolean} [options.showDetails] Whether to show the message and query.
+   *                                        Defaults to whether the database shows errors.
+   * @return {string} The page HTML.
+   */
+  renderPage(error, { showDetails = this.wpdb.showingErrors } = {}) {
+    const connecting = ['db_connect_fail', 'db_select_fail'].includes(error.code);
+    let content;
+
+    if (!showDetails) {
+      content = connecting
+        ? '<h1>Error establishing a database connection</h1>'
+        : '<h1>Database error</h1><p>The page could not be loaded because of a database error.</p>';
+    } else if (error.html) {
+      const cause = error.cause ? `<p><code>${escapeHtml(error.cause.message || error.cause)}</code></p>` : '';
+      content = cause + error.html;
+    } else {
+      content = '<h1>Database error</h1>'
+        + `<div id="error"><p class="wpdberror"><strong>WordPress database error:</strong> [${escapeHtml(error.message)}]<br />`
+        + `<code>${escapeHtml(error.query)}</code></p></div>`;
+    }
+
+    return '<!DOCTYPE html>\n'
+      + '<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">'
+      + '<meta name="robots" content="noindex,follow"><title>Database Error</title>'
+      + '<style>body{background:#f1f1f1;color:#444;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;'
+      + 'margin:2em auto;padding:1em 2em;max-width:700px;background:#fff;box-shadow:0 1px 1px rgba(0,0,0,.04)}'
+      + 'h1{border-bottom:1px solid #dadada;color:#666;font-size:24px;margin:30px 0 0;padding:0 0 7px}'
+      + 'code{font-family:Consolas,Monaco,monospace}</style></head>'
+      + `<body id="error-page">${content}</body></html>`;
+  }
+
+  /**
+   * Creates the Express error middleware rendering database errors.
+   *
+   * Mount it after the routes. Other errors, and errors raised once the response has
+   * started, are passed on. Clients asking for JSON get the error code and message.
+   *
+   * @return {Function} The error middleware.
+   */
+  middleware() {
+    return (error, req, res, next) => {
+      if (!(error instanceof WPDBError) || res.headersSent) {
+        next(error);
+        return;
+      }
+
+      res.status(error.status);
+      if ('json' === req.accepts(['html', 'json'])) {
+        res.json(this.wpdb.showingErrors ? error : { code: error.code, message: 'Database error.' });
+        return;
+      }
+
+      res.type('html').send(this.renderPage(error));
+    };
+  }
+}
+
+export { WpdbErrorHandler };
+export default WpdbErrorHandler;
@@ -0,0 +1,102 @@
+/**
+ * Error raised by Wpdb.
+ *
+ * Carries what PHP's wpdb spreads over `last_error`, `last_query` and the mysqli errno,
+ * so that listeners, logs and the error page get the whole picture from one object.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+class WPDBError extends Error {
+  /**
+   * Error code, e.g. 'db_query_error', 'db_connect_fail' or 'db_select_fail'.
+   *
+   * @var {string}
+   */
+  code;
+
+  /**
+   * The query that failed, empty for connection errors.
+   *
+   * @var {string}
+   */
+  query;
+
+  /**
+   * Comma-separated list of the functions that called wpdb.
+   *
+   * @var {string}
+   */
+  caller;
+
+  /**
+   * Error number reported by the driver, 0 if the error didn't come from the database.
+   *
+   * @var {number}
+   */
+  errno;
+
+  /**
+   * HTTP status of the error page.
+   *
+   * @var {number}
+   */
+  status;
+
+  /**
+   * Explanation shown on the error page when errors are shown, as passed to Wpdb.bail().
+   *
+   * @var {string}
+   */
+  html;
+
+  /**
+   * @param {string} message The error message.
+   * @param {Object} [details={}] Optional. Error details.
+   * @param {string} [details.code='db_query_error'] Error code.
+   * @param {string} [details.query=''] The query that failed.
+   * @param {string} [details.caller=''] The functions that called wpdb.
+   * @param {number} [details.errno=0] Driver error number.
+   * @param {number} [details.status=500] HTTP status of the error page.
+   * @param {string} [details.html=''] HTML explanation for the error page.
+   * @param {Error} [details.cause] The error raised by the client library.
+   */
+  constructor(message, {
+    code = 'db_query_error',
+    query = '',
+    caller = '',
+    errno = 0,
+    status = 500,
+    html = '',
+    cause,
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+
+    this.name = 'WPDBError';
+    this.code = code;
+    this.query = query || '';
+    this.caller = caller;
+    this.errno = errno || 0;
+    this.status = status;
+    this.html = html;
+  }
+
+  /**
+   * Returns the error for JSON responses and structured logs.
+   *
+   * @return {{code: string, message: string, query: string, errno: number, caller: string}} The error data.
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      query: this.query,
+      errno: this.errno,
+      caller: this.caller,
+    };
+  }
+}
+
+export { WPDBError };
+export default WPDBError;
@@ -0,0 +1,267 @@
+/**
+ * Connection health of Wpdb.
+ *
+ * When the main connection is lost, or the pool of the main server can't open one,
+ * Wpdb reconnects through the health monitor. Attempts are spaced by an exponential backoff with jitter, so that
+ * restarted servers aren't hit by every process at once, and concurrent queries share
+ * the same attempts.
+ *
+ * A circuit breaker stops the retries once they are exhausted: the circuit opens, and
+ * queries fail fast for `cooldown` milliseconds instead of waiting on a server that is
+ * down. Then the circuit is half-open: the next reconnection makes a single attempt,
+ * which closes the circuit again or keeps it open for another cooldown.
+ *
+ * @example
+ * app.use(wpdb.health.middleware());
+ * // GET /health -> 200 {"status":"ok","circuit":"closed",...}, or 503 while the database is down
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+/**
+ * State of the circuit breaker: 'closed' while the database is up, 'open' while
+ * queries fail fast, 'half-open' once the cooldown has passed.
+ *
+ * @typedef {string} WpdbCircuitState
+ */
+
+/**
+ * Health report of the database.
+ *
+ * @typedef {Object} WpdbHealthReport
+ * @property {string} status 'ok' when the database answers, 'unavailable' otherwise.
+ * @property {WpdbCircuitState} circuit State of the circuit breaker.
+ * @property {number} failures Number of reconnections that failed in a row.
+ * @property {string|null} retryAt ISO date of the next reconnection while the circuit
+ *                                 is open, null otherwise.
+ */
+
+class WpdbHealth {
+  /**
+   * The database object whose connection is monitored.
+   *
+   * @var {Wpdb}
+   */
+  wpdb;
+
+  /**
+   * Delay before the second attempt of a reconnection, in milliseconds. It doubles
+   * with each further attempt.
+   *
+   * @var {number}
+   */
+  baseDelay = 100;
+
+  /**
+   * Longest delay between two attempts, in milliseconds.
+   *
+   * @var {number}
+   */
+  maxDelay = 5000;
+
+  /**
+   * Time during which queries fail fast once a reconnection failed, in milliseconds.
+   *
+   * @var {number}
+   */
+  cooldown = 30000;
+
+  /**
+   * State of the circuit breaker.
+   *
+   * @var {WpdbCircuitState}
+   */
+  state = 'closed';
+
+  /**
+   * Unix timestamp in milliseconds until which the circuit stays open.
+   *
+   * @var {number}
+   */
+  openUntil = 0;
+
+  /**
+   * Number of reconnections that failed in a row.
+   *
+   * @var {number}
+   */
+  failures = 0;
+
+  /**
+   * The reconnection in progress, shared by concurrent callers.
+   *
+   * @var {Promise<boolean>|null}
+   */
+  reconnecting = null;
+
+  /**
+   * @param {Wpdb} wpdb The database object whose connection is monitored.
+   * @param {Object} [options={}] Optional. Health settings.
+   * @param {number} [options.baseDelay=100] Delay before the second attempt, in milliseconds.
+   * @param {number} [options.maxDelay=5000] Longest delay between two attempts, in milliseconds.
+   * @param {number} [options.cooldown=30000] Time during which queries fail fast, in milliseconds.
+   */
+  constructor(wpdb, { baseDelay, maxDelay, cooldown } = {}) {
+    this.wpdb = wpdb;
+
+    if (undefined !== baseDelay) {
+      this.baseDelay = baseDelay;
+    }
+
+    if (undefined !== maxDelay) {
+      this.maxDelay = maxDelay;
+    }
+
+    if (undefined !== cooldown) {
+      this.cooldown = cooldown;
+    }
+  }
+
+  /**
+   * Gets the delay after a failed attempt.
+   *
+   * The delay is drawn between half and all of the exponential delay ("equal jitter"),
+   * so that processes that lost the server together don't retry together.
+   *
+   * @param {number} attempt The number of the failed attempt, from 1.
+   * @return {number} Delay in milliseconds.
+   */
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Waits between two attempts.
+   *
+   * @protected
+   * @param {number} delay Delay in milliseconds.
+   * @return {Promise<void>}
+   */
+  sleep(delay) {
+    return new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Whether queries currently fail fast.
+   *
+   * @return {boolean}
+   */
+  isOpen() {
+    return 'open' === this.state && Date.now() < this.openUntil;
+  }
+
+  /**
+   * Reconnects the main connection, unless the circuit is open.
+   *
+   * @param {function(): Promise<boolean>} [connect] Optional. Makes one attempt, resolving
+   *                                                 to whether it connected. Defaults to
+   *                                                 reconnecting the main connection.
+   * @return {Promise<boolean>} True if the connection was re-established.
+   */
+  reconnect(connect = () => this.wpdb.dbConnect(false)) {
+    if (!this.reconnecting) {
+      this.reconnecting = this.attemptReconnect(connect).finally(() => {
+        this.reconnecting = null;
+      });
+    }
+
+    return this.reconnecting;
+  }
+
+  /**
+   * Makes the attempts of a reconnection.
+   *
+   * @protected
+   * @param {function(): Promise<boolean>} connect Makes one attempt.
+   * @return {Promise<boolean>} True if the connection was re-established.
+   */
+  async attemptReconnect(connect) {
+    if (this.isOpen()) {
+      return false;
+    }
+
+    if ('open' === this.state) {
+      this.state = 'half-open';
+    }
+
+    const tries = 'half-open' === this.state ? 1 : Math.max(1, this.wpdb.reconnectRetries);
+
+    for (let attempt = 1; attempt <= tries; attempt++) {
+      if (await connect()) {
+        this.state = 'closed';
+        this.failures = 0;
+        return true;
+      }
+
+      if (attempt < tries) {
+        await this.sleep(this.backoff(attempt));
+      }
+    }
+
+    this.state = 'open';
+    this.openUntil = Date.now() + this.cooldown;
+    this.failures++;
+
+    return false;
+  }
+
+  /**
+   * Checks whether the database answers.
+   *
+   * A lost connection is re-established, so that probes bring the database back once
+   * the circuit is half-open. While the circuit is open, nothing is sent to the server.
+   *
+   * @return {Promise<WpdbHealthReport>} The health report.
+   */
+  async check() {
+    let ok = false;
+
+    if (this.wpdb.ready && !this.isOpen()) {
+      try {
+        ok = await this.wpdb.withConnection(() => this.wpdb.checkConnection(false));
+      } catch (error) {
+        // No server could provide a connection.
+        ok = false;
+      }
+    }
+
+    return {
+      status: ok ? 'ok' : 'unavailable',
+      circuit: this.state,
+      failures: this.failures,
+      retryAt: this.isOpen() ? new Date(this.openUntil).toISOString() : null,
+    };
+  }
+
+  /**
+   * Creates the Express middleware answering readiness probes.
+   *
+   * Mount it before the routes that use the database, so that probes don't depend on
+   * them. It answers 200 with the health report while the database answers, 503 otherwise.
+   *
+   * @param {Object} [options={}] Optional. Middleware settings.
+   * @param {string} [options.path='/health'] Path of the probe.
+   * @return {Function} The middleware.
+   */
+  middleware({ path = '/health' } = {}) {
+    return async (req, res, next) => {
+      if (path !== req.path) {
+        next();
+        return;
+      }
+
+      try {
+        const report = await this.check();
+        res.status('ok' === report.status ? 200 : 503).set('Cache-Control', 'no-store').json(report);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+export { WpdbHealth };
+export default WpdbHealth;
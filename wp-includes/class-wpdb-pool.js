@@ -0,0 +1,272 @@
+/**
+ * Connection pool for Wpdb.
+ *
+ * Hands out connected drivers to concurrent requests. A request keeps its connection
+ * for the length of a query, or of a whole transaction, then gives it back.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+class WpdbPool {
+  /**
+   * Maximum number of open connections.
+   *
+   * @var {number}
+   */
+  size = 10;
+
+  /**
+   * Milliseconds an unused connection stays open. 0 keeps connections open.
+   *
+   * @var {number}
+   */
+  idleTimeout = 60000;
+
+  /**
+   * Maximum number of requests waiting for a connection. 0 for no limit.
+   *
+   * @var {number}
+   */
+  queueLimit = 0;
+
+  /**
+   * Opens a new connection.
+   *
+   * @var {function(): Promise<WpdbDriver>}
+   */
+  factory = null;
+
+  /**
+   * Connection the pool was created with. It is never closed for being idle.
+   *
+   * @var {WpdbDriver|null}
+   */
+  seed = null;
+
+  /**
+   * Every open connection, in use or not.
+   *
+   * @var {Set<WpdbDriver>}
+   */
+  connections = new Set();
+
+  /**
+   * Connections ready to be handed out, most recently used last.
+   *
+   * @var {Array<WpdbDriver>}
+   */
+  idle = [];
+
+  /**
+   * Requests waiting for a connection.
+   *
+   * @var {Array<{resolve: Function, reject: Function}>}
+   */
+  waiting = [];
+
+  /**
+   * Connections being opened.
+   *
+   * @var {number}
+   */
+  opening = 0;
+
+  /**
+   * Idle timers, keyed by connection.
+   *
+   * @var {Map<WpdbDriver, Timeout>}
+   */
+  timers = new Map();
+
+  /**
+   * @param {function(): Promise<WpdbDriver>} factory Opens a new connection.
+   * @param {Object} [options={}] Pool settings.
+   * @param {number} [options.size=10] Maximum number of open connections.
+   * @param {number} [options.idleTimeout=60000] Milliseconds before an unused connection is closed.
+   * @param {number} [options.queueLimit=0] Maximum number of waiting requests, 0 for no limit.
+   * @param {WpdbDriver} [seed=null] An open connection to start with.
+   */
+  constructor(factory, { size = 10, idleTimeout = 60000, queueLimit = 0 } = {}, seed = null) {
+    this.factory = factory;
+    this.size = Math.max(1, Number(size) || 1);
+    this.idleTimeout = Number(idleTimeout) || 0;
+    this.queueLimit = Number(queueLimit) || 0;
+
+    if (seed) {
+      this.seed = seed;
+      this.connections.add(seed);
+      this.idle.push(seed);
+    }
+  }
+
+  /**
+   * Takes a connection, opening one or waiting for one to be released if needed.
+   *
+   * @return {Promise<WpdbDriver>} The connection. Release it with release().
+   * @throws {Error} If too many requests are already waiting, or a new connection fails.
+   */
+  async acquire() {
+    while (this.idle.length) {
+      const connection = this.idle.pop();
+      this.clearTimer(connection);
+
+      if (connection.isConnected()) {
+        return connection;
+      }
+
+      this.remove(connection);
+    }
+
+    if (this.connections.size + this.opening < this.size) {
+      return this.open();
+    }
+
+    if (this.queueLimit && this.waiting.length >= this.queueLimit) {
+      throw Object.assign(new Error(`Too many requests are waiting for a database connection (queue limit: ${this.queueLimit}).`), {
+        code: 'db_pool_queue_limit',
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Gives a connection back to the pool.
+   *
+   * Connections that were lost are dropped.
+   *
+   * @param {WpdbDriver} connection The connection.
+   */
+  release(connection) {
+    if (!this.connections.has(connection)) {
+      return;
+    }
+
+    if (!connection.isConnected()) {
+      this.destroy(connection);
+      return;
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(connection);
+      return;
+    }
+
+    this.idle.push(connection);
+
+    if (this.idleTimeout && connection !== this.seed) {
+      const timer = setTimeout(() => this.closeIdle(connection), this.idleTimeout);
+      // Idle connections shouldn't keep the process alive.
+      timer.unref();
+      this.timers.set(connection, timer);
+    }
+  }
+
+  /**
+   * Closes a connection and removes it from the pool, e.g. after it was lost.
+   *
+   * @param {WpdbDriver} connection The connection.
+   */
+  destroy(connection) {
+    if (!this.connections.has(connection)) {
+      return;
+    }
+
+    this.remove(connection);
+    connection.close().catch(() => {});
+
+    // The freed slot can serve a waiting request.
+    const next = this.waiting.shift();
+    if (next) {
+      this.open().then(next.resolve, next.reject);
+    }
+  }
+
+  /**
+   * Closes every connection and fails the waiting requests.
+   *
+   * @return {Promise<void>}
+   */
+  async end() {
+    for (const { reject } of this.waiting.splice(0)) {
+      reject(new Error('The database connection pool was closed.'));
+    }
+
+    const connections = [...this.connections];
+    connections.forEach((connection) => this.remove(connection));
+
+    await Promise.all(connections.map((connection) => connection.close()));
+  }
+
+  /**
+   * Opens a new connection and adds it to the pool.
+   *
+   * @protected
+   * @return {Promise<WpdbDriver>}
+   */
+  async open() {
+    this.opening++;
+
+    try {
+      const connection = await this.factory();
+      this.connections.add(connection);
+      return connection;
+    } finally {
+      this.opening--;
+    }
+  }
+
+  /**
+   * Closes a connection that has been idle for `idleTimeout`.
+   *
+   * @protected
+   * @param {WpdbDriver} connection The connection.
+   */
+  closeIdle(connection) {
+    const index = this.idle.indexOf(connection);
+    if (-1 === index) {
+      return;
+    }
+
+    this.idle.splice(index, 1);
+    this.remove(connection);
+    connection.close().catch(() => {});
+  }
+
+  /**
+   * Forgets a connection.
+   *
+   * @protected
+   * @param {WpdbDriver} connection The connection.
+   */
+  remove(connection) {
+    this.clearTimer(connection);
+    this.connections.delete(connection);
+
+    const index = this.idle.indexOf(connection);
+    if (-1 !== index) {
+      this.idle.splice(index, 1);
+    }
+
+    if (connection === this.seed) {
+      this.seed = null;
+    }
+  }
+
+  /**
+   * Cancels the idle timer of a connection.
+   *
+   * @protected
+   * @param {WpdbDriver} connection The connection.
+   */
+  clearTimer(connection) {
+    clearTimeout(this.timers.get(connection));
+    this.timers.delete(connection);
+  }
+}
+
+export default WpdbPool;
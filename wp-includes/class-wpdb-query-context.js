@@ -0,0 +1,327 @@
+/**
+ * Per-request query state for Wpdb.
+ *
+ * PHP runs one request per process, so wpdb keeps the last query's results on the
+ * object itself. In Node.js one Wpdb serves concurrent requests; Wpdb reads and writes
+ * these properties on the context of the current request instead, so that one request
+ * can't see another one's `insertId` or `lastResult` between two awaits.
+ *
+ * The current site is kept there too, so that requests to different sites of a network,
+ * and switch_to_blog() in one request, don't change the tables of the others.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+class WpdbQueryContext {
+  /**
+   * Names of the Wpdb properties stored in the context.
+   *
+   * @type {Array<string>}
+   */
+  static STATE = [
+    'lastError',
+    'lastDbError',
+    'numRows',
+    'rowsAffected',
+    'insertId',
+    'lastQuery',
+    'lastResult',
+    'result',
+    'checkCurrentQuery',
+    'colInfo',
+    'funcCall',
+    'timeStart',
+    'transactionDepth',
+    'transactionLost',
+    'numQueries',
+    'queries',
+  ];
+
+  /**
+   * Names of the Wpdb properties of the current site stored in the context.
+   *
+   * A new context starts on the site of the context it was created in.
+   *
+   * @type {Array<string>}
+   */
+  static BLOG_STATE = [
+    'prefix',
+    'blogId',
+    'siteId',
+    'comments',
+    'commentMeta',
+    'links',
+    'options',
+    'postMeta',
+    'posts',
+    'terms',
+    'termRelationships',
+    'termTaxonomy',
+    'termMeta',
+    'categories',
+    'post2cat',
+    'link2cat',
+  ];
+
+  /**
+   * The error encountered during the last query.
+   *
+   * @var {string}
+   */
+  lastError = '';
+
+  /**
+   * The typed error of the last query, null if it succeeded.
+   *
+   * @var {WPDBError|null}
+   */
+  lastDbError = null;
+
+  /**
+   * Count of rows returned by the last query.
+   *
+   * @var {number}
+   */
+  numRows = 0;
+
+  /**
+   * Count of rows affected by the last query.
+   *
+   * @var {number}
+   */
+  rowsAffected = 0;
+
+  /**
+   * The ID generated for an AUTO_INCREMENT column by the last query (usually INSERT).
+   *
+   * @var {number}
+   */
+  insertId = 0;
+
+  /**
+   * The last query made.
+   *
+   * @var {string}
+   */
+  lastQuery = '';
+
+  /**
+   * Results of the last query.
+   *
+   * @var {Array<Object>|null}
+   */
+  lastResult = null;
+
+  /**
+   * Database query result.
+   * Possible values:
+   * - `{ rows, fields }` for successful SELECT, SHOW, DESCRIBE, or EXPLAIN queries
+   * - `true` for other successful query types
+   * - `null` if a query is yet to be made or if the result has since been flushed
+   * - `false` if the query returned an error
+   *
+   * @var {Object|boolean|null}
+   */
+  result = null;
+
+  /**
+   * Whether text fields in the current query need to be confidence checked.
+   *
+   * @var {boolean}
+   */
+  checkCurrentQuery = true;
+
+  /**
+   * Saved info on the table column, null until loadColInfo() reads it from the last result.
+   *
+   * @var {Array<Object>|null}
+   */
+  colInfo = null;
+
+  /**
+   * A textual description of the last query/get_row/get_var call.
+   *
+   * @var {string}
+   */
+  funcCall = '';
+
+  /**
+   * Time when the last query was performed.
+   * Only set when `SAVEQUERIES` is defined and truthy.
+   *
+   * @var {number|null}
+   */
+  timeStart = null;
+
+  /**
+   * Transaction nesting level, 0 outside of transaction().
+   *
+   * @var {number}
+   */
+  transactionDepth = 0;
+
+  /**
+   * Whether the connection dropped while a transaction was open.
+   * The server rolls the transaction back when that happens.
+   *
+   * @var {boolean}
+   */
+  transactionLost = false;
+
+  /**
+   * The number of queries made.
+   *
+   * @var {number}
+   */
+  numQueries = 0;
+
+  /**
+   * Log of queries that were executed, for debugging purposes.
+   * Only filled when `SAVEQUERIES` is defined and truthy.
+   *
+   * @var {Array<WpdbQueryLogEntry>}
+   */
+  queries = [];
+
+  /**
+   * Datasets written to, whose reads now go to the primary to see the changes.
+   *
+   * @var {Set<string>}
+   */
+  writtenDatasets = new Set();
+
+  /**
+   * IDs of the sites switched from by switchToBlog(), the last one first restored.
+   *
+   * @var {Array<number>}
+   */
+  switchedStack = [];
+
+  /**
+   * WordPress table prefix of the current site.
+   *
+   * Used to have multiple WordPress installations in a single database, or for security reasons.
+   *
+   * @var {string}
+   */
+  prefix = '';
+
+  /**
+   * Blog ID.
+   *
+   * @var {number}
+   */
+  blogId = 0;
+
+  /**
+   * Site ID, the ID of the network.
+   *
+   * @var {number}
+   */
+  siteId = 0;
+
+  /**
+   * WordPress Comments table.
+   *
+   * @var {string}
+   */
+  comments = '';
+
+  /**
+   * WordPress Comment Metadata table.
+   *
+   * @var {string}
+   */
+  commentMeta = '';
+
+  /**
+   * WordPress Links table.
+   *
+   * @var {string}
+   */
+  links = '';
+
+  /**
+   * WordPress Options table.
+   *
+   * @var {string}
+   */
+  options = '';
+
+  /**
+   * WordPress Post Metadata table.
+   *
+   * @var {string}
+   */
+  postMeta = '';
+
+  /**
+   * WordPress Posts table.
+   *
+   * @var {string}
+   */
+  posts = '';
+
+  /**
+   * WordPress Terms table.
+   *
+   * @var {string}
+   */
+  terms = '';
+
+  /**
+   * WordPress Term Relationships table.
+   *
+   * @var {string}
+   */
+  termRelationships = '';
+
+  /**
+   * WordPress Term Taxonomy table.
+   *
+   * @var {string}
+   */
+  termTaxonomy = '';
+
+  /**
+   * WordPress Term Meta table.
+   *
+   * @var {string}
+   */
+  termMeta = '';
+
+  /**
+   * Deprecated WordPress Categories table.
+   *
+   * @var {string}
+   */
+  categories = '';
+
+  /**
+   * Deprecated WordPress Post to Category table.
+   *
+   * @var {string}
+   */
+  post2cat = '';
+
+  /**
+   * Deprecated WordPress Link to Category table.
+   *
+   * @var {string}
+   */
+  link2cat = '';
+
+  /**
+   * @param {WpdbQueryContext|null} [parent=null] Optional. Context whose current site to start on.
+   */
+  constructor(parent = null) {
+    if (parent) {
+      WpdbQueryContext.BLOG_STATE.forEach((name) => {
+        this[name] = parent[name];
+      });
+    }
+  }
+}
+
+export default WpdbQueryContext;
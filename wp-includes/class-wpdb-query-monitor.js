@@ -0,0 +1,300 @@
+/**
+ * Query monitor for Wpdb.
+ *
+ * When `SAVEQUERIES` is set, every query is logged in `wpdb.queries` of the current
+ * request. The monitor builds those log entries, flags slow queries, finds queries that
+ * ran more than once and the N+1 pattern of one query repeated with different values,
+ * and shows the report of a request in a panel of the page or as JSON.
+ *
+ * @example
+ * app.use(wpdb.contextMiddleware());
+ * app.use(wpdb.monitor.middleware());
+ * // GET /any/page -> the page with the panel, and an `X-Query-Monitor` header
+ * // GET /__query-monitor/<id> -> the report of that request as JSON
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Quoted strings and numbers, replaced by `?` in query fingerprints.
+ *
+ * @constant {RegExp}
+ */
+const LITERAL = /'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"|\b-?\d+(?:\.\d+)?\b/g;
+
+/**
+ * A logged query.
+ *
+ * @typedef {Object} WpdbQueryLogEntry
+ * @property {string} query The query's SQL.
+ * @property {Array<*>} params Values bound to its `?` placeholders.
+ * @property {string} type The statement, e.g. 'SELECT'.
+ * @property {string} fingerprint The query with its values replaced by `?`.
+ * @property {number} time Time spent on the query, in seconds.
+ * @property {number} start Unix timestamp of the start of the query, in milliseconds.
+ * @property {string} caller Comma-separated list of the calling functions.
+ * @property {number} rows Number of rows selected or affected.
+ * @property {string} error The error of the query, empty if it succeeded.
+ * @property {boolean} slow Whether it took at least the slow query threshold.
+ * @property {Object} data Custom query data.
+ */
+
+/**
+ * Report of the queries of a request.
+ *
+ * @typedef {Object} WpdbQueryReport
+ * @property {number} count Number of queries.
+ * @property {number} time Total time spent on the queries, in seconds.
+ * @property {Array<WpdbQueryLogEntry>} queries The queries.
+ * @property {Array<WpdbQueryLogEntry>} slow The slow queries.
+ * @property {Array<{query: string, params: Array<*>, count: number, time: number, callers: Array<string>}>} duplicates
+ *           Queries that ran more than once with the same values.
+ * @property {Array<{fingerprint: string, count: number, time: number, callers: Array<string>}>} nPlusOne
+ *           Queries that ran many times with different values, typically from a loop.
+ */
+
+/**
+ * Escapes a string for HTML.
+ *
+ * @param {*} text Text to escape.
+ * @return {string} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+class WpdbQueryMonitor {
+  /**
+   * The database object whose queries are monitored.
+   *
+   * @var {Wpdb}
+   */
+  wpdb;
+
+  /**
+   * Time from which a query is slow, in seconds.
+   *
+   * @var {number}
+   */
+  slowThreshold = 0.05;
+
+  /**
+   * Number of runs with different values from which a query is reported as N+1.
+   *
+   * @var {number}
+   */
+  nPlusOneThreshold = 5;
+
+  /**
+   * Number of request reports kept for the JSON endpoint.
+   *
+   * @var {number}
+   */
+  historySize = 50;
+
+  /**
+   * Reports of the latest requests, keyed by request ID.
+   *
+   * @var {Map<string, WpdbQueryReport>}
+   */
+  history = new Map();
+
+  /**
+   * @param {Wpdb} wpdb The database object whose queries are monitored.
+   * @param {Object} [options={}] Optional. Monitor settings.
+   * @param {number} [options.slowThreshold=0.05] Time from which a query is slow, in seconds.
+   * @param {number} [options.nPlusOneThreshold=5] Runs with different values from which a query is N+1.
+   * @param {number} [options.historySize=50] Number of request reports kept.
+   */
+  constructor(wpdb, { slowThreshold, nPlusOneThreshold, historySize } = {}) {
+    this.wpdb = wpdb;
+    this.slowThreshold = slowThreshold ?? this.slowThreshold;
+    this.nPlusOneThreshold = nPlusOneThreshold ?? this.nPlusOneThreshold;
+    this.historySize = historySize ?? this.historySize;
+  }
+
+  /**
+   * Replaces the values of a query with `?`, so that runs with different values compare equal.
+   *
+   * @param {string} query The query's SQL.
+   * @return {string} The fingerprint.
+   */
+  static fingerprint(query) {
+    return query
+      .replace(LITERAL, '?')
+      .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '(?)')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Builds the log entry of a query.
+   *
+   * @param {string} query The query's SQL.
+   * @param {number} time Total time spent on the query, in seconds.
+   * @param {string} caller Comma-separated list of the calling functions.
+   * @param {number} start Unix timestamp of the start of the query, in milliseconds.
+   * @param {Object} [data={}] Query data: `params`, `rows` and `error`, and any custom data.
+   * @return {WpdbQueryLogEntry} The entry.
+   */
+  createEntry(query, time, caller, start, data = {}) {
+    const { params = [], rows = 0, error = '', ...custom } = data;
+    const type = (query.trim().match(/^\(*\s*(\w+)/) || ['', ''])[1].toUpperCase();
+
+    return {
+      query,
+      params,
+      type,
+      fingerprint: WpdbQueryMonitor.fingerprint(query),
+      time,
+      start,
+      caller,
+      rows,
+      error,
+      slow: time >= this.slowThreshold,
+      data: custom,
+    };
+  }
+
+  /**
+   * Aggregates logged queries into a report.
+   *
+   * @param {Array<WpdbQueryLogEntry>} [queries=this.wpdb.queries] Optional. The queries.
+   *                                   Defaults to the queries of the current request.
+   * @return {WpdbQueryReport} The report.
+   */
+  report(queries = this.wpdb.queries) {
+    const exact = new Map();
+    const similar = new Map();
+
+    for (const entry of queries) {
+      const key = JSON.stringify([entry.query, entry.params]);
+      exact.set(key, exact.get(key) || []).get(key).push(entry);
+      similar.set(entry.fingerprint, similar.get(entry.fingerprint) || []).get(entry.fingerprint).push(entry);
+    }
+
+    const group = (entries) => ({
+      count: entries.length,
+      time: entries.reduce((total, entry) => total + entry.time, 0),
+      callers: [...new Set(entries.map((entry) => entry.caller))],
+    });
+
+    const duplicates = [...exact.values()]
+      .filter((entries) => entries.length > 1)
+      .map((entries) => ({ query: entries[0].query, params: entries[0].params, ...group(entries) }));
+
+    const nPlusOne = [...similar]
+      .filter(([, entries]) => new Set(entries.map((entry) => JSON.stringify([entry.query, entry.params]))).size >= this.nPlusOneThreshold)
+      .map(([fingerprint, entries]) => ({ fingerprint, ...group(entries) }));
+
+    return {
+      count: queries.length,
+      time: queries.reduce((total, entry) => total + entry.time, 0),
+      queries,
+      slow: queries.filter((entry) => entry.slow),
+      duplicates,
+      nPlusOne,
+    };
+  }
+
+  /**
+   * Renders the debug panel of a report.
+   *
+   * @param {WpdbQueryReport} report The report.
+   * @return {string} The panel HTML.
+   */
+  renderPanel(report) {
+    const rows = report.queries.map((entry) => {
+      const flags = [
+        entry.slow ? 'slow' : '',
+        report.duplicates.some((duplicate) => duplicate.query === entry.query && JSON.stringify(duplicate.params) === JSON.stringify(entry.params)) ? 'duplicate' : '',
+        report.nPlusOne.some((group) => group.fingerprint === entry.fingerprint) ? 'N+1' : '',
+        entry.error ? 'error' : '',
+      ].filter(Boolean).join(', ');
+
+      return '<tr>'
+        + `<td><code>${escapeHtml(entry.query)}</code>${entry.params.length ? `<br><small>${escapeHtml(JSON.stringify(entry.params))}</small>` : ''}</td>`
+        + `<td>${(entry.time * 1000).toFixed(1)} ms</td>`
+        + `<td>${entry.rows}</td>`
+        + `<td>${escapeHtml(flags)}</td>`
+        + `<td><small>${escapeHtml(entry.caller.split(', ')[0] || '')}</small></td>`
+        + '</tr>';
+    });
+
+    return '<details id="wp-query-monitor" style="position:fixed;bottom:0;left:0;right:0;max-height:50vh;overflow:auto;'
+      + 'background:#fff;color:#1d2327;border-top:2px solid #2271b1;font:13px/1.4 sans-serif;z-index:99999">'
+      + `<summary style="padding:6px 10px;cursor:pointer">Queries: ${report.count} in ${(report.time * 1000).toFixed(1)} ms`
+      + ` &middot; slow: ${report.slow.length} &middot; duplicates: ${report.duplicates.length} &middot; N+1: ${report.nPlusOne.length}</summary>`
+      + '<table style="width:100%;border-collapse:collapse"><thead><tr><th>Query</th><th>Time</th><th>Rows</th><th>Flags</th><th>Caller</th></tr></thead>'
+      + `<tbody>${rows.join('')}</tbody></table></details>`;
+  }
+
+  /**
+   * Keeps the report of a request for the JSON endpoint.
+   *
+   * @param {string} id Request ID.
+   * @param {WpdbQueryReport} report The report.
+   */
+  remember(id, report) {
+    this.history.set(id, report);
+
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+  }
+
+  /**
+   * Creates the Express middleware of the monitor.
+   *
+   * Mount it after contextMiddleware(), so that each request has its own queries.
+   * Each response gets an `X-Query-Monitor` header with the URL of its report, and
+   * HTML pages get the debug panel unless `panel` is false.
+   *
+   * @param {Object} [options={}] Optional. Middleware settings.
+   * @param {boolean} [options.panel=true] Whether to add the debug panel to HTML pages.
+   * @param {string} [options.path='/__query-monitor'] Base path of the JSON endpoint.
+   * @return {Function} The middleware.
+   */
+  middleware({ panel = true, path = '/__query-monitor' } = {}) {
+    return (req, res, next) => {
+      if (req.path.startsWith(`${path}/`)) {
+        const report = this.history.get(req.path.slice(path.length + 1));
+        if (!report) {
+          res.status(404).json({ code: 'query_monitor_not_found', message: 'No queries were recorded for this request.' });
+          return;
+        }
+
+        res.json(report);
+        return;
+      }
+
+      const id = crypto.randomUUID();
+      const context = this.wpdb.queryContext();
+
+      res.set('X-Query-Monitor', `${path}/${id}`);
+      res.on('finish', () => this.remember(id, this.report(context.queries)));
+
+      if (panel) {
+        const monitor = this;
+        const send = res.send;
+
+        res.send = function sendWithPanel(body) {
+          const type = this.get('Content-Type') || 'text/html';
+          if ('string' === typeof body && type.includes('text/html') && body.includes('</body>')) {
+            body = body.replace('</body>', `${monitor.renderPanel(monitor.report(context.queries))}</body>`);
+          }
+
+          return send.call(this, body);
+        };
+      }
+
+      next();
+    };
+  }
+}
+
+export { WpdbQueryMonitor };
+export default WpdbQueryMonitor;
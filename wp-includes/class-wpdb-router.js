@@ -0,0 +1,195 @@
+/**
+ * Read/write splitting for Wpdb, in the spirit of HyperDB.
+ *
+ * Tables are grouped in datasets. Each dataset has a primary server, which takes the
+ * writes, and any number of replicas serving the reads. Tables that aren't listed in
+ * any dataset belong to the `global` dataset, whose primary defaults to the DB_* settings.
+ *
+ * @example
+ * new Wpdb(user, password, name, host, {
+ *   datasets: {
+ *     global: { replicas: [{ host: 'replica-1' }, { host: 'replica-2' }] },
+ *     users: {
+ *       primary: { host: 'users-primary', name: 'users' },
+ *       replicas: [{ host: 'users-replica', name: 'users' }],
+ *       tables: ['wp_users', 'wp_usermeta'],
+ *     },
+ *   },
+ * });
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+/**
+ * Statements that only read, and can go to a replica.
+ *
+ * @constant {RegExp}
+ */
+const READ_QUERY = /^\s*\(*\s*(?:SELECT|SHOW|DESCRIBE|DESC|EXPLAIN)\s/i;
+
+/**
+ * SQLite pragmas that describe the schema, like `PRAGMA table_info(wp_posts)`.
+ *
+ * @constant {RegExp}
+ */
+const READ_PRAGMA = /^\s*PRAGMA\s+(?:\w+\.)?(?:table_x?info|table_list|index_list|index_x?info|foreign_key_list)\b/i;
+
+/**
+ * Reads that lock rows, and so must run on the primary.
+ *
+ * @constant {RegExp}
+ */
+const LOCKING_READ = /\sFOR\s+UPDATE\b|\sLOCK\s+IN\s+SHARE\s+MODE\b|\bGET_LOCK\s*\(/i;
+
+/**
+ * A database server of a dataset.
+ *
+ * @typedef {Object} WpdbServer
+ * @property {string} dataset Name of the dataset it belongs to.
+ * @property {boolean} primary Whether it is the dataset's primary.
+ * @property {boolean} main Whether it is the main connection of Wpdb, the global primary.
+ * @property {Object} config Connection settings: host, user, password and name.
+ *                           Missing ones default to the DB_* settings.
+ * @property {WpdbDriver|null} driver Its connection, when connections aren't pooled.
+ * @property {Promise<WpdbDriver>|null} connecting Pending or done opening of `driver`.
+ * @property {WpdbPool|null} pool Its connection pool, when connections are pooled.
+ * @property {number} downUntil Time until which it is skipped after failing, in milliseconds.
+ */
+
+class WpdbRouter {
+  /**
+   * Datasets keyed by name, each with its `primary` and `replicas` servers.
+   *
+   * @var {Object<string, {primary: WpdbServer, replicas: Array<WpdbServer>}>}
+   */
+  datasets = {};
+
+  /**
+   * Dataset names keyed by table name.
+   *
+   * @var {Map<string, string>}
+   */
+  tables = new Map();
+
+  /**
+   * Milliseconds a replica that failed is left out of the rotation.
+   *
+   * @var {number}
+   */
+  downTimeout = 30000;
+
+  /**
+   * @param {Object<string, Object>} datasets Datasets keyed by name.
+   * @param {Object} [datasets.*.primary] Settings of the primary server.
+   * @param {Array<Object>} [datasets.*.replicas=[]] Settings of the replicas.
+   * @param {Array<string>} [datasets.*.tables=[]] Full names of the tables in the dataset.
+   */
+  constructor(datasets = {}) {
+    Object.entries({ global: {}, ...datasets }).forEach(([name, { primary = {}, replicas = [], tables = [] }]) => {
+      this.datasets[name] = {
+        primary: this.createServer(name, primary, true),
+        replicas: replicas.map((replica) => this.createServer(name, replica, false)),
+      };
+
+      tables.forEach((table) => this.tables.set(table, name));
+    });
+
+    this.datasets.global.primary.main = true;
+  }
+
+  /**
+   * Returns the dataset a table belongs to.
+   *
+   * @param {string|boolean} table Table name, false if unknown.
+   * @return {string} The dataset name.
+   */
+  getDataset(table) {
+    return (table && this.tables.get(table)) || 'global';
+  }
+
+  /**
+   * Determines whether a query may change data, or lock it.
+   *
+   * @param {string} query The query.
+   * @return {boolean} True if the query must run on the primary.
+   */
+  isWriteQuery(query) {
+    return !(READ_QUERY.test(query) || READ_PRAGMA.test(query)) || LOCKING_READ.test(query);
+  }
+
+  /**
+   * Lists the servers able to run a query on a dataset, best first.
+   *
+   * Reads are spread randomly over the replicas that are up, with the primary as
+   * the last resort. Writes only go to the primary.
+   *
+   * @param {string} dataset The dataset name.
+   * @param {boolean} write Whether the query needs the primary.
+   * @return {Array<WpdbServer>} The servers to try in order.
+   */
+  route(dataset, write) {
+    const { primary, replicas } = this.datasets[dataset] || this.datasets.global;
+
+    if (write) {
+      return [primary];
+    }
+
+    const now = Date.now();
+    const available = replicas.filter((server) => server.downUntil <= now);
+
+    // Fisher-Yates shuffle, for an even spread of the reads.
+    for (let i = available.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [available[i], available[j]] = [available[j], available[i]];
+    }
+
+    return [...available, primary];
+  }
+
+  /**
+   * Takes a replica out of the rotation for `downTimeout` milliseconds.
+   *
+   * Primaries are never marked down, as nothing could replace them.
+   *
+   * @param {WpdbServer} server The server that failed.
+   */
+  markDown(server) {
+    if (!server.primary) {
+      server.downUntil = Date.now() + this.downTimeout;
+    }
+  }
+
+  /**
+   * Creates a server entry.
+   *
+   * @protected
+   * @param {string} dataset Name of the dataset.
+   * @param {Object} config Connection settings.
+   * @param {boolean} primary Whether it is the dataset's primary.
+   * @return {WpdbServer} The server.
+   */
+  createServer(dataset, config, primary) {
+    return {
+      dataset,
+      primary,
+      main: false,
+      config,
+      driver: null,
+      connecting: null,
+      pool: null,
+      downUntil: 0,
+    };
+  }
+
+  /**
+   * Lists every server.
+   *
+   * @return {Array<WpdbServer>}
+   */
+  servers() {
+    return Object.values(this.datasets).flatMap(({ primary, replicas }) => [primary, ...replicas]);
+  }
+}
+
+export default WpdbRouter;
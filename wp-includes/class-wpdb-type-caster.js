@@ -0,0 +1,187 @@
+/**
+ * Types the values of Wpdb results from their column metadata.
+ *
+ * Drivers return values as their client library reads them: mysql2 gives BIGINT and
+ * DECIMAL values as strings, SQLite gives whatever was stored, whatever the column's
+ * type. Wpdb casts them by column type so that rows look the same on every driver:
+ *
+ * - Integers and floating-point numbers are numbers.
+ * - BIGINT values are strings, as WordPress returns them, unless `bigNumbers` asks for bigints.
+ * - DECIMAL values are strings, to keep their precision.
+ * - DATE, DATETIME and TIMESTAMP values are 'Y-m-d H:i:s' strings, as WordPress expects,
+ *   unless `dates` asks for Date objects. MySQL datetimes have no time zone, they are
+ *   read as UTC; zero dates become null.
+ *
+ * Other values, e.g. text and blobs, are left as they are.
+ *
+ * @package WordPress
+ * @subpackage Database
+ */
+
+/**
+ * Integer column types narrow enough for numbers.
+ *
+ * @constant {Array<string>}
+ */
+const INTEGER_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'year'];
+
+/**
+ * Exact numeric column types.
+ *
+ * @constant {Array<string>}
+ */
+const DECIMAL_TYPES = ['decimal', 'numeric'];
+
+/**
+ * Floating-point column types.
+ *
+ * @constant {Array<string>}
+ */
+const FLOAT_TYPES = ['float', 'double', 'real'];
+
+/**
+ * Date and time column types with a date part.
+ *
+ * @constant {Array<string>}
+ */
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+
+/**
+ * Matches integers written out in full.
+ *
+ * @constant {RegExp}
+ */
+const INTEGER = /^-?\d+$/;
+
+class WpdbTypeCaster {
+  /**
+   * How BIGINT values are returned: 'string' or 'bigint'.
+   *
+   * @var {string}
+   */
+  bigNumbers = 'string';
+
+  /**
+   * How date and time values are returned: 'string' or 'date'.
+   *
+   * @var {string}
+   */
+  dates = 'string';
+
+  /**
+   * @param {Object} [options={}] Optional. Typing settings.
+   * @param {string} [options.bigNumbers='string'] BIGINT values as 'string' or 'bigint'.
+   * @param {string} [options.dates='string'] Date and time values as 'string' or 'date'.
+   * @throws {Error} If a setting has an unknown value.
+   */
+  constructor({ bigNumbers, dates } = {}) {
+    if (undefined !== bigNumbers) {
+      if (!['string', 'bigint'].includes(bigNumbers)) {
+        throw new Error(`Unknown bigNumbers setting "${bigNumbers}". Use 'string' or 'bigint'.`);
+      }
+      this.bigNumbers = bigNumbers;
+    }
+
+    if (undefined !== dates) {
+      if (!['string', 'date'].includes(dates)) {
+        throw new Error(`Unknown dates setting "${dates}". Use 'string' or 'date'.`);
+      }
+      this.dates = dates;
+    }
+  }
+
+  /**
+   * Casts the values of a row, in place.
+   *
+   * @param {Object} row The row, keyed by column name.
+   * @param {Array<Object>} fields Column metadata of the result set, see WpdbDriver.createField().
+   * @return {Object} The row.
+   */
+  castRow(row, fields) {
+    for (const field of fields) {
+      if (Object.hasOwn(row, field.name)) {
+        row[field.name] = this.castValue(row[field.name], field);
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Casts a value according to the type of its column.
+   *
+   * @param {*} value The value.
+   * @param {Object} field Column metadata.
+   * @return {*} The typed value. Values that don't fit the type, e.g. text stored in an
+   *             SQLite integer column, are returned as they are.
+   */
+  castValue(value, field) {
+    if (null === value || undefined === value) {
+      return value;
+    }
+
+    if (INTEGER_TYPES.includes(field.type)) {
+      return 'string' === typeof value && INTEGER.test(value) ? Number(value) : value;
+    }
+
+    if ('bigint' === field.type) {
+      return this.castBigNumber(value);
+    }
+
+    if (DECIMAL_TYPES.includes(field.type)) {
+      if ('number' !== typeof value) {
+        return value;
+      }
+      return field.decimals ? value.toFixed(field.decimals) : String(value);
+    }
+
+    if (FLOAT_TYPES.includes(field.type)) {
+      return 'string' === typeof value && '' !== value.trim() && !Number.isNaN(Number(value)) ? Number(value) : value;
+    }
+
+    if (DATE_TYPES.includes(field.type) && 'date' === this.dates) {
+      return this.castDate(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Casts a BIGINT value.
+   *
+   * @protected
+   * @param {number|string|bigint} value The value.
+   * @return {string|bigint} The value, as set by `bigNumbers`.
+   */
+  castBigNumber(value) {
+    const digits = String(value);
+    if (!INTEGER.test(digits)) {
+      return value;
+    }
+
+    return 'bigint' === this.bigNumbers ? BigInt(digits) : digits;
+  }
+
+  /**
+   * Casts a date and time string to a Date.
+   *
+   * @protected
+   * @param {string|Date} value The value, e.g. '2024-01-01 12:00:00'.
+   * @return {Date|null|*} The date in UTC, null for zero dates, or the value if it isn't a date.
+   */
+  castDate(value) {
+    if ('string' !== typeof value) {
+      return value;
+    }
+
+    if (/^0000-00-00/.test(value)) {
+      return null;
+    }
+
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : `${value.replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+}
+
+export { WpdbTypeCaster };
+export default WpdbTypeCaster;
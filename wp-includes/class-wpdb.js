@@ -1,7 +1,20 @@
 import crypto from 'crypto';
-import fs from 'fs';
-// The 'mysql2' package is recommended to handle MySQL interactions with Node.js
-import { createConnection } from 'mysql2/promise';
+import { AsyncLocalStorage } from 'async_hooks';
+import { envConfig } from '../wp-config.js';
+import WpdbDriver from './class-wpdb-driver.js';
+import WpdbMysqlDriver from './class-wpdb-driver-mysql.js';
+import WpdbSqliteDriver from './class-wpdb-driver-sqlite.js';
+import WPDBError from './class-wpdb-error.js';
+import WpdbErrorHandler from './class-wpdb-error-handler.js';
+import WpdbHealth from './class-wpdb-health.js';
+import WpdbPool from './class-wpdb-pool.js';
+import WpdbQueryContext from './class-wpdb-query-context.js';
+import WpdbQueryMonitor from './class-wpdb-query-monitor.js';
+import WpdbRouter from './class-wpdb-router.js';
+import WpdbTypeCaster from './class-wpdb-type-caster.js';
+import WPQueryBuilder from './class-wp-query-builder.js';
+import { isMultisite } from './load.js';
+import { applyFilters } from './plugin.js';
 
 /*
  * Node.js database access abstraction class equivalent to WordPress' wpdb.
@@ -19,6 +32,180 @@ const OBJECT_K = 'OBJECT_K';
 const ARRAY_A = 'ARRAY_A';
 const ARRAY_N = 'ARRAY_N';
 
+/**
+ * Error number drivers report when the connection was lost.
+ *
+ * @constant {number}
+ */
+const CR_SERVER_GONE_ERROR = 2006;
+
+/**
+ * Database drivers available through the `driver` option, keyed by name.
+ *
+ * @type {Object<string, typeof WpdbDriver>}
+ */
+const drivers = {
+  mysql: WpdbMysqlDriver,
+  sqlite: WpdbSqliteDriver,
+};
+
+/**
+ * Names of the table properties, e.g. `wpdb.postMeta`, that aren't the table name itself.
+ *
+ * @type {Object<string, string>}
+ */
+const TABLE_PROPERTIES = {
+  commentmeta: 'commentMeta',
+  postmeta: 'postMeta',
+  term_relationships: 'termRelationships',
+  term_taxonomy: 'termTaxonomy',
+  termmeta: 'termMeta',
+  usermeta: 'userMeta',
+  blogmeta: 'blogMeta',
+  registration_log: 'registrationLog',
+  sitecategories: 'siteCategories',
+  sitemeta: 'siteMeta',
+};
+
+/**
+ * Returns the property holding the prefixed name of a table.
+ *
+ * @param {string} table Unprefixed table name.
+ * @return {string} The property name.
+ */
+function tableProperty(table) {
+  return TABLE_PROPERTIES[table] || table;
+}
+
+/**
+ * Checks that CRUD data is a map of column names to values, the PHP associative array.
+ *
+ * @param {*} data The data.
+ * @return {boolean} Whether it's a plain object.
+ */
+function isFieldMap(data) {
+  return Boolean(data) && 'object' === typeof data && !Array.isArray(data);
+}
+
+/**
+ * Matches `%%`, `prepare()` placeholders with their optional formatting, and stray `%` signs.
+ *
+ * @type {RegExp}
+ */
+const PLACEHOLDER_REGEX = /%%|%((?:[1-9][0-9]*[$])?[-+0-9]*(?: |0|'.)?[-+0-9]*(?:\.[0-9]+)?)([sdfFi])|%/g;
+
+/**
+ * Applies `sprintf()` flags, width and precision to a placeholder value.
+ *
+ * @param {string|number} value The value.
+ * @param {string} type Placeholder type: 'd', 'F' or 's'.
+ * @param {string} format The flags, width and precision, without the argnum.
+ * @return {string} The formatted value.
+ */
+function sprintfFormat(value, type, format) {
+  let leftAlign = false;
+  let showSign = false;
+  let pad = ' ';
+  let i = 0;
+
+  for (; i < format.length; i++) {
+    const char = format[i];
+    if (char === '-') {
+      leftAlign = true;
+    } else if (char === '+') {
+      showSign = true;
+    } else if (char === '0' || char === ' ') {
+      pad = char;
+    } else if (char === "'") {
+      pad = format[++i];
+    } else {
+      break;
+    }
+  }
+
+  const [, width = 0, precision] = /^(\d*)(?:\.(\d+))?$/.exec(format.slice(i)) || [];
+
+  let str;
+  if (type === 'd') {
+    str = String(Math.trunc(value));
+  } else if (type === 'F') {
+    str = value.toFixed(precision === undefined ? 6 : Number(precision));
+  } else {
+    str = precision === undefined ? String(value) : String(value).slice(0, Number(precision));
+  }
+
+  if (showSign && type !== 's' && value >= 0) {
+    str = `+${str}`;
+  }
+
+  return leftAlign ? str.padEnd(Number(width), pad) : str.padStart(Number(width), pad);
+}
+
+/**
+ * Matches the code points that can't be encoded as UTF-8: lone UTF-16 surrogates,
+ * the JS form of an invalid UTF-8 sequence.
+ *
+ * @type {RegExp}
+ */
+const LONE_SURROGATE_REGEX = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Matches the code points outside the Basic Multilingual Plane, surrogate pairs in UTF-16,
+ * which take four bytes in UTF-8 and don't fit in utf8mb3 columns, e.g. emoji.
+ *
+ * @type {RegExp}
+ */
+const SUPPLEMENTARY_REGEX = /[\uD800-\uDBFF][\uDC00-\uDFFF]/g;
+
+/**
+ * Column types whose values are binary strings, making the whole table binary.
+ *
+ * @type {Array<string>}
+ */
+const BINARY_TYPES = ['binary', 'varbinary', 'tinyblob', 'mediumblob', 'blob', 'longblob'];
+
+/**
+ * Truncates a string to a number of UTF-8 bytes, without splitting a character.
+ *
+ * @param {string} value The string.
+ * @param {number} length Maximum length in bytes.
+ * @return {string} The truncated string.
+ */
+function truncateBytes(value, length) {
+  if (Buffer.byteLength(value, 'utf8') <= length) {
+    return value;
+  }
+
+  let bytes = 0;
+  let end = 0;
+  for (const char of value) {
+    bytes += Buffer.byteLength(char, 'utf8');
+    if (bytes > length) {
+      break;
+    }
+    end += char.length;
+  }
+
+  return value.slice(0, end);
+}
+
+/**
+ * Truncates a string to a number of characters, counted in code points as MySQL does.
+ *
+ * @param {string} value The string.
+ * @param {number} length Maximum length in characters.
+ * @return {string} The truncated string.
+ */
+function truncateChars(value, length) {
+  // A string can't have more code points than UTF-16 code units.
+  if (value.length <= length) {
+    return value;
+  }
+
+  const chars = Array.from(value);
+  return chars.length > length ? chars.slice(0, length).join('') : value;
+}
+
 /**
  * WordPress Node.js inspired database access abstraction class.
  *
@@ -32,39 +219,23 @@ const ARRAY_N = 'ARRAY_N';
 class Wpdb {
   /**
    * Whether to show SQL/DB errors.
-   * Default is to show errors if both WP_DEBUG and WP_DEBUG_DISPLAY evaluate to true.
+   * Default is to show errors if both WP_DEBUG and WP_DEBUG_DISPLAY evaluate to true
+   * in wp-config.js `envConfig`.
    *
-   * @var {boolean}
-   */
-  showErrors = false;
-
-  /**
-   * Whether to suppress errors during DB bootstrapping. Default false.
+   * Named `$show_errors` in PHP, which would shadow the showErrors() method here.
    *
    * @var {boolean}
    */
-  suppressErrors = false;
-
-  /**
-   * The error encountered during the last query.
-   *
-   * @var {string}
-   */
-  lastError = '';
+  showingErrors = false;
 
   /**
-   * The number of queries made.
+   * Whether to suppress errors during DB bootstrapping. Default false.
    *
-   * @var {number}
-   */
-  numQueries = 0;
-
-  /**
-   * Count of rows returned by the last query.
+   * Named `$suppress_errors` in PHP, which would shadow the suppressErrors() method here.
    *
-   * @var {number}
+   * @var {boolean}
    */
-  numRows = 0;
+  suppressingErrors = false;
 
   /**
    * Initialize necessary properties or handle bootstrapping here.
@@ -73,52 +244,14 @@ class Wpdb {
     // Initialization logic if needed
   }*/
 
-  /**
-   * Count of rows affected by the last query.
-   *
-   * @var {number}
-   */
-  rowsAffected = 0;
-
-  /**
-   * The ID generated for an AUTO_INCREMENT column by the last query (usually INSERT).
-   *
-   * @var {number}
-   */
-  insertId = 0;
-
-  /**
-   * The last query made.
-   *
-   * @var {string}
-   */
-  lastQuery = '';
-
-  /**
-   * Results of the last query.
-   *
-   * @var {Array<Object>|null}
-   */
-  lastResult = null;
-
-  /**
-   * Database query result.
-   * Possible values:
-   * - Instance of a result set class for successful SELECT, SHOW, DESCRIBE, or EXPLAIN queries
-   * - `true` for other successful query types
-   * - `null` if a query is yet to be made or if the result has since been flushed
-   * - `false` if the query returned an error
-   *
-   * @var {Object|boolean|null}
-   */
-  result = null;
-
   /**
    * Cached column info, for confidence checking data before inserting.
    *
-   * @var {Array<Object>}
+   * Keyed by lowercase table name, then by lowercase column name.
+   *
+   * @var {Object<string, Object<string, Object>>}
    */
-  colMeta = [];
+  colMeta = {};
 
   /**
    * Calculated character sets keyed by table name.
@@ -127,13 +260,6 @@ class Wpdb {
    */
   tableCharset = {};
 
-  /**
-   * Whether text fields in the current query need to be confidence checked.
-   *
-   * @var {boolean}
-   */
-  checkCurrentQuery = true;
-
   /**
    * Flag to ensure we don't run into recursion problems when checking the collation.
    *
@@ -141,20 +267,6 @@ class Wpdb {
    */
   checkingCollation = false;
 
-  /**
-   * Saved info on the table column.
-   *
-   * @var {Array<Object>}
-   */
-  colInfo = [];
-
-  /**
-   * Log of queries that were executed, for debugging purposes.
-   *
-   * @var {Array.<Array.<Array.<string|number|Object>>>}
-   */
-  queries = [];
-
   /**
    * The number of times to retry reconnecting before giving up. Default is 5.
    *
@@ -162,14 +274,10 @@ class Wpdb {
    */
   reconnectRetries = 5;
 
-  /**
-   * WordPress table prefix.
-   *
-   * Used to have multiple WordPress installations in a single database, or for security reasons.
-   *
-   * @var {string}
+  /*
+   * The table prefix, blog ID, site ID and per-site table names follow the site of the
+   * current request, see WpdbQueryContext.BLOG_STATE.
    */
-  prefix = '';
 
   /**
    * WordPress base table prefix.
@@ -185,26 +293,14 @@ class Wpdb {
    */
   ready = false;
 
-  /**
-   * Blog ID.
-   *
-   * @var {number}
-   */
-  blogId = 0;
-
-  /**
-   * Site ID.
-   *
-   * @var {number}
-   */
-  siteId = 0;
-
   /**
    * List of WordPress per-site tables.
    *
+   * Named `$tables` in PHP, which would shadow the tables() method here.
+   *
    * @var {Array<string>}
    */
-  tables = [
+  blogTables = [
     'posts',
     'comments',
     'links',
@@ -245,76 +341,6 @@ class Wpdb {
    */
   oldMsGlobalTables = ['sitecategories'];
 
-  /**
-   * WordPress Comments table.
-   *
-   * @var {string}
-   */
-  comments = '';
-
-  /**
-   * WordPress Comment Metadata table.
-   *
-   * @var {string}
-   */
-  commentMeta = '';
-
-  /**
-   * WordPress Links table.
-   *
-   * @var {string}
-   */
-  links = '';
-
-  /**
-   * WordPress Options table.
-   *
-   * @var {string}
-   */
-  options = '';
-
-  /**
-   * WordPress Post Metadata table.
-   *
-   * @var {string}
-   */
-  postMeta = '';
-
-  /**
-   * WordPress Posts table.
-   *
-   * @var {string}
-   */
-  posts = '';
-
-  /**
-   * WordPress Terms table.
-   *
-   * @var {string}
-   */
-  terms = '';
-
-  /**
-   * WordPress Term Relationships table.
-   *
-   * @var {string}
-   */
-  termRelationships = '';
-
-  /**
-   * WordPress Term Taxonomy table.
-   *
-   * @var {string}
-   */
-  termTaxonomy = '';
-
-  /**
-   * WordPress Term Meta table.
-   *
-   * @var {string}
-   */
-  termMeta = '';
-
   //
   // Global and Multisite tables
   //
@@ -432,22 +458,75 @@ class Wpdb {
   dbHost = '';
 
   /**
-   * Database handle.
-   * Possible values:
-   * - Instance representing a database connection during normal operation
-   * - `null` if the connection is yet to be made or has been closed
-   * - `false` if the connection has failed
+   * Main database handle, see the `dbh` accessor.
    *
-   * @var {Object|boolean|null}
+   * @private
+   * @var {WpdbDriver|boolean|null}
    */
-  dbh = null;
+  _dbh = null;
 
   /**
-   * A textual description of the last query/get_row/get_var call.
+   * Database driver, connected or not. Becomes `dbh` once a connection is established.
    *
-   * @var {string}
+   * @var {WpdbDriver|null}
+   */
+  driver = null;
+
+  /**
+   * Connection attempt started by the constructor, resolving to its result.
+   *
+   * @var {Promise<boolean>|null}
+   */
+  connecting = null;
+
+  /**
+   * Connection pool, when the `pool` option is set.
+   *
+   * @var {WpdbPool|null}
+   */
+  pool = null;
+
+  /**
+   * Settings of the connection pool, `null` to use a single connection.
+   *
+   * @var {Object|null}
+   */
+  poolOptions = null;
+
+  /**
+   * Holds the query context of the request being served.
+   *
+   * @var {AsyncLocalStorage<WpdbQueryContext>}
+   */
+  contextStorage = new AsyncLocalStorage();
+
+  /**
+   * Query context used outside of runInContext(), e.g. while bootstrapping.
+   *
+   * @var {WpdbQueryContext}
+   */
+  defaultContext = new WpdbQueryContext();
+
+  /**
+   * Holds the connection of the query or transaction being run, see withConnection().
+   *
+   * @var {AsyncLocalStorage<Object>}
+   */
+  connectionStorage = new AsyncLocalStorage();
+
+  /**
+   * Routes queries between the primary and replica servers of each dataset.
+   *
+   * @var {WpdbRouter|null}
+   */
+  router = null;
+
+  /**
+   * Builds the `SAVEQUERIES` log entries and reports on them.
+   *
+   * @var {WpdbQueryMonitor|null}
    */
-  funcCall = '';
+  monitor = null;
 
   /**
    * Whether MySQL is used as the database engine.
@@ -498,14 +577,6 @@ class Wpdb {
    */
   hasConnected = false;
 
-  /**
-   * Time when the last query was performed.
-   * Only set when `SAVEQUERIES` is defined and truthy.
-   *
-   * @var {number|null}
-   */
-  timeStart = null;
-
   /**
    * The last SQL error that was encountered.
    *
@@ -522,9 +593,22 @@ class Wpdb {
    * @param {string} dbPassword Database password.
    * @param {string} dbName     Database name.
    * @param {string} dbHost     Database host.
-   */
-  constructor(dbUser, dbPassword, dbName, dbHost) {
-    if (process.env.WP_DEBUG && process.env.WP_DEBUG_DISPLAY) {
+   * @param {Object} [options={}] Optional. Additional settings.
+   * @param {string|WpdbDriver} [options.driver='mysql'] Driver name ('mysql' or 'sqlite'),
+   *                                                     or a driver instance.
+   * @param {string} [options.charset] Connection charset, the DB_CHARSET setting.
+   * @param {string} [options.collate] Connection collation, the DB_COLLATE setting.
+   * @param {Object} [options.pool] Share a pool of connections between concurrent requests,
+   *                                instead of a single connection. See WpdbPool for the settings.
+   * @param {Object} [options.datasets] Primary and replica servers of groups of tables,
+   *                                    to split reads from writes. See WpdbRouter.
+   * @param {Object} [options.queryMonitor] Thresholds of the query monitor. See WpdbQueryMonitor.
+   * @param {Object} [options.errors] Error policy. See WpdbErrorHandler.
+   * @param {Object} [options.health] Reconnection backoff and circuit breaker. See WpdbHealth.
+   * @param {Object} [options.types] How BIGINT and date values are returned. See WpdbTypeCaster.
+   */
+  constructor(dbUser, dbPassword, dbName, dbHost, options = {}) {
+    if (envConfig.WP_DEBUG && envConfig.WP_DEBUG_DISPLAY) {
       this.showErrors();
     }
 
@@ -532,40 +616,379 @@ class Wpdb {
     this.dbPassword = dbPassword;
     this.dbName = dbName;
     this.dbHost = dbHost;
+    this.charset = options.charset || '';
+    this.collate = options.collate || '';
+    this.driver = Wpdb.createDriver(options.driver);
+    this.poolOptions = options.pool || null;
+    this.router = new WpdbRouter(options.datasets);
+    this.monitor = new WpdbQueryMonitor(this, options.queryMonitor);
+    this.errorHandler = new WpdbErrorHandler(this, options.errors);
+    this.health = new WpdbHealth(this, options.health);
+    this.typeCaster = new WpdbTypeCaster(options.types);
 
     // Configuration is manually handled elsewhere if specified.
     if (process.env.WP_SETUP_CONFIG) {
       return;
     }
 
-    this.dbConnect();
+    this.connecting = this.dbConnect();
   }
 
   /**
-   * Shows errors depending on the debugging settings.
+   * Creates the driver for a connection.
+   *
+   * @param {string|WpdbDriver} [driver='mysql'] Driver name, or a driver instance to use as is.
+   * @return {WpdbDriver} The driver.
+   * @throws {Error} If the driver name is unknown.
    */
-  showErrors() {
-    this.showErrors = true;
+  static createDriver(driver = 'mysql') {
+    if (driver instanceof WpdbDriver) {
+      return driver;
+    }
+
+    const DriverClass = drivers[String(driver || 'mysql').toLowerCase()];
+    if (!DriverClass) {
+      throw new Error(`Unknown database driver "${driver}". Supported drivers: ${Object.keys(drivers).join(', ')}.`);
+    }
+
+    return new DriverClass();
   }
 
   /**
-   * Establishes a connection to the database. Placeholder for actual connectivity logic.
+   * Database handle.
+   * Possible values:
+   * - The connected driver during normal operation
+   * - `null` if the connection is yet to be made or has been closed
+   * - `false` if the connection has failed
+   *
+   * While a query or transaction runs, this is the connection it holds, which can be a
+   * pooled connection or one to a replica. Otherwise, it is the main connection.
+   *
+   * @type {WpdbDriver|boolean|null}
    */
-  dbConnect() {
-    // Actual connection logic using 'mysql2' package goes here
+  get dbh() {
+    const scope = this.connectionStorage.getStore();
+    return (scope && scope.dbh) || this._dbh;
+  }
+
+  set dbh(dbh) {
+    this._dbh = dbh;
   }
 
   /**
-   * Determines the best charset and collation to use given a charset and collation.
+   * Returns the query context of the current request.
    *
-   * @param {string} charset The character set to check.
-   * @param {string} collate The collation to check.
-   * @return {Object<string, string>} The most appropriate character set and collation to use.
+   * @return {WpdbQueryContext} The context set by runInContext(), or the default one.
    */
-  determineCharset(charset, collate) {
-    if (!this.dbh) {
-      return { charset, collate };
-    }
+  queryContext() {
+    return this.contextStorage.getStore() || this.defaultContext;
+  }
+
+  /**
+   * Runs a callback with its own query context.
+   *
+   * Query results, `insertId`, `lastError` and open transactions are then kept per
+   * context, so concurrent requests sharing this object don't see each other's state.
+   * The context starts on the current site, and setBlogId() then only changes its own.
+   *
+   * @param {Function} callback The callback. Anything it awaits shares the context.
+   * @return {*} The value returned by the callback.
+   */
+  runInContext(callback) {
+    return this.contextStorage.run(new WpdbQueryContext(this.queryContext()), callback);
+  }
+
+  /**
+   * Returns an Express middleware giving each request its own query context.
+   *
+   * @return {function(Object, Object, Function): void} The middleware.
+   */
+  contextMiddleware() {
+    return (req, res, next) => this.runInContext(next);
+  }
+
+  /**
+   * Runs a callback holding a connection, available as `dbh` meanwhile.
+   *
+   * The connection comes from the first of the given servers able to provide one,
+   * from the pool when connections are pooled. Queries made by the callback, e.g. in
+   * a transaction, keep using it. It is released once the callback ends.
+   *
+   * @param {function(): Promise<*>} callback The callback.
+   * @param {Array<WpdbServer>} [servers=null] Servers to try in order. Defaults to the main one.
+   * @return {Promise<*>} The value returned by the callback.
+   * @throws {Error} If none of the servers could provide a connection.
+   * @throws {WPDBError} If a transaction is running on a server other than the given ones.
+   */
+  async withConnection(callback, servers = null) {
+    const held = this.connectionStorage.getStore();
+
+    if (held) {
+      // The queries of a transaction can only run on its server, which holds none of the tables of other datasets.
+      if (servers && this.transactionDepth && !servers.includes(held.server)) {
+        throw new WPDBError(`Tables of the "${servers[0].dataset}" dataset can't be queried in a transaction on the "${held.server.dataset}" dataset.`, {
+          code: 'db_transaction_dataset',
+          caller: this.getCaller(),
+        });
+      }
+
+      return callback();
+    }
+
+    // A single, shared connection needs no bookkeeping.
+    if (!this.pool && 1 === this.router.servers().length) {
+      return callback();
+    }
+
+    servers = servers || [this.router.datasets.global.primary];
+
+    const scope = { servers, ...await this.acquireFrom(servers) };
+    try {
+      return await this.connectionStorage.run(scope, callback);
+    } finally {
+      if (scope.dbh) {
+        this.releaseConnection(scope.server, scope.dbh);
+      }
+    }
+  }
+
+  /**
+   * Picks the servers able to run a query.
+   *
+   * Writes go to the primary of the dataset the query's table belongs to. So do the
+   * reads of a context once it wrote to the dataset, so that it reads its own writes.
+   * Other reads go to a replica when there is one.
+   *
+   * @param {string} query The query.
+   * @return {Array<WpdbServer>|null} The servers to try in order, null for the main one.
+   */
+  routeQuery(query) {
+    if (!query || 1 === this.router.servers().length) {
+      return null;
+    }
+
+    const dataset = this.router.getDataset(this.getTableFromQuery(query));
+    const context = this.queryContext();
+
+    if (this.router.isWriteQuery(query)) {
+      context.writtenDatasets.add(dataset);
+    }
+
+    return this.router.route(dataset, context.writtenDatasets.has(dataset));
+  }
+
+  /**
+   * Takes a connection from the first server able to provide one.
+   *
+   * Replicas that fail are left out of the rotation for a while.
+   *
+   * @protected
+   * @param {Array<WpdbServer>} servers Servers to try in order.
+   * @return {Promise<{server: WpdbServer, dbh: WpdbDriver}>} The connection and its server.
+   * @throws {Error} The last error if no server could provide a connection.
+   */
+  async acquireFrom(servers) {
+    let lastError = new Error('No database server is available.');
+
+    for (const server of servers) {
+      try {
+        return { server, dbh: await this.acquireConnection(server) };
+      } catch (error) {
+        lastError = error;
+        this.router.markDown(server);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Takes a connection to a server, opening it if needed.
+   *
+   * @protected
+   * @param {WpdbServer} server The server.
+   * @return {Promise<WpdbDriver|null>} The connection.
+   */
+  async acquireConnection(server) {
+    if (server.main) {
+      return this.pool ? this.acquirePooledConnection() : this._dbh;
+    }
+
+    if (this.poolOptions) {
+      server.pool = server.pool || new WpdbPool(() => this.openConnection(server), this.poolOptions);
+      return server.pool.acquire();
+    }
+
+    if (server.driver && !server.driver.isConnected()) {
+      server.connecting = null;
+    }
+
+    if (!server.connecting) {
+      server.connecting = this.openConnection(server).then((dbh) => {
+        server.driver = dbh;
+        return dbh;
+      }, (error) => {
+        server.connecting = null;
+        throw error;
+      });
+    }
+
+    return server.connecting;
+  }
+
+  /**
+   * Takes a connection to the main server from the pool.
+   *
+   * If the pool can't open one, the server is reconnected through the health monitor,
+   * like the main connection: attempts back off, and once they are exhausted, the
+   * circuit opens and connections are refused without contacting the server.
+   *
+   * @protected
+   * @return {Promise<WpdbDriver>} The connection.
+   * @throws {Error} If the database is unavailable.
+   */
+  async acquirePooledConnection() {
+    const probe = () => this.probeConnection();
+
+    // Once the cooldown has passed, a single reconnection closes the circuit again, or keeps it open.
+    if (this.health.isOpen() || ('closed' !== this.health.state && !await this.health.reconnect(probe))) {
+      throw new Error('The database is unavailable.');
+    }
+
+    try {
+      return await this.pool.acquire();
+    } catch (error) {
+      if ('db_pool_queue_limit' === error.code || !await this.health.reconnect(probe)) {
+        throw error;
+      }
+
+      return this.pool.acquire();
+    }
+  }
+
+  /**
+   * Tells whether the main server accepts connections, opening and closing one.
+   *
+   * @protected
+   * @return {Promise<boolean>} True if a connection could be opened.
+   */
+  async probeConnection() {
+    try {
+      const dbh = await this.openConnection();
+      await dbh.close();
+      return true;
+    } catch (error) {
+      this.error = error;
+      return false;
+    }
+  }
+
+  /**
+   * Gives a connection back once a query or transaction is done with it.
+   *
+   * @protected
+   * @param {WpdbServer} server The server the connection belongs to.
+   * @param {WpdbDriver} dbh The connection.
+   */
+  releaseConnection(server, dbh) {
+    const pool = server.main ? this.pool : server.pool;
+
+    if (pool) {
+      pool.release(dbh);
+    }
+  }
+
+  /**
+   * Closes a lost connection so that it gets replaced.
+   *
+   * @protected
+   * @param {WpdbServer} server The server the connection belongs to.
+   * @param {WpdbDriver} dbh The connection.
+   */
+  destroyConnection(server, dbh) {
+    const pool = server.main ? this.pool : server.pool;
+
+    if (pool) {
+      pool.destroy(dbh);
+    } else if (!server.main) {
+      server.driver = null;
+      server.connecting = null;
+      dbh.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Replaces the lost connection of the current query.
+   *
+   * A primary gets a new connection. A replica is left out of the rotation and the
+   * query moves to the next server able to run it.
+   *
+   * @protected
+   * @param {Object} scope The connection scope set up by withConnection().
+   * @return {Promise<boolean>} True if the query has a connection again.
+   */
+  async failOver(scope) {
+    const { server, servers } = scope;
+
+    this.destroyConnection(server, scope.dbh);
+    this.router.markDown(server);
+    scope.dbh = null;
+
+    try {
+      Object.assign(scope, await this.acquireFrom(
+        server.primary ? [server] : servers.slice(servers.indexOf(server) + 1)
+      ));
+      return true;
+    } catch (error) {
+      this.error = error;
+      return false;
+    }
+  }
+
+  /**
+   * Opens one more connection to a server, set up like the main one.
+   *
+   * @protected
+   * @param {WpdbServer} [server] The server. Defaults to the main one.
+   * @return {Promise<WpdbDriver>} The connected driver.
+   */
+  async openConnection(server = this.router.datasets.global.primary) {
+    const dbh = new this.driver.constructor();
+    const options = this.connectionOptions(server.config);
+
+    await dbh.connect(options);
+    await this.setCharset(dbh);
+    await this.setSqlMode([], dbh);
+    await this.select(options.database, dbh);
+
+    return dbh;
+  }
+
+  /**
+   * Sets the connection's character set from the DB_CHARSET and DB_COLLATE settings.
+   */
+  initCharset() {
+    let { charset, collate } = this;
+
+    if (isMultisite()) {
+      charset = charset || 'utf8';
+      collate = collate || 'utf8_general_ci';
+    }
+
+    ({ charset: this.charset, collate: this.collate } = this.determineCharset(charset, collate));
+  }
+
+  /**
+   * Determines the best charset and collation to use given a charset and collation.
+   *
+   * @param {string} charset The character set to check.
+   * @param {string} collate The collation to check.
+   * @return {Object<string, string>} The most appropriate character set and collation to use.
+   */
+  determineCharset(charset, collate) {
+    if (!this.dbh) {
+      return { charset, collate };
+    }
 
     if (charset === 'utf8') {
       charset = 'utf8mb4';
@@ -577,7 +1000,7 @@ class Wpdb {
         : collate.replace('utf8_', 'utf8mb4_');
     }
 
-    if (this.hasCapability('utf8mb4_520') && collate === 'utf8mb4_unicode_ci') {
+    if (this.hasCap('utf8mb4_520') && collate === 'utf8mb4_unicode_ci') {
       collate = 'utf8mb4_unicode_520_ci';
     }
 
@@ -587,19 +1010,19 @@ class Wpdb {
   /**
    * Sets the connection's character set.
    *
-   * @param {Object} dbh The connection object, analogous to a mysqli connection.
+   * @param {WpdbDriver} dbh The connected driver, analogous to a mysqli connection.
    * @param {string} [charset] Optional character set.
    * @param {string} [collate] Optional collation.
    */
-  setCharset(dbh, charset = null, collate = null) {
+  async setCharset(dbh, charset = null, collate = null) {
     charset = charset || this.charset;
     collate = collate || this.collate;
 
-    if (this.hasCapability('collation') && charset) {
+    if (dbh.isMySQL && this.hasCap('collation') && charset) {
       let setCharsetSucceeded = true;
 
-      if (dbh && this.hasCapability('set_charset')) {
-        setCharsetSucceeded = dbh.execute(`SET NAMES ${charset}`);
+      if (this.hasCap('set_charset')) {
+        setCharsetSucceeded = await dbh.query(`SET NAMES ${charset}`);
       }
 
       if (setCharsetSucceeded) {
@@ -607,38 +1030,36 @@ class Wpdb {
         if (collate) {
           query += ` COLLATE '${collate}'`;
         }
-        dbh.query(query);
+        await dbh.query(query);
       }
     }
   }
 
-  /**
-   * Placeholder for checking certain capabilities related to the database connection.
-   *
-   * @param {string} capability
-   * @returns {boolean}
-   */
-  hasCapability(capability) {
-    // Logic to check specific database feature capability goes here
-    return false;
-  }
-
   /**
    * Changes the current SQL mode, and ensures its compatibility.
    *
    * If no modes are passed, it will ensure the current SQL server modes are compatible.
    *
    * @param {Array<string>} [modes=[]] Optional A list of SQL modes to set.
+   * @param {WpdbDriver} [dbh=null] Optional. Database connection.
+   *                    Defaults to the current database handle.
    */
-  setSqlMode(modes = []) {
+  async setSqlMode(modes = [], dbh = null) {
+    dbh = dbh || this.dbh;
+
+    // SQL modes only exist on MySQL.
+    if (!dbh || !dbh.isMySQL) {
+      return;
+    }
+
     if (!modes.length) {
-      let [modesArray] = dbh.query(`SELECT @@SESSION.sql_mode`);
+      const res = await dbh.query('SELECT @@SESSION.sql_mode AS sql_mode');
 
-      if (!modesArray || !modesArray[0]) {
+      if (!res || !res.rows[0]) {
         return;
       }
 
-      const modesStr = modesArray[0];
+      const modesStr = res.rows[0].sql_mode;
 
       if (!modesStr) {
         return;
@@ -655,7 +1076,7 @@ class Wpdb {
 
     const modesStr = modes.join(',');
 
-    dbh.query(`SET SESSION sql_mode='${modesStr}'`);
+    await dbh.query(`SET SESSION sql_mode='${modesStr}'`);
   }
 
   /**
@@ -670,7 +1091,7 @@ class Wpdb {
       return new Error('Invalid database prefix');
     }
 
-    let oldPrefix = process.env.IS_MULTISITE ? '' : prefix;
+    let oldPrefix = isMultisite() ? '' : prefix;
 
     if (this.basePrefix) {
       oldPrefix = this.basePrefix;
@@ -680,21 +1101,21 @@ class Wpdb {
 
     if (setTableNames) {
       for (const [table, prefixedTable] of Object.entries(this.tables('global'))) {
-        this[table] = prefixedTable;
+        this[tableProperty(table)] = prefixedTable;
       }
 
-      if (process.env.IS_MULTISITE && !this.blogId) {
+      if (isMultisite() && !this.blogId) {
         return oldPrefix;
       }
 
       this.prefix = this.getBlogPrefix();
 
       for (const [table, prefixedTable] of Object.entries(this.tables('blog'))) {
-        this[table] = prefixedTable;
+        this[tableProperty(table)] = prefixedTable;
       }
 
       for (const [table, prefixedTable] of Object.entries(this.tables('old'))) {
-        this[table] = prefixedTable;
+        this[tableProperty(table)] = prefixedTable;
       }
     }
     return oldPrefix;
@@ -718,11 +1139,11 @@ class Wpdb {
     this.prefix = this.getBlogPrefix();
 
     for (const [table, prefixedTable] of Object.entries(this.tables('blog'))) {
-      this[table] = prefixedTable;
+      this[tableProperty(table)] = prefixedTable;
     }
 
     for (const [table, prefixedTable] of Object.entries(this.tables('old'))) {
-      this[table] = prefixedTable;
+      this[tableProperty(table)] = prefixedTable;
     }
 
     return oldBlogId;
@@ -736,14 +1157,14 @@ class Wpdb {
    * @return {string} Blog prefix.
    */
   getBlogPrefix(blogId = null) {
-    if (process.env.IS_MULTISITE) {
+    if (isMultisite()) {
       if (blogId === null) {
         blogId = this.blogId;
       }
 
       blogId = Number(blogId);
 
-      if (process.env.MULTISITE && (blogId === 0 || blogId === 1)) {
+      if (blogId === 0 || blogId === 1) {
         return this.basePrefix;
       } else {
         return `${this.basePrefix}${blogId}_`;
@@ -774,33 +1195,31 @@ class Wpdb {
     let tables;
     switch (scope) {
       case 'all':
-        tables = [...this.globalTables, ...this.tables];
-        if (process.env.IS_MULTISITE) {
+        tables = [...this.globalTables, ...this.blogTables];
+        if (isMultisite()) {
           tables = [...tables, ...this.msGlobalTables];
         }
         break;
       case 'blog':
-        tables = this.tables;
+        tables = this.blogTables;
         break;
       case 'global':
         tables = this.globalTables;
+        if (isMultisite()) {
+          tables = [...tables, ...this.msGlobalTables];
+        }
         break;
-
-      if (process.env.IS_MULTISITE) {
-        tables = [...tables, ...this.msGlobalTables];
-      }
-      break;
-    case 'ms_global':
-      tables = this.msGlobalTables;
-      break;
-    case 'old':
-      tables = this.oldTables;
-      if (process.env.IS_MULTISITE) {
-        tables = [...tables, ...this.oldMsGlobalTables];
-      }
-      break;
-    default:
-      return [];
+      case 'ms_global':
+        tables = this.msGlobalTables;
+        break;
+      case 'old':
+        tables = this.oldTables;
+        if (isMultisite()) {
+          tables = [...tables, ...this.oldMsGlobalTables];
+        }
+        break;
+      default:
+        return [];
     }
 
     // If prefixes are requested
@@ -815,33 +1234,75 @@ class Wpdb {
     return tables;
   }
 
+  /**
+   * Returns the prefixed name of a table.
+   *
+   * Global tables get the base prefix, any other table gets the prefix of the blog,
+   * so plugin tables follow the current site on multisite.
+   *
+   * @param {string} table Unprefixed table name, e.g. 'posts'.
+   * @param {number|null} [blogId=null] Optional. Blog ID to use for per-site tables.
+   *                                   Defaults to the current blog ID.
+   * @return {string} The prefixed table name.
+   */
+  getTableName(table, blogId = null) {
+    const globalTables = [...this.globalTables, ...this.msGlobalTables, ...this.oldMsGlobalTables];
+
+    if (globalTables.includes(table)) {
+      return `${this.basePrefix}${table}`;
+    }
+
+    return `${this.getBlogPrefix(blogId)}${table}`;
+  }
+
+  /**
+   * Starts a query on a table with the query builder.
+   *
+   * @example
+   * const posts = await wpdb.table('posts')
+   *   .where('post_status', 'publish')
+   *   .orderBy('post_date', 'desc')
+   *   .limit(10)
+   *   .get();
+   *
+   * @param {string} table Unprefixed table name, optionally followed by an alias, e.g. 'posts AS p'.
+   * @return {WPQueryBuilder} The query builder.
+   */
+  table(table) {
+    return new WPQueryBuilder(this, table);
+  }
+
   /**
    * Selects a database using the current or provided database connection.
    *
    * The database name will be changed based on the current database connection.
    *
    * @param {string} db Database name.
-   * @param {Object} [dbh=null] Optional. Database connection.
+   * @param {WpdbDriver} [dbh=null] Optional. Database connection.
    *                    Defaults to the current database handle.
    */
-  select(db, dbh = null) {
+  async select(db, dbh = null) {
     dbh = dbh || this.dbh;
 
-    // Example: Using mysql2/promise syntax (use actual implementation)
-    dbh.query(`USE ${db}`).catch((err) => {
+    // File-based engines open their database when connecting.
+    if (!dbh.isMySQL) {
+      return;
+    }
+
+    if (false === await dbh.query(`USE \`${db}\``)) {
       this.ready = false;
-      console.error('Database selection failed:', err.message);
 
       if (!process.env.TEMPLATE_REDIRECT_DONE) {
-        // Example translations 
         const message = '<h1>Cannot select database</h1>' +
-                        `<p>The database server could be connected to (which means your username and password is okay) but the ${db} database could not be selected.</p>` +
-                        `<ul><li>Are you sure it exists?</li>`;
+          `<p>The database server could be connected to (which means your username and password is okay) but the <code>${db}</code> database could not be selected.</p>` +
+          '<ul>' +
+          '<li>Are you sure it exists?</li>' +
+          `<li>Does the user <code>${this.dbUser}</code> have permission to use the <code>${db}</code> database?</li>` +
+          '</ul>';
 
-        // Preferably implement a proper error handling logic for your application
-        console.log(message);
+        this.bail(message, 'db_select_fail');
       }
-    });
+    }
   }
 
   /**
@@ -869,36 +1330,12 @@ class Wpdb {
    * Arguments may be passed as individual arguments to the method or as a single array
    * containing all arguments.
    *
+   * Prefer execute(), which accepts the same placeholders but sends the values to the
+   * database as bound parameters instead of escaping them into the query string.
+   *
    * @param {string} query SQL query with placeholders.
    * @param {...*} args Arguments to replace the placeholders.
-   * @return {string} The processed SQL query.
-   */
-  prepare(query, ...args) {
-    return query.replace(/%[dfsi]/g, (match, index) => {
-      const arg = args.shift();
-      switch (match) {
-        case '%d':
-          return parseInt(arg, 10);
-        case '%f':
-          return parseFloat(arg);
-        case '%s':
-          return `'${String(arg).replace(/'/g, "''")}'`;
-        case '%i':
-          return this.quoteIdentifier(arg);
-        default:
-          return match;
-      }
-    });
-  }
-
-  /**
-   * Description of the syntax can be found at php.net's sprintf documentation.
-   *
-   * Prepares a SQL query for safe execution.
-   *
-   * @param {string} query SQL query with sprintf-like placeholders.
-   * @param {...*} args The array or individual variables to substitute into the query's placeholders.
-   * @return {string|undefined} Sanitized query string, if there is a query to prepare.
+   * @return {string|undefined} Sanitized query string, empty if the query could not be prepared.
    */
   prepare(query, ...args) {
     if (query === undefined || query === null) {
@@ -915,194 +1352,245 @@ class Wpdb {
       return query; // Or handle the warning accordingly
     }
 
-    /*
-     * Allowed formatting in placeholders, capturing specific possible patterns:
-     *  - Sign specifier, like $+d
-     *  - Numbered placeholders, e.g. %1$s
-     *  - Padding specifier, with custom characters, e.g. %05s, %'#5s
-     *  - Alignment specifier, e.g. %05-s
-     *  - Precision specifier, e.g. %.2f
-     */
-    const allowedFormat = '(?:[1-9][0-9]*[$])?[-+0-9]*(?: |0|\'.)?[-+0-9]*(?:\.[0-9]+)?';
-
-    // Remove wrapping quotes from %s placeholders for backward compatibility
-    query = query.replace(/'%([^']+)%'/g, '%$1%')
-                 .replace(/"%([^']+)%"/g, '%$1%');
-
-    // Escape any unescaped percent symbols
-    query = query.replace(new RegExp(`%(?!(${allowedFormat})?[sdfFi])`, 'g'), '%%$1');
-
-    // Split query into parts using placeholders
-    const splitQuery = query.split(new RegExp(`(^|[^%]|(?:%%)+)(%(${allowedFormat})?[sdfFi])`));
-
-    const splitQueryCount = splitQuery.length;
-
-    // Split always returns with 1 value before the first placeholder (even if query = "%s")
-    const placeholderCount = ((splitQueryCount - 1) / 3);
-
     // If args were passed as an array, like in vsprintf(), unwrap them
     const passedAsArray = (Array.isArray(args[0]) && args.length === 1);
     if (passedAsArray) {
       args = args[0];
     }
 
-    let newQuery = '';
-    let key = 2; // Keys 0 and 1 in splitQuery contain values before the first placeholder
-    let argID = 0;
-    const argIdentifiers = [];
-    const argStrings = [];
-
-    while (key < splitQueryCount) {
-      let placeholder = splitQuery[key];
-
-      const format = placeholder.slice(1, -1);
-      const type = placeholder.slice(-1);
+    const compiled = this.compilePlaceholders(query, args, false, passedAsArray);
+    if (!compiled) {
+      return '';
+    }
 
-      if (type === 'f' && this.allowUnsafeUnquotedParameters &&
-          // Checking the last character of split_query[key - 1]
-          splitQuery[key - 1].slice(-1) === '%') {
+    return this.addPlaceholderEscape(compiled.query);
+  }
 
-        // Mimic legacy behavior for particular float handling
+  /**
+   * Runs a query whose placeholders are sent to the database as bound parameters.
+   *
+   * Accepts the same placeholders as prepare(), including numbered and formatted ones,
+   * so translated core code can switch over unchanged. Only `%i` identifiers are still
+   * escaped into the query string, as databases can't bind identifiers.
+   *
+   * @param {string} query SQL query with placeholders.
+   * @param {Array<*>} [params=[]] Values for the placeholders.
+   * @return {Promise<number|boolean>} Same as query().
+   */
+  async execute(query, params = []) {
+    const compiled = this.compilePlaceholders(query, params, true);
+    if (!compiled) {
+      this.insertId = 0;
+      return false;
+    }
 
-        const s = splitQuery[key - 2] + splitQuery[key - 1];
-        let k = 1;
-        const l = s.length;
-        while (k <= l && s[l - k] === '%') {
-          ++k;
-        }
+    return this.query(compiled.query, compiled.params);
+  }
 
-        placeholder = '%' + (k % 2 ? '%' : '') + format + type;
+  /**
+   * Parses the placeholders of a query and substitutes or binds their values.
+   *
+   * Allowed formatting in placeholders:
+   *  - Numbered placeholders, e.g. %1$s
+   *  - Sign specifier, e.g. %+d
+   *  - Padding specifier, with custom characters, e.g. %05s, %'#5s
+   *  - Alignment specifier, e.g. %-5s
+   *  - Precision specifier, e.g. %.2f
+   *
+   * @protected
+   * @param {string} query SQL query with placeholders.
+   * @param {Array<*>} args Values for the placeholders.
+   * @param {boolean} bind Whether to replace values with `?` and return them as bound parameters,
+   *                       rather than escaping them into the query.
+   * @param {boolean} [passedAsArray=false] Whether the arguments were passed to prepare() as one array.
+   * @return {{query: string, params: Array<*>}|null} The query and bound parameters,
+   *                                                  or null if the query can't be prepared.
+   */
+  compilePlaceholders(query, args, bind, passedAsArray = false) {
+    // Remove wrapping quotes from %s placeholders for backward compatibility.
+    query = query.replace(/'%s'/g, '%s').replace(/"%s"/g, '%s');
+
+    const parts = [];
+    const placeholders = [];
+    let lastIndex = 0;
+    let nextArg = 0;
+
+    for (const match of query.matchAll(PLACEHOLDER_REGEX)) {
+      parts.push(query.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      // `%%`, or a stray `%` that doesn't form a placeholder: a literal percent sign.
+      if (!match[2]) {
+        parts.push('%');
+        continue;
+      }
 
-        --placeholderCount;
-      } else {
+      const argnum = /^([1-9][0-9]*)\$/.exec(match[1]);
+      const placeholder = {
+        rawFormat: match[1],
+        format: argnum ? match[1].slice(argnum[0].length) : match[1],
         // Force floats to be locale-unaware.
-        if (type === 'f') {
-          type = 'F';
-          placeholder = `%${format}${type}`;
-        }
+        type: match[2] === 'f' ? 'F' : match[2],
+        // sprintf() argnum starts at 1, arg indexes from 0.
+        arg: argnum ? parseInt(argnum[1], 10) - 1 : nextArg++,
+      };
 
-        if (type === 'i') {
-          placeholder = '\`%${format}s\`';
-          const argnumPos = format.indexOf('$');
+      placeholders.push(placeholder);
+      parts.push(placeholder);
+    }
+    parts.push(query.slice(lastIndex));
 
-          if (argnumPos !== -1) {
-            // sprintf() argnum starts at 1, argID from 0.
-            argIdentifiers.push(parseInt(format.substring(0, argnumPos), 10) - 1);
-          } else {
-            argIdentifiers.push(argID);
-          }
-        } else if (type !== 'd' && type !== 'F') {
-          // For ('s' === type), ensure string escaping is used as a safe default.
-          const argnumPos = format.indexOf('$');
-
-          if (argnumPos !== -1) {
-            argStrings.push(parseInt(format.substring(0, argnumPos), 10) - 1);
-          } else {
-            argStrings.push(argID);
-          }
+    const identifierArgs = placeholders.filter((p) => p.type === 'i').map((p) => p.arg);
+    const dualUse = placeholders.filter((p) => p.type !== 'i' && identifierArgs.includes(p.arg));
 
-          if (!this.allowUnsafeUnquotedParameters ||
-              (format === '' && splitQuery[key - 1].slice(-1) !== '%')) {
-            placeholder = `'%${format}s'`;
-          }
-        }
-      }
-      // Glue (-2), any leading characters (-1), then the new placeholder.
-      newQuery += splitQuery[key - 2] + splitQuery[key - 1] + placeholder;
+    if (dualUse.length > 0) {
+      const conflicts = [...new Set(dualUse.map((p) => p.arg))].map((arg) => placeholders
+        .filter((p) => p.arg === arg)
+        .map((p) => `%${p.rawFormat}${p.type === 'F' ? 'f' : p.type}`)
+        .join(' and '));
 
-      key += 3;
-      ++argID;
+      console.warn(`Arguments cannot be prepared as both an Identifier and Value. Found the following conflicts: ${conflicts.join(', ')}`);
+      return null;
     }
 
-    // Add remaining query characters, or index 0 if there were no placeholders.
-    query = `${newQuery}${splitQuery[key - 2]}`;
+    const placeholderCount = placeholders.length;
+    const argsCount = args.length;
 
-    const dualUse = argIdentifiers.filter(item => argStrings.includes(item));
+    if (argsCount !== placeholderCount) {
+      if (placeholderCount === 1 && passedAsArray) {
+        console.warn('The query only expected one placeholder, but an array of multiple placeholders was sent.');
+        return null;
+      }
 
-    if (dualUse.length > 0) {
-      console.warn('Passed arguments cannot be prepared as both an Identifier and Value.');
+      console.warn(`The query does not contain the correct number of placeholders (${placeholderCount}) for the number of arguments passed (${argsCount}).`);
 
-      const usedPlaceholders = {};
+      // If not enough arguments to match placeholders, don't run the query.
+      const requiredArgs = placeholders.reduce((max, p) => Math.max(max, p.arg + 1), 0);
+      if (argsCount < requiredArgs) {
+        return null;
+      }
+    }
 
-      key = 2;
-      argID = 0;
-      // Parse again (only used when there is an error).
-      while (key < splitQueryCount) {
-        placeholder = splitQuery[key];
+    const params = [];
+    let sql = '';
 
-        const format = placeholder.slice(1, -1);
-        const argnumPos = format.indexOf('$');
+    parts.forEach((part, i) => {
+      if (typeof part === 'string') {
+        sql += part;
+        return;
+      }
 
-        let argPos;
-        if (argnumPos !== -1) {
-          argPos = parseInt(format.substring(0, argnumPos), 10) - 1;
-        } else {
-          argPos = argID;
-        }
+      const value = this.formatPlaceholderValue(args[part.arg], part, bind);
 
-        if (!usedPlaceholders[argPos]) {
-          usedPlaceholders[argPos] = [];
+      if (part.type === 'i') {
+        sql += this.quoteIdentifier(value);
+      } else if (bind) {
+        // Numbered or formatted placeholders are quoted by the caller; a bound value needs no quotes.
+        const next = parts[i + 1];
+        if (/['"]$/.test(sql) && typeof next === 'string' && next[0] === sql.slice(-1)) {
+          sql = sql.slice(0, -1);
+          parts[i + 1] = next.slice(1);
         }
 
-        usedPlaceholders[argPos].push(placeholder);
+        sql += '?';
+        params.push(value);
+      } else if (part.type === 's') {
+        const escaped = this.realEscape(value);
+        const quoted = !this.allowUnsafeUnquotedParameters || part.rawFormat === '';
+        sql += quoted ? `'${escaped}'` : escaped;
+      } else {
+        sql += value;
+      }
+    });
+
+    return { query: sql, params };
+  }
 
-        key += 3;
-        ++argID;
+  /**
+   * Converts a placeholder argument to the value its placeholder type stands for.
+   *
+   * Mirrors how `sprintf()` treats the argument: `%d` truncates to an integer, `%f` reads a float,
+   * and `%s` takes strings and numbers. Formatting flags are applied when present.
+   *
+   * @protected
+   * @param {*} value The argument.
+   * @param {Object} placeholder Placeholder details from compilePlaceholders().
+   * @param {boolean} [bind=false] Whether the value will be bound rather than substituted.
+   * @return {string|number} The value to substitute or bind.
+   */
+  formatPlaceholderValue(value, placeholder, bind = false) {
+    const { type, format } = placeholder;
+
+    if (type === 'd' || type === 'F') {
+      let number = type === 'd' ? parseInt(value, 10) : parseFloat(value);
+      if (value === true) {
+        number = 1;
+      }
+      if (Number.isNaN(number)) {
+        number = 0;
       }
 
-      const conflicts = dualUse.map(argPos => usedPlaceholders[argPos].join(' and '));
+      if (type === 'F' && !format && !bind) {
+        // PHP's %F defaults to a precision of 6.
+        return number.toFixed(6);
+      }
 
-      console.warn(`Arguments cannot be prepared as both an Identifier and Value. Found the following conflicts: ${conflicts.join(', ')}`);
+      return format ? sprintfFormat(number, type, format) : number;
+    }
 
-      return null;
+    if (typeof value === 'number') {
+      value = String(value);
+    } else if (typeof value === 'boolean') {
+      // As PHP casts booleans to strings.
+      value = value ? '1' : '';
+    } else if (!(typeof value === 'string' || value === null || value === undefined)) {
+      console.warn(`Unsupported value type (${typeof value}).`);
+      value = '';
     }
 
-    const argsCount = args.length;
+    value = value === null || value === undefined ? '' : value;
 
-    if (argsCount !== placeholderCount) {
-      if (placeholderCount === 1 && passedAsArray) {
-        // If query expected one argument but got an array, log an error.
-        console.warn('The query only expected one placeholder, but an array of multiple placeholders was sent.');
-        return null;
-      } else {
-        // Log a warning for incorrect number of placeholders
-        console.warn(`The query does not contain the correct number of placeholders (${placeholderCount}) for the arguments passed (${argsCount}).`);
-
-        // If not enough arguments to match placeholders, return an empty string to prevent execution.
-        if (argsCount < placeholderCount) {
-          let maxNumberedPlaceholder = 0;
-          for (let i = 2, l = splitQueryCount; i < l; i += 3) {
-            // Assume a preceding number is for a numbered placeholder, e.g. '%3$s'.
-            const argnum = parseInt(splitQuery[i].slice(1), 10);
-            if (maxNumberedPlaceholder < argnum) {
-              maxNumberedPlaceholder = argnum;
-            }
-          }
-          if (!maxNumberedPlaceholder || argsCount < maxNumberedPlaceholder) {
-            return '';
-          }
-        }
-      }
+    return format ? sprintfFormat(value, type, format) : value;
+  }
+
+  /**
+   * Escapes a string for use in a query, through the driver's escaping rules.
+   *
+   * @param {string} data String to escape.
+   * @return {string} Escaped string.
+   */
+  realEscape(data) {
+    if (typeof data !== 'string') {
+      return '';
     }
 
-    const argsEscaped = [];
+    if (this.dbh) {
+      return this.dbh.escapeString(data);
+    }
 
-    args.forEach((value, i) => {
-      if (argIdentifiers.includes(i)) {
-        argsEscaped.push(this.escapeIdentifierValue(value));
-      } else if (typeof value === 'number') {
-        argsEscaped.push(value);
-      } else {
-        if (!(typeof value === 'string' || value === null)) {
-          console.warn(`Unsupported value type (${typeof value}).`);
-          value = '';
-        }
-        argsEscaped.push(this.realEscape(value));
-      }
-    });
+    console.warn('wpdb::realEscape() was called before a database connection was established; falling back to addslashes().');
+    return data.replace(/[\\'"\0]/g, (char) => (char === '\0' ? '\\0' : `\\${char}`));
+  }
 
-    query = query.replace(/%(?!^\d+\$)/g, () => argsEscaped.shift() || '');
-    return this.addPlaceholderEscape(query);
+  /**
+   * Quotes an identifier for a MySQL database, e.g. table/field names.
+   *
+   * @param {string} identifier Identifier to escape.
+   * @return {string} Escaped identifier.
+   */
+  quoteIdentifier(identifier) {
+    return `\`${this.escapeIdentifierValue(identifier)}\``;
+  }
+
+  /**
+   * Escapes an identifier value without adding the surrounding quotes.
+   *
+   * @private
+   * @param {string} identifier Identifier to escape.
+   * @return {string} Escaped identifier.
+   */
+  escapeIdentifierValue(identifier) {
+    return String(identifier).replace(/`/g, '``');
   }
 
   /**
@@ -1118,58 +1606,30 @@ class Wpdb {
   }
 
   /**
-   * Prints SQL/DB error.
+   * Handles an SQL/DB error.
+   *
+   * The error is emitted, logged unless errors are suppressed, and handled by the error
+   * policy, see WpdbErrorHandler.
    *
-   * @param {string} [str=''] The error to display.
-   * @return {void|boolean} Void if errors showing is enabled, false if disabled.
+   * @param {string} [str=''] The error message. Defaults to the driver's last error.
+   * @param {string} [code='db_query_error'] Optional. Error code.
+   * @return {boolean} False, for the failing method to return.
+   * @throws {WPDBError} The error, with the 'throw' error policy.
    */
-  printError(str = '') {
-    const EZSQLError = global.EZSQL_ERROR || [];
-
+  printError(str = '', code = 'db_query_error') {
     if (!str) {
       str = this.dbh ? this.dbh.error : 'Unknown error';
     }
 
-    EZSQLError.push({
+    const error = new WPDBError(str, {
+      code,
       query: this.lastQuery,
-      errorStr: str,
+      caller: this.getCaller(),
+      errno: this.dbh && this.dbh.error === str ? this.dbh.errno : 0,
     });
 
-    if (this.suppressErrors) {
-      return false;
-    }
-
-    const caller = this.getCaller();
-    const errorStr = caller ?
-      `WordPress database error ${str} for query ${this.lastQuery} made by ${caller}` :
-      `WordPress database error ${str} for query ${this.lastQuery}`;
-    
-    console.error(errorStr);
-
-    // Are we showing errors?
-    if (!this.showErrors) {
-      return false;
-    }
-
-    // If there is an error then log it.
-    let msg = `WordPress database error: [${str}]
-    ${this.lastQuery}`;
-
-    if (process.env.IS_MULTISITE) {
-      if (process.env.ERRORLOGFILE) {
-        console.error(msg); // Use actual file logging here
-      }
-      if (process.env.DIEONDBERROR) {
-        throw new Error(msg);
-      }
-    } else {
-      str = str; // Simulate htmlspecialchars usage
-      const query = this.lastQuery; // Simulate htmlspecialchars usage
-
-      console.log(`
-        <div id="error"><p class="wpdberror"><strong>WordPress database error:</strong> [${str}]<br /><code>${query}</code></p></div>
-      `);
-    }
+    this.lastDbError = error;
+    return this.errorHandler.handle(error);
   }
 
   /**
@@ -1180,8 +1640,8 @@ class Wpdb {
    * @return {boolean} Whether showing of errors was previously active.
    */
   showErrors(show = true) {
-    const errors = this.showErrors;
-    this.showErrors = show;
+    const errors = this.showingErrors;
+    this.showingErrors = show;
     return errors;
   }
 
@@ -1193,8 +1653,8 @@ class Wpdb {
    * @return {boolean} Whether showing of errors was previously active.
    */
   hideErrors() {
-    const show = this.showErrors;
-    this.showErrors = false;
+    const show = this.showingErrors;
+    this.showingErrors = false;
     return show;
   }
 
@@ -1209,8 +1669,8 @@ class Wpdb {
    * @return {boolean} Whether suppression of errors was previously active.
    */
   suppressErrors(suppress = true) {
-    const errors = this.suppressErrors;
-    this.suppressErrors = Boolean(suppress);
+    const errors = this.suppressingErrors;
+    this.suppressingErrors = Boolean(suppress);
     return errors;
   }
 
@@ -1224,9 +1684,9 @@ class Wpdb {
     this.rowsAffected = 0;
     this.numRows = 0;
     this.lastError = '';
+    this.lastDbError = null;
 
     if (this.result) {
-      this.result.free(); // Assuming result is a class instance
       this.result = null;
 
       // Confidence check before using the handle.
@@ -1235,9 +1695,7 @@ class Wpdb {
       }
 
       // Clear out any results from a multi-query.
-      while (this.dbh.moreResults()) {
-        this.dbh.nextResult();
-      }
+      this.dbh.freeResult();
     }
   }
 
@@ -1250,88 +1708,87 @@ class Wpdb {
    * @return {boolean} True with a successful connection, false on failure.
    */
   async dbConnect(allowBail = true) {
-    this.isMySQL = true;
-
-    const clientFlags = process.env.MYSQL_CLIENT_FLAGS || 0;
+    this.isMySQL = this.driver.isMySQL;
 
     try {
-      this.dbh = await createConnection({
-        host: this.dbHost,
-        user: this.dbUser,
-        password: this.dbPassword,
-        database: this.dbName,
-        flags: clientFlags,
-      });
-
+      await this.driver.connect(this.connectionOptions());
+      this.dbh = this.driver;
     } catch (error) {
-      if (allowBail) {
-        console.error('Failed to connect to the database:', error);
-        return false;
-      }
-      throw error;
+      this.dbh = null;
+      this.error = error;
     }
 
-    let host = this.dbHost;
-    let port = null;
-    let socket = null;
-    let isIPv6 = false;
+    if (!this.dbh && allowBail) {
+      const message = `<h1>Error establishing a database connection</h1>` +
+      `<ul>` +
+      `<li>Are you sure you have the correct username and password?</li>` +
+      `<li>Are you sure you have typed the correct hostname?</li>` +
+      `<li>Are you sure the database server is running?</li>` +
+      `</ul>` +
+      `<p>If you are unsure what these terms mean you should probably contact your host. If you still need help you can always visit the <a href="https://wordpress.org/support/forums/">WordPress support forums</a>.</p>`;
 
-    const hostData = this.parseDbHost(this.dbHost);
-    if (hostData) {
-      [host, port, socket, isIPv6] = hostData;
-    }
+      this.bail(message, 'db_connect_fail');
+      return false;
+    } else if (this.dbh) {
+      if (!this.hasConnected) {
+        this.initCharset();
+      }
 
-    // If using a client library that requires brackets for IPv6 addresses
-    if (isIPv6) {
-      host = `[${host}]`;
-    }
+      // A new connection never carries over an open transaction.
+      if (this.transactionDepth) {
+        this.transactionLost = true;
+      }
 
-    try {
-      await this.dbh.connect({
-        host,
-        user: this.dbUser,
-        password: this.dbPassword,
-        port,
-        socket,
-        flags: clientFlags,
-      });
-    } catch (error) {
-      this.dbh = null;
-      if (allowBail) {
-        console.error('Error establishing a database connection:', error);
+      this.hasConnected = true;
 
-        if (process.env.WP_CONTENT_DIR && fs.existsSync(`${process.env.WP_CONTENT_DIR}/db-error.php`)) {
-          require(`${process.env.WP_CONTENT_DIR}/db-error.php`);
-          process.exit(1);
-        }
+      await this.setCharset(this.dbh);
 
-        const message = `<h1>Error establishing a database connection</h1>` +
-        `<ul>` +
-        `<li>Are you sure you have the correct username and password?</li>` +
-        `<li>Are you sure you have typed the correct hostname?</li>` +
-        `<li>Are you sure the database server is running?</li>` +
-        `</ul>` +
-        `<p>If you are unsure what these terms mean you should probably contact your host. If you still need help you can always visit the <a href="https://wordpress.org/support/forums/">WordPress support forums</a>.</p>`;
+      this.ready = true;
+      await this.setSqlMode();
+      await this.select(this.dbName, this.dbh);
 
-        this.bail(message, 'db_connect_fail');
-        return false;
-      } else if (this.dbh) {
-        if (!this.hasConnected) {
-          this.initCharset();
-        }
+      // The main connection becomes the first one of the pool.
+      if (this.poolOptions && !this.pool) {
+        this.pool = new WpdbPool(
+          () => this.openConnection(),
+          { ...this.poolOptions, size: Math.min(this.poolOptions.size || 10, this.driver.maxConnections) },
+          this.driver
+        );
+      }
 
-        this.hasConnected = true;
+      return true;
+    }
+    return false;
+  }
 
-        this.setCharset(this.dbh);
+  /**
+   * Builds the driver's connection options from the DB_* settings.
+   *
+   * @param {Object} [config={}] Optional. Settings of another server, overriding the
+   *                             DB_* ones: host, user, password and name.
+   * @return {Object} Options for WpdbDriver.connect().
+   */
+  connectionOptions(config = {}) {
+    const dbHost = config.host || this.dbHost;
 
-        this.ready = true;
-        this.setSqlMode();
-        this.select(this.dbName, this.dbh);
+    let host = dbHost;
+    let port = null;
+    let socket = null;
 
-        return true;
-      }
-      return false;
+    const hostData = this.parseDbHost(dbHost);
+    if (hostData) {
+      [host, port, socket] = hostData;
     }
+
+    return {
+      host,
+      user: config.user || this.dbUser,
+      password: undefined === config.password ? this.dbPassword : config.password,
+      database: config.name || this.dbName,
+      port,
+      socket,
+      flags: process.env.MYSQL_CLIENT_FLAGS || 0,
+    };
   }
 
   /**
@@ -1383,38 +1840,34 @@ class Wpdb {
   /**
    * Checks that the database connection is still up. If not, attempts to reconnect.
    *
-   * If the function is unable to reconnect, it will forcibly log the error or, if applicable,
-   * return false instead after the 'template_redirect' phase.
+   * Reconnections back off exponentially, and fail fast while the circuit breaker is
+   * open, see WpdbHealth. Pooled connections to the main server are replaced with
+   * another one from the pool, which reconnects the same way, see acquirePooledConnection().
+   * Replicas that fail are left out of the rotation, see WpdbRouter.markDown(). If the function is unable to reconnect, it will log the error
+   * or, if applicable, return false instead after the 'template_redirect' phase.
    *
    * @param {boolean} [allowBail=true] Allows the function to bail.
-   * @return {boolean|undefined} True if the connection is up.
+   * @return {boolean} True if the connection is up.
    */
   async checkConnection(allowBail = true) {
-    // Check if the connection is alive, use appropriate mysql2 checking method.
-    if (this.dbh && (await this.dbh.query('DO 1')).length > 0) {
+    // Check if the connection is alive.
+    if (this.dbh && await this.dbh.ping()) {
       return true;
     }
 
-    if (process.env.WP_DEBUG) {
-      const originalErrorReporting = process.env.ERROR_REPORTING;
-      process.env.ERROR_REPORTING = originalErrorReporting & ~console.error;
+    // Pooled and replica connections are replaced rather than reconnected.
+    const scope = this.connectionStorage.getStore();
+    if (scope && scope.dbh && (this.pool || !scope.server.main)) {
+      return this.failOver(scope);
     }
 
-    for (let tries = 1; tries <= this.reconnectRetries; tries++) {
-      // On the last try, re-enable warnings to see a single message.
-      if (this.reconnectRetries === tries && process.env.WP_DEBUG) {
-        process.env.ERROR_REPORTING = originalErrorReporting;
-      }
-
-      if (await this.dbConnect(false)) {
-        if (originalErrorReporting) {
-          process.env.ERROR_REPORTING = originalErrorReporting;
-        }
-
-        return true;
-      }
+    // Failing fast, the outage has already been reported.
+    if (this.health.isOpen()) {
+      return false;
+    }
 
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    if (await this.health.reconnect()) {
+      return true;
     }
 
     // If `template_redirect` has already occurred, return false.
@@ -1434,26 +1887,79 @@ class Wpdb {
       `</ul>` +
       `<p>If you are unsure what these terms mean you should probably contact your host. If you still need help you can always visit the <a href="https://wordpress.org/support/forums/">WordPress support forums</a>.</p>`;
 
-    this.bail(message, 'db_connect_fail');
+    return this.bail(message, 'db_connect_fail');
+  }
 
-      // Indicate a dead database scenario; handle appropriately in JS context.
-    console.error('Database is not available.');
+  /**
+   * Replaces the lost connection of the current context.
+   *
+   * @protected
+   * @return {boolean} True if a connection is up again, false after printing the error.
+   */
+  async restoreConnection() {
+    // Reconnecting would carry on outside the transaction, which the server has rolled back.
+    if (this.transactionDepth) {
+      this.transactionLost = true;
+      this.insertId = 0;
+      this.lastError = 'The database connection was lost during a transaction.';
+      return this.printError(this.lastError, 'db_connection_lost');
+    }
+
+    if (await this.checkConnection()) {
+      return true;
+    }
+
+    this.insertId = 0;
+    this.lastError = this.health.isOpen()
+      ? 'The database is unavailable.'
+      : 'The database connection was lost and could not be re-established.';
+    return this.printError(this.lastError, 'db_connection_lost');
   }
 
   /**
    * Performs a database query using the current connection.
    *
    * @param {string} query Database query.
+   * @param {Array<*>} [params=[]] Optional. Values bound to `?` placeholders, as produced by execute().
    * @return {number|boolean} True for CREATE, ALTER, TRUNCATE, and DROP queries. Number of rows
    *                  affected/selected for others. False on error.
    */
-  async query(query) {
+  async query(query, params = []) {
+    try {
+      return await this.withConnection(() => this.runQuery(query, params), this.routeQuery(query));
+    } catch (error) {
+      // Errors thrown by the error policy.
+      if (error instanceof WPDBError) {
+        throw error;
+      }
+
+      // No server could provide a connection.
+      this.insertId = 0;
+      this.lastError = error.message;
+      return this.printError(this.lastError, 'db_connect_fail');
+    }
+  }
+
+  /**
+   * Performs a query on the connection held by the current context.
+   *
+   * @protected
+   * @param {string} query Database query.
+   * @param {Array<*>} [params=[]] Values bound to `?` placeholders.
+   * @return {number|boolean} See query().
+   */
+  async runQuery(query, params = []) {
     if (!this.ready) {
       this.checkCurrentQuery = true;
-      return false;
+      this.lastQuery = query;
+      this.lastError = 'The database is not connected.';
+      return this.printError(this.lastError, 'db_not_connected');
     }
 
-    query = query; // Hook for potential query filters
+    // Undo the `%` escaping added by prepare().
+    if (query && this._placeholder) {
+      query = this.removePlaceholderEscape(query);
+    }
 
     if (!query) {
       this.insertId = 0;
@@ -1466,7 +1972,7 @@ class Wpdb {
     this.funcCall = `$db->query(${query})`;
 
     if (this.checkCurrentQuery && !this.checkAscii(query)) {
-      const strippedQuery = this.stripInvalidTextFromQuery(query);
+      const strippedQuery = await this.stripInvalidTextFromQuery(query);
       this.flush();
 
       if (strippedQuery !== query) {
@@ -1474,9 +1980,7 @@ class Wpdb {
         this.lastQuery = query;
 
         this.lastError = 'WordPress database error: Could not perform query because it contains invalid data.';
-        console.error(this.lastError);
-
-        return false;
+        return this.printError(this.lastError, 'db_invalid_data');
       }
     }
 
@@ -1485,25 +1989,27 @@ class Wpdb {
     // Keep track of the last query for debugging purposes.
     this.lastQuery = query;
 
-    await this._doQuery(query);
+    // A connection known to be lost is replaced before sending the query.
+    if ((!this.dbh || !this.dbh.isConnected()) && !await this.restoreConnection()) {
+      return false;
+    }
 
-    // Check for database server disconnection and attempt reconnect.
-    let mysqlErrno = 0;
+    await this._doQuery(query, params);
 
-    if (this.dbh) {
-      mysqlErrno = this.dbh.errno;
-    } else {
-      // If dbh is defined but not a real connection, set error to reconnect.
-      mysqlErrno = 2006;
-    }
+    // The connection was lost during the query.
+    if (!this.dbh || CR_SERVER_GONE_ERROR === this.dbh.errno) {
+      if (!await this.restoreConnection()) {
+        return false;
+      }
 
-    if (!this.dbh || mysqlErrno === 2006) {
-      if (await this.checkConnection()) {
-        await this._doQuery(query);
-      } else {
+      // Writes may have been applied before the connection was lost, only reads are run again.
+      if (this.router.isWriteQuery(query)) {
         this.insertId = 0;
-        return false;
+        this.lastError = 'The database connection was lost during the query, which may or may not have been applied.';
+        return this.printError(this.lastError, 'db_connection_lost');
       }
+
+      await this._doQuery(query, params);
     }
 
     // Check and note any errors.
@@ -1515,8 +2021,7 @@ class Wpdb {
         this.insertId = 0;
       }
 
-      this.printError(this.lastError);
-      return false;
+      return this.printError(this.lastError);
     }
 
     let returnVal;
@@ -1535,10 +2040,10 @@ class Wpdb {
       returnVal = this.rowsAffected;
     } else {
       let numRows = 0;
-      const results = await this.dbh.query(query);
+      const results = this.result ? this.result.rows : null;
       if (results) {
         results.forEach(row => {
-          this.lastResult[numRows] = row;
+          this.lastResult[numRows] = this.typeCaster.castRow(row, this.result.fields);
           numRows++;
         });
       }
@@ -1548,53 +2053,175 @@ class Wpdb {
       returnVal = numRows;
     }
 
-    return returnVal;
+    return returnVal;
+  }
+
+  /**
+   * Internal function to execute the database query.
+   *
+   * @param {string} query The query to run.
+   * @param {Array<*>} [params=[]] Values bound to `?` placeholders.
+   */
+  async _doQuery(query, params = []) {
+    if (process.env.SAVEQUERIES) {
+      this.timerStart();
+    }
+
+    if (this.dbh) {
+      this.result = await this.dbh.query(query, params);
+    }
+
+    ++this.numQueries;
+
+    if (process.env.SAVEQUERIES) {
+      const rows = this.result && this.result.rows ? this.result.rows.length : (this.dbh ? this.dbh.affectedRows : 0);
+
+      this.logQuery(
+        query,
+        this.timerStop(),
+        this.getCaller(),
+        this.timeStart,
+        { params, rows, error: this.dbh ? this.dbh.error : '' }
+      );
+    }
+  }
+
+  /**
+   * Logs query data.
+   *
+   * @param {string} query The query's SQL.
+   * @param {number} queryTime Total time spent on the query, in seconds.
+   * @param {string} queryCallstack Comma-separated list of the calling functions.
+   * @param {number} queryStart Unix timestamp of the time at the start of the query, in milliseconds.
+   * @param {Object} queryData Query data: bound `params`, number of `rows`, `error`, and any custom data.
+   */
+  logQuery(query, queryTime, queryCallstack, queryStart, queryData) {
+    this.queries.push(this.monitor.createEntry(query, queryTime, queryCallstack, queryStart, queryData));
+  }
+
+  /**
+   * Runs a callback inside a database transaction.
+   *
+   * The transaction is committed when the callback resolves and rolled back when it throws.
+   * Nested calls are mapped to savepoints: a failing inner callback only undoes its own
+   * work, provided the outer callback catches the error.
+   *
+   * Failed queries don't throw by themselves unless the error policy is 'throw', so throw
+   * from the callback to roll back, e.g. `if (false === await tx.insert(...)) throw new Error(tx.lastError);`.
+   *
+   * `insertId` and `rowsAffected` keep reflecting the last query made by the callback,
+   * inside the scope and after it ends; the transaction statements don't reset them.
+   *
+   * On MySQL, statements causing an implicit commit (CREATE TABLE, ALTER TABLE, ...)
+   * end the transaction early.
+   *
+   * With datasets, the transaction runs on the global primary. Queries made in it on
+   * tables of another dataset throw a WPDBError with the 'db_transaction_dataset' code,
+   * rolling the transaction back.
+   *
+   * @param {function(Wpdb): Promise<*>} callback Receives the database object to query with.
+   * @return {Promise<*>} The value returned by the callback.
+   * @throws {Error} The callback's error, or an error if the transaction couldn't be
+   *                 started or committed, or if the connection was lost meanwhile.
+   */
+  async transaction(callback) {
+    // A transaction keeps the same pooled connection from start to end.
+    return this.withConnection(() => this.runTransaction(callback));
+  }
+
+  /**
+   * Runs a callback inside a transaction on the connection held by the current context.
+   *
+   * @private
+   * @param {function(Wpdb): Promise<*>} callback Receives the database object to query with.
+   * @return {Promise<*>} The value returned by the callback.
+   */
+  async runTransaction(callback) {
+    const depth = this.transactionDepth;
+    const savepoint = `wpdb_savepoint_${depth}`;
+
+    if (!depth) {
+      this.transactionLost = false;
+    }
+
+    const begin = this.isMySQL ? 'START TRANSACTION' : 'BEGIN';
+    await this.transactionQuery(depth ? `SAVEPOINT ${savepoint}` : begin);
+    this.transactionDepth++;
+
+    let value;
+    try {
+      value = await callback(this);
+
+      if (this.transactionLost) {
+        throw new Error('The database connection was lost during the transaction, which was rolled back.');
+      }
+    } catch (error) {
+      this.transactionDepth--;
+
+      if (!this.transactionLost) {
+        await this.rollbackTransaction(depth, savepoint);
+      }
+
+      throw error;
+    }
+
+    this.transactionDepth--;
+    try {
+      await this.transactionQuery(depth ? `RELEASE SAVEPOINT ${savepoint}` : 'COMMIT');
+    } catch (error) {
+      // A failed COMMIT may leave the transaction open on a connection going back to the pool.
+      await this.rollbackTransaction(depth, savepoint);
+      throw error;
+    }
+
+    return value;
   }
 
   /**
-   * Internal function to execute the database query.
+   * Rolls back a transaction, or a savepoint of a nested one.
    *
-   * @param {string} query The query to run.
+   * If a transaction can't be rolled back, its connection is closed rather than
+   * given back to the pool, where it would still be in the transaction.
+   *
+   * @private
+   * @param {number} depth     The depth of the transaction, 0 for the outermost.
+   * @param {string} savepoint The savepoint of a nested transaction.
+   * @return {Promise<void>}
    */
-  async _doQuery(query) {
-    if (process.env.SAVEQUERIES) {
-      this.timerStart();
-    }
-
-    if (this.dbh) {
-      this.result = await this.dbh.query(query);
+  async rollbackTransaction(depth, savepoint) {
+    if (await this.transactionQuery(depth ? `ROLLBACK TO SAVEPOINT ${savepoint}` : 'ROLLBACK', false) || depth) {
+      return;
     }
 
-    ++this.numQueries;
-
-    if (process.env.SAVEQUERIES) {
-      this.logQuery(
-        query,
-        this.timerStop(),
-        this.getCaller(),
-        this.timeStart,
-        {}
-      );
+    const scope = this.connectionStorage.getStore();
+    if (scope && scope.dbh) {
+      this.destroyConnection(scope.server, scope.dbh);
+      scope.dbh = null;
     }
   }
 
   /**
-   * Logs query data.
+   * Runs a transaction control statement without touching the last query's state.
    *
-   * @param {string} query The query's SQL.
-   * @param {number} queryTime Total time spent on the query, in seconds.
-   * @param {string} queryCallstack Comma-separated list of the calling functions.
-   * @param {number} queryStart Unix timestamp of the time at the start of the query.
-   * @param {Array} queryData Custom query data.
+   * @private
+   * @param {string} query The statement.
+   * @param {boolean} [throwOnError=true] Whether to throw if the statement fails.
+   * @return {Promise<boolean>} Whether the statement succeeded.
+   * @throws {Error} If the statement fails and `throwOnError` is set.
    */
-  logQuery(query, queryTime, queryCallstack, queryStart, queryData) {
-    this.queries.push([
-      query,
-      queryTime,
-      queryCallstack,
-      queryStart,
-      queryData,
-    ]);
+  async transactionQuery(query, throwOnError = true) {
+    const { result } = this;
+
+    await this._doQuery(query);
+
+    const error = this.dbh ? this.dbh.error : 'No database connection.';
+    this.result = result;
+
+    if (error && throwOnError) {
+      throw new Error(`Could not run "${query}": ${error}`);
+    }
+
+    return !error;
   }
 
   // Further methods related to query timing and utility classes...
@@ -1632,7 +2259,7 @@ class Wpdb {
    * @return {string} Cleaned query.
    */
   removePlaceholderEscape(query) {
-    return query.replace(new RegExp(this.placeholderEscape(), 'g'), '%');
+    return query.split(this.placeholderEscape()).join('%');
   }
 
   // Any other filtering and utility methods would follow here...
@@ -1654,19 +2281,6 @@ class Wpdb {
     return this._insertReplaceHelper(table, data, format, 'INSERT');
   }
 
-  /**
-   * A helper function that aids 'replace' and 'insert' implementation.
-   * @private
-   * @param {string} table
-   * @param {Object} data
-   * @param {Array|string} [format]
-   * @param {string} type
-   * @return {Promise<number|boolean>} The number of rows affected or false on error.
-   */
-  async _insertReplaceHelper(table, data, format, type) {
-    // Method implementation including connection and insertion logic
-  }
-
   /**
    * Replaces a row in the table or inserts it if it does not exist, based on a PRIMARY KEY or a UNIQUE index.
    *
@@ -1684,18 +2298,6 @@ class Wpdb {
     return this._insertReplaceHelper(table, data, format, 'REPLACE');
   }
 
-  /**
-   * Replaces a row in the table or inserts it if it does not exist.
-   *
-   * @param {string} table Table name.
-   * @param {Object} data Data to insert.
-   * @param {Array|string} [format=null] Format of data.
-   * @return {Promise<number|boolean>} Rows affected.
-   */
-  async replace(table, data, format = null) {
-    return this._insertReplaceHelper(table, data, format, 'REPLACE');
-  }
-
   /**
    * Helper function for insert and replace operations.
    *
@@ -1716,14 +2318,14 @@ class Wpdb {
       return false;
     }
 
-    const processedData = this.processFields(table, data, format);
+    const processedData = await this.processFields(table, data, format);
     if (processedData === false) {
       return false;
     }
 
     const formats = [];
     const values = [];
-    for (const value of processedData) {
+    for (const value of Object.values(processedData)) {
       if (value.value === null) {
         formats.push('NULL');
         continue;
@@ -1739,7 +2341,7 @@ class Wpdb {
     const sql = `${type} INTO ${table} (${fields}) VALUES (${formatString})`;
 
     this.checkCurrentQuery = false;
-    return this.query(this.prepare(sql, values));
+    return this.execute(sql, values);
   }
 
   /**
@@ -1758,15 +2360,15 @@ class Wpdb {
    * @return {Promise<number|boolean>} The number of rows affected, or false on error.
    */
   async update(table, data, where, format = null, whereFormat = null) {
-    if (!Array.isArray(data) || !Array.isArray(where)) {
+    if (!isFieldMap(data) || !isFieldMap(where)) {
       return false;
     }
 
-    const processedData = this.processFields(table, data, format);
+    const processedData = await this.processFields(table, data, format);
     if (processedData === false) {
       return false;
     }
-    const processedWhere = this.processFields(table, where, whereFormat);
+    const processedWhere = await this.processFields(table, where, whereFormat);
     if (processedWhere === false) {
       return false;
     }
@@ -1799,7 +2401,7 @@ class Wpdb {
     const sql = `UPDATE \`${table}\` SET ${fieldString} WHERE ${conditionString}`;
 
     this.checkCurrentQuery = false;
-    return this.query(this.prepare(sql, values));
+    return this.execute(sql, values);
   }
 
   /**
@@ -1814,11 +2416,11 @@ class Wpdb {
    * @return {Promise<number|boolean>} Number of rows deleted, or false on error.
    */
   async delete(table, where, whereFormat = null) {
-    if (!Array.isArray(where)) {
+    if (!isFieldMap(where)) {
       return false;
     }
 
-    const processedWhere = this.processFields(table, where, whereFormat);
+    const processedWhere = await this.processFields(table, where, whereFormat);
     if (processedWhere === false) {
       return false;
     }
@@ -1840,7 +2442,7 @@ class Wpdb {
     const sql = `DELETE FROM \`${table}\` WHERE ${conditionString}`;
 
     this.checkCurrentQuery = false;
-    return this.query(this.prepare(sql, values));
+    return this.execute(sql, values);
   }
 
   /**
@@ -1852,41 +2454,43 @@ class Wpdb {
    * @param {string} table Table name.
    * @param {Object} data Array of values keyed by their field names.
    * @param {Array|string} [format] Formats for the data.
-   * @return {Array|boolean} Array of fields with paired value and formats, false on error.
+   * @return {Promise<Object|boolean>} Fields with paired value and formats, false on error.
    */
-  processFields(table, data, format) {
+  async processFields(table, data, format) {
     data = this.processFieldFormats(data, format);
     if (data === false) {
       return false;
     }
 
-    data = this.processFieldCharsets(data, table);
+    data = await this.processFieldCharsets(data, table);
     if (data === false) {
       return false;
     }
 
-    data = this.processFieldLengths(data, table);
+    data = await this.processFieldLengths(data, table);
     if (data === false) {
       return false;
     }
 
-    const convertedData = this.stripInvalidText(data);
+    const convertedData = await this.stripInvalidText(
+      Object.fromEntries(Object.entries(data).map(([field, value]) => [field, { ...value }]))
+    );
+    if (convertedData instanceof Error) {
+      return false;
+    }
 
-    if (data !== convertedData) {
-      const problemFields = [];
-      Object.entries(data).forEach(([field, value]) => {
-        if (value !== convertedData[field]) {
-          problemFields.push(field);
-        }
-      });
+    const problemFields = Object.keys(data).filter((field) => data[field].value !== convertedData[field].value);
+    if (!problemFields.length) {
+      return data;
+    }
 
-      if (problemFields.length === 1) {
-        this.lastError = `WordPress database error: Processing the value for the following field failed: ${problemFields[0]}. The supplied value may be too long or contains invalid data.`;
-      } else {
-        this.lastError = `WordPress database error: Processing the values for the following fields failed: ${problemFields.join(', ')}. The supplied values may be too long or contain invalid data.`;
-      }
-  
+    if (problemFields.length === 1) {
+      this.lastError = `WordPress database error: Processing the value for the following field failed: ${problemFields[0]}. The supplied value may be too long or contains invalid data.`;
+    } else {
+      this.lastError = `WordPress database error: Processing the values for the following fields failed: ${problemFields.join(', ')}. The supplied values may be too long or contain invalid data.`;
     }
+
+    return false;
   }
 
   /**
@@ -1897,9 +2501,10 @@ class Wpdb {
    * @return {Object} Array of values and formats keyed by their field names.
    */
   processFieldFormats(data, format) {
-    const formats = Array.isArray(format) ? format : [];
+    const formats = Array.isArray(format) ? [...format] : [format];
     const originalFormats = [...formats];
 
+    data = { ...data };
     Object.entries(data).forEach(([field, value]) => {
       const formattedValue = {
         value,
@@ -1918,56 +2523,52 @@ class Wpdb {
     return data;
   }
 
-  // Continue with methods for charset and length processing...
-
-    /**
-     * Adds field charsets to field/value/format arrays generated by processFieldFormats().
-     *
-     * @param {Object} data Values and formats, keyed by field names from processFieldFormats().
-     * @param {string} table Table name.
-     * @return {Object|boolean} Same data array with added charset info, or false if charset can't be resolved.
-     */
-    processFieldCharsets(data, table) {
-      Object.entries(data).forEach(([field, value]) => {
-        if (value.format === '%d' || value.format === '%f') {
-          // Skip field if it isn't a string.
-          value.charset = false;
-        } else {
-          value.charset = this.getColCharset(table, field);
-          if (value.charset instanceof Error) { // Assuming an Error object is used
-            throw new Error('Charset error');
-          }
+  /**
+   * Adds field charsets to field/value/format arrays generated by processFieldFormats().
+   *
+   * @param {Object} data Values and formats, keyed by field names from processFieldFormats().
+   * @param {string} table Table name.
+   * @return {Promise<Object|boolean>} Same data with added charset info, or false if a charset can't be resolved.
+   */
+  async processFieldCharsets(data, table) {
+    for (const [field, value] of Object.entries(data)) {
+      if (value.format === '%d' || value.format === '%f') {
+        // Skip field if it isn't a string.
+        value.charset = false;
+      } else {
+        value.charset = await this.getColCharset(table, field);
+        if (value.charset instanceof Error) {
+          return false;
         }
+      }
 
-        data[field] = value;
-      });
-
-      return data;
+      data[field] = value;
     }
 
-
+    return data;
+  }
 
   /**
    * Records the maximum string length that string fields can safely save.
    *
    * @param {Object} data Values, formats, and charsets keyed by field names from processFieldCharsets().
    * @param {string} table Table name.
-   * @return {Object|boolean} Same data array with added length info, or false if length can't be resolved.
+   * @return {Promise<Object|boolean>} Same data with added length info, or false if a length can't be resolved.
    */
-  processFieldLengths(data, table) {
-    Object.entries(data).forEach(([field, value]) => {
+  async processFieldLengths(data, table) {
+    for (const [field, value] of Object.entries(data)) {
       if (value.format === '%d' || value.format === '%f') {
         // Skip field if it isn't a string.
         value.length = false;
       } else {
-        value.length = this.getColLength(table, field);
-        if (value.length instanceof Error) { // Assuming an Error object is used
-          throw new Error('Length error');
+        value.length = await this.getColLength(table, field);
+        if (value.length instanceof Error) {
+          return false;
         }
       }
 
       data[field] = value;
-    });
+    }
 
     return data;
   }
@@ -1983,17 +2584,18 @@ class Wpdb {
    * @param {string|null} [query=null] SQL query to execute, or null to use the previous result.
    * @param {number} [x=0] Column index of value to return, indexed from 0.
    * @param {number} [y=0] Row index of value to return, indexed from 0.
+   * @param {Array<*>|null} [params=null] Optional. Placeholder values, bound as with execute().
    * @return {string|null} Query result as string, or null on failure.
    */
-  async getVar(query = null, x = 0, y = 0) {
+  async getVar(query = null, x = 0, y = 0, params = null) {
     this.funcCall = `$db->get_var("${query}", ${x}, ${y})`;
 
     if (query) {
-      if (this.checkCurrentQuery && this.checkSafeCollation(query)) {
+      if (this.checkCurrentQuery && await this.checkSafeCollation(query)) {
         this.checkCurrentQuery = false;
       }
 
-      await this.query(query);
+      await (params ? this.execute(query, params) : this.query(query));
     }
 
     // Extract variable from cached results based on x, y coordinates.
@@ -2016,17 +2618,18 @@ class Wpdb {
    * @param {string|null} [query=null] SQL query.
    * @param {string} [output='OBJECT'] The required return type. 'OBJECT', 'ARRAY_A', 'ARRAY_N'.
    * @param {number} [y=0] Row to return, indexed from 0.
+   * @param {Array<*>|null} [params=null] Optional. Placeholder values, bound as with execute().
    * @return {Object|Array|null} Query result in specified format, or null on failure.
    */
-  async getRow(query = null, output = OBJECT, y = 0) {
+  async getRow(query = null, output = OBJECT, y = 0, params = null) {
     this.funcCall = `$db->get_row("${query}", ${output}, ${y})`;
 
     if (query) {
-      if (this.checkCurrentQuery && this.checkSafeCollation(query)) {
+      if (this.checkCurrentQuery && await this.checkSafeCollation(query)) {
         this.checkCurrentQuery = false;
       }
 
-      await this.query(query);
+      await (params ? this.execute(query, params) : this.query(query));
     } else {
       return null;
     }
@@ -2046,7 +2649,7 @@ class Wpdb {
       return resultRow ? Object.values(resultRow) : null;
     }
 
-    this.printError(' $db->get_row(string query, output type, int offset) -- Output type must be one of: OBJECT, ARRAY_A, ARRAY_N');
+    this.printError(' $db->get_row(string query, output type, int offset) -- Output type must be one of: OBJECT, ARRAY_A, ARRAY_N', 'db_invalid_output');
     return null;
   }
 
@@ -2059,15 +2662,16 @@ class Wpdb {
    *
    * @param {string|null} [query=null] SQL query or defaults to previous execution.
    * @param {number} [x=0] Column index to return, indexed from 0.
+   * @param {Array<*>|null} [params=null] Optional. Placeholder values, bound as with execute().
    * @return {Array<*>} Query result column as an array indexed by row number.
    */
-  async getCol(query = null, x = 0) {
+  async getCol(query = null, x = 0, params = null) {
     if (query) {
-      if (this.checkCurrentQuery && this.checkSafeCollation(query)) {
+      if (this.checkCurrentQuery && await this.checkSafeCollation(query)) {
         this.checkCurrentQuery = false;
       }
 
-      await this.query(query);
+      await (params ? this.execute(query, params) : this.query(query));
     }
 
     const newArray = [];
@@ -2090,17 +2694,21 @@ class Wpdb {
    *
    * @param {string|null} [query=null] SQL query.
    * @param {string} [output='OBJECT'] Output format: 'ARRAY_A', 'ARRAY_N', 'OBJECT', 'OBJECT_K'.
+   *                                   With OBJECT_K, an object of rows keyed by the value of their
+   *                                   first column; as with any object, integer keys come first,
+   *                                   in ascending order.
+   * @param {Array<*>|null} [params=null] Optional. Placeholder values, bound as with execute().
    * @return {Array|Object|null} Database query results in the specified format, or null if query fails.
    */
-  async getResults(query = null, output = OBJECT) {
+  async getResults(query = null, output = OBJECT, params = null) {
     this.funcCall = `$db->get_results("${query}", ${output})`;
 
     if (query) {
-      if (this.checkCurrentQuery && this.checkSafeCollation(query)) {
+      if (this.checkCurrentQuery && await this.checkSafeCollation(query)) {
         this.checkCurrentQuery = false;
       }
 
-      await this.query(query);
+      await (params ? this.execute(query, params) : this.query(query));
     } else {
       return null;
     }
@@ -2111,17 +2719,17 @@ class Wpdb {
       // Return an integer-keyed array of row objects.
       return this.lastResult;
     } else if (output === OBJECT_K) {
-      // Return an array of row objects keyed from column 1, discarding duplicates.
+      // Return an object of row objects keyed from column 1, discarding duplicates.
+      const keyed = {};
       if (this.lastResult) {
         for (const row of this.lastResult) {
-          const varByRef = { ...row };
-          const key = Object.values(varByRef)[0];
-          if (!(key in newArray)) {
-            newArray[key] = row;
+          const key = Object.values(row)[0];
+          if (!Object.hasOwn(keyed, key)) {
+            keyed[key] = row;
           }
         }
       }
-      return newArray;
+      return keyed;
     } else if (output === ARRAY_A || output === ARRAY_N) {
       // Return an integer-keyed array...
       if (this.lastResult) {
@@ -2146,91 +2754,226 @@ class Wpdb {
   }
 
   /**
-   * Retrieves the character set for the given table.
+   * Runs a query and yields its rows one at a time, for result sets too large to load at once.
+   *
+   * Rows are typed as with getResults(). The rows of MySQL are streamed from the server
+   * on a connection of their own, taken from the pool when there is one, so that other
+   * queries can run while they are processed. Inside a transaction, the transaction's
+   * connection is used: on MySQL, it can't run other queries until the loop ends.
+   * Leaving the loop early discards the remaining rows.
+   *
+   * @example
+   * for await (const post of wpdb.iterate(`SELECT ID, post_title FROM ${wpdb.posts}`)) {
+   *   await index(post);
+   * }
+   *
+   * @param {string} query SQL query.
+   * @param {Array<*>|null} [params=null] Optional. Placeholder values, bound as with execute().
+   * @param {string} [output='OBJECT'] Output format: 'ARRAY_A', 'ARRAY_N' or 'OBJECT'.
+   * @yield {Object|Array} The rows, in the specified format. If the query fails, the error
+   *                       is handled as with query() and the iteration ends.
+   */
+  async *iterate(query, params = null, output = OBJECT) {
+    this.funcCall = `$db->iterate("${query}", ${output})`;
+
+    if (![OBJECT, ARRAY_A, ARRAY_N].includes(output)) {
+      this.printError(' $db->iterate(string query, array params, output type) -- Output type must be one of: OBJECT, ARRAY_A, ARRAY_N', 'db_invalid_output');
+      return;
+    }
+
+    let compiled = { query, params: [] };
+    if (params) {
+      compiled = this.compilePlaceholders(query, params, true);
+      if (!compiled) {
+        return;
+      }
+    }
+
+    if (compiled.query && this._placeholder) {
+      compiled.query = this.removePlaceholderEscape(compiled.query);
+    }
+
+    this.lastQuery = compiled.query;
+    this.lastError = '';
+    this.lastDbError = null;
+
+    if (!this.ready) {
+      this.lastError = 'The database is not connected.';
+      this.printError(this.lastError, 'db_not_connected');
+      return;
+    }
+
+    let connection;
+    try {
+      connection = await this.streamConnection(compiled.query);
+    } catch (error) {
+      this.lastError = error.message;
+      this.printError(this.lastError, 'db_connect_fail');
+      return;
+    }
+
+    const { dbh } = connection;
+    try {
+      ++this.numQueries;
+
+      for await (const row of dbh.iterate(compiled.query, compiled.params)) {
+        this.typeCaster.castRow(row, dbh.fields);
+        yield ARRAY_N === output ? Object.values(row) : row;
+      }
+
+      if (dbh.error) {
+        this.lastError = dbh.error;
+        this.printError(this.lastError);
+      }
+    } finally {
+      await connection.release();
+    }
+  }
+
+  /**
+   * Takes the connection to stream the rows of a query from.
+   *
+   * @protected
+   * @param {string} query The query.
+   * @return {Promise<{dbh: WpdbDriver, release: function(): Promise<void>}>} The connection,
+   *         and the function giving it back once the rows are read.
+   * @throws {Error} If no server could provide a connection.
+   */
+  async streamConnection(query) {
+    const keep = async () => {};
+
+    // The rows of a transaction come from its connection, which sees its writes.
+    if (this.connectionStorage.getStore() || this.transactionDepth) {
+      return { dbh: this.dbh, release: keep };
+    }
+
+    const servers = this.routeQuery(query);
+    if (servers || this.pool) {
+      const { server, dbh } = await this.acquireFrom(servers || [this.router.datasets.global.primary]);
+      return { dbh, release: async () => this.releaseConnection(server, dbh) };
+    }
+
+    // Engines like SQLite in memory only have the one connection.
+    if (this.dbh.maxConnections < 2) {
+      return { dbh: this.dbh, release: keep };
+    }
+
+    const dbh = await this.openConnection();
+    return {
+      dbh,
+      release: async () => {
+        await dbh.close();
+      },
+    };
+  }
+
+  /**
+   * Retrieves the column metadata of a table, as returned by `SHOW FULL COLUMNS`.
+   *
+   * Only MySQL has column character sets: SQLite stores any Unicode text, so no columns
+   * are returned there and values aren't checked.
    *
+   * @protected
    * @param {string} table Table name.
-   * @return {string|Error} Table character set or error if not found.
+   * @return {Promise<Array<Object>|null|Error>} The columns, null if the database has no
+   *                                             column charsets, or an error if they can't be read.
    */
-  getTableCharset(table) {
-    const tableKey = table.toLowerCase();
-    // Logic to get charset or return an error...
+  async getTableColumns(table) {
+    if (!this.isMySQL) {
+      return null;
+    }
+
+    const results = await this.getResults(`SHOW FULL COLUMNS FROM \`${table.split('.').join('`.`')}\``);
+    if (!results || !results.length) {
+      return new Error('Could not retrieve table charset.');
+    }
+
+    return results;
   }
-  
-  // Other charset handling methods...
 
   /**
-   * Filters the table charset value before the DB is checked.
+   * Retrieves the character set for the given table.
    *
-   * Returning a non-null value will skip DB charset check, returning that value instead.
+   * The column metadata read along the way is cached in `colMeta`.
    *
-   * @param {string|Error|null} [charset=null] The charset to use, or error if not found.
-   * @param {string} table The table name being checked.
+   * @param {string} table Table name.
+   * @return {Promise<string|false|Error>} Table character set, false if the table has none,
+   *                                       or an error if it can't be determined.
    */
-  getTableCharset(table) {
+  async getTableCharset(table) {
     const tableKey = table.toLowerCase();
-    let charset = null; // Placeholder for filtering logic, equivalent to apply_filters
 
-    if (charset !== null) {
+    /**
+     * Filters the table charset value before the DB is checked.
+     *
+     * Returning a non-null value from the filter will effectively short-circuit
+     * checking the DB for the charset, returning that value instead.
+     *
+     * @since 4.2.0
+     *
+     * @param {string|Error|null} charset The character set to use, or an error. Default null.
+     * @param {string} table The name of the table being checked.
+     */
+    let charset = applyFilters('pre_get_table_charset', null, table);
+    if (null !== charset) {
       return charset;
     }
 
-    if (this.tableCharset[tableKey]) {
+    if (Object.hasOwn(this.tableCharset, tableKey)) {
       return this.tableCharset[tableKey];
     }
 
-    const charsets = new Set();
-    const columns = {};
+    const results = await this.getTableColumns(table);
+    if (results instanceof Error) {
+      return results;
+    }
 
-    const tableParts = table.split('.');
-    const formattedTable = '`' + tableParts.join('`.`') + '`';
-    const results = this.getResults(`SHOW FULL COLUMNS FROM ${formattedTable}`);
     if (!results) {
-      return new Error('Could not retrieve table charset.');
+      this.tableCharset[tableKey] = false;
+      return false;
     }
 
+    const columns = {};
     for (const column of results) {
-      const field = column.Field.toLowerCase();
-      columns[field] = column;
+      columns[column.Field.toLowerCase()] = column;
     }
 
     this.colMeta[tableKey] = columns;
 
+    const charsets = new Set();
     for (const column of Object.values(columns)) {
       if (column.Collation) {
-        const [charset] = column.Collation.split('_');
-        charsets.add(charset.toLowerCase());
+        charsets.add(column.Collation.split('_')[0].toLowerCase());
       }
 
-      const [type] = column.Type.split('(');
-
-      if (['BINARY', 'VARBINARY', 'TINYBLOB', 'MEDIUMBLOB', 'BLOB', 'LONGBLOB'].includes(type.toUpperCase())) {
+      if (BINARY_TYPES.includes(column.Type.split('(')[0].toLowerCase())) {
         this.tableCharset[tableKey] = 'binary';
         return 'binary';
       }
     }
 
     // utf8mb3 is an alias for utf8.
-    if (charsets.has('utf8mb3')) {
+    if (charsets.delete('utf8mb3')) {
       charsets.add('utf8');
-      charsets.delete('utf8mb3');
     }
 
-    // Check if we have more than one charset in play.
-    const count = charsets.size;
-    if (count === 1) {
-      charset = [...charsets][0];
-    } else if (count === 0) {
-      // No charsets, the table might store any character set.
+    if (1 === charsets.size) {
+      [charset] = charsets;
+    } else if (!charsets.size) {
+      // No charsets, assume this table can store whatever.
       charset = false;
     } else {
       // More than one charset. Remove latin1 if present and recalculate.
       charsets.delete('latin1');
-      const newCount = charsets.size;
-      if (newCount === 1) {
-        charset = [...charsets][0];
-      } else if (newCount === 2 && charsets.has('utf8') && charsets.has('utf8mb4')) {
+
+      if (1 === charsets.size) {
+        // Only one charset (besides latin1).
+        [charset] = charsets;
+      } else if (2 === charsets.size && charsets.has('utf8') && charsets.has('utf8mb4')) {
+        // Two charsets, but they're utf8 and utf8mb4, use utf8.
         charset = 'utf8';
       } else {
+        // Two mixed character sets. ascii.
         charset = 'ascii';
       }
     }
@@ -2244,85 +2987,81 @@ class Wpdb {
    *
    * @param {string} table Table name.
    * @param {string} column Column name.
-   * @return {string|false|Error} Column charset, false if none, or error.
+   * @return {Promise<string|false|Error>} Column character set, false if the column has
+   *                                       no charset, or an error.
    */
-  getColCharset(table, column) {
+  async getColCharset(table, column) {
     const tableKey = table.toLowerCase();
     const columnKey = column.toLowerCase();
-    
-    charset = applyFilters('pre_get_col_charset', null, table, column);
-    if (charset !== null) {
-        return charset;
-    }
 
-    // Return false if not using MySQL database.
-    if (!this.isMySQL) {
-      return false;
+    /**
+     * Filters the column charset value before the DB is checked.
+     *
+     * Passing a non-null value to the filter will short-circuit
+     * checking the DB for the charset, returning that value instead.
+     *
+     * @since 4.2.0
+     *
+     * @param {string|null} charset The character set to use. Default null.
+     * @param {string} table The name of the table being checked.
+     * @param {string} column The name of the column being checked.
+     */
+    const charset = applyFilters('pre_get_col_charset', null, table, column);
+    if (null !== charset) {
+      return charset;
     }
 
-    if (!this.tableCharset[tableKey]) {
-      // Prime column information.
-      const tableCharset = this.getTableCharset(table);
+    if (!Object.hasOwn(this.tableCharset, tableKey)) {
+      // This primes column information for us.
+      const tableCharset = await this.getTableCharset(table);
       if (tableCharset instanceof Error) {
         return tableCharset;
       }
     }
 
-    // Return table charset if no column info.
-    if (!this.colMeta[tableKey]) {
-      return this.tableCharset[tableKey];
-    }
-
-    // Return table charset if column doesn't exist.
-    if (!this.colMeta[tableKey][columnKey]) {
-      return this.tableCharset[tableKey];
+    // If still no column information, return the table charset.
+    if (!this.colMeta[tableKey] || !this.colMeta[tableKey][columnKey]) {
+      return this.tableCharset[tableKey] ?? false;
     }
 
-    // Return false if not a string column.
+    // Return false when it's not a string column.
     if (!this.colMeta[tableKey][columnKey].Collation) {
       return false;
     }
 
-    const [charset] = this.colMeta[tableKey][columnKey].Collation.split('_');
-    return charset;
+    return this.colMeta[tableKey][columnKey].Collation.split('_')[0].toLowerCase();
   }
 
   /**
    * Retrieves the maximum string length allowed in a given column.
    *
-   * Length may be specified as either byte length or character length.
+   * The length may either be specified as a byte length or a character length.
    *
    * @param {string} table Table name.
    * @param {string} column Column name.
-   * @return {Object|boolean|Error} Column length info, false if none, or error.
+   * @return {Promise<{type: string, length: number}|false|Error>} Length type ('byte' or 'char')
+   *         and length, false if the column has no length, or an error.
    */
   async getColLength(table, column) {
     const tableKey = table.toLowerCase();
     const columnKey = column.toLowerCase();
 
-    // Return false if not using MySQL database.
-    if (!this.isMySQL) {
-      return false;
-    }
-
     if (!this.colMeta[tableKey]) {
-      // Prime column information.
-      const tableCharset = this.getTableCharset(table);
+      // This primes column information for us.
+      const tableCharset = await this.getTableCharset(table);
       if (tableCharset instanceof Error) {
         return tableCharset;
       }
     }
 
-    if (!this.colMeta[tableKey][columnKey]) {
+    if (!this.colMeta[tableKey] || !this.colMeta[tableKey][columnKey]) {
       return false;
     }
 
-    const typeInfo = this.colMeta[tableKey][columnKey].Type.split('(');
-
-    const type = typeInfo[0].toLowerCase();
-    const length = typeInfo[1] ? parseInt(typeInfo[1].replace(')', ''), 10) : false;
+    const [type, size] = this.colMeta[tableKey][columnKey].Type.split('(');
+    const length = size ? parseInt(size, 10) : false;
 
-    switch (type) {
+    switch (type.toLowerCase()) {
       case 'char':
       case 'varchar':
         return {
@@ -2377,33 +3116,27 @@ class Wpdb {
    * @return {boolean} True if ASCII, false if not.
    */
   checkAscii(inputString) {
-    // Use available encoding checks or regular expressions for ASCII validation.
-    if (Buffer.isEncoding('ascii') && Buffer.from(inputString, 'ascii').toString('ascii') === inputString) {
-      return true;
-    }
-    if (!/[^\\x00-\\x7F]/.test(inputString)) {
-      return true;
-    }
-    return false;
+    return /^[\x00-\x7F]*$/.test(inputString);
   }
 
-
   /**
    * Checks if the query is accessing a collation considered safe on the current version of MySQL.
    *
    * @param {string} query The query to check.
-   * @return {boolean} True if the collation is safe, false if it isn't.
+   * @return {Promise<boolean>} True if the collation is safe, false if it isn't.
    */
-  checkSafeCollation(query) {
+  async checkSafeCollation(query) {
     if (this.checkingCollation) {
       return true;
     }
 
-    query = query.trim().replace(/^\s*\(+\s*/, '');
-    if (/^(SHOW|DESCRIBE|DESC|EXPLAIN|CREATE)\s/i.test(query)) {
+    // We don't need to check the collation for queries that don't read data.
+    query = query.trimStart().replace(/^\(+\s*/, '');
+    if (/^(?:SHOW|DESCRIBE|DESC|EXPLAIN|CREATE)\s/i.test(query)) {
       return true;
     }
 
+    // All-ASCII queries don't need extra checking.
     if (this.checkAscii(query)) {
       return true;
     }
@@ -2414,159 +3147,152 @@ class Wpdb {
     }
 
     this.checkingCollation = true;
-    const collation = this.getTableCharset(table);
+    const collation = await this.getTableCharset(table);
     this.checkingCollation = false;
 
-    if (collation === false || collation === 'latin1') {
+    // Tables with no collation, or latin1 only, don't need extra checking.
+    if (false === collation || 'latin1' === collation) {
       return true;
     }
 
-    const lowerCaseTable = table.toLowerCase();
-    if (!this.colMeta[lowerCaseTable]) {
+    const tableKey = table.toLowerCase();
+    if (!this.colMeta[tableKey]) {
       return false;
     }
 
-    const safeCollations = new Set([
+    // If any of the columns don't have one of these collations, it needs more confidence checking.
+    const safeCollations = [
       'utf8_bin',
       'utf8_general_ci',
       'utf8mb3_bin',
       'utf8mb3_general_ci',
       'utf8mb4_bin',
       'utf8mb4_general_ci',
-    ]);
-
-    for (const col of Object.values(this.colMeta[lowerCaseTable])) {
-      if (!col.Collation) {
-        continue;
-      }
-
-      if (!safeCollations.has(col.Collation)) {
-        return false;
-      }
-    }
+    ];
 
-    return true;
+    return Object.values(this.colMeta[tableKey]).every(
+      (col) => !col.Collation || safeCollations.includes(col.Collation.toLowerCase())
+    );
   }
 
   /**
    * Strips any invalid characters based on value/charset pairs.
    *
-   * @param {Array} data - Array of value objects, each with 'value', 'charset', and optionally 'length'.
-   *                       Additional keys like 'field' are retained.
-   * @return {Array|Error} The data array with invalid characters removed, or an error if the process fails.
+   * Values of utf8, utf8mb3 and utf8mb4 columns lose the code points the column can't store:
+   * lone surrogates, which can't be encoded as UTF-8, and, for utf8 and utf8mb3, the code
+   * points that take four bytes, e.g. emoji. Values of latin1 columns and ASCII values are
+   * only truncated, by byte length. Values are truncated at a character boundary, in bytes
+   * or in characters as the column counts them.
+   *
+   * Other character sets are converted by the database.
+   *
+   * @param {Object<string, Object>|Array<Object>} data Value objects, each with 'value' and 'charset',
+   *        and optionally 'length' and 'ascii'. Additional keys like 'format' are retained.
+   * @return {Promise<Object<string, Object>|Array<Object>|Error>} The data with invalid characters
+   *         removed, or an error if the database couldn't convert them.
    */
   async stripInvalidText(data) {
     let dbCheckString = false;
 
-    for (const value of data) {
+    for (const value of Object.values(data)) {
       const { charset } = value;
 
       let length = false;
       let truncateByByteLength = false;
-
-      if (typeof value.length === 'object') {
+      if (value.length && 'object' === typeof value.length) {
         ({ length } = value.length);
-        truncateByByteLength = value.length.type === 'byte';
+        truncateByByteLength = 'byte' === value.length.type;
       }
 
-      if (charset === false) {
+      // There's no charset to work with.
+      if (!charset) {
         continue;
       }
 
-      if (typeof value.value !== 'string') {
+      // Column isn't a string.
+      if ('string' !== typeof value.value) {
         continue;
       }
 
       let needsValidation = true;
-      if (
-        charset === 'latin1' ||
-        (value.ascii === undefined && this.checkAscii(value.value))
-      ) {
+      if ('latin1' === charset || (undefined === value.ascii && this.checkAscii(value.value))) {
         truncateByByteLength = true;
         needsValidation = false;
       }
 
       if (truncateByByteLength) {
-        // Example: Using Buffer for safe operations
-        if (length !== false && Buffer.byteLength(value.value, 'utf8') > length) {
-          value.value = value.value.substring(0, length);
+        if (false !== length) {
+          value.value = truncateBytes(value.value, length);
         }
+
         if (!needsValidation) {
           continue;
         }
       }
-      needsValidation = false; // Reset for the next iteration if required
 
-      // utf8 handling with regex for speedier operations is feasible in JS using Buffer
-      if (['utf8', 'utf8mb3', 'utf8mb4'].includes(charset)) {
-        const regex = new RegExp(
-          '([\x00-\x7F]|[\xC2-\xDF][\x80-\xBF]|\xE0[\xA0-\xBF][\x80-\xBF]|[\xE1-\xEC][\x80-\xBF]{2}|\xED[\x80-\x9F][\x80-\xBF]|[\xEE-\xEF][\x80-\xBF]{2}' +
-          (charset === 'utf8mb4' ? '|\xF0[\x90-\xBF][\x80-\xBF]{2}|[\xF1-\xF3][\x80-\xBF]{3}|\xF4[\x80-\x8F][\x80-\xBF]{2}' : '') +
-          '){1,40}|.',
-          'g'
-        );
-
-        value.value = value.value.replace(regex, '$1');
+      if ('utf8' === charset || 'utf8mb3' === charset || 'utf8mb4' === charset) {
+        value.value = value.value.replace(LONE_SURROGATE_REGEX, '');
+        if ('utf8mb4' !== charset) {
+          value.value = value.value.replace(SUPPLEMENTARY_REGEX, '');
+        }
 
-        if (length !== false && Buffer.from(value.value, 'utf8').length > length) {
-          value.value = value.value.slice(0, length);
+        if (false !== length && !truncateByByteLength) {
+          value.value = truncateChars(value.value, length);
         }
         continue;
       }
 
-      // If local conversions were insufficient, mark for DB check
+      // We couldn't use any local conversions, send it to the DB.
       value.db = true;
       dbCheckString = true;
     }
 
-    // Subsequent logic for interacting with the db and final cleanup...
-    if (dbCheckString) {
-      const queries = [];
-      for (const [col, value] of Object.entries(data)) {
-        if (value.db) {
-          let charset = value.charset;
-          if (value.length && value.length.type === 'byte') {
-            charset = 'binary';
-          }
-
-          const connectionCharset = this.charset || this.dbh.characterSetName();
-
-          const length = value.length ? Math.floor(value.length.length) : null;
-          if (length !== null) {
-            queries[col] = this.prepare(
-              `CONVERT(SUBSTRING(CONVERT(? USING ?), 1, ?) USING ?)`,
-              value.value,
-              charset,
-              length,
-              connectionCharset
-            );
-          } else if (charset !== 'binary') {
-            queries[col] = this.prepare(
-              `CONVERT(CONVERT(? USING ?) USING ?)`,
-              value.value,
-              charset,
-              connectionCharset
-            );
-          }
+    if (!dbCheckString) {
+      return data;
+    }
 
-          delete data[col].db;
-        }
+    const connectionCharset = this.charset || 'utf8mb4';
+    const sql = [];
+    for (const [column, value] of Object.entries(data)) {
+      if (!value.db) {
+        continue;
       }
+      delete value.db;
 
-      const sql = Object.entries(queries).map(([column, query]) => query ? query + ` AS x_${column}` : null).filter(Boolean);
+      // Converting to binary makes LEFT() truncate by bytes.
+      const charset = value.length && 'byte' === value.length.type ? 'binary' : value.charset;
 
-      this.checkCurrentQuery = false;
-      const row = await this.getRow(`SELECT ${sql.join(', ')}`, ARRAY_A);
-      if (!row) {
-        throw new Error('Could not strip invalid text.');
+      if (value.length && 'object' === typeof value.length) {
+        sql.push(this.prepare(
+          `CONVERT( LEFT( CONVERT( %s USING ${charset} ), %d ) USING ${connectionCharset} ) AS x_${column}`,
+          value.value,
+          value.length.length
+        ));
+      } else if ('binary' !== charset) {
+        // Without a length, converting to binary always gives the same result.
+        sql.push(this.prepare(
+          `CONVERT( CONVERT( %s USING ${charset} ) USING ${connectionCharset} ) AS x_${column}`,
+          value.value
+        ));
       }
+    }
 
-      for (const column of Object.keys(data)) {
-        if (row[`x_${column}`] !== undefined) {
-          data[column].value = row[`x_${column}`];
-        }
+    if (!sql.length) {
+      return data;
+    }
+
+    this.checkCurrentQuery = false;
+    const row = await this.getRow(`SELECT ${sql.join(', ')}`, ARRAY_A);
+    if (!row) {
+      return new Error('Could not strip invalid text.');
+    }
+
+    for (const column of Object.keys(data)) {
+      if (undefined !== row[`x_${column}`] && null !== row[`x_${column}`]) {
+        data[column].value = row[`x_${column}`];
       }
     }
+
     return data;
   }
 
@@ -2574,11 +3300,12 @@ class Wpdb {
    * Strips any invalid characters from the query.
    *
    * @param {string} query Query to convert.
-   * @return {string|Error} The converted query, or an error if conversion fails.
+   * @return {Promise<string|Error>} The converted query, or an error if conversion fails.
    */
-  stripInvalidTextFromQuery(query) {
-    const trimmedQuery = query.trimStart();
-    if (/^(SHOW|DESCRIBE|DESC|EXPLAIN|CREATE)\s/i.test(trimmedQuery)) {
+  async stripInvalidTextFromQuery(query) {
+    // We don't need to check the collation for queries that don't read data.
+    const trimmedQuery = query.trimStart().replace(/^\(+\s*/, '');
+    if (/^(?:SHOW|DESCRIBE|DESC|EXPLAIN|CREATE)\s/i.test(trimmedQuery)) {
       return query;
     }
 
@@ -2586,21 +3313,25 @@ class Wpdb {
     let charset;
 
     if (table) {
-      charset = this.getTableCharset(table);
+      charset = await this.getTableCharset(table);
       if (charset instanceof Error) {
         return charset;
       }
 
-      if (charset === 'binary') {
+      // We can't reliably strip text from tables containing binary/blob columns.
+      if ('binary' === charset) {
         return query;
       }
     } else {
       charset = this.charset;
     }
 
-    let data = [{ value: query, charset, ascii: false, length: false }];
-
-    data = this.stripInvalidText(data);
+    const data = await this.stripInvalidText([{
+      value: query,
+      charset,
+      ascii: false,
+      length: false,
+    }]);
     if (data instanceof Error) {
       return data;
     }
@@ -2614,34 +3345,39 @@ class Wpdb {
    * @param {string} table Table name.
    * @param {string} column Column name.
    * @param {string} value The text to check.
-   * @return {string|Error} The converted string, or an error if conversion fails.
+   * @return {Promise<string|Error>} The converted string, or an error if conversion fails.
    */
-  stripInvalidTextForColumn(table, column, value) {
-    if (typeof value !== 'string') {
+  async stripInvalidTextForColumn(table, column, value) {
+    if ('string' !== typeof value) {
       return value;
     }
 
-    const charset = this.getColCharset(table, column);
+    const charset = await this.getColCharset(table, column);
     if (!charset) {
-      return value; // Not a string column.
+      // Not a string column.
+      return value;
     } else if (charset instanceof Error) {
-      return charset; // Bail on real errors.
+      // Bail on real errors.
+      return charset;
+    }
+
+    const length = await this.getColLength(table, column);
+    if (length instanceof Error) {
+      return length;
     }
 
-    const data = {
+    const data = await this.stripInvalidText({
       [column]: {
         value,
         charset,
-        length: this.getColLength(table, column),
+        length,
       },
-    };
-
-    const strippedData = this.stripInvalidText(data);
-    if (strippedData instanceof Error) {
-      return strippedData;
+    });
+    if (data instanceof Error) {
+      return data;
     }
 
-    return strippedData[column].value;
+    return data[column].value;
   }
 
   /**
@@ -2651,7 +3387,7 @@ class Wpdb {
    * @return {string|boolean} The table name found, or false if not found.
    */
   getTableFromQuery(query) {
-    let modifiedQuery = query.trimEnd(';/-#');
+    let modifiedQuery = query.replace(/[;/\-#]+$/, '');
     modifiedQuery = modifiedQuery.trimStart().replace(/^\s*\(+\s*/, '');
 
     // Strip everything between parentheses except nested selects.
@@ -2686,34 +3422,44 @@ class Wpdb {
 
   /**
    * Loads the column metadata from the last query.
+   *
+   * `max_length` is measured on the returned rows, in bytes, as mysqli does.
    */
   loadColInfo() {
     if (this.colInfo) {
       return;
     }
 
-    const numFields = this.result.fields.length;
+    const fields = this.result && this.result.fields ? this.result.fields : [];
 
-    for (let i = 0; i < numFields; i++) {
-      this.colInfo[i] = this.result.fields[i];
-    }
+    this.colInfo = fields.map((field) => {
+      let maxLength = 0;
+      for (const row of this.lastResult || []) {
+        const value = row[field.name];
+        if (null !== value && undefined !== value) {
+          maxLength = Math.max(maxLength, Buffer.isBuffer(value) ? value.length : Buffer.byteLength(String(value)));
+        }
+      }
+
+      return { ...field, max_length: maxLength };
+    });
   }
 
   /**
    * Retrieves column metadata from the last query.
    *
-   * @param {string} [infoType='name'] Possible values include 'name', 'table', 'def', 'max_length', 'not_null', 'primary_key', 'multiple_key', 'unique_key', 'numeric', 'blob', 'type', 'unsigned', 'zerofill'.
-   * @param {number} [colOffset=-1] The offset for col info (0: name, 1: table, etc.).
-   * @return {*} Column results.
+   * @param {string} [infoType='name'] Possible values include 'name', 'orgname', 'table', 'orgtable', 'def', 'length', 'decimals', 'max_length', 'not_null', 'primary_key', 'multiple_key', 'unique_key', 'numeric', 'blob', 'type', 'unsigned', 'zerofill'.
+   * @param {number} [colOffset=-1] 0: col name. 1: which table the col's in. 2: col's max length. 3: if the col is numeric. 4: col's type.
+   * @return {*} Column results, an array of them for every column if `colOffset` is -1.
    */
   getColInfo(infoType = 'name', colOffset = -1) {
     this.loadColInfo();
-    if (this.colInfo) {
-      if (colOffset === -1) {
-        return this.colInfo.map(col => col[infoType]);
-      }
-      return this.colInfo[colOffset][infoType];
+
+    if (colOffset === -1) {
+      return this.colInfo.map(col => col[infoType]);
     }
+
+    return this.colInfo[colOffset] ? this.colInfo[colOffset][infoType] : undefined;
   }
 
   /**
@@ -2736,49 +3482,67 @@ class Wpdb {
   }
 
   /**
-   * Wraps errors in a nice header and footer and terminates the process.
+   * Records a connection error, with its explanation for the error page.
    *
-   * Will not terminate if showErrors is false.
+   * Unlike PHP, where the request dies, the process goes on: the error is emitted and
+   * logged as any other, kept in `error`, and pages of requests that hit it render it
+   * through the error handler's middleware. It isn't thrown, whatever the error policy.
    *
-   * @param {string} message The error message.
-   * @param {string} [errorCode='500'] Optional error code.
-   * @return {void|boolean} Void if showing errors is enabled, false if disabled.
+   * @param {string} message HTML explanation of the error.
+   * @param {string} [errorCode='500'] Optional. Error code.
+   * @return {boolean} Always false.
    */
   bail(message, errorCode = '500') {
-    if (this.showErrors) {
-      let error = this.dbh ? this.dbh.error : (this.dbh.connectionError ? this.dbh.connectionError : '');
+    // The driver's error, unless it's from an earlier bail().
+    const cause = this.error && 'object' === typeof this.error && !(this.error instanceof WPDBError) ? this.error : undefined;
+    const text = message.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').replace(/ ([.,;:?!])/g, '$1').trim();
+
+    this.error = new WPDBError(cause ? `${text} ${cause.message}` : text, {
+      code: errorCode,
+      caller: this.getCaller(),
+      errno: this.dbh ? this.dbh.errno : 0,
+      html: message,
+      cause,
+    });
 
-      if (error) {
-        console.error(`<p><code>${error}</code></p>
-${message}`);
-      } else {
-        console.error(message);
-      }
-      process.exit(1); // Terminate the process
-    } else {
-      const WPError = global.WPError;
-      this.error = WPError ? new WPError(errorCode, message) : message;
-      return false;
-    }
+    this.errorHandler.report(this.error);
+    return false;
   }
 
   /**
    * Closes the current database connection.
    *
-   * @return {boolean} True if the connection was closed successfully, false otherwise.
+   * @return {Promise<boolean>} True if the connection was closed successfully, false otherwise.
    */
-  close() {
-    if (!this.dbh) {
+  async close() {
+    if (!this._dbh) {
       return false;
     }
 
     try {
-      const closed = this.dbh.end(); // Assuming `.end()` method to close connection
+      const closed = await this._dbh.close();
       if (closed) {
         this.dbh = null;
         this.ready = false;
         this.hasConnected = false;
       }
+
+      if (this.pool) {
+        const { pool } = this;
+        this.pool = null;
+        await pool.end();
+      }
+
+      await Promise.all(this.router.servers().filter((server) => !server.main).map((server) => {
+        const { pool, driver } = server;
+        Object.assign(server, { pool: null, driver: null, connecting: null });
+
+        if (pool) {
+          return pool.end();
+        }
+        return driver ? driver.close() : false;
+      }));
+
       return closed;
     } catch (e) {
       console.error('Error closing database connection:', e);
@@ -2881,13 +3645,41 @@ ${message}`);
   }
 
   /**
-   * Returns the version of the MySQL server.
+   * Returns the version of the database server.
    *
    * @return {string} Server version as a string.
    */
   dbServerInfo() {
-    return this.dbh.serverVersion; // Assuming property for server version
+    return this.dbh ? this.dbh.serverInfo() : '';
   }
 
   // Closing class WPDB and adding any final utilities...
 }
+
+/*
+ * Per-query state and the current site are read from and written to the query context
+ * of the current request, see WpdbQueryContext.
+ */
+[...WpdbQueryContext.STATE, ...WpdbQueryContext.BLOG_STATE].forEach((name) => {
+  Object.defineProperty(Wpdb.prototype, name, {
+    get() {
+      return this.queryContext()[name];
+    },
+    set(value) {
+      this.queryContext()[name] = value;
+    },
+    configurable: true,
+  });
+});
+
+export {
+  Wpdb,
+  WPDBError,
+  EZSQL_VERSION,
+  OBJECT,
+  OBJECT_K,
+  ARRAY_A,
+  ARRAY_N,
+};
+
+export default Wpdb;
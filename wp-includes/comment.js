@@ -0,0 +1,95 @@
+/**
+ * Core Comment API
+ *
+ * @package WordPress
+ * @subpackage Comment
+ */
+
+import { addMetadata, deleteMetadata, getMetadata, updateMetadata } from './meta.js';
+
+/**
+ * Adds a meta field to the given comment.
+ *
+ * @since 2.9.0
+ *
+ * @param {number} commentId Comment ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {boolean} [unique=false] Optional. Whether the same key should not be added.
+ *                                 Default false.
+ * @return {Promise<number|false>} Meta ID on success, false on failure.
+ */
+function addCommentMeta(commentId, metaKey, metaValue, unique = false) {
+  return addMetadata('comment', commentId, metaKey, metaValue, unique);
+}
+
+/**
+ * Removes metadata matching criteria from a comment.
+ *
+ * You can match based on the key, or key and value. Removing based on key and
+ * value, will keep from removing duplicate metadata with the same key. It also
+ * allows removing all metadata matching the key, if needed.
+ *
+ * @since 2.9.0
+ *
+ * @param {number} commentId Comment ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} [metaValue=''] Optional. Metadata value. If provided,
+ *                           rows will only be removed that match the value.
+ *                           Must be serializable if non-scalar. Default empty.
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function deleteCommentMeta(commentId, metaKey, metaValue = '') {
+  return deleteMetadata('comment', commentId, metaKey, metaValue);
+}
+
+/**
+ * Retrieves a comment meta field for the given comment ID.
+ *
+ * @since 2.9.0
+ *
+ * @param {number} commentId Comment ID.
+ * @param {string} [key=''] Optional. The meta key to retrieve. By default,
+ *                          returns data for all keys. Default empty.
+ * @param {boolean} [single=false] Optional. Whether to return a single value.
+ *                                 This parameter has no effect if `key` is not specified.
+ *                                 Default false.
+ * @return {Promise<*>} An array of values if `single` is false.
+ *                      The value of the meta field if `single` is true.
+ *                      False for an invalid `commentId` (non-numeric, zero, or negative value).
+ *                      An empty string if a valid but non-existing comment ID is passed.
+ */
+function getCommentMeta(commentId, key = '', single = false) {
+  return getMetadata('comment', commentId, key, single);
+}
+
+/**
+ * Updates a comment meta field based on the given comment ID.
+ *
+ * Use the `prevValue` parameter to differentiate between meta fields with the
+ * same key and comment ID.
+ *
+ * If the meta field for the comment does not exist, it will be added.
+ *
+ * @since 2.9.0
+ *
+ * @param {number} commentId Comment ID.
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {*} [prevValue=''] Optional. Previous value to check before updating.
+ *                           If specified, only update existing metadata entries with
+ *                           this value. Otherwise, update all entries. Default empty.
+ * @return {Promise<number|boolean>} Meta ID if the key didn't exist, true on successful update,
+ *                                   false on failure or if the value passed to the function
+ *                                   is the same as the one that is already in the database.
+ */
+function updateCommentMeta(commentId, metaKey, metaValue, prevValue = '') {
+  return updateMetadata('comment', commentId, metaKey, metaValue, prevValue);
+}
+
+export {
+  addCommentMeta,
+  deleteCommentMeta,
+  getCommentMeta,
+  updateCommentMeta,
+};
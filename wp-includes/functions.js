@@ -0,0 +1,260 @@
+/**
+ * Main WordPress API
+ *
+ * @package WordPress
+ */
+
+import fs from 'fs';
+import { envConfig } from '../wp-config.js';
+import { applyFilters, doAction } from './plugin.js';
+import { phpSerialize, phpUnserialize } from './php-serialize.js';
+
+/**
+ * Serializes data, if needed.
+ *
+ * @since 2.0.5
+ *
+ * @param {*} data Data that might be serialized.
+ * @return {*} A scalar data.
+ */
+function maybeSerialize(data) {
+  if (null !== data && 'object' === typeof data) {
+    return phpSerialize(data);
+  }
+
+  /*
+   * Double serialization is required for backward compatibility.
+   * See https://core.trac.wordpress.org/ticket/12930
+   * Also the world will end. See WP 3.6.1.
+   */
+  if (isSerialized(data, false)) {
+    return phpSerialize(data);
+  }
+
+  return data;
+}
+
+/**
+ * Unserializes data only if it was serialized.
+ *
+ * @since 2.0.0
+ *
+ * @param {*} data Data that might be unserialized.
+ * @return {*} Unserialized data can be any type.
+ */
+function maybeUnserialize(data) {
+  if (isSerialized(data)) { // Don't attempt to unserialize data that wasn't serialized going in.
+    return phpUnserialize(data.trim());
+  }
+
+  return data;
+}
+
+/**
+ * Checks value to find if it was serialized.
+ *
+ * If data is not a string, then returned value will always be false.
+ * Serialized data is always a string.
+ *
+ * @since 2.0.5
+ *
+ * @param {*} data Value to check to see if was serialized.
+ * @param {boolean} [strict=true] Optional. Whether to be strict about the end of the string. Default true.
+ * @return {boolean} False if not serialized and true if it was.
+ */
+function isSerialized(data, strict = true) {
+  // If it isn't a string, it isn't serialized.
+  if ('string' !== typeof data) {
+    return false;
+  }
+
+  data = data.trim();
+  if ('N;' === data) {
+    return true;
+  }
+  if (data.length < 4) {
+    return false;
+  }
+  if (':' !== data[1]) {
+    return false;
+  }
+
+  if (strict) {
+    const lastc = data[data.length - 1];
+    if (';' !== lastc && '}' !== lastc) {
+      return false;
+    }
+  } else {
+    const semicolon = data.indexOf(';');
+    const brace = data.indexOf('}');
+    // Either ; or } must exist.
+    if (-1 === semicolon && -1 === brace) {
+      return false;
+    }
+    // But neither must be in the first X characters.
+    if (-1 !== semicolon && semicolon < 3) {
+      return false;
+    }
+    if (-1 !== brace && brace < 4) {
+      return false;
+    }
+  }
+
+  const token = data[0];
+  switch (token) {
+    case 's':
+      if (strict) {
+        if ('"' !== data[data.length - 2]) {
+          return false;
+        }
+      } else if (!data.includes('"')) {
+        return false;
+      }
+      // Or else fall through.
+    case 'a':
+    case 'O':
+    case 'E':
+      return new RegExp(`^${token}:[0-9]+:`, 's').test(data);
+    case 'b':
+    case 'i':
+    case 'd': {
+      const end = strict ? '$' : '';
+      return new RegExp(`^${token}:[0-9.E+-]+;${end}`).test(data);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks whether serialized data is of string type.
+ *
+ * @since 2.0.5
+ *
+ * @param {string} data Serialized data.
+ * @return {boolean} False if not a serialized string, true if it is.
+ */
+function isSerializedString(data) {
+  // If it isn't a string, it isn't a serialized string.
+  if ('string' !== typeof data) {
+    return false;
+  }
+
+  data = data.trim();
+
+  if (data.length < 4) {
+    return false;
+  } else if (':' !== data[1]) {
+    return false;
+  } else if (';' !== data[data.length - 1]) {
+    return false;
+  } else if ('s' !== data[0]) {
+    return false;
+  } else if ('"' !== data[data.length - 2]) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Marks something as being incorrectly called.
+ *
+ * There is a hook {@see 'doing_it_wrong_run'} that will be called that can be used
+ * to get the backtrace up to what file and function called the deprecated function.
+ *
+ * The current behavior is to print a warning if WP_DEBUG is true in wp-config.js `envConfig`.
+ *
+ * @since 3.1.0
+ *
+ * @param {string} functionName The function that was called.
+ * @param {string} message A message explaining what has been done incorrectly.
+ * @param {string} version The version of WordPress where the message was added.
+ */
+function doingItWrong(functionName, message, version) {
+  /**
+   * Fires when the given function is being used incorrectly.
+   *
+   * @since 3.1.0
+   *
+   * @param {string} functionName The function that was called.
+   * @param {string} message A message explaining what has been done incorrectly.
+   * @param {string} version The version of WordPress where the message was added.
+   */
+  doAction('doing_it_wrong_run', functionName, message, version);
+
+  /**
+   * Filters whether to trigger an error for doingItWrong() calls.
+   *
+   * @since 3.1.0
+   *
+   * @param {boolean} trigger Whether to trigger the error for doingItWrong() calls. Default true.
+   * @param {string} functionName The function that was called.
+   * @param {string} message A message explaining what has been done incorrectly.
+   * @param {string} version The version of WordPress where the message was added.
+   */
+  if (envConfig.WP_DEBUG && applyFilters('doing_it_wrong_trigger_error', true, functionName, message, version)) {
+    const since = version ? ` (This message was added in version ${version}.)` : '';
+    console.warn(`Function ${functionName} was called incorrectly. ${message}${since}`);
+  }
+}
+
+/**
+ * Retrieves metadata from a file.
+ *
+ * Searches for metadata in the first 8 KB of a file, such as a plugin or theme.
+ * Each piece of metadata must be on its own line. Fields can not span multiple
+ * lines, the value will get cut at the end of the first line.
+ *
+ * If the file data is not within that first 8 KB, then the author should correct
+ * their plugin file and move the data headers to the top.
+ *
+ * @link https://codex.wordpress.org/File_Header
+ *
+ * @since 2.9.0
+ *
+ * @param {string} file Absolute path to the file.
+ * @param {Object<string, string>} defaultHeaders List of headers, in the format `{ HeaderKey: 'Header Name' }`.
+ * @param {string} [context=''] Optional. If specified adds filter hook {@see 'extra_$context_headers'}.
+ *                              Default empty string.
+ * @return {Object<string, string>} Array of file header values keyed by header name.
+ */
+function getFileData(file, defaultHeaders, context = '') {
+  // Pull only the first 8 KB of the file in.
+  const buffer = Buffer.alloc(8 * 1024);
+  const handle = fs.openSync(file, 'r');
+  let bytes;
+  try {
+    bytes = fs.readSync(handle, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(handle);
+  }
+
+  // Make sure we catch CR-only line endings.
+  const fileData = buffer.toString('utf8', 0, bytes).replace(/\r/g, '\n');
+
+  /**
+   * Filters extra file headers by context.
+   *
+   * The dynamic portion of the hook name, `context`, refers to
+   * the context where extra headers might be loaded.
+   *
+   * @since 2.9.0
+   *
+   * @param {Array<string>} extraContextHeaders Empty array by default.
+   */
+  const extraHeaders = context ? applyFilters(`extra_${context}_headers`, []) : [];
+  const allHeaders = { ...Object.fromEntries(extraHeaders.map((header) => [header, header])), ...defaultHeaders };
+
+  for (const [field, header] of Object.entries(allHeaders)) {
+    const quoted = header.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const match = fileData.match(new RegExp(`^[ \\t/*#@]*${quoted}:(.*)$`, 'mi'));
+
+    // Strips the end of the comment from the value.
+    allHeaders[field] = match && match[1] ? match[1].replace(/\s*\*\/.*/, '').trim() : '';
+  }
+
+  return allHeaders;
+}
+
+export { maybeSerialize, maybeUnserialize, isSerialized, isSerializedString, doingItWrong, getFileData };
@@ -0,0 +1,113 @@
+/**
+ * General template tags that can go anywhere in a template.
+ *
+ * @package WordPress
+ * @subpackage Template
+ */
+
+import { applyFilters } from './plugin.js';
+import { getOption } from './option.js';
+
+/**
+ * Retrieves information about the current site.
+ *
+ * Possible values for `show` include:
+ *
+ * - 'name' - Site title (set in Settings > General)
+ * - 'description' - Site tagline (set in Settings > General)
+ * - 'wpurl' - The WordPress address (URL) (set in Settings > General)
+ * - 'url' - The Site address (URL) (set in Settings > General)
+ * - 'admin_email' - Admin email (set in Settings > General)
+ * - 'charset' - The "Encoding for pages and feeds" (set in Settings > Reading)
+ * - 'html_type' - The Content-Type (default: "text/html")
+ * - 'language' - Language code for the current site
+ * - 'text_direction' - The text direction determined by the site's language
+ *
+ * @since 0.71
+ *
+ * @param {string} [show=''] Optional. Site info to retrieve. Default empty (site name).
+ * @param {string} [filter='raw'] Optional. How to filter what is retrieved. Default 'raw'.
+ * @return {Promise<string>} Mostly string values, might be empty.
+ */
+async function getBloginfo(show = '', filter = 'raw') {
+  let output;
+
+  switch (show) {
+    case 'url':
+      output = String(await getOption('home')).replace(/[/\\]+$/, '');
+      break;
+    case 'wpurl':
+      output = String(await getOption('siteurl')).replace(/[/\\]+$/, '');
+      break;
+    case 'description':
+      output = await getOption('blogdescription');
+      break;
+    case 'admin_email':
+      output = await getOption('admin_email');
+      break;
+    case 'charset':
+      output = (await getOption('blog_charset')) || 'UTF-8';
+      break;
+    case 'html_type':
+      output = await getOption('html_type');
+      break;
+    case 'language': {
+      const locale = (await getOption('WPLANG')) || 'en_US';
+      output = locale.replace(/_/g, '-');
+      break;
+    }
+    case 'text_direction':
+      output = 'ltr';
+      break;
+    case 'name':
+    default:
+      output = await getOption('blogname');
+      break;
+  }
+
+  output = false === output ? '' : String(output);
+
+  if ('display' === filter) {
+    if (show.includes('url') || show.includes('directory') || show.includes('home')) {
+      /**
+       * Filters the URL returned by getBloginfo().
+       *
+       * @since 2.0.5
+       *
+       * @param {string} output The URL returned by bloginfo().
+       * @param {string} show Type of information requested.
+       */
+      output = applyFilters('bloginfo_url', output, show);
+    } else {
+      /**
+       * Filters the site information returned by getBloginfo().
+       *
+       * @since 0.71
+       *
+       * @param {*} output The requested non-URL site information.
+       * @param {string} show Type of information requested.
+       */
+      output = applyFilters('bloginfo', output, show);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Retrieves information about the current site for display.
+ *
+ * PHP WordPress echoes it; templates here print the returned value.
+ *
+ * @since 0.71
+ *
+ * @see getBloginfo() For possible `show` values
+ *
+ * @param {string} [show=''] Optional. Site information to display. Default empty.
+ * @return {Promise<string>} The site information, with the display filters applied.
+ */
+function bloginfo(show = '') {
+  return getBloginfo(show, 'display');
+}
+
+export { getBloginfo, bloginfo };
@@ -0,0 +1,534 @@
+/**
+ * These functions are needed to load WordPress.
+ *
+ * @package WordPress
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { envConfig } from '../wp-config.js';
+import Wpdb from './class-wpdb.js';
+import { wpCacheInit, wpCacheAddGlobalGroups, wpCacheAddNonPersistentGroups } from './cache.js';
+import { getOption, getSiteOption } from './option.js';
+import { applyFilters, doActionAsyncStrict } from './plugin.js';
+
+/**
+ * Path of the object cache drop-in, relative to the application directory.
+ *
+ * @type {string}
+ */
+const OBJECT_CACHE_DROPIN = 'wp-content/object-cache.js';
+
+/**
+ * Directory of the themes, relative to the application directory.
+ *
+ * @type {string}
+ */
+const THEME_ROOT = 'wp-content/themes';
+
+/**
+ * Whether an external object cache is being used.
+ *
+ * @type {boolean}
+ */
+let usingExtObjectCache = false;
+
+/**
+ * Loads the database class and instantiates the `wpdb` global.
+ *
+ * The connection settings come from the wp-config.js `envConfig`:
+ * DB_DRIVER, DB_NAME, DB_USER, DB_PASSWORD, DB_HOST, DB_CHARSET and DB_COLLATE.
+ * A DB_POOL_SIZE above 0 enables the connection pool, tuned by DB_POOL_IDLE_TIMEOUT
+ * and DB_POOL_QUEUE_LIMIT. DB_DATASETS adds read replicas and servers for groups of tables.
+ * SLOW_QUERY_THRESHOLD sets when the query monitor flags a query as slow.
+ *
+ * @since 2.5.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} [config=envConfig] Optional. Configuration to read the settings from.
+ * @return {Wpdb} The database abstraction object.
+ */
+function requireWpDb(config = envConfig) {
+  if (global.wpdb) {
+    return global.wpdb;
+  }
+
+  global.wpdb = new Wpdb(config.DB_USER, config.DB_PASSWORD, config.DB_NAME, config.DB_HOST, {
+    driver: config.DB_DRIVER,
+    charset: config.DB_CHARSET,
+    collate: config.DB_COLLATE,
+    pool: config.DB_POOL_SIZE > 0 ? {
+      size: config.DB_POOL_SIZE,
+      idleTimeout: config.DB_POOL_IDLE_TIMEOUT,
+      queueLimit: config.DB_POOL_QUEUE_LIMIT,
+    } : null,
+    datasets: config.DB_DATASETS,
+    queryMonitor: { slowThreshold: config.SLOW_QUERY_THRESHOLD },
+    errors: { policy: config.DB_ERROR_POLICY },
+    health: { cooldown: config.DB_RECONNECT_COOLDOWN },
+    types: { bigNumbers: config.DB_BIG_NUMBERS, dates: config.DB_DATES },
+  });
+
+  return global.wpdb;
+}
+
+/**
+ * Sets the database table prefix and the format specifiers for database table columns.
+ *
+ * @since 3.0.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} [config=envConfig] Optional. Configuration to read the TABLE_PREFIX setting from,
+ *                                    and BLOG_ID_CURRENT_SITE and SITE_ID_CURRENT_SITE on multisite.
+ * @throws {Error} If the table prefix contains characters other than letters, numbers and underscores.
+ */
+function wpSetWpdbVars(config = envConfig) {
+  const { wpdb } = global;
+
+  wpdb.fieldTypes = {
+    post_author: '%d',
+    post_parent: '%d',
+    menu_order: '%d',
+    term_id: '%d',
+    term_group: '%d',
+    term_taxonomy_id: '%d',
+    parent: '%d',
+    count: '%d',
+    object_id: '%d',
+    term_order: '%d',
+    ID: '%d',
+    comment_ID: '%d',
+    comment_post_ID: '%d',
+    comment_parent: '%d',
+    user_id: '%d',
+    link_id: '%d',
+    link_owner: '%d',
+    link_rating: '%d',
+    option_id: '%d',
+    blog_id: '%d',
+    meta_id: '%d',
+    post_id: '%d',
+    user_status: '%d',
+    umeta_id: '%d',
+    comment_karma: '%d',
+    comment_count: '%d',
+    // Multisite:
+    active: '%d',
+    cat_id: '%d',
+    deleted: '%d',
+    lang_id: '%d',
+    mature: '%d',
+    public: '%d',
+    site_id: '%d',
+    spam: '%d',
+  };
+
+  const prefix = wpdb.setPrefix(config.TABLE_PREFIX);
+
+  if (prefix instanceof Error) {
+    throw new Error('<strong>Error:</strong> TABLE_PREFIX in wp-config.js can only contain numbers, letters, and underscores.');
+  }
+
+  // Requests get the tables of their site from msSiteMiddleware(); anything else works on the main site.
+  if (isMultisite()) {
+    wpdb.setBlogId(Number(config.BLOG_ID_CURRENT_SITE) || 1, Number(config.SITE_ID_CURRENT_SITE) || 1);
+  }
+}
+
+/**
+ * Determines whether Multisite is enabled, with the MULTISITE environment variable.
+ *
+ * IS_MULTISITE, which enabled the multisite tables of Wpdb before, is still honored.
+ *
+ * @since 3.0.0
+ *
+ * @return {boolean} True if Multisite is enabled, false otherwise.
+ */
+function isMultisite() {
+  return Boolean(process.env.MULTISITE || process.env.IS_MULTISITE);
+}
+
+/**
+ * Retrieves the current site ID.
+ *
+ * @since 3.1.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @return {number} Site ID of the current request.
+ */
+function getCurrentBlogId() {
+  if (!global.wpdb || !global.wpdb.blogId) {
+    return 1;
+  }
+
+  return Number(global.wpdb.blogId);
+}
+
+/**
+ * Retrieves the current network ID.
+ *
+ * @since 4.6.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @return {number} The ID of the current network.
+ */
+function getCurrentNetworkId() {
+  if (!isMultisite() || !global.wpdb || !global.wpdb.siteId) {
+    return 1;
+  }
+
+  return Number(global.wpdb.siteId);
+}
+
+/**
+ * Toggles `usingExtObjectCache` on and off without directly touching global state.
+ *
+ * @since 3.7.0
+ *
+ * @param {boolean|null} [using=null] Optional. Whether external object cache is being used.
+ * @return {boolean} The current 'using' setting.
+ */
+function wpUsingExtObjectCache(using = null) {
+  const currentUsing = usingExtObjectCache;
+  if (null !== using) {
+    usingExtObjectCache = Boolean(using);
+  }
+
+  return currentUsing;
+}
+
+/**
+ * Starts the WordPress object cache.
+ *
+ * If an object-cache.js file exists in the wp-content directory, its default export
+ * is used as the storage: an adapter extending WPObjectCacheAdapter, or a function
+ * receiving the configuration and returning one, e.g. to connect to Redis. Otherwise
+ * values are kept in the memory of the process, and options only for the current request.
+ * Keys are salted with WP_CACHE_KEY_SALT.
+ *
+ * @since 3.0.0
+ *
+ * @global {WPObjectCache} wpObjectCache
+ *
+ * @param {Object} [config=envConfig] Optional. Configuration to read the settings from.
+ * @return {Promise<WPObjectCache>} The object cache.
+ */
+async function wpStartObjectCache(config = envConfig) {
+  if (global.wpObjectCache) {
+    return global.wpObjectCache;
+  }
+
+  let adapter = null;
+  const dropin = path.resolve(OBJECT_CACHE_DROPIN);
+
+  if (fs.existsSync(dropin)) {
+    const { default: exported } = await import(dropin);
+    adapter = 'function' === typeof exported ? await exported(config) : exported;
+  }
+
+  wpUsingExtObjectCache(Boolean(adapter && adapter.persistent));
+
+  wpCacheInit({
+    adapter,
+    salt: config.WP_CACHE_KEY_SALT || '',
+    // Per-site groups follow the site of the current request, see switchToBlog().
+    blogId: getCurrentBlogId,
+  });
+
+  wpCacheAddGlobalGroups([
+    'blog-details',
+    'blog-id-cache',
+    'blog-lookup',
+    'blog_meta',
+    'global-posts',
+    'networks',
+    'network-queries',
+    'sites',
+    'site-details',
+    'site-options',
+    'site-queries',
+    'site-transient',
+    'theme_files',
+    'translation_files',
+    'rss',
+    'users',
+    'user-queries',
+    'user_meta',
+    'useremail',
+    'userlogins',
+    'userslugs',
+  ]);
+
+  wpCacheAddNonPersistentGroups(['counts', 'plugins', 'theme_json']);
+
+  if (!wpUsingExtObjectCache()) {
+    // Without a shared cache, options cached by this process would miss the changes made by
+    // other processes sharing the database, e.g. PHP WordPress: they are read once per request.
+    wpCacheAddNonPersistentGroups(['options', 'site-options']);
+  }
+
+  return global.wpObjectCache;
+}
+
+/**
+ * Retrieves an array of must-use plugin files.
+ *
+ * The default directory is wp-content/mu-plugins. To change the default
+ * directory manually, set WPMU_PLUGIN_DIR in wp-config.js `envConfig`.
+ *
+ * @since 3.0.0
+ *
+ * @return {Array<string>} Array of absolute paths of files to load.
+ */
+function wpGetMuPlugins() {
+  const directory = path.resolve(envConfig.WPMU_PLUGIN_DIR);
+
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => path.join(directory, file));
+}
+
+/**
+ * Determines whether a file is inside a directory, so that option values naming files
+ * relative to it can't reach outside of it with `..`.
+ *
+ * @private
+ *
+ * @param {string} file Absolute path of the file.
+ * @param {string} directory Path of the directory.
+ * @return {boolean} Whether the file is inside the directory.
+ */
+function isInDirectory(file, directory) {
+  const relative = path.relative(path.resolve(directory), file);
+
+  return '' !== relative && !relative.split(path.sep).includes('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Returns array of network plugin files to be included in global scope.
+ *
+ * The default directory is wp-content/plugins. To change the default directory
+ * manually, set WP_PLUGIN_DIR in wp-config.js `envConfig`.
+ *
+ * @since 3.1.0
+ *
+ * @return {Promise<Array<string>>} Absolute paths to files to include.
+ */
+async function wpGetActiveNetworkPlugins() {
+  if (!isMultisite()) {
+    return [];
+  }
+
+  const activePlugins = Object.keys(await getSiteOption('active_sitewide_plugins', {}) || {}).sort();
+
+  return activePlugins
+    .filter((plugin) => plugin.endsWith('.js'))
+    .map((plugin) => path.resolve(envConfig.WP_PLUGIN_DIR, plugin))
+    .filter((file) => isInDirectory(file, envConfig.WP_PLUGIN_DIR) && fs.existsSync(file));
+}
+
+/**
+ * Retrieves an array of active and valid plugin files.
+ *
+ * While upgrading or installing WordPress, no plugins are returned.
+ *
+ * The default directory is wp-content/plugins. To change the default
+ * directory manually, set WP_PLUGIN_DIR in wp-config.js `envConfig`.
+ *
+ * @since 3.0.0
+ *
+ * @return {Promise<Array<string>>} Array of absolute paths of plugin files, in the order of the
+ *                                  active_plugins option.
+ */
+async function wpGetActiveAndValidPlugins() {
+  if (process.env.WP_INSTALLING) {
+    return [];
+  }
+
+  let activePlugins = await getOption('active_plugins', []);
+  activePlugins = Array.isArray(activePlugins) ? activePlugins : Object.values(activePlugins || {});
+
+  // Network plugins are loaded before, from wpGetActiveNetworkPlugins().
+  const networkPlugins = isMultisite() ? await getSiteOption('active_sitewide_plugins', {}) || {} : {};
+
+  return activePlugins
+    .filter((plugin) => 'string' === typeof plugin && plugin.endsWith('.js') && !Object.hasOwn(networkPlugins, plugin))
+    .map((plugin) => path.resolve(envConfig.WP_PLUGIN_DIR, plugin))
+    .filter((file) => isInDirectory(file, envConfig.WP_PLUGIN_DIR) && fs.existsSync(file));
+}
+
+/**
+ * Loads a plugin file.
+ *
+ * Plugins are ES modules, loaded once per process: importing a plugin runs its top-level
+ * code, which adds its hooks.
+ *
+ * @param {string} file Absolute path of the plugin file.
+ * @return {Promise<void>}
+ * @throws {Error} If the plugin throws while loading, with the 'plugin_load_failed' code.
+ */
+async function wpLoadPluginFile(file) {
+  try {
+    await import(file);
+  } catch (error) {
+    throw Object.assign(new Error(`The plugin ${path.relative(process.cwd(), file)} could not be loaded: ${error.message}`), {
+      code: 'plugin_load_failed',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Loads the must-use plugins, then the network plugins.
+ *
+ * Fires 'muplugins_loaded' once they are loaded, awaiting its callbacks.
+ *
+ * @return {Promise<Array<string>>} Absolute paths of the plugin files loaded, in order.
+ * @throws {Error} If a plugin throws while loading, with the 'plugin_load_failed' code,
+ *                 or the error of a callback of the actions fired, see doActionAsyncStrict().
+ */
+async function wpLoadMuPlugins() {
+  const loaded = [];
+
+  // Load must-use plugins.
+  for (const muPlugin of wpGetMuPlugins()) {
+    await wpLoadPluginFile(muPlugin);
+    loaded.push(muPlugin);
+
+    /**
+     * Fires once a single must-use plugin has loaded.
+     *
+     * @since 5.1.0
+     *
+     * @param {string} muPlugin Full path to the plugin's main file.
+     */
+    await doActionAsyncStrict('mu_plugin_loaded', muPlugin);
+  }
+
+  // Load network activated plugins.
+  for (const networkPlugin of await wpGetActiveNetworkPlugins()) {
+    await wpLoadPluginFile(networkPlugin);
+    loaded.push(networkPlugin);
+
+    /**
+     * Fires once a single network-activated plugin has loaded.
+     *
+     * @since 5.1.0
+     *
+     * @param {string} networkPlugin Full path to the plugin's main file.
+     */
+    await doActionAsyncStrict('network_plugin_loaded', networkPlugin);
+  }
+
+  /**
+   * Fires once all must-use and network-activated plugins have loaded.
+   *
+   * @since 2.8.0
+   */
+  await doActionAsyncStrict('muplugins_loaded');
+
+  return loaded;
+}
+
+/**
+ * Loads the active plugins, after wpLoadMuPlugins().
+ *
+ * Fires 'plugins_loaded' once they are loaded, awaiting its callbacks.
+ *
+ * @return {Promise<Array<string>>} Absolute paths of the plugin files loaded, in order.
+ * @throws {Error} If a plugin throws while loading, with the 'plugin_load_failed' code,
+ *                 or the error of a callback of the actions fired, see doActionAsyncStrict().
+ */
+async function wpLoadPlugins() {
+  const loaded = [];
+
+  // Load active plugins.
+  for (const plugin of await wpGetActiveAndValidPlugins()) {
+    await wpLoadPluginFile(plugin);
+    loaded.push(plugin);
+
+    /**
+     * Fires once a single activated plugin has loaded.
+     *
+     * @since 5.1.0
+     *
+     * @param {string} plugin Full path to the plugin's main file.
+     */
+    await doActionAsyncStrict('plugin_loaded', plugin);
+  }
+
+  /**
+   * Fires once activated plugins have loaded.
+   *
+   * Pluggable functions are also available at this point in the loading order.
+   *
+   * @since 1.5.0
+   */
+  await doActionAsyncStrict('plugins_loaded');
+
+  return loaded;
+}
+
+/**
+ * Gets the directories of the active theme and of its parent theme, if any.
+ *
+ * The active theme is set by the `stylesheet` option, its parent by the `template`
+ * option: the same theme unless it is a child theme. Themes outside of the theme root
+ * are ignored.
+ *
+ * @since 5.1.0
+ *
+ * @return {Promise<Array<string>>} Absolute paths of the theme directories, the child theme first.
+ */
+async function wpGetActiveAndValidThemes() {
+  if (process.env.WP_INSTALLING) {
+    return [];
+  }
+
+  /**
+   * Filters the absolute path to the themes directory.
+   *
+   * @since 1.5.0
+   *
+   * @param {string} themeRoot Absolute path to themes directory.
+   */
+  const themeRoot = applyFilters('theme_root', path.resolve(THEME_ROOT));
+  const stylesheet = await getOption('stylesheet');
+  const template = await getOption('template');
+  const themes = [];
+
+  if (stylesheet && stylesheet !== template) {
+    themes.push(path.resolve(themeRoot, stylesheet));
+  }
+
+  if (template) {
+    themes.push(path.resolve(themeRoot, template));
+  }
+
+  return themes.filter((directory) => isInDirectory(directory, themeRoot) && fs.existsSync(directory));
+}
+
+export {
+  requireWpDb,
+  wpSetWpdbVars,
+  isMultisite,
+  getCurrentBlogId,
+  getCurrentNetworkId,
+  wpUsingExtObjectCache,
+  wpStartObjectCache,
+  wpGetMuPlugins,
+  wpGetActiveNetworkPlugins,
+  wpGetActiveAndValidPlugins,
+  wpLoadMuPlugins,
+  wpLoadPlugins,
+  wpGetActiveAndValidThemes,
+};
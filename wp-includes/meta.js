@@ -0,0 +1,1302 @@
+/**
+ * Core Metadata API
+ *
+ * Functions for retrieving and manipulating metadata of various WordPress object types.
+ * Metadata for an object is a represented by a simple key-value pair. Objects may contain
+ * multiple metadata entries that share the same key and differ only in their value.
+ *
+ * Values are serialized as PHP WordPress does, so both can share the meta tables. All
+ * the meta of an object is read with one query and cached in the `{type}_meta` group.
+ *
+ * @package WordPress
+ * @subpackage Meta
+ */
+
+import { applyFilters, applyFiltersAsync, doAction, addFilter, hasFilter, removeFilter } from './plugin.js';
+import { maybeSerialize, maybeUnserialize, doingItWrong } from './functions.js';
+import { wpCacheAddMultiple, wpCacheDelete, wpCacheDeleteMultiple, wpCacheGet, wpCacheGetMultiple } from './cache.js';
+
+/**
+ * Checks whether a value is numeric, as PHP's is_numeric() does for object IDs.
+ *
+ * @param {*} value The value to check.
+ * @return {boolean} Whether the value is a number or a numeric string.
+ */
+function isNumeric(value) {
+  return ('number' === typeof value || 'string' === typeof value) && '' !== String(value).trim() && Number.isFinite(Number(value));
+}
+
+/**
+ * Converts a value to a non-negative integer, as PHP's absint() does.
+ *
+ * @param {*} value The value to convert.
+ * @return {number} A non-negative integer.
+ */
+function absint(value) {
+  return Math.abs(parseInt(value, 10)) || 0;
+}
+
+/**
+ * Returns the name of the column holding the meta IDs of a meta type.
+ *
+ * @param {string} metaType Type of object metadata is for.
+ * @return {string} 'umeta_id' for users, 'meta_id' otherwise.
+ */
+function metaIdColumn(metaType) {
+  return 'user' === metaType ? 'umeta_id' : 'meta_id';
+}
+
+/**
+ * Adds metadata for the specified object.
+ *
+ * @since 2.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {boolean} [unique=false] Optional. Whether the specified metadata key should be unique for the object.
+ *                                 If true, and the object already has a value for the specified metadata key,
+ *                                 no change will be made. Default false.
+ * @return {Promise<number|false>} The meta ID on success, false on failure.
+ */
+async function addMetadata(metaType, objectId, metaKey, metaValue, unique = false) {
+  const { wpdb } = global;
+
+  if (!metaType || !metaKey || !isNumeric(objectId)) {
+    return false;
+  }
+
+  objectId = absint(objectId);
+  if (!objectId) {
+    return false;
+  }
+
+  const table = getMetaTable(metaType);
+  if (!table) {
+    return false;
+  }
+
+  const metaSubtype = await getObjectSubtype(metaType, objectId);
+  const column = `${metaType}_id`;
+
+  metaValue = sanitizeMeta(metaKey, metaValue, metaType, metaSubtype);
+
+  /**
+   * Short-circuits adding metadata of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type
+   * (post, comment, term, user, or any other type with an associated meta table).
+   * Returning a non-null value will effectively short-circuit the function.
+   *
+   * @since 3.1.0
+   *
+   * @param {null|boolean} check Whether to allow adding metadata for the given type.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+   * @param {boolean} unique Whether the specified meta key should be unique for the object.
+   */
+  const check = applyFilters(`add_${metaType}_metadata`, null, objectId, metaKey, metaValue, unique);
+  if (null !== check) {
+    return check;
+  }
+
+  if (unique && Number(await wpdb.getVar(wpdb.prepare(
+    `SELECT COUNT(*) FROM ${table} WHERE meta_key = %s AND ${column} = %d`,
+    metaKey,
+    objectId
+  )))) {
+    return false;
+  }
+
+  const unserializedValue = metaValue;
+
+  /**
+   * Fires immediately before meta of a specific type is added.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   *
+   * @since 3.1.0
+   *
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value.
+   */
+  doAction(`add_${metaType}_meta`, objectId, metaKey, unserializedValue);
+
+  const result = await wpdb.insert(table, {
+    [column]: objectId,
+    meta_key: metaKey,
+    meta_value: maybeSerialize(metaValue),
+  });
+
+  if (!result) {
+    return false;
+  }
+
+  const mid = Number(wpdb.insertId);
+
+  await wpCacheDelete(objectId, `${metaType}_meta`);
+
+  /**
+   * Fires immediately after meta of a specific type is added.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   *
+   * @since 2.9.0
+   *
+   * @param {number} mid The meta ID after successful update.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value.
+   */
+  doAction(`added_${metaType}_meta`, mid, objectId, metaKey, unserializedValue);
+
+  return mid;
+}
+
+/**
+ * Updates metadata for the specified object. If no value already exists for the specified object
+ * ID and metadata key, the metadata will be added.
+ *
+ * @since 2.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {*} [prevValue=''] Optional. Previous value to check before updating.
+ *                           If specified, only update existing metadata entries with
+ *                           this value. Otherwise, update all entries. Default empty string.
+ * @return {Promise<number|boolean>} The new meta field ID if a field with the given key didn't exist
+ *                                   and was therefore added, true on successful update,
+ *                                   false on failure or if the value passed to the function
+ *                                   is the same as the one that is already in the database.
+ */
+async function updateMetadata(metaType, objectId, metaKey, metaValue, prevValue = '') {
+  const { wpdb } = global;
+
+  if (!metaType || !metaKey || !isNumeric(objectId)) {
+    return false;
+  }
+
+  objectId = absint(objectId);
+  if (!objectId) {
+    return false;
+  }
+
+  const table = getMetaTable(metaType);
+  if (!table) {
+    return false;
+  }
+
+  const metaSubtype = await getObjectSubtype(metaType, objectId);
+  const column = `${metaType}_id`;
+  const idColumn = metaIdColumn(metaType);
+
+  const passedValue = metaValue;
+  metaValue = sanitizeMeta(metaKey, metaValue, metaType, metaSubtype);
+
+  /**
+   * Short-circuits updating metadata of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   * Returning a non-null value will effectively short-circuit the function.
+   *
+   * @since 3.1.0
+   *
+   * @param {null|boolean} check Whether to allow updating metadata for the given type.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+   * @param {*} prevValue Optional. Previous value to check before updating.
+   */
+  const check = applyFilters(`update_${metaType}_metadata`, null, objectId, metaKey, metaValue, prevValue);
+  if (null !== check) {
+    return Boolean(check);
+  }
+
+  // Compare existing value to new value if no prev value given and the key exists only once.
+  if (!prevValue) {
+    const oldValue = await getMetadataRaw(metaType, objectId, metaKey);
+    if (Array.isArray(oldValue) && 1 === oldValue.length && maybeSerialize(oldValue[0]) === maybeSerialize(metaValue)) {
+      return false;
+    }
+  }
+
+  const metaIds = await wpdb.getCol(wpdb.prepare(
+    `SELECT ${idColumn} FROM ${table} WHERE meta_key = %s AND ${column} = %d`,
+    metaKey,
+    objectId
+  ));
+  if (!metaIds || !metaIds.length) {
+    return addMetadata(metaType, objectId, metaKey, passedValue);
+  }
+
+  const unserializedValue = metaValue;
+  metaValue = maybeSerialize(metaValue);
+
+  const where = { [column]: objectId, meta_key: metaKey };
+  if (prevValue) {
+    where.meta_value = maybeSerialize(prevValue);
+  }
+
+  for (const metaId of metaIds) {
+    /**
+     * Fires immediately before updating metadata of a specific type.
+     *
+     * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+     *
+     * @since 2.9.0
+     *
+     * @param {number} metaId ID of the metadata entry to update.
+     * @param {number} objectId ID of the object metadata is for.
+     * @param {string} metaKey Metadata key.
+     * @param {*} metaValue Metadata value.
+     */
+    doAction(`update_${metaType}_meta`, metaId, objectId, metaKey, unserializedValue);
+
+    if ('post' === metaType) {
+      /**
+       * Fires immediately before updating a post's metadata.
+       *
+       * @since 2.9.0
+       *
+       * @param {number} metaId ID of metadata entry to update.
+       * @param {number} objectId Post ID.
+       * @param {string} metaKey Metadata key.
+       * @param {*} metaValue Metadata value. This will be a PHP-serialized string representation of the value
+       *                      if the value is an array, an object, or itself a PHP-serialized string.
+       */
+      doAction('update_postmeta', metaId, objectId, metaKey, metaValue);
+    }
+  }
+
+  const result = await wpdb.update(table, { meta_value: metaValue }, where);
+  if (!result) {
+    return false;
+  }
+
+  await wpCacheDelete(objectId, `${metaType}_meta`);
+
+  for (const metaId of metaIds) {
+    /**
+     * Fires immediately after updating metadata of a specific type.
+     *
+     * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+     *
+     * @since 2.9.0
+     *
+     * @param {number} metaId ID of updated metadata entry.
+     * @param {number} objectId ID of the object metadata is for.
+     * @param {string} metaKey Metadata key.
+     * @param {*} metaValue Metadata value.
+     */
+    doAction(`updated_${metaType}_meta`, metaId, objectId, metaKey, unserializedValue);
+
+    if ('post' === metaType) {
+      /**
+       * Fires immediately after updating a post's metadata.
+       *
+       * @since 2.9.0
+       *
+       * @param {number} metaId ID of updated metadata entry.
+       * @param {number} objectId Post ID.
+       * @param {string} metaKey Metadata key.
+       * @param {*} metaValue Metadata value. This will be a PHP-serialized string representation of the value
+       *                      if the value is an array, an object, or itself a PHP-serialized string.
+       */
+      doAction('updated_postmeta', metaId, objectId, metaKey, metaValue);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Deletes metadata for the specified object.
+ *
+ * @since 2.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @param {*} [metaValue=''] Optional. Metadata value. Must be serializable if non-scalar.
+ *                           If specified, only delete metadata entries with this value.
+ *                           Otherwise, delete all entries with the specified metaKey.
+ *                           Pass `null`, `false`, or an empty string to skip this check.
+ * @param {boolean} [deleteAll=false] Optional. If true, delete matching metadata entries for all objects,
+ *                                    ignoring the specified objectId. Otherwise, only delete
+ *                                    matching metadata entries for the specified objectId. Default false.
+ * @return {Promise<boolean>} True on successful delete, false on failure.
+ */
+async function deleteMetadata(metaType, objectId, metaKey, metaValue = '', deleteAll = false) {
+  const { wpdb } = global;
+
+  if (!metaType || !metaKey || (!isNumeric(objectId) && !deleteAll)) {
+    return false;
+  }
+
+  objectId = absint(objectId);
+  if (!objectId && !deleteAll) {
+    return false;
+  }
+
+  const table = getMetaTable(metaType);
+  if (!table) {
+    return false;
+  }
+
+  const typeColumn = `${metaType}_id`;
+  const idColumn = metaIdColumn(metaType);
+
+  /**
+   * Short-circuits deleting metadata of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   * Returning a non-null value will effectively short-circuit the function.
+   *
+   * @since 3.1.0
+   *
+   * @param {null|boolean} deleted Whether to allow metadata deletion of the given type.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+   * @param {boolean} deleteAll Whether to delete the matching metadata entries
+   *                            for all objects, ignoring the specified objectId.
+   */
+  const check = applyFilters(`delete_${metaType}_metadata`, null, objectId, metaKey, metaValue, deleteAll);
+  if (null !== check) {
+    return Boolean(check);
+  }
+
+  const unserializedValue = metaValue;
+  const hasValue = '' !== metaValue && null !== metaValue && false !== metaValue;
+  metaValue = maybeSerialize(metaValue);
+
+  let query = wpdb.prepare(`SELECT ${idColumn} FROM ${table} WHERE meta_key = %s`, metaKey);
+
+  if (!deleteAll) {
+    query += wpdb.prepare(` AND ${typeColumn} = %d`, objectId);
+  }
+
+  if (hasValue) {
+    query += wpdb.prepare(' AND meta_value = %s', metaValue);
+  }
+
+  const metaIds = await wpdb.getCol(query);
+  if (!metaIds || !metaIds.length) {
+    return false;
+  }
+
+  let objectIds;
+  if (deleteAll) {
+    if (hasValue) {
+      objectIds = await wpdb.getCol(wpdb.prepare(
+        `SELECT ${typeColumn} FROM ${table} WHERE meta_key = %s AND meta_value = %s`,
+        metaKey,
+        metaValue
+      ));
+    } else {
+      objectIds = await wpdb.getCol(wpdb.prepare(`SELECT ${typeColumn} FROM ${table} WHERE meta_key = %s`, metaKey));
+    }
+  }
+
+  /**
+   * Fires immediately before deleting metadata of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   *
+   * @since 3.1.0
+   *
+   * @param {Array<number>} metaIds An array of metadata entry IDs to delete.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value.
+   */
+  doAction(`delete_${metaType}_meta`, metaIds, objectId, metaKey, unserializedValue);
+
+  // Old-style action.
+  if ('post' === metaType) {
+    /**
+     * Fires immediately before deleting metadata for a post.
+     *
+     * @since 2.9.0
+     *
+     * @param {Array<number>} metaIds An array of metadata entry IDs to delete.
+     */
+    doAction('delete_postmeta', metaIds);
+  }
+
+  const count = await wpdb.query(`DELETE FROM ${table} WHERE ${idColumn} IN( ${metaIds.map(absint).join(',')} )`);
+  if (!count) {
+    return false;
+  }
+
+  await wpCacheDeleteMultiple(deleteAll ? objectIds : [objectId], `${metaType}_meta`);
+
+  /**
+   * Fires immediately after deleting metadata of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   *
+   * @since 2.9.0
+   *
+   * @param {Array<number>} metaIds An array of metadata entry IDs to delete.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {*} metaValue Metadata value.
+   */
+  doAction(`deleted_${metaType}_meta`, metaIds, objectId, metaKey, unserializedValue);
+
+  // Old-style action.
+  if ('post' === metaType) {
+    /**
+     * Fires immediately after deleting metadata for a post.
+     *
+     * @since 2.9.0
+     *
+     * @param {Array<number>} metaIds An array of metadata entry IDs to delete.
+     */
+    doAction('deleted_postmeta', metaIds);
+  }
+
+  return true;
+}
+
+/**
+ * Retrieves the value of a metadata field for the specified object type and ID.
+ *
+ * If the meta field exists, a single value is returned if `single` is true,
+ * or an array of values if it's false.
+ *
+ * If the meta field does not exist, the result depends on getMetadataDefault().
+ * By default, an empty string is returned if `single` is true, or an empty array
+ * if it's false.
+ *
+ * @since 2.9.0
+ *
+ * @see getMetadataRaw()
+ * @see getMetadataDefault()
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} [metaKey=''] Optional. Metadata key. If not specified, retrieve all metadata for
+ *                              the specified object. Default empty string.
+ * @param {boolean} [single=false] Optional. If true, return only the first value of the specified `metaKey`.
+ *                                 This parameter has no effect if `metaKey` is not specified. Default false.
+ * @return {Promise<*>} An array of values if `single` is false.
+ *                      The value of the meta field if `single` is true.
+ *                      False for an invalid `objectId` (non-numeric, zero, or negative value),
+ *                      or if `metaType` is not specified.
+ *                      An empty string if a valid but non-existing object ID is passed.
+ */
+async function getMetadata(metaType, objectId, metaKey = '', single = false) {
+  const value = await getMetadataRaw(metaType, objectId, metaKey, single);
+  if (null !== value) {
+    return value;
+  }
+
+  return getMetadataDefault(metaType, objectId, metaKey, single);
+}
+
+/**
+ * Retrieves raw metadata value for the specified object.
+ *
+ * @since 5.5.0
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} [metaKey=''] Optional. Metadata key. If not specified, retrieve all metadata for
+ *                              the specified object. Default empty string.
+ * @param {boolean} [single=false] Optional. If true, return only the first value of the specified `metaKey`.
+ *                                 This parameter has no effect if `metaKey` is not specified. Default false.
+ * @return {Promise<*>} An array of values if `single` is false.
+ *                      The value of the meta field if `single` is true.
+ *                      False for an invalid `objectId` (non-numeric, zero, or negative value),
+ *                      or if `metaType` is not specified.
+ *                      Null if the value does not exist.
+ */
+async function getMetadataRaw(metaType, objectId, metaKey = '', single = false) {
+  if (!metaType || !isNumeric(objectId)) {
+    return false;
+  }
+
+  objectId = absint(objectId);
+  if (!objectId) {
+    return false;
+  }
+
+  /**
+   * Short-circuits the return value of a meta field.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type
+   * (post, comment, term, user, or any other type with an associated meta table).
+   * Returning a non-null value will effectively short-circuit the function.
+   *
+   * @since 3.1.0
+   * @since 5.5.0 Added the `metaType` parameter.
+   *
+   * @param {*} value The value to return, either a single metadata value or an array
+   *                  of values depending on the value of `single`. Default null.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {boolean} single Whether to return only the first value of the specified `metaKey`.
+   * @param {string} metaType Type of object metadata is for.
+   */
+  const check = applyFilters(`get_${metaType}_metadata`, null, objectId, metaKey, single, metaType);
+  if (null !== check) {
+    if (single && Array.isArray(check)) {
+      return check[0];
+    }
+
+    return check;
+  }
+
+  let metaCache = await wpCacheGet(objectId, `${metaType}_meta`);
+
+  if (!metaCache) {
+    metaCache = await updateMetaCache(metaType, [objectId]);
+    metaCache = metaCache && metaCache[objectId] ? metaCache[objectId] : null;
+  }
+
+  if (!metaKey) {
+    return metaCache;
+  }
+
+  if (metaCache && metaCache[metaKey]) {
+    if (single) {
+      return maybeUnserialize(metaCache[metaKey][0]);
+    }
+
+    return metaCache[metaKey].map(maybeUnserialize);
+  }
+
+  return null;
+}
+
+/**
+ * Retrieves default metadata value for the specified meta key and object.
+ *
+ * By default, an empty string is returned if `single` is true, or an empty array
+ * if it's false.
+ *
+ * @since 5.5.0
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @param {boolean} [single=false] Optional. If true, return only the first value of the specified `metaKey`.
+ *                                 This parameter has no effect if `metaKey` is not specified. Default false.
+ * @return {Promise<*>} An array of default values if `single` is false.
+ *                      The default value of the meta field if `single` is true.
+ */
+async function getMetadataDefault(metaType, objectId, metaKey, single = false) {
+  let value = single ? '' : [];
+
+  /**
+   * Filters the default metadata value for a specified meta key and object.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   *
+   * Callbacks are awaited, and may query the database like filterDefaultMetadata().
+   *
+   * @since 5.5.0
+   *
+   * @param {*} value The value to return.
+   * @param {number} objectId ID of the object metadata is for.
+   * @param {string} metaKey Metadata key.
+   * @param {boolean} single Whether to return only the first value of the specified `metaKey`.
+   * @param {string} metaType Type of object metadata is for.
+   */
+  value = await applyFiltersAsync(`default_${metaType}_metadata`, value, objectId, metaKey, single, metaType);
+
+  if (!single && !Array.isArray(value)) {
+    value = [value];
+  }
+
+  return value;
+}
+
+/**
+ * Determines if a meta field with the given key exists for the given object ID.
+ *
+ * @since 3.3.0
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @return {Promise<boolean>} Whether a meta field with the given key exists.
+ */
+async function metadataExists(metaType, objectId, metaKey) {
+  if (!metaType || !isNumeric(objectId)) {
+    return false;
+  }
+
+  objectId = absint(objectId);
+  if (!objectId) {
+    return false;
+  }
+
+  /** This filter is documented in wp-includes/meta.js */
+  const check = applyFilters(`get_${metaType}_metadata`, null, objectId, metaKey, true, metaType);
+  if (null !== check) {
+    return Boolean(check);
+  }
+
+  let metaCache = await wpCacheGet(objectId, `${metaType}_meta`);
+
+  if (!metaCache) {
+    metaCache = await updateMetaCache(metaType, [objectId]);
+    metaCache = metaCache ? metaCache[objectId] : null;
+  }
+
+  return Boolean(metaCache && metaCache[metaKey]);
+}
+
+/**
+ * Updates the metadata cache for the specified objects.
+ *
+ * The meta of all the objects not cached yet is read with one query, and the
+ * raw, still serialized values are cached by object ID and meta key.
+ *
+ * @since 2.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @param {string|Array<number>} objectIds Array or comma delimited list of object IDs to update cache for.
+ * @return {Promise<Object<number, Object<string, Array<string>>>|false>} Metadata cache for the specified
+ *                                                                       objects, or false on failure.
+ */
+async function updateMetaCache(metaType, objectIds) {
+  const { wpdb } = global;
+
+  if (!metaType || !objectIds || (Array.isArray(objectIds) && !objectIds.length)) {
+    return false;
+  }
+
+  const table = getMetaTable(metaType);
+  if (!table) {
+    return false;
+  }
+
+  const column = `${metaType}_id`;
+
+  if (!Array.isArray(objectIds)) {
+    objectIds = String(objectIds).replace(/[^0-9,]/g, '').split(',');
+  }
+
+  objectIds = objectIds.map((objectId) => parseInt(objectId, 10) || 0);
+
+  /**
+   * Short-circuits updating the metadata cache of a specific type.
+   *
+   * The dynamic portion of the hook name, `metaType`, refers to the meta object type.
+   * Returning a non-null value will effectively short-circuit the function.
+   *
+   * @since 5.0.0
+   *
+   * @param {*} check Whether to allow updating the meta cache of the given type.
+   * @param {Array<number>} objectIds Array of object IDs to update the meta cache for.
+   */
+  const check = applyFilters(`update_${metaType}_metadata_cache`, null, objectIds);
+  if (null !== check) {
+    return Boolean(check);
+  }
+
+  const cacheKey = `${metaType}_meta`;
+  const nonCachedIds = [];
+  const cache = {};
+  const cacheValues = await wpCacheGetMultiple(objectIds, cacheKey);
+
+  for (const objectId of objectIds) {
+    const cachedObject = cacheValues[objectId];
+    if (false === cachedObject || undefined === cachedObject) {
+      nonCachedIds.push(objectId);
+    } else {
+      cache[objectId] = cachedObject;
+    }
+  }
+
+  if (!nonCachedIds.length) {
+    return cache;
+  }
+
+  // Get meta info.
+  const idList = nonCachedIds.join(',');
+  const idColumn = metaIdColumn(metaType);
+
+  const metaList = await wpdb.getResults(
+    `SELECT ${column}, meta_key, meta_value FROM ${table} WHERE ${column} IN (${idList}) ORDER BY ${idColumn} ASC`
+  );
+
+  for (const metarow of metaList || []) {
+    const mpid = parseInt(metarow[column], 10);
+    const mkey = metarow.meta_key;
+
+    // Force subkeys to be array type.
+    cache[mpid] = cache[mpid] || {};
+    cache[mpid][mkey] = cache[mpid][mkey] || [];
+
+    // Add a value to the current pid/key.
+    cache[mpid][mkey].push(metarow.meta_value);
+  }
+
+  const data = {};
+  for (const id of nonCachedIds) {
+    cache[id] = cache[id] || {};
+    data[id] = cache[id];
+  }
+
+  await wpCacheAddMultiple(data, cacheKey);
+
+  return cache;
+}
+
+/**
+ * Retrieves the name of the metadata table for the specified object type.
+ *
+ * @since 2.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} type Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                      or any other object type with an associated meta table.
+ * @return {string|false} Metadata table name, or false if no metadata table exists.
+ */
+function getMetaTable(type) {
+  const { wpdb } = global;
+  const table = wpdb[`${type}Meta`];
+
+  return 'string' === typeof table && table ? table : false;
+}
+
+/**
+ * Determines whether a meta key is considered protected.
+ *
+ * @since 3.1.3
+ *
+ * @param {string} metaKey Metadata key.
+ * @param {string} [metaType=''] Optional. Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                               or any other object type with an associated meta table. Default empty string.
+ * @return {boolean} Whether the meta key is considered protected.
+ */
+function isProtectedMeta(metaKey, metaType = '') {
+  const sanitizedKey = String(metaKey).replace(/[^\x20-\x7E]/g, '');
+  const isProtected = sanitizedKey.length > 0 && '_' === sanitizedKey[0];
+
+  /**
+   * Filters whether a meta key is considered protected.
+   *
+   * @since 3.2.0
+   *
+   * @param {boolean} isProtected Whether the key is considered protected.
+   * @param {string} metaKey Metadata key.
+   * @param {string} metaType Type of object metadata is for.
+   */
+  return applyFilters('is_protected_meta', isProtected, metaKey, metaType);
+}
+
+/**
+ * Sanitizes meta value.
+ *
+ * @since 3.1.3
+ * @since 4.9.8 The `objectSubtype` parameter was added.
+ *
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value to sanitize.
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {string} [objectSubtype=''] Optional. The subtype of the object type. Default empty string.
+ * @return {*} Sanitized `metaValue`.
+ */
+function sanitizeMeta(metaKey, metaValue, objectType, objectSubtype = '') {
+  if (objectSubtype && hasFilter(`sanitize_${objectType}_meta_${metaKey}_for_${objectSubtype}`)) {
+    /**
+     * Filters the sanitization of a specific meta key of a specific meta type and subtype.
+     *
+     * The dynamic portions of the hook name, `objectType`, `metaKey`,
+     * and `objectSubtype`, refer to the metadata object type (comment, post, term, or user),
+     * the meta key value, and the object subtype respectively.
+     *
+     * @since 4.9.8
+     *
+     * @param {*} metaValue Metadata value to sanitize.
+     * @param {string} metaKey Metadata key.
+     * @param {string} objectType Type of object metadata is for.
+     * @param {string} objectSubtype Object subtype.
+     */
+    return applyFilters(`sanitize_${objectType}_meta_${metaKey}_for_${objectSubtype}`, metaValue, metaKey, objectType, objectSubtype);
+  }
+
+  /**
+   * Filters the sanitization of a specific meta key of a specific meta type.
+   *
+   * The dynamic portions of the hook name, `metaType`, and `metaKey`,
+   * refer to the metadata object type (comment, post, term, or user) and the meta
+   * key value, respectively.
+   *
+   * @since 3.3.0
+   *
+   * @param {*} metaValue Metadata value to sanitize.
+   * @param {string} metaKey Metadata key.
+   * @param {string} objectType Type of object metadata is for.
+   */
+  return applyFilters(`sanitize_${objectType}_meta_${metaKey}`, metaValue, metaKey, objectType);
+}
+
+/**
+ * Checks a value against the type schema of registered meta.
+ *
+ * Supports the `type`, `enum`, `items` and `properties` keywords of JSON Schema,
+ * the subset the REST API relies on for meta.
+ *
+ * @param {*} value The value to check.
+ * @param {Object} schema Schema of the value.
+ * @param {string} [param='value'] Optional. Name of the value, for the message.
+ * @return {string} A message describing why the value is invalid, empty if it is valid.
+ */
+function metaSchemaError(value, schema, param = 'value') {
+  const types = {
+    string: (item) => 'string' === typeof item,
+    boolean: (item) => 'boolean' === typeof item,
+    integer: (item) => Number.isInteger(item),
+    number: (item) => 'number' === typeof item && Number.isFinite(item),
+    array: (item) => Array.isArray(item),
+    object: (item) => null !== item && 'object' === typeof item && !Array.isArray(item),
+    null: (item) => null === item,
+  };
+
+  const allowed = [].concat(schema.type || []);
+  if (allowed.length && !allowed.some((type) => types[type] && types[type](value))) {
+    return `${param} is not of type ${allowed.join(',')}.`;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((item) => maybeSerialize(item) === maybeSerialize(value))) {
+    return `${param} is not one of ${schema.enum.join(', ')}.`;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (const [index, item] of value.entries()) {
+      const error = metaSchemaError(item, schema.items, `${param}[${index}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (types.object(value) && schema.properties) {
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      if (undefined !== value[property]) {
+        const error = metaSchemaError(value[property], propertySchema, `${param}[${property}]`);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Registers a meta key.
+ *
+ * It is recommended to register meta keys for a specific combination of object type and object subtype. If passing
+ * an object subtype is omitted, the meta key will be registered for the entire object type, however it can be partly
+ * overridden in case a more specific meta key of the same name exists for the same object type and a subtype.
+ *
+ * If an object type does not support any subtypes, such as users or comments, you should commonly call this function
+ * without passing a subtype.
+ *
+ * @since 3.3.0
+ * @since 4.9.8 The `objectSubtype` argument was added to the arguments array.
+ * @since 5.5.0 The `default` argument was added to the arguments array.
+ *
+ * @global {Object} wpMetaKeys Global registry for meta keys.
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {string} metaKey Meta key to register.
+ * @param {Object} [args={}] {
+ *     Data used to describe the meta key when registered.
+ *
+ *     @type {string} [objectSubtype] A subtype; e.g. if the object type is "post", the post type. If left empty,
+ *                                    the meta key will be registered on the entire object type. Default empty.
+ *     @type {string} [type] The type of data associated with this meta key.
+ *                           Valid values are 'string', 'boolean', 'integer', 'number', 'array', and 'object'.
+ *     @type {string} [label] A human-readable label of the data attached to this meta key.
+ *     @type {string} [description] A description of the data attached to this meta key.
+ *     @type {boolean} [single] Whether the meta key has one value per object, or an array of values per object.
+ *     @type {*} [default] The default value returned from getMetadata() if no value has been set yet.
+ *                         When using a non-single meta key, the default value is for the first entry.
+ *                         In other words, when calling getMetadata() with `single` set to `false`,
+ *                         the default value given here will be wrapped in an array.
+ *     @type {Function} [sanitizeCallback] A function or method to call when sanitizing `metaKey` data.
+ *     @type {Function} [authCallback] Optional. A function or method to call when performing edit_post_meta,
+ *                                     add_post_meta, and delete_post_meta capability checks.
+ *     @type {boolean|Object} [showInRest] Whether data associated with this meta key can be considered public and
+ *                                         should be accessible via the REST API. When registering complex meta
+ *                                         values this argument may optionally be an object with a 'schema'.
+ * }
+ * @return {boolean} True if the meta key was successfully registered in the global array, false if not.
+ */
+function registerMeta(objectType, metaKey, args = {}) {
+  global.wpMetaKeys = global.wpMetaKeys || {};
+
+  const defaults = {
+    objectSubtype: '',
+    type: 'string',
+    label: '',
+    description: '',
+    default: '',
+    single: false,
+    sanitizeCallback: null,
+    authCallback: null,
+    showInRest: false,
+  };
+
+  /**
+   * Filters the registration arguments when registering meta.
+   *
+   * @since 4.6.0
+   *
+   * @param {Object} args Array of meta registration arguments.
+   * @param {Object} defaults Array of default arguments.
+   * @param {string} objectType Type of object metadata is for.
+   * @param {string} metaKey Meta key.
+   */
+  args = applyFilters('register_meta_args', args, defaults, objectType, metaKey);
+  delete defaults.default;
+  args = { ...defaults, ...args };
+
+  // Require an item schema when registering array meta.
+  if (false !== args.showInRest && 'array' === args.type) {
+    if (!args.showInRest || 'object' !== typeof args.showInRest || !args.showInRest.schema || !args.showInRest.schema.items) {
+      doingItWrong('registerMeta', 'When registering an "array" meta type to show in the REST API, you must specify the schema for each array item in "showInRest.schema.items".', '5.3.0');
+
+      return false;
+    }
+  }
+
+  const objectSubtype = args.objectSubtype || '';
+
+  if ('function' === typeof args.sanitizeCallback) {
+    if (objectSubtype) {
+      addFilter(`sanitize_${objectType}_meta_${metaKey}_for_${objectSubtype}`, args.sanitizeCallback, 10, 4);
+    } else {
+      addFilter(`sanitize_${objectType}_meta_${metaKey}`, args.sanitizeCallback, 10, 3);
+    }
+  }
+
+  if ('function' === typeof args.authCallback) {
+    if (objectSubtype) {
+      addFilter(`auth_${objectType}_meta_${metaKey}_for_${objectSubtype}`, args.authCallback, 10, 6);
+    } else {
+      addFilter(`auth_${objectType}_meta_${metaKey}`, args.authCallback, 10, 6);
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(args, 'default')) {
+    let schema = { type: args.type };
+    if (args.showInRest && 'object' === typeof args.showInRest && args.showInRest.schema) {
+      schema = { ...schema, ...args.showInRest.schema };
+    }
+
+    const error = metaSchemaError(args.default, schema);
+    if (error) {
+      doingItWrong('registerMeta', `When registering a default meta value the data must match the type provided: ${error}`, '5.5.0');
+
+      return false;
+    }
+
+    if (!hasFilter(`default_${objectType}_metadata`, filterDefaultMetadata)) {
+      addFilter(`default_${objectType}_metadata`, filterDefaultMetadata, 10, 5);
+    }
+  }
+
+  delete args.objectSubtype;
+
+  global.wpMetaKeys[objectType] = global.wpMetaKeys[objectType] || {};
+  global.wpMetaKeys[objectType][objectSubtype] = global.wpMetaKeys[objectType][objectSubtype] || {};
+  global.wpMetaKeys[objectType][objectSubtype][metaKey] = args;
+
+  return true;
+}
+
+/**
+ * Filters into default_{objectType}_metadata and adds in default value.
+ *
+ * Finding the subtype of the object may query the database, so this callback
+ * returns a promise, which getMetadataDefault() awaits with applyFiltersAsync().
+ *
+ * @since 5.5.0
+ *
+ * @param {*} value Current value passed to filter.
+ * @param {number} objectId ID of the object metadata is for.
+ * @param {string} metaKey Metadata key.
+ * @param {boolean} single If true, return only the first value of the specified `metaKey`.
+ *                         This parameter has no effect if `metaKey` is not specified.
+ * @param {string} metaType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                          or any other object type with an associated meta table.
+ * @return {Promise<*>} An array of default values if `single` is false.
+ *                      The default value of the meta field if `single` is true.
+ */
+async function filterDefaultMetadata(value, objectId, metaKey, single, metaType) {
+  if (!global.wpMetaKeys || !global.wpMetaKeys[metaType]) {
+    return value;
+  }
+
+  const defaults = {};
+  for (const [subType, metaData] of Object.entries(global.wpMetaKeys[metaType])) {
+    for (const [registeredKey, args] of Object.entries(metaData)) {
+      if (registeredKey === metaKey && Object.prototype.hasOwnProperty.call(args, 'default')) {
+        defaults[subType] = args;
+      }
+    }
+  }
+
+  if (!Object.keys(defaults).length) {
+    return value;
+  }
+
+  let metadata;
+
+  // If this meta type does not have subtypes, then the default is keyed as an empty string.
+  if (defaults['']) {
+    metadata = defaults[''];
+  } else {
+    const subType = await getObjectSubtype(metaType, objectId);
+    if (!defaults[subType]) {
+      return value;
+    }
+    metadata = defaults[subType];
+  }
+
+  return single ? metadata.default : [metadata.default];
+}
+
+/**
+ * Checks if a meta key is registered.
+ *
+ * @since 4.6.0
+ * @since 4.9.8 The `objectSubtype` parameter was added.
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {string} metaKey Metadata key.
+ * @param {string} [objectSubtype=''] Optional. The subtype of the object type. Default empty string.
+ * @return {boolean} True if the meta key is registered to the object type and, if provided,
+ *                   the object subtype. False if not.
+ */
+function registeredMetaKeyExists(objectType, metaKey, objectSubtype = '') {
+  const metaKeys = getRegisteredMetaKeys(objectType, objectSubtype);
+
+  return Object.prototype.hasOwnProperty.call(metaKeys, metaKey);
+}
+
+/**
+ * Unregisters a meta key from the list of registered keys.
+ *
+ * @since 4.6.0
+ * @since 4.9.8 The `objectSubtype` parameter was added.
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {string} metaKey Metadata key.
+ * @param {string} [objectSubtype=''] Optional. The subtype of the object type. Default empty string.
+ * @return {boolean} True if successful. False if the meta key was not registered.
+ */
+function unregisterMetaKey(objectType, metaKey, objectSubtype = '') {
+  if (!registeredMetaKeyExists(objectType, metaKey, objectSubtype)) {
+    return false;
+  }
+
+  const args = global.wpMetaKeys[objectType][objectSubtype][metaKey];
+
+  if ('function' === typeof args.sanitizeCallback) {
+    if (objectSubtype) {
+      removeFilter(`sanitize_${objectType}_meta_${metaKey}_for_${objectSubtype}`, args.sanitizeCallback);
+    } else {
+      removeFilter(`sanitize_${objectType}_meta_${metaKey}`, args.sanitizeCallback);
+    }
+  }
+
+  if ('function' === typeof args.authCallback) {
+    if (objectSubtype) {
+      removeFilter(`auth_${objectType}_meta_${metaKey}_for_${objectSubtype}`, args.authCallback);
+    } else {
+      removeFilter(`auth_${objectType}_meta_${metaKey}`, args.authCallback);
+    }
+  }
+
+  delete global.wpMetaKeys[objectType][objectSubtype][metaKey];
+
+  // Do some clean up.
+  if (!Object.keys(global.wpMetaKeys[objectType][objectSubtype]).length) {
+    delete global.wpMetaKeys[objectType][objectSubtype];
+  }
+  if (!Object.keys(global.wpMetaKeys[objectType]).length) {
+    delete global.wpMetaKeys[objectType];
+  }
+
+  return true;
+}
+
+/**
+ * Retrieves a list of registered metadata args for an object type, keyed by their meta keys.
+ *
+ * @since 4.6.0
+ * @since 4.9.8 The `objectSubtype` parameter was added.
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {string} [objectSubtype=''] Optional. The subtype of the object type. Default empty string.
+ * @return {Object<string, Object>} List of registered metadata args, keyed by their meta keys.
+ */
+function getRegisteredMetaKeys(objectType, objectSubtype = '') {
+  const metaKeys = global.wpMetaKeys;
+
+  if (!metaKeys || !metaKeys[objectType] || !metaKeys[objectType][objectSubtype]) {
+    return {};
+  }
+
+  return metaKeys[objectType][objectSubtype];
+}
+
+/**
+ * Retrieves registered metadata for a specified object.
+ *
+ * The results include both meta that is registered specifically for the
+ * object's subtype and meta that is registered for the entire object type.
+ *
+ * @since 4.6.0
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object the metadata is for.
+ * @param {string} [metaKey=''] Optional. Registered metadata key. If not specified, retrieve all registered
+ *                              metadata for the specified object.
+ * @return {Promise<*>} A single value or array of values for a key if specified. An array of all registered keys
+ *                      and values for an object ID if not. False if a given metaKey is not registered.
+ */
+async function getRegisteredMetadata(objectType, objectId, metaKey = '') {
+  const objectSubtype = await getObjectSubtype(objectType, objectId);
+
+  if (metaKey) {
+    if (objectSubtype && registeredMetaKeyExists(objectType, metaKey, objectSubtype)) {
+      return getMetadata(objectType, objectId, metaKey);
+    }
+
+    if (registeredMetaKeyExists(objectType, metaKey)) {
+      return getMetadata(objectType, objectId, metaKey);
+    }
+
+    return false;
+  }
+
+  const data = await getMetadata(objectType, objectId);
+  if (!data) {
+    return [];
+  }
+
+  const metaKeys = {
+    ...getRegisteredMetaKeys(objectType),
+    ...(objectSubtype ? getRegisteredMetaKeys(objectType, objectSubtype) : {}),
+  };
+
+  return Object.fromEntries(Object.entries(data).filter(([key]) => undefined !== metaKeys[key]));
+}
+
+/**
+ * Returns the object subtype for a given object ID of a specific type.
+ *
+ * @since 4.9.8
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} objectType Type of object metadata is for. Accepts 'post', 'comment', 'term', 'user',
+ *                            or any other object type with an associated meta table.
+ * @param {number} objectId ID of the object to retrieve its subtype.
+ * @return {Promise<string>} The object subtype or an empty string if unspecified subtype.
+ */
+async function getObjectSubtype(objectType, objectId) {
+  const { wpdb } = global;
+  objectId = parseInt(objectId, 10) || 0;
+  let objectSubtype = '';
+
+  switch (objectType) {
+    case 'post':
+      objectSubtype = (await wpdb.getVar(wpdb.prepare(`SELECT post_type FROM ${wpdb.posts} WHERE ID = %d`, objectId))) || '';
+      break;
+
+    case 'term':
+      objectSubtype = (await wpdb.getVar(wpdb.prepare(`SELECT taxonomy FROM ${wpdb.termTaxonomy} WHERE term_id = %d LIMIT 1`, objectId))) || '';
+      break;
+
+    case 'comment':
+      if (await wpdb.getVar(wpdb.prepare(`SELECT comment_ID FROM ${wpdb.comments} WHERE comment_ID = %d`, objectId))) {
+        objectSubtype = 'comment';
+      }
+      break;
+
+    case 'user':
+      if (await wpdb.getVar(wpdb.prepare(`SELECT ID FROM ${wpdb.users} WHERE ID = %d`, objectId))) {
+        objectSubtype = 'user';
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  /**
+   * Filters the object subtype identifier for a non-standard object type.
+   *
+   * The dynamic portion of the hook name, `objectType`, refers to the meta object type
+   * (post, comment, term, user, or any other type with an associated meta table).
+   *
+   * @since 4.9.8
+   *
+   * @param {string} objectSubtype Empty string to override.
+   * @param {number} objectId ID of the object to get the subtype for.
+   */
+  return applyFilters(`get_object_subtype_${objectType}`, objectSubtype, objectId);
+}
+
+export {
+  addMetadata,
+  updateMetadata,
+  deleteMetadata,
+  getMetadata,
+  getMetadataRaw,
+  getMetadataDefault,
+  metadataExists,
+  updateMetaCache,
+  getMetaTable,
+  isProtectedMeta,
+  sanitizeMeta,
+  registerMeta,
+  filterDefaultMetadata,
+  registeredMetaKeyExists,
+  unregisterMetaKey,
+  getRegisteredMetaKeys,
+  getRegisteredMetadata,
+  getObjectSubtype,
+};
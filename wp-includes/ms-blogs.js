@@ -0,0 +1,117 @@
+/**
+ * Site API: switching between the sites of a network.
+ *
+ * Switching changes the tables of Wpdb, and the per-site groups of the object cache
+ * follow, for the current request only: each request keeps its own site and stack of
+ * switched sites in its Wpdb query context.
+ *
+ * @package WordPress
+ * @subpackage Multisite
+ * @since 3.0.0
+ */
+
+import { doAction } from './plugin.js';
+import { getCurrentBlogId } from './load.js';
+
+/**
+ * Switches the current blog.
+ *
+ * This function is useful if you need to pull posts, or other information,
+ * from other blogs. You can switch back afterwards using restoreCurrentBlog().
+ *
+ * @example
+ * switchToBlog(2);
+ * try {
+ *   const title = await getOption('blogname');
+ * } finally {
+ *   restoreCurrentBlog();
+ * }
+ *
+ * @since MU (3.0.0)
+ *
+ * @see restoreCurrentBlog()
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number} newBlogId The ID of the blog to switch to. Default: current blog.
+ * @return {true} Always returns true.
+ */
+function switchToBlog(newBlogId = 0) {
+  const { wpdb } = global;
+
+  const prevBlogId = getCurrentBlogId();
+  newBlogId = Number(newBlogId) || prevBlogId;
+
+  wpdb.queryContext().switchedStack.push(prevBlogId);
+
+  /*
+   * If we're switching to the same blog id that we're on,
+   * set the right vars, do the associated actions, but skip
+   * the extra unnecessary work
+   */
+  if (newBlogId !== prevBlogId) {
+    wpdb.setBlogId(newBlogId);
+  }
+
+  /**
+   * Fires when the blog is switched.
+   *
+   * @since MU (3.0.0)
+   * @since 5.4.0 The `context` parameter was added.
+   *
+   * @param {number} newBlogId New blog ID.
+   * @param {number} prevBlogId Previous blog ID.
+   * @param {string} context Additional context. Accepts 'switch' when called from switchToBlog()
+   *                         or 'restore' when called from restoreCurrentBlog().
+   */
+  doAction('switch_blog', newBlogId, prevBlogId, 'switch');
+
+  return true;
+}
+
+/**
+ * Restores the current blog, after calling switchToBlog().
+ *
+ * @since MU (3.0.0)
+ *
+ * @see switchToBlog()
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @return {boolean} True on success, false if we're already on the current blog.
+ */
+function restoreCurrentBlog() {
+  const { wpdb } = global;
+
+  const stack = wpdb.queryContext().switchedStack;
+  if (!stack.length) {
+    return false;
+  }
+
+  const newBlogId = stack.pop();
+  const prevBlogId = getCurrentBlogId();
+
+  if (newBlogId !== prevBlogId) {
+    wpdb.setBlogId(newBlogId);
+  }
+
+  /** This action is documented in wp-includes/ms-blogs.js */
+  doAction('switch_blog', newBlogId, prevBlogId, 'restore');
+
+  return true;
+}
+
+/**
+ * Determines if switchToBlog() is in effect.
+ *
+ * @since 3.5.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @return {boolean} True if switched, false otherwise.
+ */
+function msIsSwitched() {
+  return Boolean(global.wpdb.queryContext().switchedStack.length);
+}
+
+export { switchToBlog, restoreCurrentBlog, msIsSwitched };
@@ -0,0 +1,392 @@
+/**
+ * These functions are needed to load Multisite.
+ *
+ * The site of a request is found by its host, and by its first path segment on
+ * subdirectory networks, in the `blogs` table; its network is in the `site` table.
+ * msSiteMiddleware() then points the request's Wpdb tables at that site.
+ *
+ * @since 3.0.0
+ *
+ * @package WordPress
+ * @subpackage Multisite
+ */
+
+import { envConfig } from '../wp-config.js';
+import { applyFilters, doAction } from './plugin.js';
+import { wpCacheGet, wpCacheSet } from './cache.js';
+
+/**
+ * Numeric columns of the `blogs` table.
+ *
+ * @type {Array<string>}
+ */
+const SITE_NUMERIC_FIELDS = ['blog_id', 'site_id', 'public', 'archived', 'mature', 'spam', 'deleted', 'lang_id'];
+
+/**
+ * Converts the numeric columns of a `blogs` row to numbers, whatever the driver returned.
+ *
+ * @param {Object|null} row The row.
+ * @return {Object|null} The site.
+ */
+function siteFromRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const site = { ...row };
+  SITE_NUMERIC_FIELDS.filter((field) => field in site).forEach((field) => {
+    site[field] = Number(site[field]);
+  });
+
+  return site;
+}
+
+/**
+ * Lists the paths a site can have for a request path, the longest first.
+ *
+ * @param {string} path The request path.
+ * @param {number|null} segments The number of path segments to consider, null for all.
+ * @return {Array<string>} The paths, e.g. ['/blog/2024/', '/blog/', '/'].
+ */
+function pathsOf(path, segments) {
+  let pathSegments = path.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
+
+  if (null !== segments && pathSegments.length > segments) {
+    pathSegments = pathSegments.slice(0, segments);
+  }
+
+  const paths = [];
+  while (pathSegments.length) {
+    paths.push(`/${pathSegments.join('/')}/`);
+    pathSegments.pop();
+  }
+  paths.push('/');
+
+  return paths;
+}
+
+/**
+ * Retrieves the closest matching site object by its domain and path.
+ *
+ * This will not necessarily return an exact match for a domain and path. Instead, it
+ * breaks the path into segments and returns the site with the longest matching path.
+ *
+ * @since 3.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} domain Domain to check.
+ * @param {string} path Path to check.
+ * @param {number|null} [segments=null] Optional. Path segments to use. Defaults to null, or the full path.
+ * @return {Promise<Object|false>} The site, a `blogs` row, or false if none was found.
+ */
+async function getSiteByPath(domain, path, segments = null) {
+  const { wpdb } = global;
+
+  /**
+   * Filters the number of path segments to consider when searching for a site.
+   *
+   * @since 3.9.0
+   *
+   * @param {number|null} segments The number of path segments to consider. WordPress by default looks at
+   *                               one path segment following the network path. The function default of
+   *                               null only makes sense when you know the requested path should match a site.
+   * @param {string} domain The requested domain.
+   * @param {string} path The requested path, in full.
+   */
+  segments = applyFilters('site_by_path_segments_count', segments, domain, path);
+
+  const paths = pathsOf(path, segments);
+
+  /**
+   * Determines a site by its domain and path.
+   *
+   * This allows one to short-circuit the default logic, perhaps by replacing it with
+   * a routine that is more optimal for your setup.
+   *
+   * Return null to avoid the short-circuit. Return false if no site can be found at
+   * the requested domain and path. Otherwise, return a site object.
+   *
+   * @since 3.9.0
+   *
+   * @param {null|false|Object} site Site value to return by path. Default null to continue retrieving the site.
+   * @param {string} domain The requested domain.
+   * @param {string} path The requested path, in full.
+   * @param {number|null} segments The suggested number of paths to consult. Default null, meaning the entire path was to be consulted.
+   * @param {Array<string>} paths The paths to search for, based on path and segments.
+   */
+  const pre = applyFilters('pre_get_site_by_path', null, domain, path, segments, paths);
+  if (null !== pre) {
+    return pre ? siteFromRow(pre) : false;
+  }
+
+  // Either www or non-www is supported, not both. If a www domain is requested, query for both to provide the proper redirect.
+  const domains = [domain];
+  if (domain.startsWith('www.')) {
+    domains.push(domain.substring(4));
+  }
+
+  const row = await wpdb.getRow(wpdb.prepare(
+    `SELECT * FROM ${wpdb.blogs} WHERE domain IN (${domains.map(() => '%s').join(', ')}) AND path IN (${paths.map(() => '%s').join(', ')})
+    ORDER BY LENGTH(domain) DESC, LENGTH(path) DESC LIMIT 1`,
+    ...domains,
+    ...paths
+  ));
+
+  return siteFromRow(row) || false;
+}
+
+/**
+ * Retrieves a network by its ID.
+ *
+ * @since 4.6.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number} networkId The network ID.
+ * @return {Promise<Object|null>} The network, a `site` row with the ID of its main site
+ *                                as `blog_id`, or null if it doesn't exist.
+ */
+async function getNetwork(networkId) {
+  const { wpdb } = global;
+
+  networkId = Number(networkId);
+  if (!networkId) {
+    return null;
+  }
+
+  const cached = await wpCacheGet(networkId, 'networks');
+  if (false !== cached) {
+    return cached;
+  }
+
+  const row = await wpdb.getRow(wpdb.prepare(`SELECT * FROM ${wpdb.site} WHERE id = %d LIMIT 1`, networkId));
+  if (!row) {
+    return null;
+  }
+
+  const network = { ...row, id: Number(row.id), blog_id: await getMainSiteId(row) };
+  await wpCacheSet(networkId, network, 'networks');
+
+  return network;
+}
+
+/**
+ * Retrieves the ID of the main site of a network: the site at the network's domain and path.
+ *
+ * @since 4.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} network The network, a `site` row.
+ * @return {Promise<number>} The ID of the main site, 0 if there is none.
+ */
+async function getMainSiteId(network) {
+  const { wpdb } = global;
+
+  const siteId = await wpdb.getVar(wpdb.prepare(
+    `SELECT blog_id FROM ${wpdb.blogs} WHERE domain = %s AND path = %s AND site_id = %d ORDER BY blog_id LIMIT 1`,
+    network.domain,
+    network.path,
+    network.id
+  ));
+
+  return Number(siteId) || 0;
+}
+
+/**
+ * Retrieves the closest matching network for a domain and path.
+ *
+ * The network's domain may be a parent domain of the requested one, e.g. `example.com`
+ * for `blog.example.com`.
+ *
+ * @since 4.4.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} domain Domain to check.
+ * @param {string} path Path to check.
+ * @param {number|null} [segments=null] Optional. Path segments to use. Defaults to null, or the full path.
+ * @return {Promise<Object|false>} The network, or false if none was found.
+ */
+async function getNetworkByPath(domain, path, segments = null) {
+  const { wpdb } = global;
+
+  const domains = [domain];
+  const pieces = domain.split('.');
+  while (pieces.shift() && pieces.length) {
+    domains.push(pieces.join('.'));
+  }
+
+  const paths = pathsOf(path, segments);
+
+  const id = await wpdb.getVar(wpdb.prepare(
+    `SELECT id FROM ${wpdb.site} WHERE domain IN (${domains.map(() => '%s').join(', ')}) AND path IN (${paths.map(() => '%s').join(', ')})
+    ORDER BY LENGTH(domain) DESC, LENGTH(path) DESC LIMIT 1`,
+    ...domains,
+    ...paths
+  ));
+
+  return (await getNetwork(id)) || false;
+}
+
+/**
+ * Identifies the network and site of a requested domain and path.
+ *
+ * With DOMAIN_CURRENT_SITE and PATH_CURRENT_SITE set, the network isn't looked up:
+ * it is the one of SITE_ID_CURRENT_SITE.
+ *
+ * @since 4.6.0
+ *
+ * @param {string} domain The requested domain.
+ * @param {string} path The requested path.
+ * @param {boolean} [subdomain=false] Optional. Whether a subdomain (true) or subdirectory (false)
+ *                                    configuration. Default false.
+ * @param {Object} [options={}] Optional. Lookup settings.
+ * @param {Object} [options.config=envConfig] Configuration to read the network settings from.
+ * @param {boolean} [options.secure=false] Whether the request uses HTTPS, for redirects.
+ * @return {Promise<{site: Object, network: Object}|string|false>} The site and its network, a URL
+ *         to redirect to if the site doesn't exist, or false if the network doesn't exist or no
+ *         redirect is needed.
+ */
+async function msLoadCurrentSiteAndNetwork(domain, path, subdomain = false, { config = envConfig, secure = false } = {}) {
+  const scheme = secure ? 'https' : 'http';
+  let network = null;
+  let site = null;
+
+  if (config.DOMAIN_CURRENT_SITE && config.PATH_CURRENT_SITE) {
+    network = (await getNetwork(config.SITE_ID_CURRENT_SITE || 1)) || {
+      id: Number(config.SITE_ID_CURRENT_SITE || 1),
+      domain: config.DOMAIN_CURRENT_SITE,
+      path: config.PATH_CURRENT_SITE,
+      blog_id: Number(config.BLOG_ID_CURRENT_SITE || 1),
+    };
+
+    if (network.domain === domain && network.path === path) {
+      site = await getSiteByPath(domain, path);
+    } else if ('/' !== network.path && network.domain.toLowerCase() === domain.toLowerCase() && path.toLowerCase().startsWith(network.path.toLowerCase())) {
+      // If the current network has a path and also matches the domain and path of the request,
+      // we need to look for a site using the first path segment following the network's path.
+      site = await getSiteByPath(domain, path, 1 + network.path.replace(/^\/+|\/+$/g, '').split('/').length);
+    } else {
+      // Otherwise, use the first path segment (as usual).
+      site = await getSiteByPath(domain, path, 1);
+    }
+  } else if (!subdomain) {
+    // A subdirectory network is found by its domain and path, then the site by the next path segment.
+    network = await getNetworkByPath(domain, path, 1);
+
+    if (network) {
+      site = network.domain === domain && network.path === path
+        ? await getSiteByPath(domain, path)
+        : await getSiteByPath(domain, path, 1 + network.path.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean).length);
+    }
+  } else {
+    // Find the site by the domain and at most the first path segment.
+    site = await getSiteByPath(domain, path, 1);
+    network = site
+      ? await getNetwork(site.site_id || 1)
+      : await getNetworkByPath(domain, path, 1);
+  }
+
+  // The network declared by the site trumps any constants.
+  if (site && network && site.site_id !== network.id) {
+    network = await getNetwork(site.site_id);
+  }
+
+  // No network has been found, bail.
+  if (!network) {
+    /**
+     * Fires when a network cannot be found based on the requested domain and path.
+     *
+     * @since 4.4.0
+     *
+     * @param {string} domain The domain used to search for a network.
+     * @param {string} path The path used to search for a path.
+     */
+    doAction('ms_network_not_found', domain, path);
+
+    return false;
+  }
+
+  // No site has been found, bail.
+  if (!site) {
+    /**
+     * Fires when a network can be determined but a site cannot.
+     *
+     * At the time of this action, the only recourse is to redirect somewhere
+     * and exit. If you want to declare a particular site, do so earlier.
+     *
+     * @since 3.9.0
+     *
+     * @param {Object} network The network that had been determined.
+     * @param {string} domain The domain used to search for a site.
+     * @param {string} path The path used to search for a site.
+     */
+    doAction('ms_site_not_found', network, domain, path);
+
+    if (subdomain && config.NOBLOGREDIRECT) {
+      return '%siteurl%' === config.NOBLOGREDIRECT ? `${scheme}://${network.domain}${network.path}` : config.NOBLOGREDIRECT;
+    }
+
+    // Requests to the network's own domain that match no site have nowhere to go.
+    if (network.domain.toLowerCase() === domain.toLowerCase()) {
+      return false;
+    }
+
+    return `${scheme}://${network.domain}${network.path}`;
+  }
+
+  return { site, network };
+}
+
+/**
+ * Creates the Express middleware pointing each request at its site of the network.
+ *
+ * Mount it after Wpdb.contextMiddleware(), so that the site only changes for the
+ * request. The site and network are available as `req.currentBlog` and `req.currentSite`,
+ * as the `$current_blog` and `$current_site` globals of PHP WordPress.
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} [config=envConfig] Optional. Configuration to read SUBDOMAIN_INSTALL and
+ *                                    the network settings from.
+ * @return {Function} The middleware.
+ */
+function msSiteMiddleware(config = envConfig) {
+  return async (req, res, next) => {
+    try {
+      const domain = req.hostname.toLowerCase();
+      const [path] = req.originalUrl.split('?');
+      const current = await msLoadCurrentSiteAndNetwork(domain, path, Boolean(config.SUBDOMAIN_INSTALL), { config, secure: req.secure });
+
+      if ('string' === typeof current) {
+        res.redirect(current);
+        return;
+      }
+
+      if (!current) {
+        res.status(404).send('Site not found.');
+        return;
+      }
+
+      global.wpdb.setBlogId(current.site.blog_id, current.site.site_id);
+      req.currentBlog = current.site;
+      req.currentSite = current.network;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export {
+  getSiteByPath,
+  getNetwork,
+  getMainSiteId,
+  getNetworkByPath,
+  msLoadCurrentSiteAndNetwork,
+  msSiteMiddleware,
+  siteFromRow,
+};
@@ -0,0 +1,322 @@
+/**
+ * Site API
+ *
+ * Sites of a network are rows of the `blogs` table, each with its own set of the
+ * per-site tables. Adding a site with wpInsertSite() creates those tables and the
+ * site's first options.
+ *
+ * @package WordPress
+ * @subpackage Multisite
+ * @since 5.1.0
+ */
+
+import { dbDelta } from '../wp-admin/includes/upgrade.js';
+import { wpCacheDelete, wpCacheGet, wpCacheSet } from './cache.js';
+import { getCurrentNetworkId } from './load.js';
+import { addMetadata } from './meta.js';
+import { switchToBlog, restoreCurrentBlog } from './ms-blogs.js';
+import { getNetwork, siteFromRow } from './ms-load.js';
+import { addOption, getNetworkOption } from './option.js';
+import { applyFilters, doAction } from './plugin.js';
+import { updateUserMeta } from './user.js';
+
+/**
+ * Creates an error with a code, as a WP_Error would have.
+ *
+ * @param {string} code Error code.
+ * @param {string} message Error message.
+ * @return {Error} The error.
+ */
+function siteError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Retrieves site data given a site ID or site object.
+ *
+ * @since 4.6.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|Object|null} [site=null] Optional. Site to retrieve. Default is the current site.
+ * @return {Promise<Object|null>} The site, a `blogs` row, or null if it doesn't exist.
+ */
+async function getSite(site = null) {
+  const { wpdb } = global;
+
+  const siteId = Number(site && 'object' === typeof site ? site.blog_id : site) || wpdb.blogId || 1;
+
+  let row = await wpCacheGet(siteId, 'sites');
+  if (false === row) {
+    row = await wpdb.getRow(wpdb.prepare(`SELECT * FROM ${wpdb.blogs} WHERE blog_id = %d LIMIT 1`, siteId));
+    if (!row) {
+      return null;
+    }
+
+    await wpCacheSet(siteId, row, 'sites');
+  }
+
+  /**
+   * Fires after a site is retrieved.
+   *
+   * @since 4.6.0
+   *
+   * @param {Object} site Site data.
+   */
+  return applyFilters('get_site', siteFromRow(row));
+}
+
+/**
+ * Clean the blog cache.
+ *
+ * @since 3.5.0
+ *
+ * @param {number|Object} blog The site object or ID to be cleared from cache.
+ */
+async function cleanBlogCache(blog) {
+  const blogId = Number(blog && 'object' === typeof blog ? blog.blog_id : blog);
+  if (!blogId) {
+    return;
+  }
+
+  await wpCacheDelete(blogId, 'sites');
+  await wpCacheDelete(blogId, 'site-details');
+  await wpCacheDelete(blogId, 'blog-details');
+
+  /**
+   * Fires immediately after a site has been removed from the object cache.
+   *
+   * @since 4.6.0
+   *
+   * @param {number} blogId Blog ID as a numeric string.
+   * @param {Object} blog Site object.
+   */
+  doAction('clean_site_cache', blogId, blog);
+}
+
+/**
+ * Inserts a new site into the database.
+ *
+ * The site's tables are created, and its options and metadata added, by wpInitializeSite().
+ *
+ * @since 5.1.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} data Data for the new site that should be inserted.
+ * @param {string} data.domain Site domain.
+ * @param {string} [data.path='/'] Site path.
+ * @param {number} [data.network_id] The site's network ID. Default is the current network ID.
+ * @param {number} [data.public=1] Whether the site is public.
+ * @param {number} [data.user_id] User ID for the site administrator, passed to wpInitializeSite().
+ * @param {string} [data.title] Site title, passed to wpInitializeSite().
+ * @param {Object} [data.options] Custom option key-value pairs, passed to wpInitializeSite().
+ * @param {Object} [data.meta] Custom site metadata, passed to wpInitializeSite().
+ * @return {Promise<number|Error>} The new site's ID on success, or an error on failure.
+ */
+async function wpInsertSite(data) {
+  const { wpdb } = global;
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const defaults = {
+    domain: '',
+    path: '/',
+    network_id: getCurrentNetworkId(),
+    registered: now,
+    last_updated: now,
+    public: 1,
+    archived: 0,
+    mature: 0,
+    spam: 0,
+    deleted: 0,
+    lang_id: 0,
+  };
+
+  const { user_id: userId, title, options, meta, ...siteData } = data;
+  const prepared = { ...defaults, ...siteData };
+
+  prepared.domain = String(prepared.domain).trim().toLowerCase();
+  if (!prepared.domain) {
+    return siteError('site_empty_domain', 'Site domain must not be empty.');
+  }
+
+  // Both leading and trailing slashes, as `blogs` paths have.
+  prepared.path = `/${String(prepared.path).replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+
+  prepared.site_id = Number(prepared.network_id);
+  delete prepared.network_id;
+  if (!prepared.site_id) {
+    return siteError('site_empty_network_id', 'Site network ID must be provided.');
+  }
+
+  if (false === await wpdb.insert(wpdb.blogs, prepared)) {
+    return siteError('db_insert_error', `Could not insert site into the database. ${wpdb.lastError}`);
+  }
+
+  const siteId = Number(wpdb.insertId);
+  await cleanBlogCache(siteId);
+
+  const newSite = await getSite(siteId);
+
+  /**
+   * Fires once a site has been inserted into the database.
+   *
+   * @since 5.1.0
+   *
+   * @param {Object} newSite New site object.
+   */
+  doAction('wp_insert_site', newSite);
+
+  const args = Object.fromEntries(Object.entries({ user_id: userId, title, options, meta }).filter(([, value]) => undefined !== value));
+  const initialized = await wpInitializeSite(newSite, args);
+  if (initialized instanceof Error) {
+    return initialized;
+  }
+
+  /**
+   * Fires when a site's initialization routine should be executed.
+   *
+   * The tables, options and metadata of the site have been created at that point.
+   *
+   * @since 5.1.0
+   *
+   * @param {Object} newSite New site object.
+   * @param {Object} args Arguments for the initialization.
+   */
+  doAction('wp_initialize_site', newSite, args);
+
+  return siteId;
+}
+
+/**
+ * Checks whether a site is initialized: whether its options table exists.
+ *
+ * @since 5.1.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|Object} siteId Site ID or object.
+ * @return {Promise<boolean>} True if the site is initialized, false otherwise.
+ */
+async function wpIsSiteInitialized(siteId) {
+  const { wpdb } = global;
+
+  siteId = Number(siteId && 'object' === typeof siteId ? siteId.blog_id : siteId);
+  if (!siteId) {
+    return false;
+  }
+
+  /**
+   * Filters the check for whether a site is initialized before the database is accessed.
+   *
+   * Returning a non-null value will effectively short-circuit the function, returning
+   * that value instead.
+   *
+   * @since 5.1.0
+   *
+   * @param {boolean|null} pre The value to return instead. Default null to continue with the check.
+   * @param {number} siteId The site ID that is being checked.
+   */
+  const pre = applyFilters('pre_wp_is_site_initialized', null, siteId);
+  if (null !== pre) {
+    return Boolean(pre);
+  }
+
+  const table = `${wpdb.getBlogPrefix(siteId)}options`;
+
+  const suppress = wpdb.suppressErrors();
+  const columns = wpdb.isMySQL
+    ? await wpdb.getResults(`DESCRIBE ${table};`)
+    : await wpdb.getResults(`PRAGMA table_info(\`${table}\`)`);
+  wpdb.suppressErrors(suppress);
+
+  return Boolean(columns && columns.length);
+}
+
+/**
+ * Runs the initialization routine for a given site.
+ *
+ * This process includes creating the site's database tables and populating them
+ * with its first options and metadata.
+ *
+ * @since 5.1.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|Object} siteId Site ID or object.
+ * @param {Object} [args={}] Optional. Arguments to modify the initialization behavior.
+ * @param {number} [args.user_id=0] User ID for the site administrator.
+ * @param {string} [args.title] Site title. Default is 'Site %d' where %d is the site ID.
+ * @param {Object} [args.options={}] Custom option key-value pairs to populate.
+ * @param {Object} [args.meta={}] Custom site metadata key-value pairs to populate.
+ * @return {Promise<true|Error>} True on success, or an error on failure.
+ */
+async function wpInitializeSite(siteId, args = {}) {
+  const { wpdb } = global;
+
+  if (!siteId) {
+    return siteError('site_empty_id', 'Site ID must not be empty.');
+  }
+
+  const site = await getSite(siteId);
+  if (!site) {
+    return siteError('site_invalid_id', 'Site with the ID does not exist.');
+  }
+
+  if (await wpIsSiteInitialized(site)) {
+    return siteError('site_already_initialized', 'The site appears to be already initialized.');
+  }
+
+  const network = await getNetwork(site.site_id);
+
+  const { user_id: userId = 0, title = `Site ${site.blog_id}`, options = {}, meta = {} } = args;
+
+  switchToBlog(site.blog_id);
+  try {
+    // Set up the database tables.
+    await dbDelta('blog');
+
+    const url = `http://${site.domain}${site.path}`.replace(/\/+$/, '');
+
+    // Populate the site's options.
+    const siteOptions = {
+      home: url,
+      siteurl: url,
+      blogname: title,
+      admin_email: '',
+      blog_public: site.public,
+      WPLANG: network ? await getNetworkOption(network.id, 'WPLANG', '') : '',
+      ...options,
+    };
+    for (const [option, value] of Object.entries(siteOptions)) {
+      await addOption(option, value);
+    }
+
+    // Clean blog cache after populating options.
+    await cleanBlogCache(site);
+
+    // Populate metadata for the site.
+    for (const [metaKey, metaValue] of Object.entries(meta)) {
+      await addMetadata('blog', site.blog_id, metaKey, metaValue, true);
+    }
+
+    // Set the site administrator.
+    if (userId) {
+      const prefix = wpdb.getBlogPrefix();
+      await updateUserMeta(userId, `${prefix}capabilities`, { administrator: true });
+      await updateUserMeta(userId, `${prefix}user_level`, 10);
+    }
+  } finally {
+    restoreCurrentBlog();
+  }
+
+  return true;
+}
+
+export {
+  getSite,
+  cleanBlogCache,
+  wpInsertSite,
+  wpIsSiteInitialized,
+  wpInitializeSite,
+};
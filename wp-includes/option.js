@@ -0,0 +1,1677 @@
+/**
+ * Option API
+ *
+ * Options are kept in the `options` table, serialized as PHP WordPress does so that
+ * both can share a database. The options to autoload are read with one query into
+ * the `alloptions` entry of the object cache, and the other options are cached one
+ * by one, as are the names of missing options in `notoptions`. Without a persistent
+ * object cache, these only last for the current request.
+ *
+ * Network options live in the `sitemeta` table on multisite, and in `options` otherwise.
+ * Transients are options with an expiration time, kept in the object cache instead
+ * when an external, persistent one is in use.
+ *
+ * The filters of options and transients are awaited with applyFiltersAsync(), so their
+ * callbacks can be async, e.g. to read the value from the database.
+ *
+ * @package WordPress
+ * @subpackage Option
+ */
+
+import { applyFiltersAsync, doAction, doActionAsync, addAction, hasAction } from './plugin.js';
+import { maybeSerialize, maybeUnserialize } from './functions.js';
+import { wpCacheAdd, wpCacheDelete, wpCacheGet, wpCacheSet, wpCacheFlushGroup } from './cache.js';
+import { isMultisite, getCurrentNetworkId, wpUsingExtObjectCache } from './load.js';
+
+/**
+ * Values of the `autoload` column of options loaded with wpLoadAlloptions(),
+ * including those of recent PHP WordPress versions.
+ *
+ * @type {Array<string>}
+ */
+const AUTOLOAD_VALUES = ['yes', 'on', 'auto-on', 'auto'];
+
+/**
+ * Timer firing the 'delete_expired_transients' action, see wpScheduleDeleteExpiredTransients().
+ *
+ * @type {NodeJS.Timeout|null}
+ */
+let deleteExpiredTransientsTimer = null;
+
+/**
+ * Normalizes the autoload argument of addOption() and updateOption().
+ *
+ * @param {string|boolean} autoload Whether to load the option when WordPress starts up.
+ * @return {string} 'yes' or 'no'.
+ */
+function autoloadValue(autoload) {
+  return 'no' === autoload || false === autoload ? 'no' : 'yes';
+}
+
+/**
+ * Retrieves an option value based on an option name.
+ *
+ * If the option does not exist, and a default value is not provided,
+ * boolean false is returned.
+ *
+ * Scalar values read from the database are strings, as with PHP WordPress, while
+ * values cached since they were added keep their type. Objects and arrays are unserialized.
+ *
+ * @since 1.5.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} option Name of the option to retrieve. Expected to not be SQL-escaped.
+ * @param {*} [defaultValue=false] Optional. Default value to return if the option does not exist.
+ * @return {Promise<*>} Value of the option.
+ */
+async function getOption(option, defaultValue = false) {
+  const { wpdb } = global;
+
+  if ('string' !== typeof option || '' === option.trim()) {
+    return false;
+  }
+  option = option.trim();
+
+  /**
+   * Filters the value of an existing option before it is retrieved.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * Returning a value other than false from the filter will short-circuit retrieval
+   * and return that value instead.
+   *
+   * @since 1.5.0
+   *
+   * @param {*} pre The value to return instead of the option value. Default false.
+   * @param {string} option Option name.
+   * @param {*} defaultValue The fallback value to return if the option does not exist.
+   */
+  let pre = await applyFiltersAsync(`pre_option_${option}`, false, option, defaultValue);
+
+  /**
+   * Filters the value of all existing options before it is retrieved.
+   *
+   * @since 6.1.0
+   *
+   * @param {*} pre The value to return instead of the option value. Default false.
+   * @param {string} option Name of the option.
+   * @param {*} defaultValue The fallback value to return if the option does not exist.
+   */
+  pre = await applyFiltersAsync('pre_option', pre, option, defaultValue);
+
+  if (false !== pre) {
+    return pre;
+  }
+
+  /**
+   * Filters the default value for an option.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 3.4.0
+   *
+   * @param {*} defaultValue The default value to return if the option does not exist in the database.
+   * @param {string} option Option name.
+   * @param {boolean} passedDefault Was `getOption()` passed a default value?
+   */
+  const passedDefault = arguments.length > 1;
+  const defaultOption = () => applyFiltersAsync(`default_option_${option}`, defaultValue, option, passedDefault);
+
+  // Distinguish between `false` as a default, and not passing one.
+  const notoptions = await wpCacheGet('notoptions', 'options');
+
+  if (notoptions && notoptions[option]) {
+    return defaultOption();
+  }
+
+  const alloptions = await wpLoadAlloptions();
+  let value;
+
+  if (undefined !== alloptions[option]) {
+    value = alloptions[option];
+  } else {
+    value = await wpCacheGet(option, 'options');
+
+    if (false === value) {
+      const row = await wpdb.getRow(wpdb.prepare(`SELECT option_value FROM ${wpdb.options} WHERE option_name = %s LIMIT 1`, option));
+
+      // Has to be get_row() instead of get_var() because of funkiness with 0, false, null values.
+      if (row) {
+        value = row.option_value;
+        await wpCacheAdd(option, value, 'options');
+      } else { // Option does not exist, so we must cache its non-existence.
+        await wpCacheSet('notoptions', { ...(notoptions || {}), [option]: true }, 'options');
+
+        return defaultOption();
+      }
+    }
+  }
+
+  /**
+   * Filters the value of an existing option.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 1.5.0 As 'option_' . $setting
+   *
+   * @param {*} value Value of the option. If stored serialized, it will be
+   *                  unserialized prior to being returned.
+   * @param {string} option Option name.
+   */
+  return applyFiltersAsync(`option_${option}`, maybeUnserialize(value), option);
+}
+
+/**
+ * Protects WordPress special option from being modified.
+ *
+ * Will throw an error if the option name is protected.
+ *
+ * @since 2.2.0
+ *
+ * @param {string} option Option name.
+ * @throws {Error} If the option is 'alloptions' or 'notoptions'.
+ */
+function wpProtectSpecialOption(option) {
+  if ('alloptions' === option || 'notoptions' === option) {
+    throw new Error(`${option} is a protected WP option and may not be modified`);
+  }
+}
+
+/**
+ * Loads and caches all autoloaded options, if available or all options.
+ *
+ * The options are queried once, then read from the object cache, which the
+ * option functions keep up to date. Without a persistent object cache, the
+ * `options` group is non-persistent, so they are queried once per request.
+ *
+ * @since 2.2.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @return {Promise<Object<string, string>>} List of all options.
+ */
+async function wpLoadAlloptions() {
+  const { wpdb } = global;
+
+  /**
+   * Filters the array of alloptions before it is populated.
+   *
+   * Returning an object from the filter will effectively short circuit
+   * wpLoadAlloptions(), returning that value instead.
+   *
+   * @since 6.2.0
+   *
+   * @param {Object|null} alloptions An object of alloptions. Default null.
+   */
+  let alloptions = await applyFiltersAsync('pre_wp_load_alloptions', null);
+  if (alloptions && 'object' === typeof alloptions) {
+    return alloptions;
+  }
+
+  alloptions = await wpCacheGet('alloptions', 'options');
+
+  if (!alloptions) {
+    const suppress = wpdb.suppressErrors();
+    let alloptionsDb = await wpdb.getResults(
+      `SELECT option_name, option_value FROM ${wpdb.options} WHERE autoload IN ('${AUTOLOAD_VALUES.join("', '")}')`
+    );
+
+    if (!alloptionsDb || !alloptionsDb.length) {
+      alloptionsDb = await wpdb.getResults(`SELECT option_name, option_value FROM ${wpdb.options}`);
+    }
+    wpdb.suppressErrors(suppress);
+
+    alloptions = {};
+    for (const o of alloptionsDb || []) {
+      alloptions[o.option_name] = o.option_value;
+    }
+
+    /**
+     * Filters all options before caching them.
+     *
+     * @since 4.9.0
+     *
+     * @param {Object} alloptions Array with all options.
+     */
+    alloptions = await applyFiltersAsync('pre_cache_alloptions', alloptions);
+
+    await wpCacheAdd('alloptions', alloptions, 'options');
+  }
+
+  /**
+   * Filters all options after retrieving them.
+   *
+   * @since 4.9.0
+   *
+   * @param {Object} alloptions Array with all options.
+   */
+  return applyFiltersAsync('alloptions', alloptions);
+}
+
+/**
+ * Updates the value of an option that was already added.
+ *
+ * You do not need to serialize values. If the value needs to be serialized,
+ * then it will be serialized before it is inserted into the database.
+ * Remember, resources cannot be serialized or added as an option.
+ *
+ * If the option does not exist, it will be created.
+ *
+ * @since 1.0.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} option Name of the option to update. Expected to not be SQL-escaped.
+ * @param {*} value Option value. Must be serializable if non-scalar. Expected to not be SQL-escaped.
+ * @param {string|boolean|null} [autoload=null] Optional. Whether to load the option when WordPress starts up.
+ *                                              For existing options, `autoload` can only be updated using
+ *                                              `updateOption()` if `value` is also changed. Accepts 'yes'|true
+ *                                              to enable or 'no'|false to disable. Autoload value can be
+ *                                              changed only if the option value has changed. Default null.
+ * @return {Promise<boolean>} True if the value was updated, false otherwise.
+ * @throws {Error} If the option is protected.
+ */
+async function updateOption(option, value, autoload = null) {
+  const { wpdb } = global;
+
+  if ('string' !== typeof option || '' === option.trim()) {
+    return false;
+  }
+  option = option.trim();
+
+  wpProtectSpecialOption(option);
+
+  const oldValue = await getOption(option);
+
+  /**
+   * Filters a specific option before its value is (maybe) serialized and updated.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 2.6.0
+   *
+   * @param {*} value The new, unserialized option value.
+   * @param {*} oldValue The old option value.
+   * @param {string} option Option name.
+   */
+  value = await applyFiltersAsync(`pre_update_option_${option}`, value, oldValue, option);
+
+  /**
+   * Filters an option before its value is (maybe) serialized and updated.
+   *
+   * @since 3.9.0
+   *
+   * @param {*} value The new, unserialized option value.
+   * @param {string} option Name of the option.
+   * @param {*} oldValue The old option value.
+   */
+  value = await applyFiltersAsync('pre_update_option', value, option, oldValue);
+
+  /*
+   * If the new and old values are the same, no need to update.
+   *
+   * Unserialized values will be adequate in most cases. If the unserialized
+   * data differs, the (maybe) serialized data is checked to avoid
+   * unnecessary database calls for otherwise identical object instances.
+   */
+  if (value === oldValue || maybeSerialize(value) === maybeSerialize(oldValue)) {
+    return false;
+  }
+
+  /** This filter is documented in wp-includes/option.js */
+  if (await applyFiltersAsync(`default_option_${option}`, false, option, false) === oldValue) {
+    return addOption(option, value, '', null === autoload ? 'yes' : autoload);
+  }
+
+  const serializedValue = maybeSerialize(value);
+
+  /**
+   * Fires immediately before an option value is updated.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the option to update.
+   * @param {*} oldValue The old option value.
+   * @param {*} value The new option value.
+   */
+  doAction('update_option', option, oldValue, value);
+
+  const updateArgs = { option_value: serializedValue };
+  if (null !== autoload) {
+    updateArgs.autoload = autoloadValue(autoload);
+  }
+
+  const result = await wpdb.update(wpdb.options, updateArgs, { option_name: option });
+  if (!result) {
+    return false;
+  }
+
+  const notoptions = await wpCacheGet('notoptions', 'options');
+  if (notoptions && notoptions[option]) {
+    delete notoptions[option];
+    await wpCacheSet('notoptions', notoptions, 'options');
+  }
+
+  const alloptions = { ...(await wpLoadAlloptions()) };
+  if (undefined === updateArgs.autoload) {
+    // Update the cached value based on where it is currently cached.
+    if (undefined !== alloptions[option]) {
+      alloptions[option] = serializedValue;
+      await wpCacheSet('alloptions', alloptions, 'options');
+    } else {
+      await wpCacheSet(option, serializedValue, 'options');
+    }
+  } else if ('yes' === updateArgs.autoload) {
+    // Delete the individual cache, then set in alloptions cache.
+    await wpCacheDelete(option, 'options');
+    alloptions[option] = serializedValue;
+    await wpCacheSet('alloptions', alloptions, 'options');
+  } else {
+    // Delete the alloptions cache, then set the individual cache.
+    if (undefined !== alloptions[option]) {
+      delete alloptions[option];
+      await wpCacheSet('alloptions', alloptions, 'options');
+    }
+    await wpCacheSet(option, serializedValue, 'options');
+  }
+
+  /**
+   * Fires after the value of a specific option has been successfully updated.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 2.0.1
+   *
+   * @param {*} oldValue The old option value.
+   * @param {*} value The new option value.
+   * @param {string} option Option name.
+   */
+  doAction(`update_option_${option}`, oldValue, value, option);
+
+  /**
+   * Fires after the value of an option has been successfully updated.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the updated option.
+   * @param {*} oldValue The old option value.
+   * @param {*} value The new option value.
+   */
+  doAction('updated_option', option, oldValue, value);
+
+  return true;
+}
+
+/**
+ * Adds a new option.
+ *
+ * You do not need to serialize values. If the value needs to be serialized,
+ * then it will be serialized before it is inserted into the database.
+ *
+ * You can create options without values and then update the values later.
+ * Existing options will not be updated and checks are performed to ensure that you
+ * aren't adding a protected WordPress option.
+ *
+ * @since 1.0.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} option Name of the option to add. Expected to not be SQL-escaped.
+ * @param {*} [value=''] Optional. Option value. Must be serializable if non-scalar.
+ * @param {string} [deprecated=''] Optional. Description. Not used anymore.
+ * @param {string|boolean} [autoload='yes'] Optional. Whether to load the option when WordPress starts up.
+ *                                          Accepts 'yes'|true to enable or 'no'|false to disable.
+ *                                          Default 'yes'.
+ * @return {Promise<boolean>} True if the option was added, false otherwise.
+ * @throws {Error} If the option is protected.
+ */
+async function addOption(option, value = '', deprecated = '', autoload = 'yes') {
+  const { wpdb } = global;
+
+  if ('string' !== typeof option || '' === option.trim()) {
+    return false;
+  }
+  option = option.trim();
+
+  wpProtectSpecialOption(option);
+
+  /*
+   * Make sure the option doesn't already exist.
+   * We can check the 'notoptions' cache before we ask for a DB query.
+   */
+  const notoptions = await wpCacheGet('notoptions', 'options');
+
+  if (!notoptions || !notoptions[option]) {
+    /** This filter is documented in wp-includes/option.js */
+    if (await applyFiltersAsync(`default_option_${option}`, false, option, false) !== await getOption(option)) {
+      return false;
+    }
+  }
+
+  const serializedValue = maybeSerialize(value);
+  autoload = autoloadValue(autoload);
+
+  /**
+   * Fires before an option is added.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the option to add.
+   * @param {*} value Value of the option.
+   */
+  doAction('add_option', option, value);
+
+  const upsert = wpdb.isMySQL
+    ? 'ON DUPLICATE KEY UPDATE `option_name` = VALUES(`option_name`), `option_value` = VALUES(`option_value`), `autoload` = VALUES(`autoload`)'
+    : 'ON CONFLICT (`option_name`) DO UPDATE SET `option_value` = excluded.`option_value`, `autoload` = excluded.`autoload`';
+
+  const result = await wpdb.query(wpdb.prepare(
+    `INSERT INTO \`${wpdb.options}\` (\`option_name\`, \`option_value\`, \`autoload\`) VALUES (%s, %s, %s) ${upsert}`,
+    option,
+    serializedValue,
+    autoload
+  ));
+  if (!result) {
+    return false;
+  }
+
+  if ('yes' === autoload) {
+    const alloptions = { ...(await wpLoadAlloptions()), [option]: serializedValue };
+    await wpCacheSet('alloptions', alloptions, 'options');
+  } else {
+    await wpCacheSet(option, serializedValue, 'options');
+  }
+
+  // This option exists now.
+  const notoptionsAfter = await wpCacheGet('notoptions', 'options'); // Yes, again... we need it to be fresh.
+  if (notoptionsAfter && notoptionsAfter[option]) {
+    delete notoptionsAfter[option];
+    await wpCacheSet('notoptions', notoptionsAfter, 'options');
+  }
+
+  /**
+   * Fires after a specific option has been added.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 2.5.0 As "add_option_{$name}"
+   * @since 3.0.0
+   *
+   * @param {string} option Name of the option to add.
+   * @param {*} value Value of the option.
+   */
+  doAction(`add_option_${option}`, option, value);
+
+  /**
+   * Fires after an option has been added.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the added option.
+   * @param {*} value Value of the option.
+   */
+  doAction('added_option', option, value);
+
+  return true;
+}
+
+/**
+ * Removes an option by name. Prevents removal of protected WordPress options.
+ *
+ * @since 1.2.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {string} option Name of the option to delete. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the option was deleted, false otherwise.
+ * @throws {Error} If the option is protected.
+ */
+async function deleteOption(option) {
+  const { wpdb } = global;
+
+  if ('string' !== typeof option || '' === option.trim()) {
+    return false;
+  }
+  option = option.trim();
+
+  wpProtectSpecialOption(option);
+
+  // Get the ID, if no ID then return.
+  const row = await wpdb.getRow(wpdb.prepare(`SELECT autoload FROM ${wpdb.options} WHERE option_name = %s`, option));
+  if (!row) {
+    return false;
+  }
+
+  /**
+   * Fires immediately before an option is deleted.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the option to delete.
+   */
+  doAction('delete_option', option);
+
+  const result = await wpdb.delete(wpdb.options, { option_name: option });
+
+  if (AUTOLOAD_VALUES.includes(row.autoload)) {
+    const alloptions = { ...(await wpLoadAlloptions()) };
+    if (undefined !== alloptions[option]) {
+      delete alloptions[option];
+      await wpCacheSet('alloptions', alloptions, 'options');
+    }
+  } else {
+    await wpCacheDelete(option, 'options');
+  }
+
+  const notoptions = await wpCacheGet('notoptions', 'options');
+  await wpCacheSet('notoptions', { ...(notoptions || {}), [option]: true }, 'options');
+
+  if (!result) {
+    return false;
+  }
+
+  /**
+   * Fires after a specific option has been deleted.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 3.0.0
+   *
+   * @param {string} option Name of the deleted option.
+   */
+  doAction(`delete_option_${option}`, option);
+
+  /**
+   * Fires after an option has been deleted.
+   *
+   * @since 2.9.0
+   *
+   * @param {string} option Name of the deleted option.
+   */
+  doAction('deleted_option', option);
+
+  return true;
+}
+
+/**
+ * Returns the current Unix timestamp, in seconds.
+ *
+ * @return {number} The current time.
+ */
+function time() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Deletes a transient.
+ *
+ * @since 2.8.0
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the transient was deleted, false otherwise.
+ */
+async function deleteTransient(transient) {
+  /**
+   * Fires immediately before a specific transient is deleted.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 3.0.0
+   *
+   * @param {string} transient Transient name.
+   */
+  doAction(`delete_transient_${transient}`, transient);
+
+  let result;
+
+  if (wpUsingExtObjectCache()) {
+    result = await wpCacheDelete(transient, 'transient');
+  } else {
+    const optionTimeout = `_transient_timeout_${transient}`;
+    const option = `_transient_${transient}`;
+    result = await deleteOption(option);
+
+    if (result) {
+      await deleteOption(optionTimeout);
+    }
+  }
+
+  if (result) {
+    /**
+     * Fires after a transient is deleted.
+     *
+     * @since 3.0.0
+     *
+     * @param {string} transient Deleted transient name.
+     */
+    doAction('deleted_transient', transient);
+  }
+
+  return result;
+}
+
+/**
+ * Retrieves the value of a transient.
+ *
+ * If the transient does not exist, does not have a value, or has expired,
+ * then the return value will be false.
+ *
+ * Expired transients found on read are deleted from the options table.
+ *
+ * @since 2.8.0
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped.
+ * @return {Promise<*>} Value of transient.
+ */
+async function getTransient(transient) {
+  /**
+   * Filters the value of an existing transient before it is retrieved.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * Returning a value other than false from the filter will short-circuit retrieval
+   * and return that value instead.
+   *
+   * @since 2.8.0
+   *
+   * @param {*} pre The default value to return if the transient does not exist.
+   *                Any value other than false will short-circuit the retrieval
+   *                of the transient, and return that value.
+   * @param {string} transient Transient name.
+   */
+  const pre = await applyFiltersAsync(`pre_transient_${transient}`, false, transient);
+
+  if (false !== pre) {
+    return pre;
+  }
+
+  let value;
+
+  if (wpUsingExtObjectCache()) {
+    value = await wpCacheGet(transient, 'transient');
+  } else {
+    const transientOption = `_transient_${transient}`;
+    const alloptions = await wpLoadAlloptions();
+
+    // If option is not in alloptions, it is not autoloaded and thus has a timeout.
+    if (undefined === alloptions[transientOption]) {
+      const transientTimeout = `_transient_timeout_${transient}`;
+      const timeout = await getOption(transientTimeout);
+
+      if (false !== timeout && Number(timeout) < time()) {
+        await deleteOption(transientOption);
+        await deleteOption(transientTimeout);
+        value = false;
+      }
+    }
+
+    if (undefined === value) {
+      value = await getOption(transientOption);
+    }
+  }
+
+  /**
+   * Filters an existing transient's value.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 2.8.0
+   *
+   * @param {*} value Value of transient.
+   * @param {string} transient Transient name.
+   */
+  return applyFiltersAsync(`transient_${transient}`, value, transient);
+}
+
+/**
+ * Sets/updates the value of a transient.
+ *
+ * You do not need to serialize values. If the value needs to be serialized,
+ * then it will be serialized before it is set.
+ *
+ * Transients with an expiration are not autoloaded, and their expiration time
+ * is kept in a `_transient_timeout_` option next to them.
+ *
+ * @since 2.8.0
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped.
+ *                           Must be 172 characters or fewer in length.
+ * @param {*} value Transient value. Must be serializable if non-scalar.
+ * @param {number} [expiration=0] Optional. Time until expiration in seconds. Default 0 (no expiration).
+ * @return {Promise<boolean>} True if the value was set, false otherwise.
+ */
+async function setTransient(transient, value, expiration = 0) {
+  expiration = parseInt(expiration, 10) || 0;
+
+  /**
+   * Filters a specific transient before its value is set.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 3.0.0
+   *
+   * @param {*} value New value of transient.
+   * @param {number} expiration Time until expiration in seconds.
+   * @param {string} transient Transient name.
+   */
+  value = await applyFiltersAsync(`pre_set_transient_${transient}`, value, expiration, transient);
+
+  /**
+   * Filters the expiration for a transient before its value is set.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 4.4.0
+   *
+   * @param {number} expiration Time until expiration in seconds. Use 0 for no expiration.
+   * @param {*} value New value of transient.
+   * @param {string} transient Transient name.
+   */
+  expiration = await applyFiltersAsync(`expiration_of_transient_${transient}`, expiration, value, transient);
+
+  let result;
+
+  if (wpUsingExtObjectCache()) {
+    result = await wpCacheSet(transient, value, 'transient', expiration);
+  } else {
+    const transientTimeout = `_transient_timeout_${transient}`;
+    const transientOption = `_transient_${transient}`;
+
+    if (false === await getOption(transientOption)) {
+      let autoload = 'yes';
+      if (expiration) {
+        autoload = 'no';
+        await addOption(transientTimeout, time() + expiration, '', 'no');
+      }
+      result = await addOption(transientOption, value, '', autoload);
+    } else {
+      /*
+       * If expiration is requested, but the transient has no timeout option,
+       * delete, then re-create transient rather than update.
+       */
+      let update = true;
+
+      if (expiration) {
+        if (false === await getOption(transientTimeout)) {
+          await deleteOption(transientOption);
+          await addOption(transientTimeout, time() + expiration, '', 'no');
+          result = await addOption(transientOption, value, '', 'no');
+          update = false;
+        } else {
+          await updateOption(transientTimeout, time() + expiration);
+        }
+      }
+
+      if (update) {
+        result = await updateOption(transientOption, value);
+      }
+    }
+  }
+
+  if (result) {
+    /**
+     * Fires after the value for a specific transient has been set.
+     *
+     * The dynamic portion of the hook name, `transient`, refers to the transient name.
+     *
+     * @since 3.0.0
+     *
+     * @param {*} value Transient value.
+     * @param {number} expiration Time until expiration in seconds.
+     * @param {string} transient The name of the transient.
+     */
+    doAction(`set_transient_${transient}`, value, expiration, transient);
+
+    /**
+     * Fires after the value for a transient has been set.
+     *
+     * @since 3.0.0
+     *
+     * @param {string} transient The name of the transient.
+     * @param {*} value Transient value.
+     * @param {number} expiration Time until expiration in seconds.
+     */
+    doAction('setted_transient', transient, value, expiration);
+  }
+
+  return result;
+}
+
+/**
+ * Deletes all expired transients.
+ *
+ * Note that this function won't do anything if an external object cache is in use.
+ *
+ * The multi-table delete syntax is used to delete the transient record
+ * from table a, and the corresponding transient_timeout record from table b.
+ * SQLite has no such syntax, so there the timeouts are deleted after the
+ * transients they belong to.
+ *
+ * @since 4.9.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {boolean} [forceDb=false] Optional. Force cleanup to run against the database
+ *                                  even when an external object cache is used.
+ * @return {Promise<void>}
+ */
+async function deleteExpiredTransients(forceDb = false) {
+  const { wpdb } = global;
+
+  if (!forceDb && wpUsingExtObjectCache()) {
+    return;
+  }
+
+  const now = time();
+  const tables = [[wpdb.options, 'option_name', 'option_value', '_transient_', '_transient_timeout_']];
+
+  if (!isMultisite()) {
+    // Single site stores site transients in the options table.
+    tables.push([wpdb.options, 'option_name', 'option_value', '_site_transient_', '_site_transient_timeout_']);
+  } else {
+    // Multisite stores site transients in the sitemeta table.
+    tables.push([wpdb.siteMeta, 'meta_key', 'meta_value', '_site_transient_', '_site_transient_timeout_']);
+  }
+
+  for (const [table, nameColumn, valueColumn, prefix, timeoutPrefix] of tables) {
+    if (wpdb.isMySQL) {
+      await wpdb.query(wpdb.prepare(
+        `DELETE a, b FROM ${table} a, ${table} b
+        WHERE a.${nameColumn} LIKE %s
+        AND a.${nameColumn} NOT LIKE %s
+        AND b.${nameColumn} = CONCAT( %s, SUBSTRING( a.${nameColumn}, ${prefix.length + 1} ) )
+        AND b.${valueColumn} < %d`,
+        `${wpdb.escLike(prefix)}%`,
+        `${wpdb.escLike(timeoutPrefix)}%`,
+        timeoutPrefix,
+        now
+      ));
+    } else {
+      await wpdb.query(wpdb.prepare(
+        `DELETE FROM ${table}
+        WHERE ${nameColumn} LIKE %s ESCAPE '\\'
+        AND ${nameColumn} NOT LIKE %s ESCAPE '\\'
+        AND %s || SUBSTR( ${nameColumn}, ${prefix.length + 1} ) IN (
+          SELECT ${nameColumn} FROM ${table} WHERE ${nameColumn} LIKE %s ESCAPE '\\' AND CAST( ${valueColumn} AS INTEGER ) < %d
+        )`,
+        `${wpdb.escLike(prefix)}%`,
+        `${wpdb.escLike(timeoutPrefix)}%`,
+        timeoutPrefix,
+        `${wpdb.escLike(timeoutPrefix)}%`,
+        now
+      ));
+      await wpdb.query(wpdb.prepare(
+        `DELETE FROM ${table} WHERE ${nameColumn} LIKE %s ESCAPE '\\' AND CAST( ${valueColumn} AS INTEGER ) < %d`,
+        `${wpdb.escLike(timeoutPrefix)}%`,
+        now
+      ));
+    }
+  }
+
+  // The rows were deleted behind the back of the option caches.
+  await wpCacheFlushGroup('options');
+  await wpCacheFlushGroup('site-options');
+}
+
+/**
+ * Schedules the deletion of the expired transients, daily by default.
+ *
+ * PHP WordPress schedules it with WP-Cron. Here a timer of the process fires the
+ * 'delete_expired_transients' action, which runs deleteExpiredTransients(), in a query
+ * context and an object cache request of its own. The timer doesn't keep the process alive.
+ *
+ * @param {number} [interval=86400000] Optional. Milliseconds between two runs. Default a day.
+ * @return {NodeJS.Timeout} The timer. Already scheduled, the existing one.
+ */
+function wpScheduleDeleteExpiredTransients(interval = 24 * 60 * 60 * 1000) {
+  if (!hasAction('delete_expired_transients', deleteExpiredTransients)) {
+    addAction('delete_expired_transients', deleteExpiredTransients, 10, 0);
+  }
+
+  if (!deleteExpiredTransientsTimer) {
+    deleteExpiredTransientsTimer = setInterval(() => {
+      const { wpdb, wpObjectCache } = global;
+
+      wpdb.runInContext(() => wpObjectCache.runInRequest(() => doActionAsync('delete_expired_transients')))
+        .catch((error) => console.error(`Failed to delete the expired transients: ${error.message}`));
+    }, interval);
+    deleteExpiredTransientsTimer.unref();
+  }
+
+  return deleteExpiredTransientsTimer;
+}
+
+/**
+ * Stops the deletion of the expired transients scheduled by wpScheduleDeleteExpiredTransients().
+ */
+function wpUnscheduleDeleteExpiredTransients() {
+  clearInterval(deleteExpiredTransientsTimer);
+  deleteExpiredTransientsTimer = null;
+}
+
+/**
+ * Normalizes the network ID argument of the network option functions.
+ *
+ * @param {number|null} networkId ID of the network, or null for the current network.
+ * @return {number|false} The network ID, or false if it is not numeric.
+ */
+function networkIdValue(networkId) {
+  if (networkId && Number.isNaN(Number(networkId))) {
+    return false;
+  }
+
+  return parseInt(networkId, 10) || getCurrentNetworkId();
+}
+
+/**
+ * Retrieves a network's option value based on the option name.
+ *
+ * On a single site, network options are regular options.
+ *
+ * @since 4.4.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|null} networkId ID of the network. Can be null to default to the current network ID.
+ * @param {string} option Name of the option to retrieve. Expected to not be SQL-escaped.
+ * @param {*} [defaultValue=false] Optional. Value to return if the option doesn't exist.
+ * @return {Promise<*>} Value set for the option.
+ */
+async function getNetworkOption(networkId, option, defaultValue = false) {
+  const { wpdb } = global;
+
+  networkId = networkIdValue(networkId);
+  if (false === networkId) {
+    return false;
+  }
+
+  /**
+   * Filters the value of an existing network option before it is retrieved.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * Returning a value other than false from the filter will short-circuit retrieval
+   * and return that value instead.
+   *
+   * @since 4.4.0
+   *
+   * @param {*} pre The value to return instead of the option value. Default false.
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   * @param {*} defaultValue The fallback value to return if the option does not exist.
+   */
+  const pre = await applyFiltersAsync(`pre_site_option_${option}`, false, option, networkId, defaultValue);
+
+  if (false !== pre) {
+    return pre;
+  }
+
+  /**
+   * Filters the default value for a network option.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {*} defaultValue The value to return if the site option does not exist in the database.
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   */
+  const defaultSiteOption = () => applyFiltersAsync(`default_site_option_${option}`, defaultValue, option, networkId);
+
+  // Prevent non-existent options from triggering multiple queries.
+  const notoptionsKey = `${networkId}:notoptions`;
+  const notoptions = await wpCacheGet(notoptionsKey, 'site-options');
+
+  if (notoptions && notoptions[option]) {
+    return defaultSiteOption();
+  }
+
+  let value;
+
+  if (!isMultisite()) {
+    /** This filter is documented in wp-includes/option.js */
+    defaultValue = await defaultSiteOption();
+    value = await getOption(option, defaultValue);
+  } else {
+    const cacheKey = `${networkId}:${option}`;
+    value = await wpCacheGet(cacheKey, 'site-options');
+
+    if (false === value) {
+      const row = await wpdb.getRow(wpdb.prepare(
+        `SELECT meta_value FROM ${wpdb.siteMeta} WHERE meta_key = %s AND site_id = %d`,
+        option,
+        networkId
+      ));
+
+      // Has to be get_row() instead of get_var() because of funkiness with 0, false, null values.
+      if (row) {
+        value = maybeUnserialize(row.meta_value);
+        await wpCacheSet(cacheKey, value, 'site-options');
+      } else {
+        await wpCacheSet(notoptionsKey, { ...(notoptions || {}), [option]: true }, 'site-options');
+
+        /** This filter is documented in wp-includes/option.js */
+        value = await defaultSiteOption();
+      }
+    }
+  }
+
+  /**
+   * Filters the value of an existing network option.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {*} value Value of network option.
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   */
+  return applyFiltersAsync(`site_option_${option}`, value, option, networkId);
+}
+
+/**
+ * Adds a new network option.
+ *
+ * Existing options will not be updated.
+ *
+ * @since 4.4.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|null} networkId ID of the network. Can be null to default to the current network ID.
+ * @param {string} option Name of the option to add. Expected to not be SQL-escaped.
+ * @param {*} value Option value, can be anything. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the option was added, false otherwise.
+ * @throws {Error} If the option is protected.
+ */
+async function addNetworkOption(networkId, option, value) {
+  const { wpdb } = global;
+
+  networkId = networkIdValue(networkId);
+  if (false === networkId) {
+    return false;
+  }
+
+  wpProtectSpecialOption(option);
+
+  /**
+   * Filters the value of a specific network option before it is added.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {*} value Value of network option.
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   */
+  value = await applyFiltersAsync(`pre_add_site_option_${option}`, value, option, networkId);
+
+  const notoptionsKey = `${networkId}:notoptions`;
+  let result;
+
+  if (!isMultisite()) {
+    result = await addOption(option, value, '', 'no');
+  } else {
+    const cacheKey = `${networkId}:${option}`;
+
+    /*
+     * Make sure the option doesn't already exist.
+     * We can check the 'notoptions' cache before we ask for a DB query.
+     */
+    const notoptions = await wpCacheGet(notoptionsKey, 'site-options');
+
+    if (!notoptions || !notoptions[option]) {
+      if (false !== await getNetworkOption(networkId, option, false)) {
+        return false;
+      }
+    }
+
+    result = await wpdb.insert(wpdb.siteMeta, {
+      site_id: networkId,
+      meta_key: option,
+      meta_value: maybeSerialize(value),
+    });
+
+    if (!result) {
+      return false;
+    }
+
+    await wpCacheSet(cacheKey, value, 'site-options');
+
+    // This option exists now.
+    const notoptionsAfter = await wpCacheGet(notoptionsKey, 'site-options'); // Yes, again... we need it to be fresh.
+    if (notoptionsAfter && notoptionsAfter[option]) {
+      delete notoptionsAfter[option];
+      await wpCacheSet(notoptionsKey, notoptionsAfter, 'site-options');
+    }
+  }
+
+  if (!result) {
+    return false;
+  }
+
+  /**
+   * Fires after a specific network option has been successfully added.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {*} value Value of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction(`add_site_option_${option}`, option, value, networkId);
+
+  /**
+   * Fires after a network option has been successfully added.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {*} value Value of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction('add_site_option', option, value, networkId);
+
+  return true;
+}
+
+/**
+ * Removes a network option by name.
+ *
+ * @since 4.4.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|null} networkId ID of the network. Can be null to default to the current network ID.
+ * @param {string} option Name of the option to delete. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the option was deleted, false otherwise.
+ */
+async function deleteNetworkOption(networkId, option) {
+  const { wpdb } = global;
+
+  networkId = networkIdValue(networkId);
+  if (false === networkId) {
+    return false;
+  }
+
+  /**
+   * Fires immediately before a specific network option is deleted.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   */
+  doAction(`pre_delete_site_option_${option}`, option, networkId);
+
+  let result;
+
+  if (!isMultisite()) {
+    result = await deleteOption(option);
+  } else {
+    const row = await wpdb.getRow(wpdb.prepare(
+      `SELECT meta_id FROM ${wpdb.siteMeta} WHERE meta_key = %s AND site_id = %d`,
+      option,
+      networkId
+    ));
+
+    if (!row || !row.meta_id) {
+      return false;
+    }
+
+    await wpCacheDelete(`${networkId}:${option}`, 'site-options');
+
+    result = await wpdb.delete(wpdb.siteMeta, { meta_key: option, site_id: networkId });
+  }
+
+  if (!result) {
+    return false;
+  }
+
+  /**
+   * Fires after a specific network option has been deleted.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction(`delete_site_option_${option}`, option, networkId);
+
+  /**
+   * Fires after a network option has been deleted.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction('delete_site_option', option, networkId);
+
+  return true;
+}
+
+/**
+ * Updates the value of a network option that was already added.
+ *
+ * If the option does not exist, it will be created.
+ *
+ * @since 4.4.0
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {number|null} networkId ID of the network. Can be null to default to the current network ID.
+ * @param {string} option Name of the option. Expected to not be SQL-escaped.
+ * @param {*} value Option value. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the value was updated, false otherwise.
+ * @throws {Error} If the option is protected.
+ */
+async function updateNetworkOption(networkId, option, value) {
+  const { wpdb } = global;
+
+  networkId = networkIdValue(networkId);
+  if (false === networkId) {
+    return false;
+  }
+
+  wpProtectSpecialOption(option);
+
+  const oldValue = await getNetworkOption(networkId, option);
+
+  /**
+   * Filters a specific network option before its value is updated.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {*} value New value of the network option.
+   * @param {*} oldValue Old value of the network option.
+   * @param {string} option Option name.
+   * @param {number} networkId ID of the network.
+   */
+  value = await applyFiltersAsync(`pre_update_site_option_${option}`, value, oldValue, option, networkId);
+
+  /*
+   * If the new and old values are the same, no need to update.
+   *
+   * Unserialized values will be adequate in most cases. If the unserialized
+   * data differs, the (maybe) serialized data is checked to avoid
+   * unnecessary database calls for otherwise identical object instances.
+   */
+  if (value === oldValue || maybeSerialize(value) === maybeSerialize(oldValue)) {
+    return false;
+  }
+
+  if (false === oldValue) {
+    return addNetworkOption(networkId, option, value);
+  }
+
+  const notoptionsKey = `${networkId}:notoptions`;
+  const notoptions = await wpCacheGet(notoptionsKey, 'site-options');
+
+  if (notoptions && notoptions[option]) {
+    delete notoptions[option];
+    await wpCacheSet(notoptionsKey, notoptions, 'site-options');
+  }
+
+  let result;
+
+  if (!isMultisite()) {
+    result = await updateOption(option, value, 'no');
+  } else {
+    result = await wpdb.update(
+      wpdb.siteMeta,
+      { meta_value: maybeSerialize(value) },
+      { site_id: networkId, meta_key: option }
+    );
+
+    if (result) {
+      await wpCacheSet(`${networkId}:${option}`, value, 'site-options');
+    }
+  }
+
+  if (!result) {
+    return false;
+  }
+
+  /**
+   * Fires after the value of a specific network option has been successfully updated.
+   *
+   * The dynamic portion of the hook name, `option`, refers to the option name.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {*} value Current value of the network option.
+   * @param {*} oldValue Old value of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction(`update_site_option_${option}`, option, value, oldValue, networkId);
+
+  /**
+   * Fires after the value of a network option has been successfully updated.
+   *
+   * @since 4.4.0
+   *
+   * @param {string} option Name of the network option.
+   * @param {*} value Current value of the network option.
+   * @param {*} oldValue Old value of the network option.
+   * @param {number} networkId ID of the network.
+   */
+  doAction('update_site_option', option, value, oldValue, networkId);
+
+  return true;
+}
+
+/**
+ * Retrieves an option value for the current network based on name of option.
+ *
+ * @since 2.8.0
+ *
+ * @see getNetworkOption()
+ *
+ * @param {string} option Name of the option to retrieve. Expected to not be SQL-escaped.
+ * @param {*} [defaultValue=false] Optional. Value to return if the option doesn't exist.
+ * @return {Promise<*>} Value set for the option.
+ */
+function getSiteOption(option, defaultValue = false) {
+  return getNetworkOption(null, option, defaultValue);
+}
+
+/**
+ * Adds a new option for the current network.
+ *
+ * Existing options will not be updated. Note that prior to 3.3 this wasn't the case.
+ *
+ * @since 2.8.0
+ *
+ * @see addNetworkOption()
+ *
+ * @param {string} option Name of the option to add. Expected to not be SQL-escaped.
+ * @param {*} value Option value, can be anything. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the option was added, false otherwise.
+ */
+function addSiteOption(option, value) {
+  return addNetworkOption(null, option, value);
+}
+
+/**
+ * Removes an option by name for the current network.
+ *
+ * @since 2.8.0
+ *
+ * @see deleteNetworkOption()
+ *
+ * @param {string} option Name of the option to delete. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the option was deleted, false otherwise.
+ */
+function deleteSiteOption(option) {
+  return deleteNetworkOption(null, option);
+}
+
+/**
+ * Updates the value of an option that was already added for the current network.
+ *
+ * @since 2.8.0
+ *
+ * @see updateNetworkOption()
+ *
+ * @param {string} option Name of the option. Expected to not be SQL-escaped.
+ * @param {*} value Option value. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the value was updated, false otherwise.
+ */
+function updateSiteOption(option, value) {
+  return updateNetworkOption(null, option, value);
+}
+
+/**
+ * Deletes a site transient.
+ *
+ * @since 2.9.0
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped.
+ * @return {Promise<boolean>} True if the transient was deleted, false otherwise.
+ */
+async function deleteSiteTransient(transient) {
+  /**
+   * Fires immediately before a specific site transient is deleted.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 3.0.0
+   *
+   * @param {string} transient Transient name.
+   */
+  doAction(`delete_site_transient_${transient}`, transient);
+
+  let result;
+
+  if (wpUsingExtObjectCache()) {
+    result = await wpCacheDelete(transient, 'site-transient');
+  } else {
+    const optionTimeout = `_site_transient_timeout_${transient}`;
+    const option = `_site_transient_${transient}`;
+    result = await deleteSiteOption(option);
+
+    if (result) {
+      await deleteSiteOption(optionTimeout);
+    }
+  }
+
+  if (result) {
+    /**
+     * Fires after a transient is deleted.
+     *
+     * @since 3.0.0
+     *
+     * @param {string} transient Deleted transient name.
+     */
+    doAction('deleted_site_transient', transient);
+  }
+
+  return result;
+}
+
+/**
+ * Retrieves the value of a site transient.
+ *
+ * If the transient does not exist, does not have a value, or has expired,
+ * then the return value will be false.
+ *
+ * @since 2.9.0
+ *
+ * @see getTransient()
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped.
+ * @return {Promise<*>} Value of transient.
+ */
+async function getSiteTransient(transient) {
+  /**
+   * Filters the value of an existing site transient before it is retrieved.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * Returning a value other than boolean false will short-circuit retrieval and
+   * return that value instead.
+   *
+   * @since 2.9.0
+   *
+   * @param {*} pre The default value to return if the site transient does not exist.
+   *                Any value other than false will short-circuit the retrieval
+   *                of the transient, and return that value.
+   * @param {string} transient Transient name.
+   */
+  const pre = await applyFiltersAsync(`pre_site_transient_${transient}`, false, transient);
+
+  if (false !== pre) {
+    return pre;
+  }
+
+  let value;
+
+  if (wpUsingExtObjectCache()) {
+    value = await wpCacheGet(transient, 'site-transient');
+  } else {
+    // Core transients that do not have a timeout. Listed here so querying timeouts can be avoided.
+    const noTimeout = ['update_core', 'update_plugins', 'update_themes'];
+    const transientOption = `_site_transient_${transient}`;
+
+    if (!noTimeout.includes(transient)) {
+      const transientTimeout = `_site_transient_timeout_${transient}`;
+      const timeout = await getSiteOption(transientTimeout);
+
+      if (false !== timeout && Number(timeout) < time()) {
+        await deleteSiteOption(transientOption);
+        await deleteSiteOption(transientTimeout);
+        value = false;
+      }
+    }
+
+    if (undefined === value) {
+      value = await getSiteOption(transientOption);
+    }
+  }
+
+  /**
+   * Filters the value of an existing site transient.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 2.9.0
+   *
+   * @param {*} value Value of site transient.
+   * @param {string} transient Transient name.
+   */
+  return applyFiltersAsync(`site_transient_${transient}`, value, transient);
+}
+
+/**
+ * Sets/updates the value of a site transient.
+ *
+ * You do not need to serialize values. If the value needs to be serialized,
+ * then it will be serialized before it is set.
+ *
+ * @since 2.9.0
+ *
+ * @see setTransient()
+ *
+ * @param {string} transient Transient name. Expected to not be SQL-escaped. Must be
+ *                           167 characters or fewer in length.
+ * @param {*} value Transient value. Expected to not be SQL-escaped.
+ * @param {number} [expiration=0] Optional. Time until expiration in seconds. Default 0 (no expiration).
+ * @return {Promise<boolean>} True if the value was set, false otherwise.
+ */
+async function setSiteTransient(transient, value, expiration = 0) {
+  /**
+   * Filters the value of a specific site transient before it is set.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 3.0.0
+   *
+   * @param {*} value New value of site transient.
+   * @param {string} transient Transient name.
+   */
+  value = await applyFiltersAsync(`pre_set_site_transient_${transient}`, value, transient);
+
+  expiration = parseInt(expiration, 10) || 0;
+
+  /**
+   * Filters the expiration for a site transient before its value is set.
+   *
+   * The dynamic portion of the hook name, `transient`, refers to the transient name.
+   *
+   * @since 4.4.0
+   *
+   * @param {number} expiration Time until expiration in seconds. Use 0 for no expiration.
+   * @param {*} value New value of site transient.
+   * @param {string} transient Transient name.
+   */
+  expiration = await applyFiltersAsync(`expiration_of_site_transient_${transient}`, expiration, value, transient);
+
+  let result;
+
+  if (wpUsingExtObjectCache()) {
+    result = await wpCacheSet(transient, value, 'site-transient', expiration);
+  } else {
+    const transientTimeout = `_site_transient_timeout_${transient}`;
+    const option = `_site_transient_${transient}`;
+
+    if (false === await getSiteOption(option)) {
+      if (expiration) {
+        await addSiteOption(transientTimeout, time() + expiration);
+      }
+      result = await addSiteOption(option, value);
+    } else {
+      if (expiration) {
+        await updateSiteOption(transientTimeout, time() + expiration);
+      }
+      result = await updateSiteOption(option, value);
+    }
+  }
+
+  if (result) {
+    /**
+     * Fires after the value for a specific site transient has been set.
+     *
+     * The dynamic portion of the hook name, `transient`, refers to the transient name.
+     *
+     * @since 3.0.0
+     *
+     * @param {*} value Site transient value.
+     * @param {number} expiration Time until expiration in seconds.
+     * @param {string} transient Transient name.
+     */
+    doAction(`set_site_transient_${transient}`, value, expiration, transient);
+
+    /**
+     * Fires after the value for a site transient has been set.
+     *
+     * @since 3.0.0
+     *
+     * @param {string} transient The name of the site transient.
+     * @param {*} value Site transient value.
+     * @param {number} expiration Time until expiration in seconds.
+     */
+    doAction('setted_site_transient', transient, value, expiration);
+  }
+
+  return result;
+}
+
+export {
+  getOption,
+  wpProtectSpecialOption,
+  wpLoadAlloptions,
+  updateOption,
+  addOption,
+  deleteOption,
+  deleteTransient,
+  getTransient,
+  setTransient,
+  deleteExpiredTransients,
+  wpScheduleDeleteExpiredTransients,
+  wpUnscheduleDeleteExpiredTransients,
+  getSiteOption,
+  addSiteOption,
+  deleteSiteOption,
+  updateSiteOption,
+  getNetworkOption,
+  addNetworkOption,
+  deleteNetworkOption,
+  updateNetworkOption,
+  deleteSiteTransient,
+  getSiteTransient,
+  setSiteTransient,
+};
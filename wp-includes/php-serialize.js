@@ -0,0 +1,376 @@
+/**
+ * PHP serialization
+ *
+ * Reads and writes values in the format of PHP's serialize(), which WordPress uses for
+ * options, meta and transients, so that NextPress can share a database with PHP WordPress.
+ *
+ * Only data is read. Objects become plain objects carrying their class name in the
+ * `__PHP_Incomplete_Class_Name` property, as PHP's unserialize() does for classes it may
+ * not load, so they are written back as the same objects. No code runs and no class loads.
+ *
+ * @package WordPress
+ */
+
+/**
+ * Property holding the PHP class name of unserialized objects.
+ *
+ * @type {string}
+ */
+const PHP_CLASS_NAME = '__PHP_Incomplete_Class_Name';
+
+/**
+ * Maximum nesting depth of arrays and objects, PHP's unserialize_max_depth default.
+ *
+ * @type {number}
+ */
+const MAX_DEPTH = 4096;
+
+/**
+ * Matches the keys PHP casts to integers.
+ *
+ * @type {RegExp}
+ */
+const INTEGER_KEY = /^(?:0|-?[1-9][0-9]*)$/;
+
+/**
+ * Formats a float as PHP does with serialize_precision -1.
+ *
+ * @param {number} value The float.
+ * @return {string} The float, e.g. '0.1', '1.0E+25' or 'INF'.
+ */
+function formatFloat(value) {
+  if (Number.isNaN(value)) {
+    return 'NAN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? 'INF' : '-INF';
+  }
+  if (Object.is(value, -0)) {
+    return '-0';
+  }
+
+  const text = String(value);
+  const exponent = text.indexOf('e');
+  if (-1 === exponent) {
+    return text;
+  }
+
+  const mantissa = text.slice(0, exponent);
+  return `${mantissa.includes('.') ? mantissa : `${mantissa}.0`}E${text.slice(exponent + 1)}`;
+}
+
+/**
+ * Serializes a value in the format of PHP's serialize().
+ *
+ * - Safe integers become PHP integers, other numbers PHP floats, and bigints PHP integers.
+ * - Strings are written with their length in bytes.
+ * - Arrays become PHP lists, and other objects PHP associative arrays, or objects of
+ *   the class named by their `__PHP_Incomplete_Class_Name` property.
+ * - Maps become PHP associative arrays, Sets PHP lists and Dates ISO 8601 strings.
+ * - null and undefined become PHP null.
+ *
+ * @param {*} value The value to serialize.
+ * @return {string} The serialized value.
+ * @throws {TypeError} If the value contains a function, a symbol, or itself.
+ */
+function phpSerialize(value) {
+  const ancestors = new Set();
+
+  const serializeEntries = (entries) => entries.map(([key, item]) => {
+    // PHP casts decimal integer keys to integers.
+    const serializedKey = INTEGER_KEY.test(String(key)) ? `i:${key};` : serializeValue(String(key));
+    return serializedKey + serializeValue(item);
+  }).join('');
+
+  const serializeValue = (item) => {
+    if (null === item || undefined === item) {
+      return 'N;';
+    }
+
+    switch (typeof item) {
+      case 'boolean':
+        return `b:${item ? 1 : 0};`;
+
+      case 'number':
+        return Number.isSafeInteger(item) && !Object.is(item, -0) ? `i:${item};` : `d:${formatFloat(item)};`;
+
+      case 'bigint':
+        return `i:${item};`;
+
+      case 'string':
+        return `s:${Buffer.byteLength(item, 'utf8')}:"${item}";`;
+
+      case 'object':
+        break;
+
+      default:
+        throw new TypeError(`Serialization of '${typeof item}' is not allowed`);
+    }
+
+    if (item instanceof Date) {
+      return serializeValue(item.toISOString());
+    }
+
+    if (ancestors.has(item)) {
+      throw new TypeError('Cannot serialize a value that contains itself');
+    }
+    ancestors.add(item);
+
+    let serialized;
+    if (Array.isArray(item) || item instanceof Set) {
+      const entries = [...item].map((element, index) => [index, element]);
+      serialized = `a:${entries.length}:{${serializeEntries(entries)}}`;
+    } else if (item instanceof Map) {
+      serialized = `a:${item.size}:{${serializeEntries([...item])}}`;
+    } else if ('string' === typeof item[PHP_CLASS_NAME] && '' !== item[PHP_CLASS_NAME]) {
+      const className = item[PHP_CLASS_NAME];
+      const entries = Object.entries(item).filter(([key]) => PHP_CLASS_NAME !== key);
+      serialized = `O:${Buffer.byteLength(className, 'utf8')}:"${className}":${entries.length}:{${serializeEntries(entries)}}`;
+    } else {
+      const entries = Object.entries(item);
+      serialized = `a:${entries.length}:{${serializeEntries(entries)}}`;
+    }
+
+    ancestors.delete(item);
+    return serialized;
+  };
+
+  return serializeValue(value);
+}
+
+/**
+ * Unserializes a value in the format of PHP's serialize().
+ *
+ * - PHP arrays whose keys are 0 to n - 1, in order, become arrays, other PHP arrays plain
+ *   objects. As in any JS object, integer keys then come first, in ascending order.
+ * - PHP objects become plain objects with their class name in `__PHP_Incomplete_Class_Name`.
+ *   Private and protected properties keep their mangled names, e.g. "\0*\0name".
+ * - Integers beyond Number.MAX_SAFE_INTEGER become bigints rather than losing precision.
+ * - References (`R:` and `r:`) point to the same value, as in PHP.
+ *
+ * Classes implementing Serializable (`C:`) and enums (`E:`) hold data only their class can
+ * read, so like any malformed input they make the whole value invalid.
+ *
+ * @param {string|Buffer} data The serialized value.
+ * @return {*} The value, or false if the data is malformed.
+ */
+function phpUnserialize(data) {
+  if ('string' !== typeof data && !Buffer.isBuffer(data)) {
+    return false;
+  }
+
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  // Values that references can point to, numbered from 1 as in PHP.
+  const slots = [undefined];
+  let offset = 0;
+  let depth = 0;
+
+  const expect = (char) => {
+    if (String.fromCharCode(buffer[offset]) !== char) {
+      throw new SyntaxError(`Expected "${char}" at offset ${offset}.`);
+    }
+    offset += 1;
+  };
+
+  const readUntil = (char) => {
+    const end = buffer.indexOf(char, offset);
+    if (-1 === end) {
+      throw new SyntaxError(`Expected "${char}" after offset ${offset}.`);
+    }
+
+    const text = buffer.toString('latin1', offset, end);
+    offset = end + 1;
+    return text;
+  };
+
+  const readInteger = (char) => {
+    const text = readUntil(char);
+    if (!/^[+-]?[0-9]+$/.test(text)) {
+      throw new SyntaxError(`Invalid integer "${text}".`);
+    }
+
+    const value = Number(text);
+    return Number.isSafeInteger(value) ? value : BigInt(text);
+  };
+
+  const readLength = (char) => {
+    const length = readInteger(char);
+    if ('number' !== typeof length || length < 0) {
+      throw new SyntaxError(`Invalid length ${length}.`);
+    }
+
+    return length;
+  };
+
+  const readString = () => {
+    const length = readLength(':');
+    expect('"');
+    if (offset + length > buffer.length) {
+      throw new SyntaxError(`Invalid string length ${length}.`);
+    }
+
+    const text = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+    expect('"');
+    return text;
+  };
+
+  const readKey = () => {
+    const type = String.fromCharCode(buffer[offset]);
+    offset += 1;
+    expect(':');
+
+    if ('i' === type) {
+      return String(readInteger(';'));
+    }
+    if ('s' === type) {
+      const key = readString();
+      expect(';');
+      return key;
+    }
+
+    throw new SyntaxError(`Invalid key type "${type}".`);
+  };
+
+  const readEntries = (count) => {
+    expect('{');
+    depth += 1;
+    if (depth > MAX_DEPTH) {
+      throw new SyntaxError(`Maximum depth of ${MAX_DEPTH} exceeded.`);
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const key = readKey();
+      entries.push([key, readValue()]);
+    }
+
+    depth -= 1;
+    expect('}');
+    return entries;
+  };
+
+  const assignEntries = (target, entries) => {
+    // Own properties only: keys like "__proto__" must not reach the prototype.
+    for (const [key, item] of entries) {
+      Object.defineProperty(target, key, { value: item, enumerable: true, writable: true, configurable: true });
+    }
+
+    return target;
+  };
+
+  const readArray = (slot) => {
+    const entries = readEntries(readLength(':'));
+
+    const value = entries.every(([key], index) => String(index) === key)
+      ? entries.map(([, item]) => item)
+      : assignEntries({}, entries);
+
+    slots[slot] = value;
+    return value;
+  };
+
+  const readObject = (slot) => {
+    const className = readString();
+    expect(':');
+    if (!/^[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff\\]*$/.test(className)) {
+      throw new SyntaxError(`Invalid class name "${className}".`);
+    }
+
+    // Register the object first, so that its properties can refer to it.
+    const object = { [PHP_CLASS_NAME]: className };
+    slots[slot] = object;
+
+    return assignEntries(object, readEntries(readLength(':')));
+  };
+
+  const readValue = () => {
+    const type = String.fromCharCode(buffer[offset]);
+    offset += 1;
+
+    if ('N' === type) {
+      expect(';');
+      slots.push(null);
+      return null;
+    }
+
+    expect(':');
+
+    if ('R' === type || 'r' === type) {
+      const index = readInteger(';');
+      if ('number' !== typeof index || index < 1 || index >= slots.length) {
+        throw new SyntaxError(`Invalid reference ${index}.`);
+      }
+
+      const value = slots[index];
+      if (undefined === value) {
+        throw new SyntaxError(`Reference ${index} to an incomplete value.`);
+      }
+
+      // R: shares the variable of an earlier value, r: only its object, and gets a slot.
+      if ('r' === type) {
+        slots.push(value);
+      }
+      return value;
+    }
+
+    const slot = slots.length;
+    slots.push(undefined);
+
+    let value;
+    switch (type) {
+      case 'b': {
+        const flag = readInteger(';');
+        if (0 !== flag && 1 !== flag) {
+          throw new SyntaxError('Invalid boolean.');
+        }
+        value = 1 === flag;
+        break;
+      }
+
+      case 'i':
+        value = readInteger(';');
+        break;
+
+      case 'd': {
+        const text = readUntil(';');
+        if ('NAN' === text) {
+          value = NaN;
+        } else if ('INF' === text || '-INF' === text) {
+          value = 'INF' === text ? Infinity : -Infinity;
+        } else if (/^[+-]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?$/.test(text)) {
+          value = Number(text);
+        } else {
+          throw new SyntaxError(`Invalid float "${text}".`);
+        }
+        break;
+      }
+
+      case 's':
+        value = readString();
+        expect(';');
+        break;
+
+      case 'a':
+        return readArray(slot);
+
+      case 'O':
+        return readObject(slot);
+
+      default:
+        throw new SyntaxError(`Unsupported type "${type}".`);
+    }
+
+    slots[slot] = value;
+    return value;
+  };
+
+  try {
+    const value = readValue();
+    return offset === buffer.length ? value : false;
+  } catch (error) {
+    return false;
+  }
+}
+
+export { PHP_CLASS_NAME, phpSerialize, phpUnserialize };
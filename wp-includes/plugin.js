@@ -0,0 +1,911 @@
+/**
+ * The plugin API is located in this file, which allows for creating actions
+ * and filters and hooking functions, and methods. The functions or methods will
+ * then be run when the action or filter is called.
+ *
+ * The API callback examples reference functions, but can be methods of classes.
+ * To hook methods, bind them first and keep the bound function to remove it:
+ * `addAction('init', this.init = this.init.bind(this))`.
+ *
+ * Callbacks are kept in WPHook objects in the `wpFilter` global, keyed by hook name.
+ * Callbacks hooked to 'all' run before those of every action and filter, with the
+ * hook name and all its arguments.
+ *
+ * applyFiltersAsync() and doActionAsync() await each callback in turn, for callbacks
+ * that return promises. A callback that throws, rejects or outlasts the hook timeout is
+ * reported and skipped, so that one broken plugin doesn't break the request; with
+ * doActionAsyncStrict() it fails the action instead. The hooks running are tracked per
+ * async context, so that concurrent requests each see their own.
+ *
+ * With `WP_DEBUG` set in wp-config.js `envConfig`, the hooks of each request are traced,
+ * see WPHookTracer.
+ *
+ * @package WordPress
+ * @subpackage Plugin
+ * @since 1.5.0
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { envConfig } from '../wp-config.js';
+import WPHook from './class-wp-hook.js';
+import WPHookTracer from './class-wp-hook-tracer.js';
+
+/**
+ * The hooks running in the current async context, when awaited hooks run.
+ *
+ * @type {AsyncLocalStorage<Array<string>>}
+ */
+const filterStorage = new AsyncLocalStorage();
+
+/**
+ * Sets up the globals of the Plugin API, on first use or when WordPress starts.
+ *
+ * @global {Object<string, WPHook>} wpFilter Hooks, keyed by hook name.
+ * @global {Object<string, number>} wpActions Stores the number of times each action was triggered.
+ * @global {Object<string, number>} wpFilters Stores the number of times each filter was triggered.
+ * @global {Array<string>} wpCurrentFilter Stores the list of current filters with the current one last.
+ */
+function pluginGlobals() {
+  global.wpFilter = global.wpFilter || {};
+  global.wpActions = global.wpActions || {};
+  global.wpFilters = global.wpFilters || {};
+  global.wpCurrentFilter = global.wpCurrentFilter || [];
+}
+
+/**
+ * Retrieves the list of current filters of the current async context.
+ *
+ * Outside of awaited hooks, this is the `wpCurrentFilter` global.
+ *
+ * @private
+ *
+ * @global {Array<string>} wpCurrentFilter Stores the list of current filters with the current one last.
+ *
+ * @return {Array<string>} The current filters with the current one last.
+ */
+function filterStack() {
+  return filterStorage.getStore() || global.wpCurrentFilter;
+}
+
+/**
+ * Retrieves the hook tracer, when `WP_DEBUG` is set in wp-config.js `envConfig`.
+ *
+ * @example
+ * if (envConfig.WP_DEBUG) {
+ *   app.use(wpHookTracer().middleware());
+ * }
+ *
+ * @global {WPHookTracer} wpHookTracer Traces the hooks of each request.
+ *
+ * @return {WPHookTracer|null} The tracer, null if hooks aren't traced.
+ */
+function wpHookTracer() {
+  if (!envConfig.WP_DEBUG) {
+    return null;
+  }
+
+  global.wpHookTracer = global.wpHookTracer || new WPHookTracer();
+  return global.wpHookTracer;
+}
+
+/**
+ * Starts tracing a run of a hook, if hooks are traced.
+ *
+ * @private
+ *
+ * @param {string} type 'action' or 'filter'.
+ * @param {string} hookName The name of the hook.
+ * @param {*} value The filtered value, ignored for actions.
+ * @param {Array<*>} args The other arguments of the hook.
+ * @param {boolean} [async=false] Optional. Whether the hook is awaited.
+ * @return {Object|null} See WPHookTracer.start().
+ */
+function traceHook(type, hookName, value, args, async = false) {
+  const tracer = wpHookTracer();
+  return tracer ? tracer.start(type, hookName, value, args, { depth: filterStack().length, async }) : null;
+}
+
+/**
+ * Adds a callback function to a filter hook.
+ *
+ * WordPress offers filter hooks to allow plugins to modify
+ * various types of internal data at runtime.
+ *
+ * A plugin can modify data by binding a callback to a filter hook. When the filter
+ * is later applied, each bound callback is run in order of priority, and given
+ * the opportunity to modify a value by returning a new value.
+ *
+ * @example
+ * // Our filter callback function
+ * function exampleCallback(string, arg1, arg2) {
+ *   // (maybe) modify string
+ *   return string;
+ * }
+ * addFilter('example_filter', exampleCallback, 10, 3);
+ *
+ * // Apply the filters by calling the 'exampleCallback()' function
+ * // that's hooked onto `example_filter` above.
+ * //
+ * // - 'example_filter' is the filter hook.
+ * // - 'filter me' is the value being filtered.
+ * // - arg1 and arg2 are the additional arguments passed to the callback.
+ * const value = applyFilters('example_filter', 'filter me', arg1, arg2);
+ *
+ * @since 0.71
+ *
+ * @global {Object<string, WPHook>} wpFilter A multidimensional array of all hooks and the callbacks hooked to them.
+ *
+ * @param {string} hookName The name of the filter to add the callback to.
+ * @param {Function} callback The callback to be run when the filter is applied.
+ * @param {number} [priority=10] Optional. Used to specify the order in which the functions
+ *                               associated with a particular filter are executed.
+ *                               Lower numbers correspond with earlier execution,
+ *                               and functions with the same priority are executed
+ *                               in the order in which they were added to the filter. Default 10.
+ * @param {number} [acceptedArgs=1] Optional. The number of arguments the function accepts. Default 1.
+ * @return {true} Always returns true.
+ */
+function addFilter(hookName, callback, priority = 10, acceptedArgs = 1) {
+  pluginGlobals();
+
+  if (!global.wpFilter[hookName]) {
+    global.wpFilter[hookName] = new WPHook(hookName);
+  }
+
+  const tracer = wpHookTracer();
+  global.wpFilter[hookName].addFilter(hookName, callback, priority, acceptedArgs, tracer ? tracer.callerSource() : '');
+
+  return true;
+}
+
+/**
+ * Calls the callback functions that have been added to a filter hook.
+ *
+ * This function invokes all functions attached to filter hook `hookName`.
+ * It is possible to create new filter hooks by simply calling this function,
+ * specifying the name of the new hook using the `hookName` parameter.
+ *
+ * The function also allows for multiple additional arguments to be passed to hooks.
+ *
+ * @since 0.71
+ * @since 6.0.0 Formalized the existing and already documented `...args` parameter
+ *              by adding it to the function signature.
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ * @global {Object<string, number>} wpFilters Stores the number of times each filter was triggered.
+ * @global {Array<string>} wpCurrentFilter Stores the list of current filters with the current one last.
+ *
+ * @param {string} hookName The name of the filter hook.
+ * @param {*} value The value to filter.
+ * @param {...*} args Optional. Additional parameters to pass to the callback functions.
+ * @return {*} The filtered value after all hooked functions are applied to it.
+ */
+function applyFilters(hookName, value, ...args) {
+  pluginGlobals();
+
+  global.wpFilters[hookName] = (global.wpFilters[hookName] || 0) + 1;
+
+  const trace = traceHook('filter', hookName, value, args);
+
+  // Do 'all' actions first.
+  if (global.wpFilter.all) {
+    filterStack().push(hookName);
+    callAllHook([hookName, value, ...args]);
+  }
+
+  if (!global.wpFilter[hookName]) {
+    if (global.wpFilter.all) {
+      filterStack().pop();
+    }
+
+    if (trace) {
+      trace.end(value);
+    }
+
+    return value;
+  }
+
+  if (!global.wpFilter.all) {
+    filterStack().push(hookName);
+  }
+
+  try {
+    value = global.wpFilter[hookName].applyFilters(value, [value, ...args], trace && trace.record);
+  } finally {
+    filterStack().pop();
+
+    if (trace) {
+      trace.end(value);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Calls the callback functions that have been added to a filter hook, specifying arguments in an array.
+ *
+ * @since 3.0.0
+ *
+ * @see applyFilters() This function is identical, but the arguments passed to the
+ *                     functions hooked to `hookName` are supplied using an array.
+ *
+ * @param {string} hookName The name of the filter hook.
+ * @param {Array<*>} args The arguments supplied to the functions hooked to `hookName`.
+ * @return {*} The filtered value after all hooked functions are applied to it.
+ */
+function applyFiltersRefArray(hookName, args) {
+  return applyFilters(hookName, ...args);
+}
+
+/**
+ * Calls the callback functions that have been added to a filter hook, awaiting each one.
+ *
+ * Callbacks run one after the other in priority order, each with the value the previous
+ * one resolved to. A callback that throws, rejects or doesn't settle within the hook
+ * timeout is reported with hookError() and skipped: the value stays as the callbacks
+ * before it left it.
+ *
+ * @example
+ * addFilter('the_title', async (title, postId) => `${title} (${await getViews(postId)})`, 10, 2);
+ * const title = await applyFiltersAsync('the_title', post.post_title, post.ID);
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ * @global {Object<string, number>} wpFilters Stores the number of times each filter was triggered.
+ *
+ * @param {string} hookName The name of the filter hook.
+ * @param {*} value The value to filter.
+ * @param {...*} args Optional. Additional parameters to pass to the callback functions.
+ * @return {Promise<*>} The filtered value after all hooked functions are applied to it.
+ */
+async function applyFiltersAsync(hookName, value, ...args) {
+  pluginGlobals();
+
+  global.wpFilters[hookName] = (global.wpFilters[hookName] || 0) + 1;
+
+  const trace = traceHook('filter', hookName, value, args, true);
+
+  return filterStorage.run([...filterStack(), hookName], async () => {
+    try {
+      // Do 'all' actions first.
+      if (global.wpFilter.all) {
+        callAllHook([hookName, value, ...args]);
+      }
+
+      if (global.wpFilter[hookName]) {
+        value = await global.wpFilter[hookName].applyFiltersAsync(value, [value, ...args], asyncHookOptions(hookName, trace));
+      }
+    } finally {
+      if (trace) {
+        trace.end(value);
+      }
+    }
+
+    return value;
+  });
+}
+
+/**
+ * Checks if any filter has been registered for a hook.
+ *
+ * When using the `callback` argument, this function may return a non-boolean value
+ * that evaluates to false (e.g. 0), so use the `===` operator for testing the return value.
+ *
+ * @since 2.5.0
+ * @since 6.5.0 Added the `priority` parameter.
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ *
+ * @param {string} hookName The name of the filter hook.
+ * @param {Function|false} [callback=false] Optional. The callback to check for. Default false.
+ * @param {number|false} [priority=false] Optional. The specific priority at which to check
+ *                                        for the callback. Default false.
+ * @return {boolean|number} If `callback` is omitted, returns boolean for whether the hook has
+ *                          anything registered. When checking a specific function, the priority
+ *                          of that hook is returned, or false if the function is not attached.
+ *                          If `callback` and `priority` are both provided, a boolean is returned
+ *                          for whether the specific function is registered at that priority.
+ */
+function hasFilter(hookName, callback = false, priority = false) {
+  pluginGlobals();
+
+  if (!global.wpFilter[hookName]) {
+    return false;
+  }
+
+  return global.wpFilter[hookName].hasFilter(hookName, callback, priority);
+}
+
+/**
+ * Removes a callback function from a filter hook.
+ *
+ * This can be used to remove default functions attached to a specific filter
+ * hook and possibly replace them with a substitute.
+ *
+ * To remove a hook, the `callback` and `priority` arguments must match
+ * when the hook was added. This goes for both filters and actions. No warning
+ * will be given on removal failure.
+ *
+ * @since 1.2.0
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ *
+ * @param {string} hookName The filter hook to which the function to be removed is hooked.
+ * @param {Function} callback The callback to be removed from running when the filter is applied.
+ * @param {number} [priority=10] Optional. The exact priority used when adding the original
+ *                               filter callback. Default 10.
+ * @return {boolean} Whether the function existed before it was removed.
+ */
+function removeFilter(hookName, callback, priority = 10) {
+  pluginGlobals();
+
+  if (!global.wpFilter[hookName]) {
+    return false;
+  }
+
+  const removed = global.wpFilter[hookName].removeFilter(hookName, callback, priority);
+
+  if (!global.wpFilter[hookName].hasFilters() && !global.wpFilter[hookName].nestingLevel) {
+    delete global.wpFilter[hookName];
+  }
+
+  return removed;
+}
+
+/**
+ * Removes all of the callback functions from a filter hook.
+ *
+ * @since 2.7.0
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ *
+ * @param {string} hookName The filter to remove callbacks from.
+ * @param {number|false} [priority=false] Optional. The priority number to remove them from.
+ *                                        Default false.
+ * @return {true} Always returns true.
+ */
+function removeAllFilters(hookName, priority = false) {
+  pluginGlobals();
+
+  if (global.wpFilter[hookName]) {
+    global.wpFilter[hookName].removeAllFilters(priority);
+
+    if (!global.wpFilter[hookName].hasFilters() && !global.wpFilter[hookName].nestingLevel) {
+      delete global.wpFilter[hookName];
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Retrieves the name of the current filter hook.
+ *
+ * @since 2.5.0
+ *
+ * @global {Array<string>} wpCurrentFilter Stores the list of current filters with the current one last.
+ *
+ * @return {string|false} Hook name of the current filter, false if no filter is running.
+ */
+function currentFilter() {
+  pluginGlobals();
+
+  const stack = filterStack();
+  return stack.length ? stack[stack.length - 1] : false;
+}
+
+/**
+ * Returns whether or not a filter hook is currently being processed.
+ *
+ * The function currentFilter() only returns the most recent filter being executed.
+ * didFilter() returns the number of times a filter has been applied during
+ * the current request.
+ *
+ * This function allows detection for any filter currently being executed
+ * (regardless of whether it's the most recent filter to fire, in the case of
+ * hooks called from hook callbacks) to be verified.
+ *
+ * @since 3.9.0
+ *
+ * @see currentFilter()
+ * @see didFilter()
+ * @global {Array<string>} wpCurrentFilter Current filter.
+ *
+ * @param {string|null} [hookName=null] Optional. Filter hook to check. Defaults to null,
+ *                                      which checks if any filter is currently being run.
+ * @return {boolean} Whether the filter is currently in the stack.
+ */
+function doingFilter(hookName = null) {
+  pluginGlobals();
+
+  if (null === hookName) {
+    return filterStack().length > 0;
+  }
+
+  return filterStack().includes(hookName);
+}
+
+/**
+ * Retrieves the number of times a filter has been applied during the current request.
+ *
+ * @since 6.1.0
+ *
+ * @global {Object<string, number>} wpFilters Stores the number of times each filter was triggered.
+ *
+ * @param {string} hookName The name of the filter hook.
+ * @return {number} The number of times the filter hook has been applied.
+ */
+function didFilter(hookName) {
+  return (global.wpFilters && global.wpFilters[hookName]) || 0;
+}
+
+/**
+ * Adds a callback function to an action hook.
+ *
+ * Actions are the hooks that the WordPress core launches at specific points
+ * during execution, or when specific events occur. Plugins can specify that
+ * one or more of its JavaScript functions are executed at these points, using the
+ * Action API.
+ *
+ * @since 1.2.0
+ *
+ * @param {string} hookName The name of the action to add the callback to.
+ * @param {Function} callback The callback to be run when the action is called.
+ * @param {number} [priority=10] Optional. Used to specify the order in which the functions
+ *                               associated with a particular action are executed.
+ *                               Lower numbers correspond with earlier execution,
+ *                               and functions with the same priority are executed
+ *                               in the order in which they were added to the action. Default 10.
+ * @param {number} [acceptedArgs=1] Optional. The number of arguments the function accepts. Default 1.
+ * @return {true} Always returns true.
+ */
+function addAction(hookName, callback, priority = 10, acceptedArgs = 1) {
+  return addFilter(hookName, callback, priority, acceptedArgs);
+}
+
+/**
+ * Calls the callback functions that have been added to an action hook.
+ *
+ * This function invokes all functions attached to action hook `hookName`.
+ * It is possible to create new action hooks by simply calling this function,
+ * specifying the name of the new hook using the `hookName` parameter.
+ *
+ * You can pass extra arguments to the hooks, much like you can with `applyFilters()`.
+ *
+ * @since 1.2.0
+ * @since 5.3.0 Formalized the existing and already documented `...args` parameter
+ *              by adding it to the function signature.
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ * @global {Object<string, number>} wpActions Stores the number of times each action was triggered.
+ * @global {Array<string>} wpCurrentFilter Stores the list of current filters with the current one last.
+ *
+ * @param {string} hookName The name of the action to be executed.
+ * @param {...*} args Optional. Additional arguments which are passed on to the
+ *                    functions hooked to the action. Default empty.
+ */
+function doAction(hookName, ...args) {
+  pluginGlobals();
+
+  global.wpActions[hookName] = (global.wpActions[hookName] || 0) + 1;
+
+  const trace = traceHook('action', hookName, null, args);
+
+  // Do 'all' actions first.
+  if (global.wpFilter.all) {
+    filterStack().push(hookName);
+    callAllHook([hookName, ...args]);
+  }
+
+  if (!global.wpFilter[hookName]) {
+    if (global.wpFilter.all) {
+      filterStack().pop();
+    }
+
+    if (trace) {
+      trace.end();
+    }
+
+    return;
+  }
+
+  if (!global.wpFilter.all) {
+    filterStack().push(hookName);
+  }
+
+  try {
+    global.wpFilter[hookName].doAction(args, trace && trace.record);
+  } finally {
+    filterStack().pop();
+
+    if (trace) {
+      trace.end();
+    }
+  }
+}
+
+/**
+ * Calls the callback functions that have been added to an action hook, specifying arguments in an array.
+ *
+ * @since 2.1.0
+ *
+ * @see doAction() This function is identical, but the arguments passed to the
+ *                 functions hooked to `hookName` are supplied using an array.
+ *
+ * @param {string} hookName The name of the action to be executed.
+ * @param {Array<*>} args The arguments supplied to the functions hooked to `hookName`.
+ */
+function doActionRefArray(hookName, args) {
+  doAction(hookName, ...args);
+}
+
+/**
+ * Calls the callback functions that have been added to an action hook, awaiting each one.
+ *
+ * Callbacks run one after the other in priority order. A callback that throws, rejects
+ * or doesn't settle within the hook timeout is reported with hookError() and skipped.
+ *
+ * @example
+ * addAction('template_redirect', async () => {
+ *   await warmCache();
+ * });
+ * await doActionAsync('template_redirect');
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ * @global {Object<string, number>} wpActions Stores the number of times each action was triggered.
+ *
+ * @param {string} hookName The name of the action to be executed.
+ * @param {...*} args Optional. Additional arguments which are passed on to the
+ *                    functions hooked to the action. Default empty.
+ * @return {Promise<void>}
+ */
+async function doActionAsync(hookName, ...args) {
+  await runActionAsync(hookName, args, true);
+}
+
+/**
+ * Calls the callback functions that have been added to an action hook, awaiting each one,
+ * and stops at the first that fails.
+ *
+ * Unlike doActionAsync(), a callback that throws, rejects or doesn't settle within the hook
+ * timeout isn't skipped: the callbacks after it don't run, and the returned promise rejects
+ * with its error. For actions whose failure must stop the caller, such as the activation
+ * hook of a plugin or the actions fired while WordPress starts.
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ * @global {Object<string, number>} wpActions Stores the number of times each action was triggered.
+ *
+ * @param {string} hookName The name of the action to be executed.
+ * @param {...*} args Optional. Additional arguments which are passed on to the
+ *                    functions hooked to the action. Default empty.
+ * @return {Promise<void>}
+ * @throws {Error} The error of the first callback that failed.
+ */
+async function doActionAsyncStrict(hookName, ...args) {
+  await runActionAsync(hookName, args, false);
+}
+
+/**
+ * Runs an awaited action.
+ *
+ * @private
+ *
+ * @param {string} hookName The name of the action to be executed.
+ * @param {Array<*>} args The arguments passed on to the functions hooked to the action.
+ * @param {boolean} isolate Whether a callback that fails is reported and skipped, rather than thrown.
+ * @return {Promise<void>}
+ */
+async function runActionAsync(hookName, args, isolate) {
+  pluginGlobals();
+
+  global.wpActions[hookName] = (global.wpActions[hookName] || 0) + 1;
+
+  const trace = traceHook('action', hookName, null, args, true);
+
+  await filterStorage.run([...filterStack(), hookName], async () => {
+    try {
+      // Do 'all' actions first.
+      if (global.wpFilter.all) {
+        callAllHook([hookName, ...args]);
+      }
+
+      if (global.wpFilter[hookName]) {
+        await global.wpFilter[hookName].doActionAsync(args, asyncHookOptions(hookName, trace, isolate));
+      }
+    } finally {
+      if (trace) {
+        trace.end();
+      }
+    }
+  });
+}
+
+/**
+ * Checks if any action has been registered for a hook.
+ *
+ * When using the `callback` argument, this function may return a non-boolean value
+ * that evaluates to false (e.g. 0), so use the `===` operator for testing the return value.
+ *
+ * @since 2.5.0
+ * @since 6.5.0 Added the `priority` parameter.
+ *
+ * @see hasFilter() This function is an alias of hasFilter().
+ *
+ * @param {string} hookName The name of the action hook.
+ * @param {Function|false} [callback=false] Optional. The callback to check for. Default false.
+ * @param {number|false} [priority=false] Optional. The specific priority at which to check
+ *                                        for the callback. Default false.
+ * @return {boolean|number} See hasFilter().
+ */
+function hasAction(hookName, callback = false, priority = false) {
+  return hasFilter(hookName, callback, priority);
+}
+
+/**
+ * Removes a callback function from an action hook.
+ *
+ * This can be used to remove default functions attached to a specific action
+ * hook and possibly replace them with a substitute.
+ *
+ * To remove a hook, the `callback` and `priority` arguments must match
+ * when the hook was added. This goes for both filters and actions. No warning
+ * will be given on removal failure.
+ *
+ * @since 1.2.0
+ *
+ * @param {string} hookName The action hook to which the function to be removed is hooked.
+ * @param {Function} callback The callback to be removed from running when the action is called.
+ * @param {number} [priority=10] Optional. The exact priority used when adding the original
+ *                               action callback. Default 10.
+ * @return {boolean} Whether the function is removed.
+ */
+function removeAction(hookName, callback, priority = 10) {
+  return removeFilter(hookName, callback, priority);
+}
+
+/**
+ * Removes all of the callback functions from an action hook.
+ *
+ * @since 2.7.0
+ *
+ * @param {string} hookName The action to remove callbacks from.
+ * @param {number|false} [priority=false] Optional. The priority number to remove them from.
+ *                                        Default false.
+ * @return {true} Always returns true.
+ */
+function removeAllActions(hookName, priority = false) {
+  return removeAllFilters(hookName, priority);
+}
+
+/**
+ * Retrieves the name of the current action hook.
+ *
+ * @since 3.9.0
+ *
+ * @return {string|false} Hook name of the current action, false if no action is running.
+ */
+function currentAction() {
+  return currentFilter();
+}
+
+/**
+ * Returns whether or not an action hook is currently being processed.
+ *
+ * @since 3.9.0
+ *
+ * @see doingFilter()
+ *
+ * @param {string|null} [hookName=null] Optional. Action hook to check. Defaults to null,
+ *                                      which checks if any action is currently being run.
+ * @return {boolean} Whether the action is currently in the stack.
+ */
+function doingAction(hookName = null) {
+  return doingFilter(hookName);
+}
+
+/**
+ * Retrieves the number of times an action has been fired during the current request.
+ *
+ * @since 2.1.0
+ *
+ * @global {Object<string, number>} wpActions Stores the number of times each action was triggered.
+ *
+ * @param {string} hookName The name of the action hook.
+ * @return {number} The number of times the action hook has been fired.
+ */
+function didAction(hookName) {
+  return (global.wpActions && global.wpActions[hookName]) || 0;
+}
+
+/**
+ * Gets the basename of a plugin.
+ *
+ * This method extracts the name of a plugin from its filename.
+ *
+ * @since 1.5.0
+ *
+ * @param {string} file The filename of plugin, e.g. `import.meta.url`.
+ * @return {string} The name of a plugin, e.g. 'akismet/akismet.js'.
+ */
+function pluginBasename(file) {
+  file = path.resolve(file.startsWith('file:') ? fileURLToPath(file) : file);
+
+  for (const directory of [envConfig.WPMU_PLUGIN_DIR, envConfig.WP_PLUGIN_DIR]) {
+    const relative = path.relative(path.resolve(directory), file);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+  }
+
+  return file.split(path.sep).join('/').replace(/^\/+/, '');
+}
+
+/**
+ * Sets the activation hook for a plugin.
+ *
+ * When a plugin is activated, the action 'activate_PLUGINNAME' hook is
+ * called. In the name of this hook, PLUGINNAME is replaced with the name
+ * of the plugin, including the optional subdirectory. For example, when the
+ * plugin is located in wp-content/plugins/sampleplugin/sample.js, then
+ * the name of this hook will become 'activate_sampleplugin/sample.js'.
+ *
+ * @example
+ * registerActivationHook(import.meta.url, async () => {
+ *   await dbDelta(schema);
+ * });
+ *
+ * @since 2.0.0
+ *
+ * @param {string} file The filename of the plugin including the path, e.g. `import.meta.url`.
+ * @param {Function} callback The function hooked to the 'activate_PLUGIN' action.
+ */
+function registerActivationHook(file, callback) {
+  addAction(`activate_${pluginBasename(file)}`, callback);
+}
+
+/**
+ * Sets the deactivation hook for a plugin.
+ *
+ * When a plugin is deactivated, the action 'deactivate_PLUGINNAME' hook is
+ * called. In the name of this hook, PLUGINNAME is replaced with the name
+ * of the plugin, including the optional subdirectory.
+ *
+ * @since 2.0.0
+ *
+ * @param {string} file The filename of the plugin including the path, e.g. `import.meta.url`.
+ * @param {Function} callback The function hooked to the 'deactivate_PLUGIN' action.
+ */
+function registerDeactivationHook(file, callback) {
+  addAction(`deactivate_${pluginBasename(file)}`, callback);
+}
+
+/**
+ * Sets the uninstallation hook for a plugin.
+ *
+ * Registers the uninstall hook that will be called when the user clicks on the
+ * uninstall link that calls for the plugin to uninstall itself. The plugin is
+ * inactive then: uninstallPlugin() loads its main file, which registers the hook
+ * again, and runs it.
+ *
+ * Plugins should not run arbitrary code outside of functions, when registering
+ * the uninstall hook. An uninstall.js file in the plugin's directory takes
+ * precedence over the hook.
+ *
+ * @since 2.7.0
+ *
+ * @param {string} file Plugin file, e.g. `import.meta.url`.
+ * @param {Function} callback The callback to run when the hook is called.
+ */
+function registerUninstallHook(file, callback) {
+  addAction(`uninstall_${pluginBasename(file)}`, callback);
+}
+
+/**
+ * Calls the 'all' hook, which will process the functions hooked into it.
+ *
+ * The 'all' hook passes all of the arguments or parameters that were used for
+ * the hook, which this function was called for.
+ *
+ * This function is used internally for applyFilters(), doAction(), and
+ * doActionRefArray() and is not meant to be used from outside those
+ * functions. This function does not check for the existence of the all hook, so
+ * it will fail unless the all hook exists prior to this function call.
+ *
+ * @since 2.5.0
+ *
+ * @private
+ *
+ * @global {Object<string, WPHook>} wpFilter Stores all of the filters and actions.
+ *
+ * @param {Array<*>} args The collected parameters from the hook that was called.
+ */
+function callAllHook(args) {
+  global.wpFilter.all.doAllHook(args);
+}
+
+/**
+ * Retrieves how the callbacks of an awaited hook run.
+ *
+ * @private
+ *
+ * @param {string} hookName The name of the hook.
+ * @param {Object|null} [trace=null] Optional. The trace of the run, see WPHookTracer.start().
+ * @param {boolean} [isolate=true] Optional. Whether a callback that fails is reported with hookError()
+ *                                 and skipped, rather than thrown. Default true.
+ * @return {{timeout: number, onError: function(Error, Function): void|null, record: Function|null}}
+ *         See WPHook.applyFiltersAsync().
+ */
+function asyncHookOptions(hookName, trace = null, isolate = true) {
+  /**
+   * Filters how many milliseconds each callback of an awaited hook has to settle.
+   *
+   * @param {number} timeout Milliseconds, 0 for no limit. Default the HOOK_TIMEOUT setting.
+   * @param {string} hookName The name of the hook.
+   */
+  const timeout = Number(applyFilters('async_hook_timeout', envConfig.HOOK_TIMEOUT || 0, hookName)) || 0;
+
+  return {
+    timeout,
+    onError: isolate ? (error, callback) => hookError(hookName, callback, error) : null,
+    record: trace && trace.record,
+  };
+}
+
+/**
+ * Reports a callback of an awaited hook that failed.
+ *
+ * @private
+ *
+ * @param {string} hookName The name of the hook.
+ * @param {Function} callback The callback that failed.
+ * @param {Error} error Its error.
+ */
+function hookError(hookName, callback, error) {
+  const name = callback.name || 'anonymous function';
+  console.error(`The ${name} callback of the "${hookName}" hook failed and was skipped: ${error && error.message}`);
+
+  try {
+    /**
+     * Fires when a callback of an awaited hook throws, rejects or times out.
+     *
+     * @param {Error} error The error, with the 'hook_timeout' code if the callback timed out.
+     * @param {string} hookName The name of the hook.
+     * @param {Function} callback The callback.
+     */
+    doAction('hook_error', error, hookName, callback);
+  } catch (actionError) {
+    // Reporting must not fail the hook.
+  }
+}
+
+export {
+  pluginGlobals,
+  addFilter,
+  applyFilters,
+  applyFiltersRefArray,
+  applyFiltersAsync,
+  hasFilter,
+  removeFilter,
+  removeAllFilters,
+  currentFilter,
+  doingFilter,
+  didFilter,
+  addAction,
+  doAction,
+  doActionRefArray,
+  doActionAsync,
+  doActionAsyncStrict,
+  hasAction,
+  removeAction,
+  removeAllActions,
+  currentAction,
+  doingAction,
+  didAction,
+  pluginBasename,
+  registerActivationHook,
+  registerDeactivationHook,
+  registerUninstallHook,
+  wpHookTracer,
+};
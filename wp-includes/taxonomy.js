@@ -0,0 +1,145 @@
+/**
+ * Core Taxonomy API
+ *
+ * @package WordPress
+ * @subpackage Taxonomy
+ */
+
+import { addMetadata, deleteMetadata, getMetadata, updateMetadata, updateMetaCache, registerMeta, unregisterMetaKey } from './meta.js';
+
+/**
+ * Adds a meta field to the given term.
+ *
+ * @since 4.4.0
+ *
+ * @param {number} termId Term ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {boolean} [unique=false] Optional. Whether the same key should not be added.
+ *                                 Default false.
+ * @return {Promise<number|false>} Meta ID on success, false on failure.
+ */
+function addTermMeta(termId, metaKey, metaValue, unique = false) {
+  return addMetadata('term', termId, metaKey, metaValue, unique);
+}
+
+/**
+ * Removes metadata matching criteria from a term.
+ *
+ * You can match based on the key, or key and value. Removing based on key and
+ * value, will keep from removing duplicate metadata with the same key. It also
+ * allows removing all metadata matching the key, if needed.
+ *
+ * @since 4.4.0
+ *
+ * @param {number} termId Term ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} [metaValue=''] Optional. Metadata value. If provided,
+ *                           rows will only be removed that match the value.
+ *                           Must be serializable if non-scalar. Default empty.
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function deleteTermMeta(termId, metaKey, metaValue = '') {
+  return deleteMetadata('term', termId, metaKey, metaValue);
+}
+
+/**
+ * Retrieves a term meta field for the given term ID.
+ *
+ * @since 4.4.0
+ *
+ * @param {number} termId Term ID.
+ * @param {string} [key=''] Optional. The meta key to retrieve. By default,
+ *                          returns data for all keys. Default empty.
+ * @param {boolean} [single=false] Optional. Whether to return a single value.
+ *                                 This parameter has no effect if `key` is not specified.
+ *                                 Default false.
+ * @return {Promise<*>} An array of values if `single` is false.
+ *                      The value of the meta field if `single` is true.
+ *                      False for an invalid `termId` (non-numeric, zero, or negative value).
+ *                      An empty string if a valid but non-existing term ID is passed.
+ */
+function getTermMeta(termId, key = '', single = false) {
+  return getMetadata('term', termId, key, single);
+}
+
+/**
+ * Updates a term meta field based on the given term ID.
+ *
+ * Use the `prevValue` parameter to differentiate between meta fields with the
+ * same key and term ID.
+ *
+ * If the meta field for the term does not exist, it will be added.
+ *
+ * @since 4.4.0
+ *
+ * @param {number} termId Term ID.
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {*} [prevValue=''] Optional. Previous value to check before updating.
+ *                           If specified, only update existing metadata entries with
+ *                           this value. Otherwise, update all entries. Default empty.
+ * @return {Promise<number|boolean>} Meta ID if the key didn't exist, true on successful update,
+ *                                   false on failure or if the value passed to the function
+ *                                   is the same as the one that is already in the database.
+ */
+function updateTermMeta(termId, metaKey, metaValue, prevValue = '') {
+  return updateMetadata('term', termId, metaKey, metaValue, prevValue);
+}
+
+/**
+ * Updates metadata cache for a list of term IDs.
+ *
+ * Performs SQL query to retrieve the metadata for the term IDs and updates the
+ * metadata cache for the terms. Therefore, the functions, which call this
+ * function, do not need to perform SQL queries on their own.
+ *
+ * @since 4.4.0
+ *
+ * @param {Array<number>} termIds List of term IDs.
+ * @return {Promise<Object|false>} An array of metadata on success, false if there is nothing to update.
+ */
+function updateTermmetaCache(termIds) {
+  return updateMetaCache('term', termIds);
+}
+
+/**
+ * Registers a meta key for terms.
+ *
+ * @since 4.9.8
+ *
+ * @param {string} taxonomy Taxonomy to register a meta key for. Pass an empty string
+ *                          to register the meta key across all existing taxonomies.
+ * @param {string} metaKey The meta key to register.
+ * @param {Object} args Data used to describe the meta key when registered. See
+ *                      registerMeta() for a list of supported arguments.
+ * @return {boolean} True if the meta key was successfully registered, false if not.
+ */
+function registerTermMeta(taxonomy, metaKey, args) {
+  return registerMeta('term', metaKey, { ...args, objectSubtype: taxonomy });
+}
+
+/**
+ * Unregisters a meta key for terms.
+ *
+ * @since 4.9.8
+ *
+ * @param {string} taxonomy Taxonomy the meta key is currently registered for. Pass
+ *                          an empty string if the meta key is registered across all
+ *                          existing taxonomies.
+ * @param {string} metaKey The meta key to unregister.
+ * @return {boolean} True on success, false if the meta key was not previously registered.
+ */
+function unregisterTermMeta(taxonomy, metaKey) {
+  return unregisterMetaKey('term', metaKey, taxonomy);
+}
+
+export {
+  addTermMeta,
+  deleteTermMeta,
+  getTermMeta,
+  updateTermMeta,
+  updateTermmetaCache,
+  registerTermMeta,
+  unregisterTermMeta,
+};
@@ -1,13 +1,12 @@
-undefined
 // Import necessary dependencies
 import express from 'express';
+import { applyFilters, doAction, removeFilter } from './plugin.js';
+
 /**
  * Loads the correct template based on the visitor's url
  *
  * @since 1.0.0
  */
-import { applyFilters, doAction } from 'wordpress-hooks';
-
 function templateLoader(req, res, next) {
   const usingThemes = wpUsingThemes(); // This function needs to be defined or imported
 
@@ -0,0 +1,95 @@
+/**
+ * Core User API
+ *
+ * @package WordPress
+ * @subpackage Users
+ */
+
+import { addMetadata, deleteMetadata, getMetadata, updateMetadata } from './meta.js';
+
+/**
+ * Adds a meta field to the given user.
+ *
+ * @since 3.0.0
+ *
+ * @param {number} userId User ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {boolean} [unique=false] Optional. Whether the same key should not be added.
+ *                                 Default false.
+ * @return {Promise<number|false>} Meta ID on success, false on failure.
+ */
+function addUserMeta(userId, metaKey, metaValue, unique = false) {
+  return addMetadata('user', userId, metaKey, metaValue, unique);
+}
+
+/**
+ * Removes metadata matching criteria from a user.
+ *
+ * You can match based on the key, or key and value. Removing based on key and
+ * value, will keep from removing duplicate metadata with the same key. It also
+ * allows removing all metadata matching the key, if needed.
+ *
+ * @since 3.0.0
+ *
+ * @param {number} userId User ID.
+ * @param {string} metaKey Metadata name.
+ * @param {*} [metaValue=''] Optional. Metadata value. If provided,
+ *                           rows will only be removed that match the value.
+ *                           Must be serializable if non-scalar. Default empty.
+ * @return {Promise<boolean>} True on success, false on failure.
+ */
+function deleteUserMeta(userId, metaKey, metaValue = '') {
+  return deleteMetadata('user', userId, metaKey, metaValue);
+}
+
+/**
+ * Retrieves a user meta field for the given user ID.
+ *
+ * @since 3.0.0
+ *
+ * @param {number} userId User ID.
+ * @param {string} [key=''] Optional. The meta key to retrieve. By default,
+ *                          returns data for all keys. Default empty.
+ * @param {boolean} [single=false] Optional. Whether to return a single value.
+ *                                 This parameter has no effect if `key` is not specified.
+ *                                 Default false.
+ * @return {Promise<*>} An array of values if `single` is false.
+ *                      The value of the meta field if `single` is true.
+ *                      False for an invalid `userId` (non-numeric, zero, or negative value).
+ *                      An empty string if a valid but non-existing user ID is passed.
+ */
+function getUserMeta(userId, key = '', single = false) {
+  return getMetadata('user', userId, key, single);
+}
+
+/**
+ * Updates a user meta field based on the given user ID.
+ *
+ * Use the `prevValue` parameter to differentiate between meta fields with the
+ * same key and user ID.
+ *
+ * If the meta field for the user does not exist, it will be added.
+ *
+ * @since 3.0.0
+ *
+ * @param {number} userId User ID.
+ * @param {string} metaKey Metadata key.
+ * @param {*} metaValue Metadata value. Must be serializable if non-scalar.
+ * @param {*} [prevValue=''] Optional. Previous value to check before updating.
+ *                           If specified, only update existing metadata entries with
+ *                           this value. Otherwise, update all entries. Default empty.
+ * @return {Promise<number|boolean>} Meta ID if the key didn't exist, true on successful update,
+ *                                   false on failure or if the value passed to the function
+ *                                   is the same as the one that is already in the database.
+ */
+function updateUserMeta(userId, metaKey, metaValue, prevValue = '') {
+  return updateMetadata('user', userId, metaKey, metaValue, prevValue);
+}
+
+export {
+  addUserMeta,
+  deleteUserMeta,
+  getUserMeta,
+  updateUserMeta,
+};
@@ -42,8 +42,9 @@ const WP_CONTENT_DIR = join(baseDirectory, 'wp-content');
  * @function setupErrorReporting
  */
 function setupErrorReporting() {
-  // Redirect console.error to a log file
-  const logStream = fs.createWriteStream(join(baseDirectory, 'error.log'), { flags: 'a' });
+  // Redirect console.error to a log file, written synchronously so that the errors
+  // logged right before the process exits are kept.
+  const logFile = join(baseDirectory, 'error.log');
   const originalError = console.error;
   
   /**
@@ -53,7 +54,7 @@ function setupErrorReporting() {
    * @param {...any} optionalParams - Optional additional parameters.
    */
   console.error = (message, ...optionalParams) => {
-    logStream.write(`${new Date().toISOString()} - ERROR: ${message}\n`);
+    fs.appendFileSync(logFile, `${new Date().toISOString()} - ERROR: ${message}\n`);
     originalError(message, ...optionalParams);
   };
 }
@@ -168,14 +169,39 @@ function displayError() {
 }
 
 /**
- * Loads the WordPress configuration file (wp-config.js) from the current or parent directory.
+ * The promise of the first wpLoad() call, which later calls share.
+ * @type {Promise<void>|null}
+ */
+let loading = null;
+
+/**
+ * Loads the WordPress configuration file (wp-config.js) from the current or parent directory,
+ * then sets up WordPress with wp-settings.js.
  * If the configuration file is not found, initiates the setup process.
  *
+ * WordPress is set up once: later calls return the promise of the first one.
+ *
  * @async
  * @function wpLoad
- * @throws {Error} If wp-config.js is not found in both current and parent directories.
+ * @throws {Error} If wp-config.js is not found in both current and parent directories,
+ *                 or with the 'wp_settings_failed' code if a stage of wp-settings.js fails.
  */
-async function wpLoad() {
+function wpLoad() {
+  if (!loading) {
+    loading = loadConfigAndSettings();
+  }
+
+  return loading;
+}
+
+/**
+ * Imports wp-config.js, then runs wp-settings.js.
+ *
+ * @async
+ * @function loadConfigAndSettings
+ * @throws {Error} If wp-config.js is not found, or if a stage of wp-settings.js fails.
+ */
+async function loadConfigAndSettings() {
   const configPath = join(baseDirectory, 'wp-config.js');
   const parentConfigPath = join(dirname(baseDirectory), 'wp-config.js');
   const parentSettingsPath = join(dirname(baseDirectory), 'wp-settings.js');
@@ -192,46 +218,10 @@ async function wpLoad() {
     await loadTranslationsEarly();
     displayError();
   }
-}
 
-/**
- * Initializes the WordPress environment.
- * This includes setting up queries and environment settings.
- *
- * @function wp
- */
-function wp() {
-  // Initialize WordPress query or environment settings here
-  console.log('WordPress environment has been set up.');
+  const { wpSettings } = await import(join(baseDirectory, 'wp-settings.js'));
+  await wpSettings();
 }
 
-/**
- * Loads and applies theme templates.
- *
- * @function templateLoader
- */
-function templateLoader() {
-  // Load and apply theme templates here
-  console.log('Theme templates have been loaded.');
-}
-
-/**
- * Initializes the WordPress environment by setting up error reporting,
- * loading configuration, and initializing necessary components.
- *
- * @async
- * @function init
- */
-(async () => {
-  try {
-    setupErrorReporting();
-    await wpLoad();
-    wp();
-    templateLoader();
-  } catch (error) {
-    console.error('Initialization failed:', error);
-  }
-})();
-
 // Export the functions for external use
-export { wpLoad, wp, templateLoader };
+export { wpLoad, setupErrorReporting };
@@ -0,0 +1,133 @@
+/**
+ * Used to set up and fix common variables and include
+ * the WordPress procedural and class library.
+ *
+ * Loaded by wpLoad() once wp-config.js is found, with the settings of its envConfig.
+ *
+ * @package WordPress
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { envConfig } from './wp-config.js';
+import {
+  requireWpDb,
+  wpSetWpdbVars,
+  wpStartObjectCache,
+  wpLoadMuPlugins,
+  wpLoadPlugins,
+  wpGetActiveAndValidThemes,
+} from './wp-includes/load.js';
+import { pluginGlobals, doActionAsyncStrict } from './wp-includes/plugin.js';
+import { wpScheduleDeleteExpiredTransients } from './wp-includes/option.js';
+
+/**
+ * Runs a stage of the bootstrap, turning its failure into an error naming the stage.
+ *
+ * @private
+ *
+ * @param {string}   stage    Name of the stage, for the error message.
+ * @param {Function} callback Function running the stage. May return a promise.
+ * @return {Promise<void>}
+ * @throws {Error} If the stage fails, with the 'wp_settings_failed' code, the `stage` and the
+ *                 original error as its `cause`.
+ */
+async function wpSettingsStage(stage, callback) {
+  try {
+    await callback();
+  } catch (error) {
+    throw Object.assign(new Error(`WordPress could not start: the "${stage}" stage failed. ${error.message}`), {
+      code: 'wp_settings_failed',
+      stage,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Sets up WordPress: connects to the database, starts the object cache and the Plugin API,
+ * then loads the must-use plugins, the active plugins and the active theme. Schedules the
+ * daily deletion of the expired transients, see wpScheduleDeleteExpiredTransients().
+ *
+ * Fires, in order: 'muplugins_loaded', 'plugins_loaded', 'setup_theme', 'after_setup_theme',
+ * 'init' and 'wp_loaded', awaiting their callbacks. A callback that throws, rejects or times
+ * out fails the stage that fired the action, see doActionAsyncStrict().
+ *
+ * @global {Wpdb} wpdb WordPress database abstraction object.
+ *
+ * @param {Object} [config=envConfig] Optional. Configuration to read the settings from.
+ * @return {Promise<void>}
+ * @throws {Error} If a stage fails, with the 'wp_settings_failed' code and the `stage` that failed:
+ *                 "database", "object cache", "must-use plugins", "plugins", "theme" or "init".
+ */
+async function wpSettings(config = envConfig) {
+  // Connect to the database, with the table names of TABLE_PREFIX.
+  await wpSettingsStage('database', async () => {
+    const wpdb = requireWpDb(config);
+    wpSetWpdbVars(config);
+
+    if (false === await wpdb.connecting || !wpdb.ready) {
+      throw wpdb.error || new Error('Error establishing a database connection.');
+    }
+  });
+
+  // Start the WordPress object cache, or an external object cache if the drop-in is present.
+  await wpSettingsStage('object cache', () => wpStartObjectCache(config));
+
+  // Initialize the filter globals.
+  pluginGlobals();
+
+  // Load must-use plugins, then network-activated plugins.
+  await wpSettingsStage('must-use plugins', () => wpLoadMuPlugins());
+
+  // Load active plugins.
+  await wpSettingsStage('plugins', () => wpLoadPlugins());
+
+  await wpSettingsStage('theme', async () => {
+    /**
+     * Fires before the theme is loaded.
+     *
+     * @since 2.6.0
+     */
+    await doActionAsyncStrict('setup_theme');
+
+    // Load the functions for the active theme, for both parent and child theme if applicable.
+    for (const theme of await wpGetActiveAndValidThemes()) {
+      const functions = path.join(theme, 'functions.js');
+
+      if (fs.existsSync(functions)) {
+        await import(functions);
+      }
+    }
+
+    /**
+     * Fires after the theme is loaded.
+     *
+     * @since 3.0.0
+     */
+    await doActionAsyncStrict('after_setup_theme');
+  });
+
+  await wpSettingsStage('init', async () => {
+    // Delete the expired transients daily, which PHP WordPress leaves to WP-Cron.
+    wpScheduleDeleteExpiredTransients();
+
+    /**
+     * Fires after WordPress has finished loading but before any headers are sent.
+     *
+     * Most of WP is loaded at this stage, and the user is authenticated.
+     *
+     * @since 1.5.0
+     */
+    await doActionAsyncStrict('init');
+
+    /**
+     * This hook is fired once WP, all plugins, and the theme are fully loaded and instantiated.
+     *
+     * @since 3.0.0
+     */
+    await doActionAsyncStrict('wp_loaded');
+  });
+}
+
+export { wpSettings };